@@ -23,6 +23,7 @@ module.exports = ({ config }) => ({
     infoPlist: {
       NSMicrophoneUsageDescription: "Allow Jyotish Call to access your microphone for voice consultations with astrologers",
       NSCameraUsageDescription: "Allow Jyotish Call to access your camera for video consultations with astrologers",
+      NSPhotoLibraryUsageDescription: "Allow Jyotish Call to access your photos to share palm images and documents with astrologers",
       NSUserNotificationsUsageDescription: "Allow Jyotish Call to send you notifications about booking requests, chat messages, and important updates"
     },
     entitlements: {
@@ -47,6 +48,8 @@ module.exports = ({ config }) => ({
       "RECEIVE_BOOT_COMPLETED",
       "VIBRATE",
       "WAKE_LOCK",
+      "CAMERA",
+      "RECORD_AUDIO",
       "com.google.android.c2dm.permission.RECEIVE",
       "com.google.android.gms.permission.AD_ID"
     ],
@@ -101,6 +104,13 @@ module.exports = ({ config }) => ({
     "expo-dev-client",
     "expo-font",
     "react-native-edge-to-edge",
+    [
+      "expo-image-picker",
+      {
+        photosPermission: "Allow Jyotish Call to access your photos to share palm images and documents with astrologers",
+        cameraPermission: "Allow Jyotish Call to use your camera to photograph your palm or documents for astrologers"
+      }
+    ],
     [
       "react-native-fbsdk-next",
       {
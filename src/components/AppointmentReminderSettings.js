@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import FCMService from '../services/FCMService';
+import {
+  REMINDER_LEAD_OPTIONS,
+  getAppointmentReminderSettings,
+  saveAppointmentReminderSettings,
+  formatLeadTime,
+} from '../utils/appointmentReminders';
+import { syncAppointmentReminders } from '../utils/appointments';
+
+/**
+ * Bottom sheet for the reminders sent before scheduled consultations.
+ * Calls onSaved(settings) once the new settings are stored and every
+ * upcoming appointment's reminders are rescheduled.
+ */
+const AppointmentReminderSettings = ({ visible, onClose, onSaved }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    getAppointmentReminderSettings().then(setSettings);
+  }, [visible]);
+
+  const toggleLeadTime = (minutes) => {
+    setSettings(prev => ({
+      ...prev,
+      leadMinutes: prev.leadMinutes.includes(minutes)
+        ? prev.leadMinutes.filter(m => m !== minutes)
+        : [...prev.leadMinutes, minutes].sort((a, b) => b - a),
+    }));
+  };
+
+  const handleSave = async () => {
+    if (settings.enabled && settings.leadMinutes.length === 0) {
+      Alert.alert('Select a Time', 'Choose at least one time to be reminded before your consultation.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (settings.enabled) {
+        await FCMService.requestPermissions();
+      }
+      const saved = await saveAppointmentReminderSettings(settings);
+      if (!saved) {
+        Alert.alert('Error', 'Failed to save reminder settings. Please try again.');
+        return;
+      }
+      const synced = await syncAppointmentReminders();
+      if (!synced) {
+        Alert.alert('Saved', 'Your reminder settings are saved. They will apply to your bookings the next time the app can reach the server.');
+      }
+      onSaved?.(settings);
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderLeadOption = (minutes) => {
+    const isSelected = settings.leadMinutes.includes(minutes);
+    return (
+      <TouchableOpacity
+        key={minutes}
+        style={styles.leadOption}
+        onPress={() => toggleLeadTime(minutes)}
+        disabled={!settings.enabled}
+      >
+        <Ionicons
+          name={isSelected ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={settings.enabled ? '#F97316' : '#D1D5DB'}
+        />
+        <Text style={[styles.leadText, !settings.enabled && styles.disabledText]}>
+          {formatLeadTime(minutes)} before
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Appointment Reminders</Text>
+            <TouchableOpacity onPress={onClose} style={styles.modalCloseButton}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          {!settings ? (
+            <ActivityIndicator size="large" color="#F97316" style={styles.loader} />
+          ) : (
+            <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+              {/* Enable */}
+              <View style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>Remind me before consultations</Text>
+                  <Text style={styles.rowSubtitle}>
+                    A notification before every scheduled chat or call
+                  </Text>
+                </View>
+                <Switch
+                  value={settings.enabled}
+                  onValueChange={(enabled) => setSettings(prev => ({ ...prev, enabled }))}
+                  trackColor={{ false: '#ccc', true: '#F97316' }}
+                  thumbColor="#fff"
+                />
+              </View>
+
+              {/* Lead times */}
+              <Text style={styles.sectionTitle}>Remind me</Text>
+              {REMINDER_LEAD_OPTIONS.map(renderLeadOption)}
+              <Text style={styles.hintText}>
+                Calendar files you export include the same reminders.
+              </Text>
+
+              <TouchableOpacity
+                style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.saveButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  modalCloseButton: {
+    padding: 5,
+  },
+  loader: {
+    marginVertical: 40,
+  },
+  content: {
+    paddingHorizontal: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  disabledText: {
+    color: '#9CA3AF',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  leadOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  leadText: {
+    fontSize: 15,
+    color: '#1F2937',
+    marginLeft: 12,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  saveButton: {
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 32,
+  },
+  saveButtonDisabled: {
+    opacity: 0.6,
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default AppointmentReminderSettings;
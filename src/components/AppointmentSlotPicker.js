@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { astrologersAPI } from '../services/api';
+import { groupSlotsByDay, getUserTimeZone, formatAppointmentTime } from '../utils/appointments';
+
+const TYPES = [
+  { key: 'chat', label: 'Chat', icon: 'chatbubble-outline', priceKey: 'chat' },
+  { key: 'voice', label: 'Voice Call', icon: 'call-outline', priceKey: 'call' },
+];
+
+/**
+ * Bottom sheet for picking one of an astrologer's open slots.
+ * Used both to book a new appointment and to move an existing one.
+ * @param {Object} props
+ * @param {Boolean} props.visible
+ * @param {Object} props.astrologer - Needs _id/id; consultationPrices for the type choice
+ * @param {String} props.initialType - 'chat' or 'voice'
+ * @param {Boolean} props.lockType - Hide the type choice, e.g. when rescheduling
+ * @param {String} props.currentTime - Start of the appointment being rescheduled
+ * @param {String} props.title
+ * @param {String} props.confirmLabel
+ * @param {Function} props.onConfirm - async ({ slot, type }); the sheet stays open if it throws
+ * @param {Function} props.onClose
+ */
+const AppointmentSlotPicker = ({
+  visible,
+  astrologer,
+  initialType = 'chat',
+  lockType = false,
+  currentTime = null,
+  title = 'Schedule an Appointment',
+  confirmLabel = 'Book Appointment',
+  onConfirm,
+  onClose,
+}) => {
+  const insets = useSafeAreaInsets();
+  const astrologerId = astrologer?._id || astrologer?.id;
+
+  const [days, setDays] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [type, setType] = useState(initialType);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAvailability = useCallback(async () => {
+    if (!astrologerId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await astrologersAPI.getAvailability(astrologerId);
+      const grouped = groupSlotsByDay(response);
+      console.log('📅 [SlotPicker] Loaded', grouped.length, 'days of availability for', astrologerId);
+      setDays(grouped);
+      setSelectedDay(grouped[0]?.key || null);
+    } catch (err) {
+      console.error('❌ [SlotPicker] Error loading availability:', err);
+      setError('Could not load available times. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [astrologerId]);
+
+  useEffect(() => {
+    if (!visible) return;
+    setSelectedSlot(null);
+    setType(initialType);
+    loadAvailability();
+  }, [visible, initialType, loadAvailability]);
+
+  const handleClose = () => {
+    if (submitting) return;
+    onClose();
+  };
+
+  const handleConfirm = async () => {
+    if (!selectedSlot || submitting) return;
+    setSubmitting(true);
+    try {
+      await onConfirm({ slot: selectedSlot, type });
+    } catch (err) {
+      // The caller has already told the user what went wrong; let them pick again
+      console.log('⚠️ [SlotPicker] Confirm failed:', err.message);
+      loadAvailability();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const day = days.find(d => d.key === selectedDay);
+  const prices = astrologer?.consultationPrices || {};
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <View style={styles.stateContainer}>
+          <ActivityIndicator size="large" color="#F97316" />
+          <Text style={styles.stateText}>Loading available times...</Text>
+        </View>
+      );
+    }
+
+    if (error) {
+      return (
+        <View style={styles.stateContainer}>
+          <Ionicons name="cloud-offline-outline" size={40} color="#999" />
+          <Text style={styles.stateText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={loadAvailability}>
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (days.length === 0) {
+      return (
+        <View style={styles.stateContainer}>
+          <Ionicons name="calendar-outline" size={40} color="#999" />
+          <Text style={styles.stateText}>No open slots right now. Please check back later.</Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.dayRow}>
+          {days.map(d => (
+            <TouchableOpacity
+              key={d.key}
+              style={[styles.dayChip, d.key === selectedDay && styles.dayChipSelected]}
+              onPress={() => {
+                setSelectedDay(d.key);
+                setSelectedSlot(null);
+              }}
+            >
+              <Text style={[styles.dayChipText, d.key === selectedDay && styles.chipTextSelected]}>{d.label}</Text>
+              <Text style={[styles.dayChipCount, d.key === selectedDay && styles.chipTextSelected]}>
+                {d.slots.length} {d.slots.length === 1 ? 'slot' : 'slots'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        <ScrollView style={styles.slotScroll} contentContainerStyle={styles.slotGrid}>
+          {day?.slots.map(slot => {
+            const selected = selectedSlot?.start === slot.start;
+            const isCurrent = currentTime && new Date(currentTime).getTime() === new Date(slot.start).getTime();
+            return (
+              <TouchableOpacity
+                key={slot.start}
+                style={[styles.slot, selected && styles.slotSelected, isCurrent && styles.slotDisabled]}
+                onPress={() => setSelectedSlot(slot)}
+                disabled={isCurrent}
+              >
+                <Text style={[styles.slotText, selected && styles.chipTextSelected]}>{slot.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      </>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
+      <View style={styles.overlay}>
+        <View style={[styles.sheet, { paddingBottom: Math.max(insets.bottom, 20) }]}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.title}>{title}</Text>
+            <TouchableOpacity onPress={handleClose} disabled={submitting}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.subtitle}>
+            {currentTime ? `Currently ${formatAppointmentTime(currentTime)}. ` : ''}
+            Times shown in {getUserTimeZone()}
+          </Text>
+
+          {!lockType && (
+            <View style={styles.typeRow}>
+              {TYPES.map(t => (
+                <TouchableOpacity
+                  key={t.key}
+                  style={[styles.typeOption, type === t.key && styles.typeOptionSelected]}
+                  onPress={() => setType(t.key)}
+                  disabled={submitting}
+                >
+                  <Ionicons name={t.icon} size={18} color={type === t.key ? '#FFFFFF' : '#F97316'} />
+                  <Text style={[styles.typeText, type === t.key && styles.chipTextSelected]}>
+                    {t.label}{prices[t.priceKey] ? ` · ₹${prices[t.priceKey]}/min` : ''}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {renderBody()}
+
+          <TouchableOpacity
+            style={[styles.confirmButton, (!selectedSlot || submitting) && styles.confirmButtonDisabled]}
+            onPress={handleConfirm}
+            disabled={!selectedSlot || submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.confirmText}>
+                {selectedSlot ? `${confirmLabel} · ${formatAppointmentTime(selectedSlot.start)}` : 'Pick a time'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+    maxHeight: '85%',
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#666666',
+    marginBottom: 14,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    marginBottom: 14,
+  },
+  typeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#F97316',
+  },
+  typeOptionSelected: {
+    backgroundColor: '#F97316',
+  },
+  typeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#F97316',
+    marginLeft: 6,
+  },
+  dayRow: {
+    paddingBottom: 12,
+  },
+  dayChip: {
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginRight: 8,
+    borderRadius: 12,
+    backgroundColor: '#F3F4F6',
+  },
+  dayChipSelected: {
+    backgroundColor: '#F97316',
+  },
+  dayChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  dayChipCount: {
+    fontSize: 11,
+    color: '#666666',
+    marginTop: 2,
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  slotScroll: {
+    maxHeight: 260,
+  },
+  slotGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingBottom: 12,
+  },
+  slot: {
+    width: '30%',
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginRight: '3%',
+    marginBottom: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  slotSelected: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  slotDisabled: {
+    opacity: 0.4,
+  },
+  slotText: {
+    fontSize: 14,
+    color: '#333333',
+  },
+  stateContainer: {
+    alignItems: 'center',
+    paddingVertical: 30,
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#666666',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  retryButton: {
+    marginTop: 12,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#F97316',
+  },
+  retryText: {
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  confirmButton: {
+    backgroundColor: '#F97316',
+    borderRadius: 24,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  confirmButtonDisabled: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AppointmentSlotPicker;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Linking,
+  Alert,
+  StatusBar,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { ATTACHMENT_TYPES, formatFileSize } from '../utils/chatAttachments';
+
+/**
+ * Full-screen viewer for chat attachments.
+ * Images are shown fitted to the screen; PDFs open in the device's viewer.
+ */
+const AttachmentViewer = ({ attachment, messageType, onClose }) => {
+  const [imageLoading, setImageLoading] = useState(true);
+  const source = attachment?.url || attachment?.localUri;
+
+  const openDocument = async () => {
+    try {
+      await Linking.openURL(source);
+    } catch (error) {
+      console.error('❌ [AttachmentViewer] Failed to open document:', error);
+      Alert.alert('Unable to Open', 'No app is available to open this PDF.');
+    }
+  };
+
+  return (
+    <Modal
+      visible={!!attachment}
+      animationType="fade"
+      transparent={false}
+      onRequestClose={onClose}
+      onShow={() => setImageLoading(true)}
+    >
+      <StatusBar barStyle="light-content" backgroundColor="#000000" />
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={28} color="#FFFFFF" />
+          </TouchableOpacity>
+          <Text style={styles.title} numberOfLines={1}>{attachment?.name || 'Attachment'}</Text>
+        </View>
+
+        {attachment && messageType === ATTACHMENT_TYPES.IMAGE ? (
+          <View style={styles.imageContainer}>
+            <Image
+              source={{ uri: source }}
+              style={styles.image}
+              resizeMode="contain"
+              onLoadEnd={() => setImageLoading(false)}
+            />
+            {imageLoading && <ActivityIndicator style={styles.loader} size="large" color="#FFFFFF" />}
+          </View>
+        ) : attachment ? (
+          <View style={styles.documentContainer}>
+            <Ionicons name="document-text" size={72} color="#EF4444" />
+            <Text style={styles.documentName}>{attachment.name}</Text>
+            <Text style={styles.documentMeta}>PDF • {formatFileSize(attachment.size)}</Text>
+            <TouchableOpacity style={styles.openButton} onPress={openDocument}>
+              <Ionicons name="open-outline" size={18} color="#FFFFFF" />
+              <Text style={styles.openButtonText}>Open PDF</Text>
+            </TouchableOpacity>
+          </View>
+        ) : null}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000000',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  imageContainer: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+  loader: {
+    position: 'absolute',
+    alignSelf: 'center',
+  },
+  documentContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  documentName: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  documentMeta: {
+    color: '#9CA3AF',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  openButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#6B46C1',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 24,
+    marginTop: 24,
+  },
+  openButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
+
+export default AttachmentViewer;
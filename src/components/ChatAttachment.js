@@ -0,0 +1,198 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import { ATTACHMENT_TYPES, formatFileSize } from '../utils/chatAttachments';
+
+const MAX_THUMBNAIL_WIDTH = 220;
+const MAX_THUMBNAIL_HEIGHT = 280;
+
+const getThumbnailSize = ({ width, height }) => {
+  if (!width || !height) {
+    return { width: MAX_THUMBNAIL_WIDTH, height: MAX_THUMBNAIL_WIDTH };
+  }
+  const scale = Math.min(MAX_THUMBNAIL_WIDTH / width, MAX_THUMBNAIL_HEIGHT / height, 1);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Image thumbnail, PDF tile or voice note player inside a chat bubble, with
+ * upload progress and a tap-to-retry failure state for the user's own attachments.
+ */
+const ChatAttachment = ({ message, isOwnMessage, onOpen, onRetry, canRetry = true }) => {
+  const { attachment, messageType, status, uploadProgress = 0, failureReason } = message;
+  const isUploading = status === 'uploading';
+  const isFailed = status === 'failed';
+  const source = attachment.url || attachment.localUri;
+
+  const handlePress = () => {
+    if (isFailed) {
+      if (canRetry) onRetry?.(message);
+      return;
+    }
+    if (!isUploading) onOpen?.(attachment, messageType);
+  };
+
+  const renderProgress = () => (
+    <View style={styles.progressTrack}>
+      <View style={[styles.progressFill, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+    </View>
+  );
+
+  const renderFailure = () => (
+    <View style={styles.failureRow}>
+      <Ionicons name={canRetry ? 'refresh-circle' : 'alert-circle'} size={16} color="#FF6B6B" />
+      <Text style={styles.failureText}>
+        {failureReason || 'Not sent.'}{canRetry ? ' Tap to retry' : ''}
+      </Text>
+    </View>
+  );
+
+  if (messageType === ATTACHMENT_TYPES.AUDIO) {
+    // The player handles its own touches, so only the failure row retries
+    return (
+      <View>
+        <VoiceNotePlayer attachment={attachment} isOwnMessage={isOwnMessage} />
+        {isUploading && renderProgress()}
+        {isFailed && (
+          <TouchableOpacity activeOpacity={0.85} onPress={handlePress}>
+            {renderFailure()}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  if (messageType === ATTACHMENT_TYPES.IMAGE) {
+    return (
+      <TouchableOpacity activeOpacity={0.85} onPress={handlePress}>
+        <View>
+          <Image source={{ uri: attachment.thumbnailUrl || source }} style={[styles.image, getThumbnailSize(attachment)]} />
+          {(isUploading || isFailed) && (
+            <View style={styles.imageOverlay}>
+              {isUploading ? (
+                <>
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                  <Text style={styles.overlayText}>{Math.round(uploadProgress * 100)}%</Text>
+                </>
+              ) : (
+                <Ionicons name={canRetry ? 'refresh' : 'close'} size={28} color="#FFFFFF" />
+              )}
+            </View>
+          )}
+        </View>
+        {isUploading && renderProgress()}
+        {isFailed && renderFailure()}
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <TouchableOpacity activeOpacity={0.85} onPress={handlePress}>
+      <View style={[styles.documentTile, isOwnMessage ? styles.ownDocumentTile : styles.otherDocumentTile]}>
+        <Ionicons name="document-text" size={32} color={isOwnMessage ? '#FFFFFF' : '#EF4444'} />
+        <View style={styles.documentInfo}>
+          <Text
+            style={[styles.documentName, isOwnMessage ? styles.ownText : styles.otherText]}
+            numberOfLines={2}
+          >
+            {attachment.name || 'Document.pdf'}
+          </Text>
+          <Text style={[styles.documentMeta, isOwnMessage ? styles.ownMetaText : styles.otherMetaText]}>
+            PDF • {formatFileSize(attachment.size)}
+          </Text>
+        </View>
+      </View>
+      {isUploading && renderProgress()}
+      {isFailed && renderFailure()}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  image: {
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  imageOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  overlayText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  progressTrack: {
+    height: 3,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 3,
+    backgroundColor: '#10B981',
+  },
+  failureRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  failureText: {
+    flexShrink: 1,
+    fontSize: 12,
+    color: '#FFE4E4',
+    marginLeft: 4,
+  },
+  documentTile: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 10,
+    minWidth: 200,
+  },
+  ownDocumentTile: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  otherDocumentTile: {
+    backgroundColor: '#F3F4F6',
+  },
+  documentInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  documentName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  documentMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  ownText: {
+    color: '#FFFFFF',
+  },
+  otherText: {
+    color: '#333333',
+  },
+  ownMetaText: {
+    color: '#E0E0E0',
+  },
+  otherMetaText: {
+    color: '#6B7280',
+  },
+});
+
+export default ChatAttachment;
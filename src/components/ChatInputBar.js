@@ -0,0 +1,232 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Platform,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import QuotedMessage from './QuotedMessage';
+import VoiceNoteRecorder from './VoiceNoteRecorder';
+
+/**
+ * Chat composer: the quote being replied to, Devanagari suggestions for the
+ * word being typed, attach / quick-reply / Hindi buttons, text input and send
+ * button - or the hold-to-record mic while the input is empty.
+ */
+const ChatInputBar = ({
+  inputRef,
+  value,
+  onChangeText,
+  onSend,
+  onAttach,
+  onToggleQuickReplies,
+  quickRepliesOpen = false,
+  hindiInput = false,
+  onToggleHindiInput,
+  suggestions = [],
+  onPickSuggestion,
+  onVoiceNoteRecorded,
+  enabled = true,
+  placeholder = 'Type your message...',
+  replyingTo,
+  replyAuthorName,
+  onCancelReply,
+}) => {
+  const insets = useSafeAreaInsets();
+  const hasText = value.trim().length > 0;
+
+  return (
+    <>
+      {replyingTo && (
+        <View style={styles.replyComposer}>
+          <QuotedMessage
+            message={replyingTo}
+            authorName={replyAuthorName}
+            onClose={onCancelReply}
+          />
+        </View>
+      )}
+
+      {suggestions.length > 0 && (
+        <ScrollView
+          horizontal
+          keyboardShouldPersistTaps="always"
+          showsHorizontalScrollIndicator={false}
+          style={styles.suggestionsBar}
+          contentContainerStyle={styles.suggestionsContent}
+        >
+          {suggestions.map(suggestion => (
+            <TouchableOpacity
+              key={suggestion}
+              style={styles.suggestionChip}
+              onPress={() => onPickSuggestion(suggestion)}
+            >
+              <Text style={styles.suggestionText}>{suggestion}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <View style={[styles.inputContainer, { paddingBottom: Math.max(insets.bottom, Platform.OS === 'android' ? 20 : 10) }]}>
+        <TouchableOpacity
+          style={styles.attachButton}
+          onPress={onAttach}
+          disabled={!enabled}
+        >
+          <Ionicons name="attach" size={24} color={enabled ? '#6B46C1' : '#CCCCCC'} />
+        </TouchableOpacity>
+        {onToggleQuickReplies && (
+          <TouchableOpacity
+            style={styles.attachButton}
+            onPress={onToggleQuickReplies}
+            disabled={!enabled}
+          >
+            <Ionicons
+              name={quickRepliesOpen ? 'flash' : 'flash-outline'}
+              size={22}
+              color={enabled ? '#6B46C1' : '#CCCCCC'}
+            />
+          </TouchableOpacity>
+        )}
+        {onToggleHindiInput && (
+          <TouchableOpacity
+            style={[styles.scriptButton, hindiInput && styles.scriptButtonActive]}
+            onPress={onToggleHindiInput}
+            disabled={!enabled}
+          >
+            <Text style={[
+              styles.scriptButtonText,
+              hindiInput && styles.scriptButtonTextActive,
+              !enabled && styles.scriptButtonTextDisabled
+            ]}>अ</Text>
+          </TouchableOpacity>
+        )}
+        <TextInput
+          ref={inputRef}
+          style={[styles.textInput, !enabled && styles.textInputDisabled]}
+          value={value}
+          onChangeText={onChangeText}
+          placeholder={placeholder}
+          placeholderTextColor={enabled ? '#999' : '#ccc'}
+          multiline
+          maxLength={1000}
+          editable={enabled}
+        />
+        {hasText ? (
+          <TouchableOpacity
+            style={[styles.sendButton, !enabled && styles.sendButtonDisabled]}
+            onPress={onSend}
+            disabled={!enabled}
+          >
+            <Ionicons name="send" size={20} color="#FFFFFF" />
+          </TouchableOpacity>
+        ) : (
+          <VoiceNoteRecorder
+            onRecorded={onVoiceNoteRecorded}
+            disabled={!enabled}
+          />
+        )}
+      </View>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  replyComposer: {
+    paddingHorizontal: 15,
+    paddingTop: 8,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  attachButton: {
+    paddingVertical: 8,
+    paddingRight: 8,
+  },
+  scriptButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  scriptButtonActive: {
+    backgroundColor: '#6B46C1',
+  },
+  scriptButtonText: {
+    fontSize: 17,
+    color: '#6B46C1',
+    fontWeight: '600',
+  },
+  scriptButtonTextActive: {
+    color: '#FFFFFF',
+  },
+  scriptButtonTextDisabled: {
+    color: '#CCCCCC',
+  },
+  suggestionsBar: {
+    flexGrow: 0,
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  suggestionsContent: {
+    paddingHorizontal: 15,
+    paddingVertical: 6,
+  },
+  suggestionChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(107, 70, 193, 0.08)',
+    marginRight: 8,
+  },
+  suggestionText: {
+    fontSize: 16,
+    color: '#333333',
+  },
+  textInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 20,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    fontSize: 16,
+    maxHeight: 100,
+    marginRight: 10,
+  },
+  textInputDisabled: {
+    backgroundColor: '#F5F5F5',
+    color: '#999',
+  },
+  sendButton: {
+    backgroundColor: '#6B46C1',
+    borderRadius: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#CCCCCC',
+  },
+});
+
+export default ChatInputBar;
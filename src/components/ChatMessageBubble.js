@@ -0,0 +1,248 @@
+import React, { memo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import SwipeableMessage from './SwipeableMessage';
+import QuotedMessage from './QuotedMessage';
+import ChatAttachment from './ChatAttachment';
+import { OUTBOX_STATES } from '../utils/messageOutbox';
+import { toOtherScript } from '../utils/transliteration';
+
+/**
+ * One chat message as every chat screen renders it: swipe-to-reply, quoted
+ * reply, attachment or text (optionally in the other script), tap-to-retry on
+ * failure, delivery ticks and reactions.
+ */
+const ChatMessageBubble = ({
+  message,
+  repliedMessage,
+  astrologerName,
+  highlighted = false,
+  canRespond = true,
+  canRetry = true,
+  showOtherScript = false,
+  onToggleScript,
+  onReply,
+  onLongPress,
+  onJumpToMessage,
+  onOpenAttachment,
+  onRetryMessage,
+  onRetryAttachment,
+}) => {
+  const isOwnMessage = message.senderType === 'user';
+  const reactions = Object.values(message.reactions || {});
+
+  return (
+    <SwipeableMessage
+      style={[styles.messageContainer, isOwnMessage ? styles.ownMessage : styles.otherMessage]}
+      enabled={canRespond}
+      onReply={() => onReply(message)}
+      onLongPress={() => onLongPress(message)}
+    >
+      <View style={[
+        styles.messageBubble,
+        isOwnMessage ? styles.ownBubble : styles.otherBubble,
+        message.attachment && styles.attachmentBubble,
+        highlighted && styles.highlightedBubble
+      ]}>
+        {message.replyTo && (
+          <QuotedMessage
+            message={repliedMessage}
+            authorName={repliedMessage?.senderType === 'user' ? 'You' : astrologerName}
+            isOwnMessage={isOwnMessage}
+            onPress={() => onJumpToMessage(message.replyTo)}
+          />
+        )}
+        {message.attachment ? (
+          <ChatAttachment
+            message={message}
+            isOwnMessage={isOwnMessage}
+            onOpen={onOpenAttachment}
+            onRetry={onRetryAttachment}
+            canRetry={canRetry}
+          />
+        ) : isOwnMessage && message.status === OUTBOX_STATES.FAILED ? (
+          <TouchableOpacity activeOpacity={0.85} onPress={() => onRetryMessage(message)} disabled={!canRetry}>
+            <Text style={[styles.messageText, styles.ownMessageText]}>
+              {message.content}
+            </Text>
+            <View style={styles.failureRow}>
+              <Ionicons name={canRetry ? 'refresh-circle' : 'alert-circle'} size={16} color="#FF6B6B" />
+              <Text style={styles.failureText}>
+                {message.failureReason || 'Not sent.'}{canRetry ? ' Tap to retry' : ''}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        ) : showOtherScript ? (
+          <TouchableOpacity activeOpacity={0.85} onPress={() => onToggleScript(message)}>
+            <Text style={[styles.messageText, isOwnMessage ? styles.ownMessageText : styles.otherMessageText]}>
+              {toOtherScript(message.content)}
+            </Text>
+            <Text style={[styles.scriptHint, isOwnMessage ? styles.ownMessageTime : styles.otherMessageTime]}>
+              Transliterated · Tap for original
+            </Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={[styles.messageText, isOwnMessage ? styles.ownMessageText : styles.otherMessageText]}>
+            {message.content}
+          </Text>
+        )}
+        <View style={styles.messageFooter}>
+          <Text style={[styles.messageTime, isOwnMessage ? styles.ownMessageTime : styles.otherMessageTime]}>
+            {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          {isOwnMessage && (
+            <View style={styles.messageStatus}>
+              {message.status === OUTBOX_STATES.QUEUED && <Ionicons name="time-outline" size={12} color="#E0E0E0" />}
+              {(message.status === 'sending' || message.status === 'uploading') && <ActivityIndicator size={10} color="#999" />}
+              {message.status === 'sent' && <Ionicons name="checkmark" size={12} color="#4CAF50" />}
+              {message.status === 'delivered' && (
+                <View style={styles.readReceiptContainer}>
+                  <Ionicons name="checkmark" size={12} color="#4CAF50" />
+                </View>
+              )}
+              {message.status === 'read' && (
+                <View style={styles.readReceiptContainer}>
+                  <Ionicons name="checkmark" size={12} color="#2196F3" style={styles.readTick1} />
+                  <Ionicons name="checkmark" size={12} color="#2196F3" style={styles.readTick2} />
+                </View>
+              )}
+              {message.status === 'failed' && <Ionicons name="alert-circle" size={12} color="#FF6B6B" />}
+            </View>
+          )}
+        </View>
+      </View>
+      {reactions.length > 0 && (
+        <View style={[styles.reactionsRow, isOwnMessage ? styles.ownReactionsRow : styles.otherReactionsRow]}>
+          {reactions.map((reaction, index) => (
+            <Text key={index} style={styles.reactionChip}>{reaction}</Text>
+          ))}
+        </View>
+      )}
+    </SwipeableMessage>
+  );
+};
+
+const styles = StyleSheet.create({
+  messageContainer: {
+    marginVertical: 4,
+  },
+  ownMessage: {
+    alignItems: 'flex-end',
+  },
+  otherMessage: {
+    alignItems: 'flex-start',
+  },
+  messageBubble: {
+    maxWidth: '80%',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  ownBubble: {
+    backgroundColor: '#6B46C1',
+    borderBottomRightRadius: 5,
+  },
+  otherBubble: {
+    backgroundColor: '#FFFFFF',
+    borderBottomLeftRadius: 5,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  attachmentBubble: {
+    paddingHorizontal: 6,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: '#F59E0B',
+  },
+  messageText: {
+    fontSize: 16,
+    lineHeight: 20,
+  },
+  ownMessageText: {
+    color: '#FFFFFF',
+  },
+  otherMessageText: {
+    color: '#333333',
+  },
+  scriptHint: {
+    fontSize: 11,
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  failureRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  failureText: {
+    flexShrink: 1,
+    fontSize: 12,
+    color: '#FFE4E4',
+    marginLeft: 4,
+  },
+  messageFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  messageTime: {
+    fontSize: 12,
+    marginRight: 5,
+  },
+  ownMessageTime: {
+    color: '#E0E0E0',
+  },
+  otherMessageTime: {
+    color: '#999999',
+  },
+  messageStatus: {
+    marginLeft: 5,
+  },
+  readReceiptContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    position: 'relative',
+  },
+  readTick1: {
+    position: 'absolute',
+    left: 0,
+  },
+  readTick2: {
+    position: 'absolute',
+    left: 3,
+  },
+  reactionsRow: {
+    flexDirection: 'row',
+    marginTop: -6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 12,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  ownReactionsRow: {
+    marginRight: 10,
+  },
+  otherReactionsRow: {
+    marginLeft: 10,
+  },
+  reactionChip: {
+    fontSize: 13,
+    marginHorizontal: 1,
+  },
+});
+
+export default memo(ChatMessageBubble);
@@ -0,0 +1,453 @@
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  Alert,
+  AppState,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import ChatMessageBubble from './ChatMessageBubble';
+import ChatInputBar from './ChatInputBar';
+import QuickReplyBar from './QuickReplyBar';
+import AttachmentViewer from './AttachmentViewer';
+import MessageActionSheet from './MessageActionSheet';
+import {
+  ATTACHMENT_SOURCES,
+  ATTACHMENT_LIMITS,
+  formatFileSize,
+  pickAttachment,
+  compressAttachment,
+} from '../utils/chatAttachments';
+import {
+  getMessageRefId,
+  matchesMessageId,
+  findMessageById,
+  copyMessage,
+  forwardToNotes,
+} from '../utils/messageActions';
+import { getDraft, saveDraft, clearDraft } from '../utils/chatDrafts';
+import {
+  hasDevanagari,
+  getTransliterationSuggestions,
+  getHindiInputEnabled,
+  setHindiInputEnabled,
+} from '../utils/transliteration';
+
+const DRAFT_SAVE_DELAY = 500;
+
+// Label for the long-press script toggle; attachments have no text to convert
+const getScriptLabel = (message, otherScriptIds) => {
+  if (!message?.content || message.attachment) return null;
+  if (otherScriptIds[message.id]) return 'Show original';
+  return hasDevanagari(message.content) ? 'Show in Roman script' : 'Show in Devanagari';
+};
+
+/**
+ * Message list, typing indicator and composer shared by every chat screen.
+ * Renders a useChatSession result; the screen adds its own header, status
+ * banner and whatever happens when the session ends (passed as `footer`).
+ */
+const ChatView = ({ session, astrologerName = 'Astrologer', footer = null }) => {
+  const insets = useSafeAreaInsets();
+  const { messages, flags, astrologerTyping, roomId } = session;
+  const canRespond = flags.sessionActive && !flags.sessionEnded;
+  const canInteract = canRespond && flags.connected;
+
+  // ===== STATE =====
+  const [messageText, setMessageText] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null); // Message quoted by the next send
+  const [actionMessage, setActionMessage] = useState(null); // Message whose long-press menu is open
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showAttachmentMenu, setShowAttachmentMenu] = useState(false);
+  const [viewerItem, setViewerItem] = useState(null); // { attachment, messageType }
+  const [showQuickReplies, setShowQuickReplies] = useState(false);
+  const [hindiInput, setHindiInput] = useState(false);
+  const [otherScriptIds, setOtherScriptIds] = useState({}); // Messages shown in the other script
+
+  // ===== REFS =====
+  const flatListRef = useRef(null);
+  const inputRef = useRef(null);
+  const highlightTimeoutRef = useRef(null);
+  const messageTextRef = useRef('');
+  const draftLoadedRef = useRef(false);
+
+  useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
+
+  useEffect(() => {
+    getHindiInputEnabled().then(setHindiInput);
+  }, []);
+
+  // ===== DRAFTS =====
+  // Restore whatever was left unsent in this room, unless the user already started typing
+  useEffect(() => {
+    let cancelled = false;
+    draftLoadedRef.current = false;
+
+    getDraft(roomId).then((draft) => {
+      if (cancelled) return;
+      draftLoadedRef.current = true;
+      if (draft && !messageTextRef.current) setMessageText(draft);
+    });
+
+    return () => { cancelled = true; };
+  }, [roomId]);
+
+  useEffect(() => {
+    messageTextRef.current = messageText;
+    if (!draftLoadedRef.current) return;
+
+    const timeout = setTimeout(() => saveDraft(roomId, messageText), DRAFT_SAVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [roomId, messageText]);
+
+  // Save right away when the app is backgrounded or the screen goes away
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active' && draftLoadedRef.current) saveDraft(roomId, messageTextRef.current);
+    });
+    return () => {
+      subscription.remove();
+      if (draftLoadedRef.current) saveDraft(roomId, messageTextRef.current);
+    };
+  }, [roomId]);
+
+  // Nothing left to send once the session is over
+  useEffect(() => {
+    if (flags.sessionEnded) {
+      draftLoadedRef.current = false; // Stops the unmount save from bringing it back
+      clearDraft(roomId);
+      setShowQuickReplies(false);
+    }
+  }, [flags.sessionEnded, roomId]);
+
+  // Nothing can be answered once the session is over
+  useEffect(() => {
+    if (!canRespond) setReplyingTo(null);
+  }, [canRespond]);
+
+  // ===== COMPOSER =====
+  const handleInputChange = useCallback((text) => {
+    setMessageText(text);
+    session.setTyping(text.length > 0);
+  }, [session.setTyping]);
+
+  const handleSend = useCallback(() => {
+    const sent = session.sendText(messageText, {
+      replyTo: replyingTo ? getMessageRefId(replyingTo) : null
+    });
+    if (!sent) return;
+
+    setMessageText('');
+    setReplyingTo(null);
+    clearDraft(roomId);
+  }, [session.sendText, messageText, replyingTo, roomId]);
+
+  // ===== TRANSLITERATION =====
+  const typedWord = hindiInput ? (messageText.match(/[a-z]+$/i) || [''])[0] : '';
+  const suggestions = useMemo(() => getTransliterationSuggestions(typedWord), [typedWord]);
+
+  const toggleHindiInput = useCallback(() => {
+    setHindiInput(!hindiInput);
+    setHindiInputEnabled(!hindiInput);
+  }, [hindiInput]);
+
+  // Swap the Roman word being typed for the chosen Devanagari spelling
+  const pickSuggestion = useCallback((suggestion) => {
+    setMessageText(prev => `${prev.replace(/[a-z]+$/i, '')}${suggestion} `);
+  }, []);
+
+  const toggleMessageScript = useCallback((message) => {
+    setActionMessage(null);
+    setOtherScriptIds(prev => {
+      const next = { ...prev };
+      if (next[message.id]) {
+        delete next[message.id];
+      } else {
+        next[message.id] = true;
+      }
+      return next;
+    });
+  }, []);
+
+  const insertQuickReply = useCallback((text) => {
+    if (!text) return;
+    setMessageText(prev => (prev.trim() ? `${prev.trimEnd()} ${text}` : text));
+    session.setTyping(true);
+    inputRef.current?.focus();
+  }, [session.setTyping]);
+
+  const sendFile = useCallback((file, title = 'Cannot Send File') => {
+    const error = session.sendFile(file);
+    if (error) Alert.alert(title, error);
+  }, [session.sendFile]);
+
+  const handleAttachmentPick = useCallback(async (source) => {
+    setShowAttachmentMenu(false);
+    if (!canInteract) return;
+
+    try {
+      const picked = await pickAttachment(source);
+      if (!picked) return;
+
+      sendFile(await compressAttachment(picked));
+    } catch (error) {
+      console.error('❌ [ChatView] Failed to prepare attachment:', error);
+      Alert.alert('Error', 'Could not attach this file. Please try again.');
+    }
+  }, [canInteract, sendFile]);
+
+  const handleVoiceNoteRecorded = useCallback((file) => {
+    sendFile(file, 'Cannot Send Voice Note');
+  }, [sendFile]);
+
+  // ===== REPLIES & REACTIONS =====
+  const startReply = useCallback((message) => {
+    if (!canRespond) return;
+    setActionMessage(null);
+    setReplyingTo(message);
+    inputRef.current?.focus();
+  }, [canRespond]);
+
+  const reactToMessage = useCallback((message, reaction) => {
+    setActionMessage(null);
+    if (!session.react(message, reaction)) {
+      Alert.alert('Not Connected', 'Reactions can be sent once the chat reconnects.');
+    }
+  }, [session.react]);
+
+  const handleCopyMessage = useCallback(async (message) => {
+    setActionMessage(null);
+    try {
+      await copyMessage(message);
+    } catch (error) {
+      console.error('❌ [ChatView] Copy failed:', error);
+    }
+  }, []);
+
+  const handleForwardMessage = useCallback((message) => {
+    setActionMessage(null);
+    forwardToNotes(message, message.senderType === 'user' ? 'You' : astrologerName);
+  }, [astrologerName]);
+
+  // Scroll to a quoted message and flash it
+  const jumpToMessage = useCallback((messageId) => {
+    const index = messages.findIndex(message => matchesMessageId(message, messageId));
+    if (index === -1) return;
+
+    flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+    setHighlightedMessageId(messages[index].id);
+    clearTimeout(highlightTimeoutRef.current);
+    highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), 1500);
+  }, [messages]);
+
+  // Rows above the viewport have not been measured yet - get close, then retry
+  const handleScrollToIndexFailed = useCallback(({ index, averageItemLength }) => {
+    flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+    }, 100);
+  }, []);
+
+  const openAttachment = useCallback((attachment, messageType) => {
+    setViewerItem({ attachment, messageType });
+  }, []);
+
+  // ===== RENDER =====
+  const renderMessage = useCallback(({ item }) => (
+    <ChatMessageBubble
+      message={item}
+      repliedMessage={item.replyTo ? findMessageById(messages, item.replyTo) : null}
+      astrologerName={astrologerName}
+      highlighted={highlightedMessageId === item.id}
+      canRespond={canRespond}
+      canRetry={canInteract}
+      showOtherScript={!!otherScriptIds[item.id]}
+      onToggleScript={toggleMessageScript}
+      onReply={startReply}
+      onLongPress={setActionMessage}
+      onJumpToMessage={jumpToMessage}
+      onOpenAttachment={openAttachment}
+      onRetryMessage={session.retryMessage}
+      onRetryAttachment={session.retryAttachment}
+    />
+  ), [messages, astrologerName, highlightedMessageId, canRespond, canInteract, otherScriptIds, toggleMessageScript, startReply, jumpToMessage, openAttachment, session.retryMessage, session.retryAttachment]);
+
+  return (
+    <>
+      <FlatList
+        ref={flatListRef}
+        data={messages}
+        keyExtractor={(item) => item.id}
+        renderItem={renderMessage}
+        style={styles.messagesList}
+        contentContainerStyle={styles.messagesContent}
+        showsVerticalScrollIndicator={false}
+        onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: true })}
+        onScrollToIndexFailed={handleScrollToIndexFailed}
+      />
+
+      {astrologerTyping && !flags.sessionEnded && (
+        <View style={styles.typingContainer}>
+          <Text style={styles.typingText}>{astrologerName} is typing...</Text>
+        </View>
+      )}
+
+      {footer}
+
+      {showQuickReplies && canInteract && (
+        <QuickReplyBar onInsert={insertQuickReply} />
+      )}
+
+      <ChatInputBar
+        inputRef={inputRef}
+        value={messageText}
+        onChangeText={handleInputChange}
+        onSend={handleSend}
+        onAttach={() => setShowAttachmentMenu(true)}
+        onToggleQuickReplies={() => setShowQuickReplies(open => !open)}
+        quickRepliesOpen={showQuickReplies}
+        hindiInput={hindiInput}
+        onToggleHindiInput={toggleHindiInput}
+        suggestions={canInteract ? suggestions : []}
+        onPickSuggestion={pickSuggestion}
+        onVoiceNoteRecorded={handleVoiceNoteRecorded}
+        enabled={canInteract}
+        placeholder={flags.sessionEnded ? 'Session ended' : 'Type your message...'}
+        replyingTo={replyingTo}
+        replyAuthorName={replyingTo?.senderType === 'user' ? 'You' : astrologerName}
+        onCancelReply={() => setReplyingTo(null)}
+      />
+
+      {/* Attachment Source Picker */}
+      <Modal
+        visible={showAttachmentMenu}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowAttachmentMenu(false)}
+      >
+        <TouchableOpacity
+          style={styles.attachmentMenuOverlay}
+          activeOpacity={1}
+          onPress={() => setShowAttachmentMenu(false)}
+        >
+          <View style={[styles.attachmentMenu, { paddingBottom: Math.max(insets.bottom, 20) }]}>
+            <Text style={styles.attachmentMenuTitle}>Share with astrologer</Text>
+            <View style={styles.attachmentOptions}>
+              {[
+                { source: ATTACHMENT_SOURCES.CAMERA, icon: 'camera', label: 'Camera' },
+                { source: ATTACHMENT_SOURCES.LIBRARY, icon: 'image', label: 'Gallery' },
+                { source: ATTACHMENT_SOURCES.DOCUMENT, icon: 'document-text', label: 'PDF' },
+              ].map(option => (
+                <TouchableOpacity
+                  key={option.source}
+                  style={styles.attachmentOption}
+                  onPress={() => handleAttachmentPick(option.source)}
+                >
+                  <View style={styles.attachmentOptionIcon}>
+                    <Ionicons name={option.icon} size={26} color="#6B46C1" />
+                  </View>
+                  <Text style={styles.attachmentOptionLabel}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.attachmentMenuHint}>
+              Up to {formatFileSize(ATTACHMENT_LIMITS.maxFileBytes)} per file, {ATTACHMENT_LIMITS.maxSessionFiles} files per session
+            </Text>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <AttachmentViewer
+        attachment={viewerItem?.attachment}
+        messageType={viewerItem?.messageType}
+        onClose={() => setViewerItem(null)}
+      />
+
+      <MessageActionSheet
+        message={actionMessage}
+        ownReaction={actionMessage?.reactions?.user}
+        canRespond={canInteract}
+        onReact={(reaction) => reactToMessage(actionMessage, reaction)}
+        onReply={() => startReply(actionMessage)}
+        onCopy={() => handleCopyMessage(actionMessage)}
+        onForward={() => handleForwardMessage(actionMessage)}
+        scriptLabel={getScriptLabel(actionMessage, otherScriptIds)}
+        onToggleScript={() => toggleMessageScript(actionMessage)}
+        onClose={() => setActionMessage(null)}
+      />
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  messagesList: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  messagesContent: {
+    paddingVertical: 16,
+  },
+  typingContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: 'rgba(107, 70, 193, 0.1)',
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(107, 70, 193, 0.2)',
+  },
+  typingText: {
+    color: '#6B46C1',
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
+  attachmentMenuOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  attachmentMenu: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+  },
+  attachmentMenuTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333333',
+    marginBottom: 16,
+  },
+  attachmentOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  attachmentOption: {
+    alignItems: 'center',
+  },
+  attachmentOptionIcon: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: 'rgba(107, 70, 193, 0.1)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  attachmentOptionLabel: {
+    fontSize: 14,
+    color: '#333333',
+    marginTop: 6,
+  },
+  attachmentMenuHint: {
+    fontSize: 12,
+    color: '#999999',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
+
+export default ChatView;
@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { searchCities } from '../data/cities';
+
+/**
+ * Offline place-of-birth picker backed by the bundled city gazetteer.
+ * Calls onSelect(city) with a gazetteer entry, or onSelect(null, text) when
+ * the user keeps a place that is not in the list (no coordinates).
+ */
+const CityPicker = ({
+  visible,
+  onClose,
+  onSelect,
+  selectedCityId = null,
+  title = 'Select Place of Birth',
+  allowCustom = true,
+}) => {
+  const [query, setQuery] = useState('');
+
+  const results = useMemo(() => searchCities(query), [query]);
+
+  const handleClose = () => {
+    setQuery('');
+    onClose();
+  };
+
+  const handleSelect = (city) => {
+    setQuery('');
+    onSelect(city);
+  };
+
+  const handleUseCustom = () => {
+    const customPlace = query.trim();
+    setQuery('');
+    onSelect(null, customPlace);
+  };
+
+  const renderCityItem = ({ item }) => (
+    <TouchableOpacity style={styles.cityItem} onPress={() => handleSelect(item)}>
+      <Ionicons name="location-outline" size={20} color="#F97316" />
+      <View style={styles.cityTextContainer}>
+        <Text style={styles.cityName}>{item.name}</Text>
+        <Text style={styles.citySubtitle}>
+          {[item.state, item.country].filter(Boolean).join(', ')}
+        </Text>
+      </View>
+      {selectedCityId === item.id && (
+        <Ionicons name="checkmark-circle" size={24} color="#4CAF50" />
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderFooter = () => {
+    if (!allowCustom || query.trim().length < 2) return null;
+    return (
+      <TouchableOpacity style={styles.customItem} onPress={handleUseCustom}>
+        <Ionicons name="create-outline" size={20} color="#6B7280" />
+        <View style={styles.cityTextContainer}>
+          <Text style={styles.cityName}>Use "{query.trim()}"</Text>
+          <Text style={styles.citySubtitle}>
+            Not in the list - chart will use an approximate location
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={handleClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{title}</Text>
+            <TouchableOpacity onPress={handleClose} style={styles.modalCloseButton}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.searchContainer}>
+            <Ionicons name="search" size={18} color="#9CA3AF" />
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search city, e.g. Varanasi"
+              placeholderTextColor="#9CA3AF"
+              value={query}
+              onChangeText={setQuery}
+              autoCorrect={false}
+              autoFocus={true}
+            />
+            {query.length > 0 && (
+              <TouchableOpacity onPress={() => setQuery('')}>
+                <Ionicons name="close-circle" size={18} color="#9CA3AF" />
+              </TouchableOpacity>
+            )}
+          </View>
+          <FlatList
+            data={results}
+            renderItem={renderCityItem}
+            keyExtractor={(item) => item.id}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+            ListFooterComponent={renderFooter}
+            ListEmptyComponent={
+              !allowCustom ? <Text style={styles.emptyText}>No cities found</Text> : null
+            }
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    height: '80%',
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  modalCloseButton: {
+    padding: 5,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    marginHorizontal: 20,
+    marginVertical: 12,
+    paddingHorizontal: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 15,
+    color: '#1F2937',
+    paddingVertical: 10,
+    marginHorizontal: 8,
+  },
+  cityItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  customItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    backgroundColor: '#F9FAFB',
+  },
+  cityTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  cityName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  citySubtitle: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+});
+
+export default CityPicker;
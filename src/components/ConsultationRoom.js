@@ -18,8 +18,13 @@ import {
   listenForTimerUpdates, 
   listenForStatusUpdates,
   sendChatMessage,
-  listenForChatMessages
+  listenForChatMessages,
+  getSocket
 } from '../services/socketService';
+import { createMessageSync, mergeSyncedMessages } from '../utils/messageSync';
+import useSessionTopUp from '../hooks/useSessionTopUp';
+import SessionTimeWarning from './SessionTimeWarning';
+import SessionTopUpSheet from './SessionTopUpSheet';
 
 /**
  * Consultation room component for users
@@ -38,6 +43,8 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
     currentAmount: 0,
     currency: 'INR'
   });
+  // Last session_timer reading, which the billing timer is reconciled on
+  const [serverReading, setServerReading] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -46,6 +53,36 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
   
   // Ref for FlatList to auto-scroll to bottom on new messages
   const flatListRef = useRef(null);
+  const messageSyncRef = useRef(null);
+  const reconnectCleanupRef = useRef(null);
+
+  // Warns before the wallet runs out and lets the user add time without leaving the room
+  const priceKey = booking.type === 'voice' ? 'call' : booking.type;
+  const ratePerMinute = booking.rate || booking.astrologer?.consultationPrices?.[priceKey];
+  const topUp = useSessionTopUp({
+    sessionId,
+    bookingId: booking._id,
+    ratePerMinute,
+    active: status !== 'completed' && !!serverReading,
+    elapsedSeconds: serverReading?.elapsed,
+    remainingSeconds: serverReading?.remaining
+  });
+
+  // Seq cursor for this room - fetches whatever was missed while disconnected
+  if (!messageSyncRef.current) {
+    messageSyncRef.current = createMessageSync({
+      roomId,
+      getSocket,
+      buildRequest: () => ({ bookingId: booking._id, sessionId }),
+      onMessages: (batch) => {
+        const recovered = batch.map(message => ({
+          ...message,
+          id: message.id || message._id || message.messageId
+        }));
+        setMessages(prevMessages => mergeSyncedMessages(prevMessages, recovered));
+      }
+    });
+  }
 
   // Format time for display (MM:SS)
   const formatTime = (seconds) => {
@@ -92,6 +129,12 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
       currentAmount: data.currentAmount,
       currency: data.currency
     });
+    if (data.durationSeconds != null) {
+      setServerReading({
+        elapsed: data.durationSeconds,
+        remaining: data.remainingSeconds
+      });
+    }
   }, []);
 
   // Handle status updates
@@ -145,11 +188,15 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
     try {
       setSendingMessage(true);
       
+      const messageId = `msg_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+      
       // Send message via socket
-      await sendChatMessage(roomId, messageInput.trim());
+      await sendChatMessage(roomId, messageInput.trim(), undefined, undefined, messageId);
       
       // Add message to local state
       const newMessage = {
+        id: messageId,
+        afterSeq: messageSyncRef.current.getLatestSeq(),
         content: messageInput.trim(),
         senderRole: 'user',
         sender: 'me', // We don't need the actual ID for display purposes
@@ -171,9 +218,16 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
   const handleMessageReceived = useCallback((messageData) => {
     console.log('Message received:', messageData);
     
-    // Only add messages from the other participant
-    if (messageData.senderRole !== 'user') {
-      setMessages(prevMessages => [...prevMessages, messageData]);
+    const isNew = messageSyncRef.current.receive(messageData);
+    const message = { ...messageData, id: messageData.id || messageData.messageId };
+    
+    // Own messages are already shown - the echo only carries their seq
+    if (messageData.senderRole === 'user') {
+      setMessages(prevMessages => prevMessages.some(m => m.id === message.id || m.id === message.clientMessageId)
+        ? mergeSyncedMessages(prevMessages, [message])
+        : prevMessages);
+    } else if (isNew) {
+      setMessages(prevMessages => mergeSyncedMessages(prevMessages, [message]));
     }
   }, []);
   
@@ -197,6 +251,13 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
         const statusCleanup = await listenForStatusUpdates(handleStatusUpdate);
         const chatCleanup = await listenForChatMessages(handleMessageReceived);
         
+        // Catch up on history, and again after every reconnect
+        const socket = await getSocket();
+        const handleReconnect = () => messageSyncRef.current.resync('reconnect');
+        socket?.on('connect', handleReconnect);
+        reconnectCleanupRef.current = () => socket?.off('connect', handleReconnect);
+        messageSyncRef.current.resync('room_join');
+        
         setLoading(false);
         
         // Clean up listeners on unmount
@@ -217,6 +278,9 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
     
     // Leave consultation room on component unmount
     return () => {
+      reconnectCleanupRef.current?.();
+      reconnectCleanupRef.current = null;
+      messageSyncRef.current?.dispose();
       leaveConsultationRoom(booking._id, roomId).catch(console.error);
     };
   }, [booking._id, roomId, handleParticipantJoined, handleParticipantLeft, handleTimerUpdate, handleStatusUpdate, handleMessageReceived]);
@@ -272,7 +336,20 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
         <Text style={styles.billingRate}>
           ({formatCurrency(booking.rate, timer.currency)}/minute)
         </Text>
+        {topUp.billing && (
+          <Text style={styles.billingRate}>
+            Balance left: {formatCurrency(topUp.billing.remainingBalance, timer.currency)}
+          </Text>
+        )}
       </View>
+
+      {status !== 'completed' && (
+        <SessionTimeWarning
+          warning={topUp.warning}
+          onAddTime={topUp.openTopUp}
+          onDismiss={topUp.dismissWarning}
+        />
+      )}
       
       {/* Main consultation content area */}
       <View style={styles.contentArea}>
@@ -287,7 +364,7 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
             <FlatList
               ref={flatListRef}
               data={messages}
-              keyExtractor={(item, index) => `msg-${index}-${item.timestamp}`}
+              keyExtractor={(item, index) => item.id || `msg-${index}-${item.timestamp}`}
               style={styles.messagesList}
               contentContainerStyle={styles.messagesContent}
               onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: true })}
@@ -346,6 +423,14 @@ const ConsultationRoom = ({ booking, roomId, sessionId, onSessionEnd }) => {
           <Text style={styles.buttonText}>End Consultation</Text>
         </TouchableOpacity>
       </View>
+
+      <SessionTopUpSheet
+        visible={topUp.topUpVisible}
+        ratePerMinute={ratePerMinute}
+        astrologerName={booking.astrologer?.displayName || booking.astrologer?.name}
+        onPaid={topUp.extendSession}
+        onClose={topUp.closeTopUp}
+      />
     </View>
   );
 };
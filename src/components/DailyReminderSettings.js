@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Platform,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../context/AuthContext';
+import { useNotification } from '../context/NotificationContext';
+import FCMService from '../services/FCMService';
+import { SELF_PROFILE_ID, getFamilyProfiles } from '../utils/familyProfilesStore';
+import {
+  getReminderSettings,
+  saveReminderSettings,
+  formatReminderTime,
+} from '../utils/dailyReminders';
+
+/**
+ * Bottom sheet for the morning horoscope + Panchang reminder.
+ * Calls onSaved(settings) once the new settings are stored and rescheduled.
+ */
+const DailyReminderSettings = ({ visible, onClose, onSaved }) => {
+  const { user } = useAuth();
+  const { refreshDailyReminders } = useNotification();
+  const [settings, setSettings] = useState(null);
+  const [familyProfiles, setFamilyProfiles] = useState([]);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    const loadSettings = async () => {
+      setSettings(await getReminderSettings());
+      setFamilyProfiles(await getFamilyProfiles(user?._id || user?.id));
+    };
+    loadSettings();
+  }, [visible]);
+
+  const reminderDate = settings
+    ? new Date(2000, 0, 1, settings.hour, settings.minute)
+    : new Date();
+
+  const onTimeChange = (event, selectedTime) => {
+    if (Platform.OS === 'android' || event.type === 'dismissed') {
+      setShowTimePicker(false);
+    }
+    if (selectedTime && event.type !== 'dismissed') {
+      setSettings(prev => ({
+        ...prev,
+        hour: selectedTime.getHours(),
+        minute: selectedTime.getMinutes(),
+      }));
+      if (Platform.OS === 'ios') {
+        setShowTimePicker(false);
+      }
+    }
+  };
+
+  const toggleProfile = (profileId) => {
+    setSettings(prev => ({
+      ...prev,
+      profileIds: prev.profileIds.includes(profileId)
+        ? prev.profileIds.filter(id => id !== profileId)
+        : [...prev.profileIds, profileId],
+    }));
+  };
+
+  const handleSave = async () => {
+    if (settings.enabled && settings.profileIds.length === 0) {
+      Alert.alert('Select a Profile', 'Choose at least one person to include in the reminder.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (settings.enabled) {
+        await FCMService.requestPermissions();
+      }
+      const saved = await saveReminderSettings(settings);
+      if (!saved) {
+        Alert.alert('Error', 'Failed to save reminder settings. Please try again.');
+        return;
+      }
+      await refreshDailyReminders();
+      onSaved?.(settings);
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderProfileOption = (profileId, name, subtitle) => {
+    const isSelected = settings.profileIds.includes(profileId);
+    return (
+      <TouchableOpacity
+        key={profileId}
+        style={styles.profileOption}
+        onPress={() => toggleProfile(profileId)}
+        disabled={!settings.enabled}
+      >
+        <Ionicons
+          name={isSelected ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={settings.enabled ? '#F97316' : '#D1D5DB'}
+        />
+        <View style={styles.profileOptionText}>
+          <Text style={[styles.profileName, !settings.enabled && styles.disabledText]}>{name}</Text>
+          {subtitle && <Text style={styles.profileSubtitle}>{subtitle}</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Daily Reminder</Text>
+            <TouchableOpacity onPress={onClose} style={styles.modalCloseButton}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          {!settings ? (
+            <ActivityIndicator size="large" color="#F97316" style={styles.loader} />
+          ) : (
+            <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+              {/* Enable */}
+              <View style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>Morning horoscope</Text>
+                  <Text style={styles.rowSubtitle}>
+                    Today's horoscope headline with tithi, nakshatra and Rahu Kaal
+                  </Text>
+                </View>
+                <Switch
+                  value={settings.enabled}
+                  onValueChange={(enabled) => setSettings(prev => ({ ...prev, enabled }))}
+                  trackColor={{ false: '#ccc', true: '#F97316' }}
+                  thumbColor="#fff"
+                />
+              </View>
+
+              {/* Time */}
+              <TouchableOpacity
+                style={styles.row}
+                onPress={() => setShowTimePicker(true)}
+                disabled={!settings.enabled}
+              >
+                <View style={styles.rowText}>
+                  <Text style={[styles.rowTitle, !settings.enabled && styles.disabledText]}>Reminder time</Text>
+                </View>
+                <Text style={[styles.timeText, !settings.enabled && styles.disabledText]}>
+                  {formatReminderTime(settings)}
+                </Text>
+              </TouchableOpacity>
+
+              {/* Profiles */}
+              <Text style={styles.sectionTitle}>Include horoscopes for</Text>
+              {renderProfileOption(SELF_PROFILE_ID, user?.name || 'Myself', 'Myself')}
+              {familyProfiles.map(profile => renderProfileOption(profile.id, profile.name, profile.relationship))}
+              <Text style={styles.hintText}>Up to 3 people are shown in each reminder.</Text>
+
+              <TouchableOpacity
+                style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.saveButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </ScrollView>
+          )}
+
+          {showTimePicker && (
+            <DateTimePicker
+              value={reminderDate}
+              mode="time"
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              onChange={onTimeChange}
+            />
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '80%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  modalCloseButton: {
+    padding: 5,
+  },
+  loader: {
+    marginVertical: 40,
+  },
+  content: {
+    paddingHorizontal: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1F2937',
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  timeText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#F97316',
+  },
+  disabledText: {
+    color: '#9CA3AF',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 20,
+    marginBottom: 4,
+  },
+  profileOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  profileOptionText: {
+    marginLeft: 12,
+  },
+  profileName: {
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  profileSubtitle: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  saveButton: {
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 32,
+  },
+  saveButtonDisabled: {
+    opacity: 0.6,
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default DailyReminderSettings;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { splitHighlights } from '../utils/transcriptIndex';
+
+/**
+ * Text with every search term highlighted
+ */
+const HighlightedText = ({ text, terms, style, highlightStyle, numberOfLines }) => (
+  <Text style={style} numberOfLines={numberOfLines}>
+    {splitHighlights(text, terms).map((segment, index) => (
+      segment.match ? (
+        <Text key={index} style={[styles.highlight, highlightStyle]}>{segment.text}</Text>
+      ) : (
+        segment.text
+      )
+    ))}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  highlight: {
+    backgroundColor: '#FDE68A',
+    color: '#333',
+    fontWeight: '600',
+  },
+});
+
+export default HighlightedText;
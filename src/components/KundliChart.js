@@ -0,0 +1,213 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Centre point of each house in the North Indian diamond, as a fraction of the chart size.
+// House 1 is the top diamond and houses run counter-clockwise.
+const NORTH_HOUSE_CENTERS = [
+  [0.5, 0.25], [0.25, 0.1], [0.1, 0.25], [0.25, 0.5],
+  [0.1, 0.75], [0.25, 0.9], [0.5, 0.75], [0.75, 0.9],
+  [0.9, 0.75], [0.75, 0.5], [0.9, 0.25], [0.75, 0.1],
+];
+
+// Lines of the North Indian chart: [centerX, centerY, length, angle] in chart-size units
+const NORTH_LINES = [
+  [0.5, 0.5, Math.SQRT2, 45],
+  [0.5, 0.5, Math.SQRT2, -45],
+  [0.25, 0.25, Math.SQRT1_2, -45],
+  [0.75, 0.25, Math.SQRT1_2, 45],
+  [0.25, 0.75, Math.SQRT1_2, 45],
+  [0.75, 0.75, Math.SQRT1_2, -45],
+];
+
+// Fixed sign positions of the South Indian chart on a 4x4 grid: [row, column] per rashi index
+const SOUTH_SIGN_CELLS = [
+  [0, 1], [0, 2], [0, 3], [1, 3],
+  [2, 3], [3, 3], [3, 2], [3, 1],
+  [3, 0], [2, 0], [1, 0], [0, 0],
+];
+
+// Rahu and Ketu are always retrograde, so only mark the other grahas
+const formatPlanetLabel = (planet) => {
+  const isNode = planet.key === 'rahu' || planet.key === 'ketu';
+  return planet.isRetrograde && !isNode ? `${planet.short}(R)` : planet.short;
+};
+
+/**
+ * North Indian (diamond) chart - houses are fixed, signs rotate with the lagna
+ * @param {Object} props
+ * @param {Object} props.kundli - Chart built by utils/astrology/kundli
+ * @param {number} props.size - Width and height of the chart in points
+ */
+export const NorthIndianChart = ({ kundli, size }) => {
+  const labelWidth = size * 0.2;
+
+  return (
+    <View style={[styles.chart, { width: size, height: size }]}>
+      {NORTH_LINES.map(([cx, cy, length, angle], index) => (
+        <View
+          key={`line-${index}`}
+          style={[
+            styles.line,
+            {
+              width: length * size,
+              left: cx * size - (length * size) / 2,
+              top: cy * size - 0.5,
+              transform: [{ rotate: `${angle}deg` }],
+            },
+          ]}
+        />
+      ))}
+
+      {kundli.houses.map((house, index) => {
+        const [x, y] = NORTH_HOUSE_CENTERS[index];
+        return (
+          <View
+            key={`house-${house.number}`}
+            style={[
+              styles.northHouse,
+              { width: labelWidth, left: x * size - labelWidth / 2, top: y * size - 18 },
+            ]}
+          >
+            <Text style={styles.signNumber}>{house.rashi.index + 1}</Text>
+            {house.number === 1 && <Text style={styles.ascendantLabel}>Asc</Text>}
+            <Text style={styles.planetText}>
+              {house.planets.map(formatPlanetLabel).join(' ')}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+/**
+ * South Indian (square) chart - signs are fixed, the lagna sign is highlighted
+ * @param {Object} props
+ * @param {Object} props.kundli - Chart built by utils/astrology/kundli
+ * @param {number} props.size - Width and height of the chart in points
+ */
+export const SouthIndianChart = ({ kundli, size }) => {
+  const cellSize = size / 4;
+
+  return (
+    <View style={[styles.chart, { width: size, height: size }]}>
+      {SOUTH_SIGN_CELLS.map(([row, column], rashiIndex) => {
+        const house = kundli.houses.find(h => h.rashi.index === rashiIndex);
+        const isAscendant = kundli.ascendant.rashi.index === rashiIndex;
+
+        return (
+          <View
+            key={`sign-${rashiIndex}`}
+            style={[
+              styles.southCell,
+              isAscendant && styles.southCellAscendant,
+              { width: cellSize, height: cellSize, left: column * cellSize, top: row * cellSize },
+            ]}
+          >
+            <Text style={styles.southSignName}>{house.rashi.english.slice(0, 3)}</Text>
+            {isAscendant && <Text style={styles.ascendantLabel}>Asc</Text>}
+            <Text style={styles.planetText}>
+              {house.planets.map(formatPlanetLabel).join(' ')}
+            </Text>
+          </View>
+        );
+      })}
+
+      <View
+        style={[
+          styles.southCenter,
+          { width: cellSize * 2, height: cellSize * 2, left: cellSize, top: cellSize },
+        ]}
+      >
+        <Text style={styles.southCenterTitle}>Rashi Chart</Text>
+        {kundli.birthDetails?.name ? (
+          <Text style={styles.southCenterSubtitle} numberOfLines={1}>{kundli.birthDetails.name}</Text>
+        ) : null}
+      </View>
+    </View>
+  );
+};
+
+/**
+ * Renders a kundli in the requested regional layout
+ * @param {Object} props
+ * @param {Object} props.kundli - Chart built by utils/astrology/kundli
+ * @param {string} props.variant - 'north' or 'south'
+ * @param {number} props.size - Width and height of the chart in points
+ */
+const KundliChart = ({ kundli, variant = 'north', size = 300 }) => {
+  if (!kundli) return null;
+
+  return variant === 'south'
+    ? <SouthIndianChart kundli={kundli} size={size} />
+    : <NorthIndianChart kundli={kundli} size={size} />;
+};
+
+const styles = StyleSheet.create({
+  chart: {
+    position: 'relative',
+    borderWidth: 1.5,
+    borderColor: '#F97316',
+    backgroundColor: '#FFFBF5',
+    overflow: 'hidden',
+  },
+  line: {
+    position: 'absolute',
+    height: 1,
+    backgroundColor: '#F97316',
+  },
+  northHouse: {
+    position: 'absolute',
+    alignItems: 'center',
+  },
+  signNumber: {
+    fontSize: 10,
+    color: '#9CA3AF',
+  },
+  ascendantLabel: {
+    fontSize: 9,
+    fontWeight: '700',
+    color: '#DC2626',
+  },
+  planetText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#1F2937',
+    textAlign: 'center',
+  },
+  southCell: {
+    position: 'absolute',
+    borderWidth: 0.5,
+    borderColor: '#F97316',
+    padding: 4,
+    alignItems: 'center',
+  },
+  southCellAscendant: {
+    backgroundColor: '#FEF3E2',
+  },
+  southSignName: {
+    fontSize: 10,
+    color: '#9CA3AF',
+    alignSelf: 'flex-start',
+  },
+  southCenter: {
+    position: 'absolute',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 0.5,
+    borderColor: '#F97316',
+  },
+  southCenterTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#F97316',
+  },
+  southCenterSubtitle: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+    paddingHorizontal: 8,
+  },
+});
+
+export default KundliChart;
@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { MESSAGE_REACTIONS, getMessagePreview } from '../utils/messageActions';
+
+/**
+ * Long-press menu for a chat message: a reaction row plus reply, copy,
+ * forward-to-notes and the Roman / Devanagari script toggle. Tapping the
+ * reaction already chosen removes it.
+ */
+const MessageActionSheet = ({
+  message,
+  ownReaction,
+  canRespond = true,
+  onReact,
+  onReply,
+  onCopy,
+  onForward,
+  scriptLabel,
+  onToggleScript,
+  onClose,
+}) => {
+  const insets = useSafeAreaInsets();
+
+  const actions = [
+    canRespond && { key: 'reply', icon: 'arrow-undo-outline', label: 'Reply', onPress: onReply },
+    { key: 'copy', icon: 'copy-outline', label: 'Copy', onPress: onCopy },
+    { key: 'forward', icon: 'document-text-outline', label: 'Forward to Notes', onPress: onForward },
+    scriptLabel && onToggleScript && { key: 'script', icon: 'language-outline', label: scriptLabel, onPress: onToggleScript },
+  ].filter(Boolean);
+
+  return (
+    <Modal
+      visible={!!message}
+      animationType="fade"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        {message && (
+          <View style={[styles.sheet, { paddingBottom: Math.max(insets.bottom, 16) }]}>
+            <Text style={styles.preview} numberOfLines={2}>{getMessagePreview(message)}</Text>
+
+            {canRespond && (
+              <View style={styles.reactions}>
+                {MESSAGE_REACTIONS.map(reaction => (
+                  <TouchableOpacity
+                    key={reaction}
+                    style={[styles.reaction, ownReaction === reaction && styles.reactionSelected]}
+                    onPress={() => onReact(ownReaction === reaction ? null : reaction)}
+                  >
+                    <Text style={styles.reactionText}>{reaction}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {actions.map(action => (
+              <TouchableOpacity key={action.key} style={styles.action} onPress={action.onPress}>
+                <Ionicons name={action.icon} size={20} color="#6B46C1" />
+                <Text style={styles.actionLabel}>{action.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingTop: 16,
+    paddingHorizontal: 20,
+  },
+  preview: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: 12,
+  },
+  reactions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    marginBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  reaction: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  reactionSelected: {
+    backgroundColor: '#EDE9FE',
+  },
+  reactionText: {
+    fontSize: 24,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+  },
+  actionLabel: {
+    fontSize: 16,
+    color: '#1F2937',
+    marginLeft: 14,
+  },
+});
+
+export default MessageActionSheet;
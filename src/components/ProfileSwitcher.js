@@ -0,0 +1,167 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { useAuth } from '../context/AuthContext';
+import {
+  SELF_PROFILE_ID,
+  getSelfProfile,
+  getFamilyProfiles,
+  syncFamilyProfiles,
+} from '../utils/familyProfilesStore';
+
+/**
+ * Horizontal chip row for picking whose birth details to use.
+ * Calls onSelect(profile) with a saved family profile, or the account holder
+ * (id SELF_PROFILE_ID) when includeSelf is set.
+ */
+const ProfileSwitcher = ({
+  selectedProfileId,
+  onSelect,
+  includeSelf = true,
+  title = 'Consulting for',
+}) => {
+  const navigation = useNavigation();
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [profiles, setProfiles] = useState([]);
+
+  // Reload when returning from the add-profile screen
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+
+      const loadProfiles = async () => {
+        const localProfiles = await getFamilyProfiles(userId);
+        if (isActive) setProfiles(localProfiles);
+
+        const syncedProfiles = await syncFamilyProfiles(userId);
+        if (isActive) setProfiles(syncedProfiles);
+      };
+
+      loadProfiles();
+      return () => {
+        isActive = false;
+      };
+    }, [userId])
+  );
+
+  const options = includeSelf
+    ? [{ ...getSelfProfile(user), name: 'Myself' }, ...profiles]
+    : profiles;
+
+  const handleSelect = (profile) => {
+    onSelect(profile.id === SELF_PROFILE_ID ? getSelfProfile(user) : profile);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+        keyboardShouldPersistTaps="handled"
+      >
+        {options.map((profile) => {
+          const isSelected = profile.id === selectedProfileId;
+          return (
+            <TouchableOpacity
+              key={profile.id}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => handleSelect(profile)}
+            >
+              <Ionicons
+                name={profile.id === SELF_PROFILE_ID ? 'person' : 'people'}
+                size={16}
+                color={isSelected ? '#FFFFFF' : '#F97316'}
+              />
+              <View style={styles.chipTextContainer}>
+                <Text style={[styles.chipName, isSelected && styles.chipTextSelected]} numberOfLines={1}>
+                  {profile.name}
+                </Text>
+                {profile.id !== SELF_PROFILE_ID && profile.relationship ? (
+                  <Text style={[styles.chipRelationship, isSelected && styles.chipTextSelected]}>
+                    {profile.relationship}
+                  </Text>
+                ) : null}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+
+        <TouchableOpacity
+          style={[styles.chip, styles.addChip]}
+          onPress={() => navigation.navigate('FamilyProfileForm')}
+        >
+          <Ionicons name="add" size={18} color="#6B7280" />
+          <Text style={styles.addChipText}>Add</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  chipRow: {
+    paddingRight: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#FED7AA',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+    maxWidth: 180,
+  },
+  chipSelected: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  chipTextContainer: {
+    marginLeft: 6,
+    flexShrink: 1,
+  },
+  chipName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  chipRelationship: {
+    fontSize: 11,
+    color: '#6B7280',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  addChip: {
+    borderColor: '#E5E7EB',
+    borderStyle: 'dashed',
+  },
+  addChipText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginLeft: 4,
+  },
+});
+
+export default ProfileSwitcher;
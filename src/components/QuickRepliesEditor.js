@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  MAX_QUICK_REPLIES,
+  MAX_QUICK_REPLY_LENGTH,
+  createQuickReply,
+  DEFAULT_QUICK_REPLIES,
+} from '../utils/quickReplies';
+
+/**
+ * Bottom sheet for adding, editing and removing quick-reply templates.
+ * Changes are only handed back through onSave.
+ */
+const QuickRepliesEditor = ({ visible, replies, onSave, onClose }) => {
+  const insets = useSafeAreaInsets();
+  const [draftReplies, setDraftReplies] = useState(replies);
+  const [newText, setNewText] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setDraftReplies(replies);
+      setNewText('');
+    }
+  }, [visible, replies]);
+
+  const updateReply = (id, text) => {
+    setDraftReplies(prev => prev.map(reply => (reply.id === id ? { ...reply, text } : reply)));
+  };
+
+  const removeReply = (id) => {
+    setDraftReplies(prev => prev.filter(reply => reply.id !== id));
+  };
+
+  const addReply = () => {
+    if (!newText.trim()) return;
+    setDraftReplies(prev => [...prev, createQuickReply(newText)]);
+    setNewText('');
+  };
+
+  const confirmReset = () => {
+    Alert.alert(
+      'Restore Defaults',
+      'Replace your templates with the original ones?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', style: 'destructive', onPress: () => setDraftReplies(DEFAULT_QUICK_REPLIES) }
+      ]
+    );
+  };
+
+  const canAdd = draftReplies.length < MAX_QUICK_REPLIES;
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={[styles.sheet, { paddingBottom: Math.max(insets.bottom, 20) }]}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.title}>Quick Replies</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+            {draftReplies.map(reply => (
+              <View key={reply.id} style={styles.replyRow}>
+                <TextInput
+                  style={styles.replyInput}
+                  value={reply.text}
+                  onChangeText={(text) => updateReply(reply.id, text)}
+                  maxLength={MAX_QUICK_REPLY_LENGTH}
+                  multiline
+                />
+                <TouchableOpacity style={styles.removeButton} onPress={() => removeReply(reply.id)}>
+                  <Ionicons name="trash-outline" size={20} color="#EF4444" />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            {canAdd ? (
+              <View style={styles.replyRow}>
+                <TextInput
+                  style={styles.replyInput}
+                  value={newText}
+                  onChangeText={setNewText}
+                  placeholder="Add a template..."
+                  placeholderTextColor="#999"
+                  maxLength={MAX_QUICK_REPLY_LENGTH}
+                  multiline
+                />
+                <TouchableOpacity style={styles.removeButton} onPress={addReply} disabled={!newText.trim()}>
+                  <Ionicons name="add-circle" size={24} color={newText.trim() ? '#6B46C1' : '#CCCCCC'} />
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <Text style={styles.limitText}>You can keep up to {MAX_QUICK_REPLIES} templates.</Text>
+            )}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.resetButton} onPress={confirmReset}>
+              <Text style={styles.resetButtonText}>Restore defaults</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveButton} onPress={() => onSave(draftReplies)}>
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+    maxHeight: '80%',
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  replyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  replyInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#333333',
+    maxHeight: 80,
+  },
+  removeButton: {
+    padding: 8,
+    marginLeft: 4,
+  },
+  limitText: {
+    fontSize: 13,
+    color: '#999999',
+    textAlign: 'center',
+    marginVertical: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  resetButton: {
+    paddingVertical: 10,
+  },
+  resetButtonText: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  saveButton: {
+    backgroundColor: '#6B46C1',
+    borderRadius: 20,
+    paddingHorizontal: 28,
+    paddingVertical: 10,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default QuickRepliesEditor;
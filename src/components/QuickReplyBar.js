@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import QuickRepliesEditor from './QuickRepliesEditor';
+import { getSelfProfile, getFamilyProfiles } from '../utils/familyProfilesStore';
+import { getQuickReplies, saveQuickReplies, formatBirthDetails } from '../utils/quickReplies';
+
+/**
+ * Row of one-tap inserts above the chat composer: birth details for each saved
+ * profile, then the user's own templates and an edit button.
+ */
+const QuickReplyBar = ({ onInsert }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+
+  const [replies, setReplies] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([getQuickReplies(userId), getFamilyProfiles(userId)]).then(([savedReplies, familyProfiles]) => {
+      if (cancelled) return;
+      setReplies(savedReplies);
+      setProfiles([getSelfProfile(user), ...familyProfiles].filter(profile => profile.birthDate));
+    });
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const handleSave = useCallback(async (updated) => {
+    setReplies(await saveQuickReplies(userId, updated));
+    setEditing(false);
+  }, [userId]);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        keyboardShouldPersistTaps="always"
+        contentContainerStyle={styles.chipsRow}
+      >
+        {profiles.map(profile => (
+          <TouchableOpacity
+            key={profile.id}
+            style={[styles.chip, styles.profileChip]}
+            onPress={() => onInsert(formatBirthDetails(profile))}
+          >
+            <Ionicons name="person-circle-outline" size={16} color="#F97316" />
+            <Text style={[styles.chipText, styles.profileChipText]} numberOfLines={1}>
+              {profile.relationship === 'Self' ? 'My birth details' : `${profile.name}'s details`}
+            </Text>
+          </TouchableOpacity>
+        ))}
+
+        {replies.map(reply => (
+          <TouchableOpacity key={reply.id} style={styles.chip} onPress={() => onInsert(reply.text)}>
+            <Text style={styles.chipText} numberOfLines={1}>{reply.text.trim()}</Text>
+          </TouchableOpacity>
+        ))}
+
+        <TouchableOpacity style={[styles.chip, styles.editChip]} onPress={() => setEditing(true)}>
+          <Ionicons name="create-outline" size={16} color="#6B46C1" />
+          <Text style={styles.chipText}>Edit</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <QuickRepliesEditor
+        visible={editing}
+        replies={replies}
+        onSave={handleSave}
+        onClose={() => setEditing(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+    paddingVertical: 8,
+  },
+  chipsRow: {
+    paddingHorizontal: 15,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: 220,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(107, 70, 193, 0.08)',
+    borderWidth: 1,
+    borderColor: 'rgba(107, 70, 193, 0.2)',
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#6B46C1',
+    marginLeft: 2,
+  },
+  profileChip: {
+    backgroundColor: 'rgba(249, 115, 22, 0.08)',
+    borderColor: 'rgba(249, 115, 22, 0.3)',
+  },
+  profileChipText: {
+    color: '#F97316',
+    marginLeft: 4,
+  },
+  editChip: {
+    backgroundColor: '#FFFFFF',
+  },
+});
+
+export default QuickReplyBar;
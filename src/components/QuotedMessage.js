@@ -0,0 +1,88 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getMessagePreview } from '../utils/messageActions';
+
+/**
+ * Quote of the message being replied to. Shown inside reply bubbles (tap to
+ * jump to the original) and above the chat input while composing (with a
+ * close button).
+ */
+const QuotedMessage = ({ message, authorName, onPress, onClose, isOwnMessage = false }) => {
+  const content = (
+    <View style={[styles.container, isOwnMessage ? styles.ownContainer : styles.otherContainer]}>
+      <View style={[styles.accent, isOwnMessage && styles.ownAccent]} />
+      <View style={styles.body}>
+        <Text style={[styles.author, isOwnMessage && styles.ownAuthor]} numberOfLines={1}>
+          {authorName}
+        </Text>
+        <Text style={[styles.preview, isOwnMessage && styles.ownPreview]} numberOfLines={2}>
+          {getMessagePreview(message)}
+        </Text>
+      </View>
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose} hitSlop={8}>
+          <Ionicons name="close" size={18} color="#6B7280" />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  if (!onPress || !message) return content;
+
+  return (
+    <TouchableOpacity activeOpacity={0.7} onPress={onPress}>
+      {content}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 6,
+  },
+  ownContainer: {
+    backgroundColor: 'rgba(255, 255, 255, 0.18)',
+  },
+  otherContainer: {
+    backgroundColor: '#F3F0FF',
+  },
+  accent: {
+    width: 3,
+    alignSelf: 'stretch',
+    backgroundColor: '#6B46C1',
+  },
+  ownAccent: {
+    backgroundColor: '#FFFFFF',
+  },
+  body: {
+    flex: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+  },
+  author: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B46C1',
+  },
+  ownAuthor: {
+    color: '#FFFFFF',
+  },
+  preview: {
+    fontSize: 13,
+    color: '#4B5563',
+    marginTop: 1,
+  },
+  ownPreview: {
+    color: '#EDE9FE',
+  },
+  closeButton: {
+    paddingHorizontal: 10,
+  },
+});
+
+export default QuotedMessage;
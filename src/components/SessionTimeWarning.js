@@ -0,0 +1,65 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Banner shown when a paid session is about to run out of balance,
+ * with the way to add time before it ends.
+ */
+const SessionTimeWarning = ({ warning, onAddTime, onDismiss }) => {
+  if (!warning) return null;
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="hourglass-outline" size={20} color="#B45309" />
+      <Text style={styles.message} numberOfLines={2}>{warning.message}</Text>
+
+      <TouchableOpacity style={styles.addButton} onPress={onAddTime}>
+        <Ionicons name="add-circle" size={16} color="#FFFFFF" />
+        <Text style={styles.addButtonText}>Add time</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.dismissButton} onPress={onDismiss}>
+        <Ionicons name="close" size={18} color="#B45309" />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    borderBottomWidth: 1,
+    borderBottomColor: '#FCD34D',
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+  },
+  message: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400E',
+    marginHorizontal: 8,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F97316',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  addButtonText: {
+    color: '#FFFFFF',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  dismissButton: {
+    padding: 4,
+    marginLeft: 6,
+  },
+});
+
+export default SessionTimeWarning;
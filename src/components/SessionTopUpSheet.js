@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import RazorpayWebView from './RazorpayWebView';
+import { useAuth } from '../context/AuthContext';
+import { walletAPI } from '../services/api';
+
+const MINUTE_OPTIONS = [5, 10, 15, 30];
+const GST_RATE = 0.18;
+
+// Amount payable (incl. GST) for the wallet credit, rounded to paise
+const withGst = (amount) => Math.round(amount * (1 + GST_RATE) * 100) / 100;
+
+// The API interceptor returns response.data, but some endpoints nest it once more
+const unwrap = (response, fallbackMessage) => {
+  if (response?.success && response.data) return response.data;
+  if (response?.data?.success) return response.data.data;
+  throw new Error(response?.message || response?.data?.message || fallbackMessage);
+};
+
+/**
+ * Overlay for buying more minutes while a consultation is running.
+ * The Razorpay checkout opens inside the overlay so the chat stays mounted
+ * underneath; once the payment is verified onPaid extends the session.
+ * @param {Object} props
+ * @param {Boolean} props.visible
+ * @param {Number} props.ratePerMinute - Astrologer's per-minute rate
+ * @param {String} props.astrologerName
+ * @param {Function} props.onPaid - async ({ paymentId, orderId, amount, minutes }) => extension
+ * @param {Function} props.onClose
+ */
+const SessionTopUpSheet = ({ visible, ratePerMinute, astrologerName = 'the astrologer', onPaid, onClose }) => {
+  const insets = useSafeAreaInsets();
+  const { user, updateUser, updateWalletBalance } = useAuth();
+
+  const [minutes, setMinutes] = useState(MINUTE_OPTIONS[1]);
+  const [step, setStep] = useState('choose'); // choose, creating, pay, extending, done
+  const [paymentOrder, setPaymentOrder] = useState(null);
+  const [razorpayConfig, setRazorpayConfig] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setStep('choose');
+      setPaymentOrder(null);
+      setRazorpayConfig(null);
+    }
+  }, [visible]);
+
+  const creditAmount = minutes * ratePerMinute;
+  const payableAmount = withGst(creditAmount);
+  const busy = step === 'creating' || step === 'extending';
+
+  const handleClose = () => {
+    if (busy) return;
+    onClose();
+  };
+
+  const startPayment = async () => {
+    setStep('creating');
+    try {
+      const config = unwrap(await walletAPI.getRazorpayConfig(), 'Failed to get payment config');
+      const order = unwrap(await walletAPI.createOrder(payableAmount), 'Failed to create order');
+      console.log('💳 [SessionTopUp] Order created for', minutes, 'minutes:', order.orderId || order.id);
+
+      setRazorpayConfig(config);
+      setPaymentOrder(order);
+      setStep('pay');
+    } catch (error) {
+      console.error('❌ [SessionTopUp] Error creating order:', error);
+      Alert.alert('Payment Error', error.response?.data?.message || error.message || 'Failed to start the payment. Please try again.');
+      setStep('choose');
+    }
+  };
+
+  const handlePaymentSuccess = async (paymentData) => {
+    setStep('extending');
+
+    let verified = false;
+    try {
+      const result = unwrap(await walletAPI.verifyPayment({
+        razorpay_order_id: paymentData.razorpay_order_id,
+        razorpay_payment_id: paymentData.razorpay_payment_id,
+        razorpay_signature: paymentData.razorpay_signature,
+      }), 'Payment verification failed');
+      verified = true;
+
+      if (result.newBalance !== undefined) {
+        await updateUser({ walletBalance: result.newBalance });
+      } else {
+        await updateWalletBalance();
+      }
+
+      await onPaid({
+        paymentId: paymentData.razorpay_payment_id,
+        orderId: paymentData.razorpay_order_id,
+        amount: creditAmount,
+        minutes
+      });
+      setStep('done');
+    } catch (error) {
+      console.error('❌ [SessionTopUp] Top-up failed:', error);
+      Alert.alert(
+        verified ? 'Time Not Added' : 'Verification Failed',
+        verified
+          ? 'Your payment was added to your wallet, but the session could not be extended. The balance stays in your wallet for your next consultation.'
+          : 'Payment was successful but verification failed. Please contact support if your wallet is not updated.'
+      );
+      onClose();
+    }
+  };
+
+  const handlePaymentFailure = (error) => {
+    console.error('❌ [SessionTopUp] Payment failed:', error);
+    Alert.alert('Payment Failed', error?.description || 'Payment failed. Please try again.');
+    setStep('choose');
+  };
+
+  const renderChoose = () => (
+    <>
+      <View style={styles.sheetHeader}>
+        <Text style={styles.title}>Add Time</Text>
+        <TouchableOpacity onPress={handleClose} disabled={busy}>
+          <Ionicons name="close" size={24} color="#666" />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.subtitle}>
+        Keep talking to {astrologerName} - your session continues while you pay.
+      </Text>
+
+      <View style={styles.optionsRow}>
+        {MINUTE_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.option, minutes === option && styles.optionSelected]}
+            onPress={() => setMinutes(option)}
+            disabled={busy}
+          >
+            <Text style={[styles.optionMinutes, minutes === option && styles.optionTextSelected]}>
+              {option} min
+            </Text>
+            <Text style={[styles.optionAmount, minutes === option && styles.optionTextSelected]}>
+              ₹{option * ratePerMinute}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.summary}>
+        <View style={styles.summaryRow}>
+          <Text style={styles.summaryLabel}>Wallet credit</Text>
+          <Text style={styles.summaryValue}>₹{creditAmount.toFixed(2)}</Text>
+        </View>
+        <View style={styles.summaryRow}>
+          <Text style={styles.summaryLabel}>GST (18%)</Text>
+          <Text style={styles.summaryValue}>₹{(payableAmount - creditAmount).toFixed(2)}</Text>
+        </View>
+        <View style={[styles.summaryRow, styles.summaryTotal]}>
+          <Text style={styles.totalLabel}>You pay</Text>
+          <Text style={styles.totalValue}>₹{payableAmount.toFixed(2)}</Text>
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.payButton} onPress={startPayment} disabled={busy}>
+        {busy ? (
+          <ActivityIndicator size="small" color="#FFFFFF" />
+        ) : (
+          <Text style={styles.payButtonText}>Pay ₹{payableAmount.toFixed(2)}</Text>
+        )}
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderStatus = () => (
+    <View style={styles.statusContainer}>
+      {step === 'done' ? (
+        <>
+          <Ionicons name="checkmark-circle" size={56} color="#10B981" />
+          <Text style={styles.statusTitle}>{minutes} minutes added</Text>
+          <Text style={styles.statusText}>Your consultation continues without interruption.</Text>
+          <TouchableOpacity style={styles.payButton} onPress={onClose}>
+            <Text style={styles.payButtonText}>Back to consultation</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <ActivityIndicator size="large" color="#F97316" />
+          <Text style={styles.statusText}>Adding time to your session...</Text>
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={handleClose}>
+      {step === 'pay' && paymentOrder && razorpayConfig ? (
+        <RazorpayWebView
+          orderId={paymentOrder.orderId || paymentOrder.id}
+          keyId={razorpayConfig.keyId || razorpayConfig.key}
+          amount={paymentOrder.amount}
+          currency={paymentOrder.currency}
+          userDetails={{
+            name: user?.name || '',
+            email: user?.email || '',
+            phone: user?.phone || user?.mobileNumber || ''
+          }}
+          onPaymentSuccess={handlePaymentSuccess}
+          onPaymentFailure={handlePaymentFailure}
+          onClose={() => setStep('choose')}
+        />
+      ) : (
+        <View style={styles.overlay}>
+          <View style={[styles.sheet, { paddingBottom: Math.max(insets.bottom, 20) }]}>
+            {step === 'extending' || step === 'done' ? renderStatus() : renderChoose()}
+          </View>
+        </View>
+      )}
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666666',
+    marginBottom: 16,
+  },
+  optionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  option: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginHorizontal: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  optionSelected: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  optionMinutes: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  optionAmount: {
+    fontSize: 12,
+    color: '#666666',
+    marginTop: 2,
+  },
+  optionTextSelected: {
+    color: '#FFFFFF',
+  },
+  summary: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 3,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  summaryValue: {
+    fontSize: 14,
+    color: '#333333',
+  },
+  summaryTotal: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    marginTop: 6,
+    paddingTop: 8,
+  },
+  totalLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  totalValue: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#F97316',
+  },
+  payButton: {
+    backgroundColor: '#F97316',
+    borderRadius: 24,
+    paddingVertical: 14,
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
+  payButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  statusContainer: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  statusTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333333',
+    marginTop: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#666666',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+});
+
+export default SessionTopUpSheet;
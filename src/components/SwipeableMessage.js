@@ -0,0 +1,96 @@
+import React, { useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  Animated,
+  PanResponder,
+  Pressable,
+  Vibration,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// How far a bubble has to be dragged right before releasing it starts a reply
+const REPLY_DISTANCE = 60;
+const MAX_DRAG = 90;
+
+/**
+ * Wraps a chat bubble with swipe-right-to-reply and long-press.
+ * Only clearly horizontal drags are claimed, so the chat list still scrolls.
+ */
+const SwipeableMessage = ({ children, onReply, onLongPress, enabled = true, style }) => {
+  const translateX = useRef(new Animated.Value(0)).current;
+  const armedRef = useRef(false);
+
+  // PanResponder handlers are created once, so they read the latest props through refs
+  const onReplyRef = useRef(onReply);
+  const enabledRef = useRef(enabled);
+  onReplyRef.current = onReply;
+  enabledRef.current = enabled;
+
+  const springBack = () => {
+    Animated.spring(translateX, {
+      toValue: 0,
+      useNativeDriver: true,
+      friction: 6,
+    }).start();
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponder: (_, gesture) =>
+      enabledRef.current && gesture.dx > 12 && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+    onPanResponderGrant: () => {
+      armedRef.current = false;
+    },
+    onPanResponderMove: (_, gesture) => {
+      const dx = Math.max(0, Math.min(MAX_DRAG, gesture.dx));
+      translateX.setValue(dx);
+      if (!armedRef.current && dx >= REPLY_DISTANCE) {
+        armedRef.current = true;
+        Vibration.vibrate(20);
+      } else if (armedRef.current && dx < REPLY_DISTANCE) {
+        armedRef.current = false;
+      }
+    },
+    onPanResponderRelease: () => {
+      if (armedRef.current) onReplyRef.current?.();
+      armedRef.current = false;
+      springBack();
+    },
+    onPanResponderTerminate: () => {
+      armedRef.current = false;
+      springBack();
+    },
+  })).current;
+
+  const iconOpacity = translateX.interpolate({
+    inputRange: [0, REPLY_DISTANCE],
+    outputRange: [0, 1],
+    extrapolate: 'clamp',
+  });
+
+  return (
+    <View>
+      <Animated.View style={[styles.replyIcon, { opacity: iconOpacity }]}>
+        <Ionicons name="arrow-undo" size={18} color="#6B46C1" />
+      </Animated.View>
+      <Animated.View {...panResponder.panHandlers} style={{ transform: [{ translateX }] }}>
+        {/* Full-width row so bubbles can keep sizing against the list width */}
+        <Pressable style={style} onLongPress={onLongPress} delayLongPress={350} disabled={!onLongPress}>
+          {children}
+        </Pressable>
+      </Animated.View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  replyIcon: {
+    position: 'absolute',
+    left: 4,
+    top: 0,
+    bottom: 0,
+    justifyContent: 'center',
+  },
+});
+
+export default SwipeableMessage;
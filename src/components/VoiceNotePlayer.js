@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Audio } from 'expo-av';
+import { WAVEFORM_BARS } from '../utils/voiceNotes';
+import { formatDuration } from '../utils/chatAttachments';
+
+// Only one voice note plays at a time across the chat
+let activeSound = null;
+
+// Gentle ripple for notes sent without level data (e.g. from older clients)
+const FALLBACK_WAVEFORM = Array.from({ length: WAVEFORM_BARS }, (_, index) =>
+  0.25 + 0.35 * Math.abs(Math.sin(index * 1.7))
+);
+
+/**
+ * Inline voice note player for chat bubbles: play/pause, waveform progress
+ * and tap or drag on the waveform to seek.
+ */
+const VoiceNotePlayer = ({ attachment, isOwnMessage }) => {
+  const source = attachment.url || attachment.localUri;
+  const waveform = attachment.waveform?.length ? attachment.waveform : FALLBACK_WAVEFORM;
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [durationMs, setDurationMs] = useState(attachment.durationMs || 0);
+  const [seekingMs, setSeekingMs] = useState(null);
+
+  const soundRef = useRef(null);
+  const mountedRef = useRef(true);
+  const waveformWidthRef = useRef(0);
+
+  const handleStatus = (status) => {
+    if (!mountedRef.current) return;
+    if (!status.isLoaded) {
+      if (status.error) console.error('❌ [VoiceNotePlayer] Playback error:', status.error);
+      return;
+    }
+
+    setIsPlaying(status.isPlaying);
+    if (status.durationMillis) setDurationMs(status.durationMillis);
+
+    if (status.didJustFinish) {
+      setPositionMs(0);
+      soundRef.current?.setStatusAsync({ shouldPlay: false, positionMillis: 0 }).catch(() => {});
+    } else {
+      setPositionMs(status.positionMillis);
+    }
+  };
+
+  const loadSound = async () => {
+    if (soundRef.current) return soundRef.current;
+
+    setIsLoading(true);
+    try {
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: source },
+        { progressUpdateIntervalMillis: 200 },
+        handleStatus
+      );
+      if (!mountedRef.current) {
+        sound.unloadAsync();
+        return null;
+      }
+      soundRef.current = sound;
+      return sound;
+    } finally {
+      if (mountedRef.current) setIsLoading(false);
+    }
+  };
+
+  const togglePlayback = async () => {
+    try {
+      if (isPlaying) {
+        await soundRef.current?.pauseAsync();
+        return;
+      }
+
+      const sound = await loadSound();
+      if (!sound) return;
+
+      if (activeSound && activeSound !== sound) {
+        await activeSound.pauseAsync().catch(() => {});
+      }
+      activeSound = sound;
+
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+      await sound.playFromPositionAsync(positionMs);
+    } catch (error) {
+      console.error('❌ [VoiceNotePlayer] Failed to play voice note:', error);
+      setIsLoading(false);
+    }
+  };
+
+  const getTouchPosition = (event) => {
+    const width = waveformWidthRef.current;
+    if (!width || !durationMs) return 0;
+    const fraction = Math.min(1, Math.max(0, event.nativeEvent.locationX / width));
+    return Math.round(fraction * durationMs);
+  };
+
+  const commitSeek = async (targetMs) => {
+    setSeekingMs(null);
+    setPositionMs(targetMs);
+    try {
+      await soundRef.current?.setPositionAsync(targetMs);
+    } catch (error) {
+      console.warn('⚠️ [VoiceNotePlayer] Seek failed:', error);
+    }
+  };
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      const sound = soundRef.current;
+      soundRef.current = null;
+      if (sound) {
+        if (activeSound === sound) activeSound = null;
+        sound.unloadAsync().catch(() => {});
+      }
+    };
+  }, []);
+
+  const displayMs = seekingMs ?? positionMs;
+  const progress = durationMs ? displayMs / durationMs : 0;
+  const playedColor = isOwnMessage ? '#FFFFFF' : '#6B46C1';
+  const unplayedColor = isOwnMessage ? 'rgba(255, 255, 255, 0.45)' : '#C4B5FD';
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.playButton, isOwnMessage ? styles.ownPlayButton : styles.otherPlayButton]}
+        onPress={togglePlayback}
+        disabled={!source || isLoading}
+      >
+        {isLoading ? (
+          <ActivityIndicator size="small" color={isOwnMessage ? '#6B46C1' : '#FFFFFF'} />
+        ) : (
+          <Ionicons
+            name={isPlaying ? 'pause' : 'play'}
+            size={18}
+            color={isOwnMessage ? '#6B46C1' : '#FFFFFF'}
+          />
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.body}>
+        <View
+          style={styles.waveform}
+          onLayout={(event) => { waveformWidthRef.current = event.nativeEvent.layout.width; }}
+          onStartShouldSetResponder={() => !!durationMs}
+          onMoveShouldSetResponder={() => !!durationMs}
+          onResponderTerminationRequest={() => false}
+          onResponderGrant={(event) => setSeekingMs(getTouchPosition(event))}
+          onResponderMove={(event) => setSeekingMs(getTouchPosition(event))}
+          onResponderRelease={(event) => commitSeek(getTouchPosition(event))}
+          onResponderTerminate={() => setSeekingMs(null)}
+        >
+          {/* Bars ignore touches so locationX is measured against the whole waveform */}
+          <View style={styles.bars} pointerEvents="none">
+            {waveform.map((level, index) => (
+              <View
+                key={index}
+                style={[
+                  styles.bar,
+                  {
+                    height: 4 + level * 20,
+                    backgroundColor: (index + 0.5) / waveform.length <= progress ? playedColor : unplayedColor
+                  }
+                ]}
+              />
+            ))}
+          </View>
+        </View>
+        <Text style={[styles.duration, isOwnMessage ? styles.ownDuration : styles.otherDuration]}>
+          {formatDuration(displayMs > 0 || isPlaying ? displayMs : durationMs)}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: 230,
+    paddingVertical: 4,
+    paddingHorizontal: 4,
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  ownPlayButton: {
+    backgroundColor: '#FFFFFF',
+  },
+  otherPlayButton: {
+    backgroundColor: '#6B46C1',
+  },
+  body: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  waveform: {
+    height: 28,
+    justifyContent: 'center',
+  },
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  bar: {
+    width: 3,
+    borderRadius: 2,
+  },
+  duration: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  ownDuration: {
+    color: '#E0E0E0',
+  },
+  otherDuration: {
+    color: '#6B7280',
+  },
+});
+
+export default VoiceNotePlayer;
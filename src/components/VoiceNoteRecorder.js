@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Animated,
+  PanResponder,
+  Vibration,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  VOICE_NOTE_LIMITS,
+  requestMicrophonePermission,
+  startVoiceRecording,
+  stopVoiceRecording,
+  cancelVoiceRecording,
+} from '../utils/voiceNotes';
+import { formatDuration } from '../utils/chatAttachments';
+
+// How far the finger has to slide left before the recording is dropped
+const CANCEL_DISTANCE = 100;
+const LIVE_BARS = 28;
+const HINT_DURATION = 1500;
+
+/**
+ * Hold-to-record mic button for chat input rows.
+ * Render it as a direct child of the input row: while the mic is held, a
+ * strip with the timer and live waveform covers the row. Releasing sends the
+ * note through onRecorded(file); sliding left cancels it.
+ */
+const VoiceNoteRecorder = ({ onRecorded, disabled = false, accentColor = '#6B46C1' }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [levels, setLevels] = useState([]);
+  const [hint, setHint] = useState(null);
+
+  const slideX = useRef(new Animated.Value(0)).current;
+  const holdingRef = useRef(false);
+  const recordingRef = useRef(false);
+  const startedAtRef = useRef(0);
+  const tickRef = useRef(null);
+  const hintTimeoutRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  // PanResponder handlers are created once, so they read the latest props through refs
+  const onRecordedRef = useRef(onRecorded);
+  const disabledRef = useRef(disabled);
+  onRecordedRef.current = onRecorded;
+  disabledRef.current = disabled;
+
+  const showHint = (text) => {
+    if (!mountedRef.current) return;
+    setHint(text);
+    clearTimeout(hintTimeoutRef.current);
+    hintTimeoutRef.current = setTimeout(() => {
+      if (mountedRef.current) setHint(null);
+    }, HINT_DURATION);
+  };
+
+  const resetRecordingUi = () => {
+    clearInterval(tickRef.current);
+    tickRef.current = null;
+    recordingRef.current = false;
+    slideX.setValue(0);
+    if (mountedRef.current) {
+      setIsRecording(false);
+      setElapsedMs(0);
+      setLevels([]);
+    }
+  };
+
+  const finish = async (send) => {
+    if (!recordingRef.current) return;
+    resetRecordingUi();
+
+    if (!send) {
+      await cancelVoiceRecording();
+      return;
+    }
+
+    try {
+      const file = await stopVoiceRecording();
+      if (!file) {
+        showHint('Hold to record, release to send');
+        return;
+      }
+      onRecordedRef.current?.(file);
+    } catch (error) {
+      console.error('❌ [VoiceNoteRecorder] Failed to finish recording:', error);
+      showHint('Could not record. Please try again.');
+    }
+  };
+
+  const begin = async () => {
+    holdingRef.current = true;
+    const granted = await requestMicrophonePermission();
+    // The permission prompt may have interrupted the hold - wait for the next press
+    if (!granted || !holdingRef.current || disabledRef.current) return;
+
+    try {
+      await startVoiceRecording((level) => {
+        if (!mountedRef.current) return;
+        setLevels(prev => [...prev.slice(-(LIVE_BARS - 1)), level]);
+      });
+    } catch (error) {
+      console.error('❌ [VoiceNoteRecorder] Failed to start recording:', error);
+      showHint('Could not start recording.');
+      return;
+    }
+
+    if (!holdingRef.current) {
+      // Released while the recorder was starting up
+      await cancelVoiceRecording();
+      showHint('Hold to record, release to send');
+      return;
+    }
+
+    Vibration.vibrate(30);
+    recordingRef.current = true;
+    startedAtRef.current = Date.now();
+    setIsRecording(true);
+    tickRef.current = setInterval(() => {
+      const elapsed = Date.now() - startedAtRef.current;
+      setElapsedMs(elapsed);
+      if (elapsed >= VOICE_NOTE_LIMITS.maxDurationMs) {
+        finish(true);
+      }
+    }, 200);
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => !disabledRef.current,
+    onMoveShouldSetPanResponder: () => false,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => {
+      begin();
+    },
+    onPanResponderMove: (_, gesture) => {
+      if (!recordingRef.current) return;
+      slideX.setValue(Math.min(0, gesture.dx));
+      if (gesture.dx < -CANCEL_DISTANCE) {
+        holdingRef.current = false;
+        finish(false);
+        showHint('Voice note cancelled');
+      }
+    },
+    onPanResponderRelease: () => {
+      holdingRef.current = false;
+      finish(true);
+    },
+    onPanResponderTerminate: () => {
+      holdingRef.current = false;
+      finish(false);
+    },
+  })).current;
+
+  // Drop an in-progress note when the session ends underneath it
+  useEffect(() => {
+    if (disabled && recordingRef.current) {
+      holdingRef.current = false;
+      finish(false);
+    }
+  }, [disabled]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      clearTimeout(hintTimeoutRef.current);
+      if (recordingRef.current) {
+        clearInterval(tickRef.current);
+        recordingRef.current = false;
+        cancelVoiceRecording();
+      }
+    };
+  }, []);
+
+  return (
+    <>
+      {(isRecording || hint) && (
+        <View style={styles.recordingStrip} pointerEvents="none">
+          {isRecording ? (
+            <>
+              <View style={styles.recordingDot} />
+              <Text style={styles.recordingTime}>{formatDuration(elapsedMs)}</Text>
+              <View style={styles.liveWaveform}>
+                {Array.from({ length: LIVE_BARS }, (_, index) => {
+                  const level = levels[index - (LIVE_BARS - levels.length)] || 0;
+                  return (
+                    <View
+                      key={index}
+                      style={[styles.liveBar, { height: 3 + level * 22, backgroundColor: accentColor }]}
+                    />
+                  );
+                })}
+              </View>
+              <Animated.View style={[styles.cancelHint, { transform: [{ translateX: slideX }] }]}>
+                <Ionicons name="chevron-back" size={14} color="#6B7280" />
+                <Text style={styles.cancelHintText}>Slide to cancel</Text>
+              </Animated.View>
+            </>
+          ) : (
+            <Text style={styles.hintText}>{hint}</Text>
+          )}
+        </View>
+      )}
+
+      <View
+        {...panResponder.panHandlers}
+        style={[
+          styles.micButton,
+          { backgroundColor: disabled ? '#CCCCCC' : accentColor },
+          isRecording && styles.micButtonActive
+        ]}
+      >
+        <Ionicons name="mic" size={20} color="#FFFFFF" />
+      </View>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  recordingStrip: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 80,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    backgroundColor: '#FFFFFF',
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#EF4444',
+  },
+  recordingTime: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginLeft: 8,
+    minWidth: 40,
+  },
+  liveWaveform: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 28,
+    marginHorizontal: 8,
+    overflow: 'hidden',
+  },
+  liveBar: {
+    width: 3,
+    borderRadius: 2,
+    marginHorizontal: 1,
+  },
+  cancelHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cancelHintText: {
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  hintText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  micButton: {
+    borderRadius: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  micButtonActive: {
+    transform: [{ scale: 1.15 }],
+  },
+});
+
+export default VoiceNoteRecorder;
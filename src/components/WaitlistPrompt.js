@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, Image } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import { astrologersAPI } from '../services/api';
+import FCMService from '../services/FCMService';
+import {
+  getWaitlistEntries,
+  getWaitlistEntry,
+  removeWaitlistEntry,
+  isAstrologerAvailable,
+} from '../utils/waitlistStore';
+
+const fetchAstrologer = async (astrologerId) => {
+  const response = await astrologersAPI.getById(astrologerId);
+  return response?.data?.data || response?.data || response;
+};
+
+/**
+ * App-wide watcher for astrologer waitlists.
+ * When an astrologer the user is waiting for comes online, the user gets a
+ * local notification and, in the app, a prompt to start the consultation.
+ */
+const WaitlistPrompt = () => {
+  const navigation = useNavigation();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const userId = user?._id || user?.id;
+
+  const [prompt, setPrompt] = useState(null); // waitlist entry
+
+  const notifyAvailable = useCallback(async (entry) => {
+    // Each entry notifies once
+    const removed = await removeWaitlistEntry(userId, entry.astrologerId);
+    if (!removed) return;
+
+    // Free the place so the positions other users see move up
+    astrologersAPI.leaveWaitlist(entry.astrologerId).catch((error) => {
+      console.log('⚠️ [WaitlistPrompt] Could not leave the server waitlist:', error.message);
+    });
+
+    const name = entry.astrologerName || 'Your astrologer';
+    console.log('🔔 [WaitlistPrompt] Astrologer available:', entry.astrologerId);
+    FCMService.scheduleLocalNotification({
+      title: `🔔 ${name} is available now`,
+      body: 'You asked us to let you know. Start your consultation before the queue fills up again.',
+      data: { type: 'waitlist_available', astrologerId: entry.astrologerId, screen: 'AstrologerProfile' },
+      channelId: 'booking_requests',
+    });
+    setPrompt(entry);
+  }, [userId]);
+
+  // Catch astrologers who came online while the app was closed
+  useEffect(() => {
+    if (!userId) return;
+
+    const checkEntries = async () => {
+      const entries = await getWaitlistEntries(userId);
+      for (const entry of entries) {
+        try {
+          const astrologer = await fetchAstrologer(entry.astrologerId);
+          if (isAstrologerAvailable(astrologer)) {
+            await notifyAvailable(entry);
+            break; // One prompt at a time; the rest are caught by live updates
+          }
+        } catch (error) {
+          console.log('⚠️ [WaitlistPrompt] Could not check astrologer status:', error.message);
+        }
+      }
+    };
+    checkEntries();
+  }, [userId, notifyAvailable]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    // Status (busy/online) and availability (chat/call toggles) arrive as
+    // separate events, so each is checked against the astrologer's full state
+    const handleAstrologerUpdate = async (data) => {
+      if (!data?.astrologerId) return;
+      if (data.status === 'busy') return;
+      if (data.onlineStatus && !isAstrologerAvailable({ onlineStatus: data.onlineStatus })) return;
+
+      const entry = await getWaitlistEntry(userId, data.astrologerId);
+      if (!entry) return;
+
+      try {
+        const current = await fetchAstrologer(data.astrologerId);
+        const astrologer = {
+          ...current,
+          ...(data.status && { status: data.status }),
+          ...(data.onlineStatus && { onlineStatus: data.onlineStatus }),
+        };
+        if (isAstrologerAvailable(astrologer)) notifyAvailable(entry);
+      } catch (error) {
+        console.log('⚠️ [WaitlistPrompt] Could not confirm astrologer status:', error.message);
+      }
+    };
+
+    socket.on('astrologer_status_updated', handleAstrologerUpdate);
+    socket.on('astrologer_availability_updated', handleAstrologerUpdate);
+    return () => {
+      socket.off('astrologer_status_updated', handleAstrologerUpdate);
+      socket.off('astrologer_availability_updated', handleAstrologerUpdate);
+    };
+  }, [socket, userId, notifyAvailable]);
+
+  const handleStart = () => {
+    const astrologerId = prompt.astrologerId;
+    setPrompt(null);
+    navigation.navigate('AstrologerProfile', { astrologerId });
+  };
+
+  if (!prompt) return null;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={() => setPrompt(null)}>
+      <View style={styles.overlay}>
+        <View style={styles.card}>
+          {prompt.profileImage ? (
+            <Image source={{ uri: prompt.profileImage }} style={styles.avatar} />
+          ) : (
+            <View style={[styles.avatar, styles.avatarPlaceholder]}>
+              <Ionicons name="person" size={32} color="#F97316" />
+            </View>
+          )}
+          <View style={styles.onlineBadge}>
+            <View style={styles.onlineDot} />
+            <Text style={styles.onlineText}>Available now</Text>
+          </View>
+          <Text style={styles.title}>{prompt.astrologerName || 'Your astrologer'} is free</Text>
+          <Text style={styles.message}>
+            You were on the waitlist. Start your consultation now before someone else does.
+          </Text>
+
+          <TouchableOpacity style={styles.startButton} onPress={handleStart}>
+            <Text style={styles.startButtonText}>Start Consultation</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.laterButton} onPress={() => setPrompt(null)}>
+            <Text style={styles.laterButtonText}>Not now</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 24,
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
+  avatar: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+  },
+  avatarPlaceholder: {
+    backgroundColor: '#FFF7ED',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  onlineBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ECFDF5',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginTop: 12,
+  },
+  onlineDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#4CAF50',
+    marginRight: 6,
+  },
+  onlineText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#047857',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  startButton: {
+    backgroundColor: '#F97316',
+    borderRadius: 24,
+    paddingVertical: 14,
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
+  startButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  laterButton: {
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  laterButtonText: {
+    color: '#6B7280',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default WaitlistPrompt;
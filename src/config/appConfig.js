@@ -38,6 +38,13 @@ export const APP_CONFIG = {
     }
   },
 
+  // Horoscope readings: providers are tried in order until one returns a reading.
+  // 'bundled' works offline, so keep it last as the safety net.
+  horoscope: {
+    providers: ['anyge', 'backend', 'bundled'],
+    requestTimeout: 10000 // 10 seconds
+  },
+
   /**
    * Get current app version from device
    * Uses multiple fallback methods to ensure version is always available
@@ -3,6 +3,7 @@ import { Platform, AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from './AuthContext';
 import FCMService from '../services/FCMService';
+import { refreshDailyReminders as rescheduleDailyReminders } from '../utils/dailyReminders';
 
 // Create context
 const NotificationContext = createContext();
@@ -14,6 +15,7 @@ export const NotificationProvider = ({ children }) => {
   const [unreadCount, setUnreadCount] = useState(0);
   const appStateRef = useRef(AppState.currentState);
   const { token, user } = useAuth();
+  const userRef = useRef(user);
 
   // Initialize FCM service when user is authenticated (non-blocking)
   useEffect(() => {
@@ -27,6 +29,14 @@ export const NotificationProvider = ({ children }) => {
     }
   }, [token, user, isInitialized]);
 
+  // Rebuild the daily horoscope reminders whenever the profile changes
+  useEffect(() => {
+    userRef.current = user;
+    if (token && user) {
+      rescheduleDailyReminders(user);
+    }
+  }, [token, user]);
+
   // Handle app state changes
   useEffect(() => {
     const handleAppStateChange = (nextAppState) => {
@@ -36,6 +46,10 @@ export const NotificationProvider = ({ children }) => {
         FCMService.processPendingNotifications();
         // Update unread count
         updateUnreadCount();
+        // Keep the scheduled reminders' horoscope and Panchang text current
+        if (userRef.current) {
+          rescheduleDailyReminders(userRef.current);
+        }
       }
       appStateRef.current = nextAppState;
     };
@@ -243,16 +257,26 @@ export const NotificationProvider = ({ children }) => {
 
   /**
    * Schedule local notification
+   * Pass options.date to deliver it later; returns the notification id
    */
-  const scheduleLocalNotification = async (title, body, data = {}) => {
+  const scheduleLocalNotification = async (title, body, data = {}, options = {}) => {
     try {
       console.log('📱 [NotificationContext] Scheduling local notification:', { title, body, data });
-      setNotification({ title, body, data, timestamp: new Date().toISOString() });
+      if (!options.date) {
+        setNotification({ title, body, data, timestamp: new Date().toISOString() });
+      }
+      return await FCMService.scheduleLocalNotification({ title, body, data, ...options });
     } catch (error) {
       console.error('❌ [NotificationContext] Failed to schedule local notification:', error);
+      return null;
     }
   };
 
+  /**
+   * Reschedule daily horoscope reminders after the settings change
+   */
+  const refreshDailyReminders = () => rescheduleDailyReminders(userRef.current);
+
   /**
    * Handle notification navigation
    */
@@ -295,6 +319,7 @@ export const NotificationProvider = ({ children }) => {
     handleBookingRequest,
     handleChatMessage,
     scheduleLocalNotification,
+    refreshDailyReminders,
     handleNotificationNavigation,
   };
 
@@ -0,0 +1,374 @@
+/**
+ * Offline city gazetteer
+ * Indian cities plus the main cities of the Indian diaspora, with coordinates
+ * and IANA time zones for birth charts and Panchang. Bundled so that place
+ * search works without a network connection.
+ */
+export const cities = [
+  // India
+  { id: 'delhi', name: 'New Delhi', state: 'Delhi', country: 'India', latitude: 28.6139, longitude: 77.209, timezone: 'Asia/Kolkata', aliases: ['Delhi'] },
+  { id: 'mumbai', name: 'Mumbai', state: 'Maharashtra', country: 'India', latitude: 19.076, longitude: 72.8777, timezone: 'Asia/Kolkata', aliases: ['Bombay'] },
+  { id: 'kolkata', name: 'Kolkata', state: 'West Bengal', country: 'India', latitude: 22.5726, longitude: 88.3639, timezone: 'Asia/Kolkata', aliases: ['Calcutta'] },
+  { id: 'chennai', name: 'Chennai', state: 'Tamil Nadu', country: 'India', latitude: 13.0827, longitude: 80.2707, timezone: 'Asia/Kolkata', aliases: ['Madras'] },
+  { id: 'bengaluru', name: 'Bengaluru', state: 'Karnataka', country: 'India', latitude: 12.9716, longitude: 77.5946, timezone: 'Asia/Kolkata', aliases: ['Bangalore'] },
+  { id: 'hyderabad', name: 'Hyderabad', state: 'Telangana', country: 'India', latitude: 17.385, longitude: 78.4867, timezone: 'Asia/Kolkata' },
+  { id: 'ahmedabad', name: 'Ahmedabad', state: 'Gujarat', country: 'India', latitude: 23.0225, longitude: 72.5714, timezone: 'Asia/Kolkata' },
+  { id: 'pune', name: 'Pune', state: 'Maharashtra', country: 'India', latitude: 18.5204, longitude: 73.8567, timezone: 'Asia/Kolkata', aliases: ['Poona'] },
+  { id: 'jaipur', name: 'Jaipur', state: 'Rajasthan', country: 'India', latitude: 26.9124, longitude: 75.7873, timezone: 'Asia/Kolkata' },
+  { id: 'lucknow', name: 'Lucknow', state: 'Uttar Pradesh', country: 'India', latitude: 26.8467, longitude: 80.9462, timezone: 'Asia/Kolkata' },
+  { id: 'kanpur', name: 'Kanpur', state: 'Uttar Pradesh', country: 'India', latitude: 26.4499, longitude: 80.3319, timezone: 'Asia/Kolkata', aliases: ['Cawnpore'] },
+  { id: 'nagpur', name: 'Nagpur', state: 'Maharashtra', country: 'India', latitude: 21.1458, longitude: 79.0882, timezone: 'Asia/Kolkata' },
+  { id: 'indore', name: 'Indore', state: 'Madhya Pradesh', country: 'India', latitude: 22.7196, longitude: 75.8577, timezone: 'Asia/Kolkata' },
+  { id: 'thane', name: 'Thane', state: 'Maharashtra', country: 'India', latitude: 19.2183, longitude: 72.9781, timezone: 'Asia/Kolkata' },
+  { id: 'bhopal', name: 'Bhopal', state: 'Madhya Pradesh', country: 'India', latitude: 23.2599, longitude: 77.4126, timezone: 'Asia/Kolkata' },
+  { id: 'visakhapatnam', name: 'Visakhapatnam', state: 'Andhra Pradesh', country: 'India', latitude: 17.6868, longitude: 83.2185, timezone: 'Asia/Kolkata', aliases: ['Vizag'] },
+  { id: 'patna', name: 'Patna', state: 'Bihar', country: 'India', latitude: 25.5941, longitude: 85.1376, timezone: 'Asia/Kolkata' },
+  { id: 'vadodara', name: 'Vadodara', state: 'Gujarat', country: 'India', latitude: 22.3072, longitude: 73.1812, timezone: 'Asia/Kolkata', aliases: ['Baroda'] },
+  { id: 'surat', name: 'Surat', state: 'Gujarat', country: 'India', latitude: 21.1702, longitude: 72.8311, timezone: 'Asia/Kolkata' },
+  { id: 'ghaziabad', name: 'Ghaziabad', state: 'Uttar Pradesh', country: 'India', latitude: 28.6692, longitude: 77.4538, timezone: 'Asia/Kolkata' },
+  { id: 'noida', name: 'Noida', state: 'Uttar Pradesh', country: 'India', latitude: 28.5355, longitude: 77.391, timezone: 'Asia/Kolkata' },
+  { id: 'gurugram', name: 'Gurugram', state: 'Haryana', country: 'India', latitude: 28.4595, longitude: 77.0266, timezone: 'Asia/Kolkata', aliases: ['Gurgaon'] },
+  { id: 'faridabad', name: 'Faridabad', state: 'Haryana', country: 'India', latitude: 28.4089, longitude: 77.3178, timezone: 'Asia/Kolkata' },
+  { id: 'ludhiana', name: 'Ludhiana', state: 'Punjab', country: 'India', latitude: 30.901, longitude: 75.8573, timezone: 'Asia/Kolkata' },
+  { id: 'amritsar', name: 'Amritsar', state: 'Punjab', country: 'India', latitude: 31.634, longitude: 74.8723, timezone: 'Asia/Kolkata' },
+  { id: 'jalandhar', name: 'Jalandhar', state: 'Punjab', country: 'India', latitude: 31.326, longitude: 75.5762, timezone: 'Asia/Kolkata' },
+  { id: 'patiala', name: 'Patiala', state: 'Punjab', country: 'India', latitude: 30.3398, longitude: 76.3869, timezone: 'Asia/Kolkata' },
+  { id: 'bathinda', name: 'Bathinda', state: 'Punjab', country: 'India', latitude: 30.211, longitude: 74.9455, timezone: 'Asia/Kolkata' },
+  { id: 'mohali', name: 'Mohali', state: 'Punjab', country: 'India', latitude: 30.7046, longitude: 76.7179, timezone: 'Asia/Kolkata' },
+  { id: 'chandigarh', name: 'Chandigarh', state: 'Chandigarh', country: 'India', latitude: 30.7333, longitude: 76.7794, timezone: 'Asia/Kolkata' },
+  { id: 'panipat', name: 'Panipat', state: 'Haryana', country: 'India', latitude: 29.3909, longitude: 76.9635, timezone: 'Asia/Kolkata' },
+  { id: 'karnal', name: 'Karnal', state: 'Haryana', country: 'India', latitude: 29.6857, longitude: 76.9905, timezone: 'Asia/Kolkata' },
+  { id: 'rohtak', name: 'Rohtak', state: 'Haryana', country: 'India', latitude: 28.8955, longitude: 76.6066, timezone: 'Asia/Kolkata' },
+  { id: 'hisar', name: 'Hisar', state: 'Haryana', country: 'India', latitude: 29.1492, longitude: 75.7217, timezone: 'Asia/Kolkata' },
+  { id: 'ambala', name: 'Ambala', state: 'Haryana', country: 'India', latitude: 30.3782, longitude: 76.7767, timezone: 'Asia/Kolkata' },
+  { id: 'kurukshetra', name: 'Kurukshetra', state: 'Haryana', country: 'India', latitude: 29.9695, longitude: 76.8783, timezone: 'Asia/Kolkata' },
+  { id: 'sonipat', name: 'Sonipat', state: 'Haryana', country: 'India', latitude: 28.9931, longitude: 77.0151, timezone: 'Asia/Kolkata' },
+  { id: 'agra', name: 'Agra', state: 'Uttar Pradesh', country: 'India', latitude: 27.1767, longitude: 78.0081, timezone: 'Asia/Kolkata' },
+  { id: 'meerut', name: 'Meerut', state: 'Uttar Pradesh', country: 'India', latitude: 28.9845, longitude: 77.7064, timezone: 'Asia/Kolkata' },
+  { id: 'varanasi', name: 'Varanasi', state: 'Uttar Pradesh', country: 'India', latitude: 25.3176, longitude: 82.9739, timezone: 'Asia/Kolkata', aliases: ['Banaras', 'Benares', 'Kashi'] },
+  { id: 'prayagraj', name: 'Prayagraj', state: 'Uttar Pradesh', country: 'India', latitude: 25.4358, longitude: 81.8463, timezone: 'Asia/Kolkata', aliases: ['Allahabad'] },
+  { id: 'bareilly', name: 'Bareilly', state: 'Uttar Pradesh', country: 'India', latitude: 28.367, longitude: 79.4304, timezone: 'Asia/Kolkata' },
+  { id: 'moradabad', name: 'Moradabad', state: 'Uttar Pradesh', country: 'India', latitude: 28.8386, longitude: 78.7733, timezone: 'Asia/Kolkata' },
+  { id: 'aligarh', name: 'Aligarh', state: 'Uttar Pradesh', country: 'India', latitude: 27.8974, longitude: 78.088, timezone: 'Asia/Kolkata' },
+  { id: 'saharanpur', name: 'Saharanpur', state: 'Uttar Pradesh', country: 'India', latitude: 29.968, longitude: 77.5552, timezone: 'Asia/Kolkata' },
+  { id: 'gorakhpur', name: 'Gorakhpur', state: 'Uttar Pradesh', country: 'India', latitude: 26.7606, longitude: 83.3732, timezone: 'Asia/Kolkata' },
+  { id: 'jhansi', name: 'Jhansi', state: 'Uttar Pradesh', country: 'India', latitude: 25.4484, longitude: 78.5685, timezone: 'Asia/Kolkata' },
+  { id: 'mathura', name: 'Mathura', state: 'Uttar Pradesh', country: 'India', latitude: 27.4924, longitude: 77.6737, timezone: 'Asia/Kolkata' },
+  { id: 'vrindavan', name: 'Vrindavan', state: 'Uttar Pradesh', country: 'India', latitude: 27.565, longitude: 77.6593, timezone: 'Asia/Kolkata' },
+  { id: 'ayodhya', name: 'Ayodhya', state: 'Uttar Pradesh', country: 'India', latitude: 26.7922, longitude: 82.1998, timezone: 'Asia/Kolkata', aliases: ['Faizabad'] },
+  { id: 'firozabad', name: 'Firozabad', state: 'Uttar Pradesh', country: 'India', latitude: 27.1592, longitude: 78.3957, timezone: 'Asia/Kolkata' },
+  { id: 'mirzapur', name: 'Mirzapur', state: 'Uttar Pradesh', country: 'India', latitude: 25.1337, longitude: 82.5644, timezone: 'Asia/Kolkata' },
+  { id: 'azamgarh', name: 'Azamgarh', state: 'Uttar Pradesh', country: 'India', latitude: 26.0739, longitude: 83.1859, timezone: 'Asia/Kolkata' },
+  { id: 'ballia', name: 'Ballia', state: 'Uttar Pradesh', country: 'India', latitude: 25.7584, longitude: 84.1487, timezone: 'Asia/Kolkata' },
+  { id: 'etawah', name: 'Etawah', state: 'Uttar Pradesh', country: 'India', latitude: 26.7856, longitude: 79.0158, timezone: 'Asia/Kolkata' },
+  { id: 'shahjahanpur', name: 'Shahjahanpur', state: 'Uttar Pradesh', country: 'India', latitude: 27.8815, longitude: 79.909, timezone: 'Asia/Kolkata' },
+  { id: 'rampur', name: 'Rampur', state: 'Uttar Pradesh', country: 'India', latitude: 28.8155, longitude: 79.025, timezone: 'Asia/Kolkata' },
+  { id: 'muzaffarnagar', name: 'Muzaffarnagar', state: 'Uttar Pradesh', country: 'India', latitude: 29.4727, longitude: 77.7085, timezone: 'Asia/Kolkata' },
+  { id: 'dehradun', name: 'Dehradun', state: 'Uttarakhand', country: 'India', latitude: 30.3165, longitude: 78.0322, timezone: 'Asia/Kolkata' },
+  { id: 'haridwar', name: 'Haridwar', state: 'Uttarakhand', country: 'India', latitude: 29.9457, longitude: 78.1642, timezone: 'Asia/Kolkata' },
+  { id: 'rishikesh', name: 'Rishikesh', state: 'Uttarakhand', country: 'India', latitude: 30.0869, longitude: 78.2676, timezone: 'Asia/Kolkata' },
+  { id: 'roorkee', name: 'Roorkee', state: 'Uttarakhand', country: 'India', latitude: 29.8543, longitude: 77.888, timezone: 'Asia/Kolkata' },
+  { id: 'haldwani', name: 'Haldwani', state: 'Uttarakhand', country: 'India', latitude: 29.2183, longitude: 79.513, timezone: 'Asia/Kolkata' },
+  { id: 'nainital', name: 'Nainital', state: 'Uttarakhand', country: 'India', latitude: 29.3919, longitude: 79.4542, timezone: 'Asia/Kolkata' },
+  { id: 'shimla', name: 'Shimla', state: 'Himachal Pradesh', country: 'India', latitude: 31.1048, longitude: 77.1734, timezone: 'Asia/Kolkata', aliases: ['Simla'] },
+  { id: 'dharamshala', name: 'Dharamshala', state: 'Himachal Pradesh', country: 'India', latitude: 32.219, longitude: 76.3234, timezone: 'Asia/Kolkata' },
+  { id: 'mandi', name: 'Mandi', state: 'Himachal Pradesh', country: 'India', latitude: 31.7084, longitude: 76.932, timezone: 'Asia/Kolkata' },
+  { id: 'jammu', name: 'Jammu', state: 'Jammu and Kashmir', country: 'India', latitude: 32.7266, longitude: 74.857, timezone: 'Asia/Kolkata' },
+  { id: 'srinagar', name: 'Srinagar', state: 'Jammu and Kashmir', country: 'India', latitude: 34.0837, longitude: 74.7973, timezone: 'Asia/Kolkata' },
+  { id: 'leh', name: 'Leh', state: 'Ladakh', country: 'India', latitude: 34.1526, longitude: 77.5771, timezone: 'Asia/Kolkata' },
+  { id: 'jodhpur', name: 'Jodhpur', state: 'Rajasthan', country: 'India', latitude: 26.2389, longitude: 73.0243, timezone: 'Asia/Kolkata' },
+  { id: 'udaipur', name: 'Udaipur', state: 'Rajasthan', country: 'India', latitude: 24.5854, longitude: 73.7125, timezone: 'Asia/Kolkata' },
+  { id: 'kota', name: 'Kota', state: 'Rajasthan', country: 'India', latitude: 25.2138, longitude: 75.8648, timezone: 'Asia/Kolkata' },
+  { id: 'ajmer', name: 'Ajmer', state: 'Rajasthan', country: 'India', latitude: 26.4499, longitude: 74.6399, timezone: 'Asia/Kolkata' },
+  { id: 'bikaner', name: 'Bikaner', state: 'Rajasthan', country: 'India', latitude: 28.0229, longitude: 73.3119, timezone: 'Asia/Kolkata' },
+  { id: 'alwar', name: 'Alwar', state: 'Rajasthan', country: 'India', latitude: 27.553, longitude: 76.6346, timezone: 'Asia/Kolkata' },
+  { id: 'bharatpur', name: 'Bharatpur', state: 'Rajasthan', country: 'India', latitude: 27.2152, longitude: 77.493, timezone: 'Asia/Kolkata' },
+  { id: 'sikar', name: 'Sikar', state: 'Rajasthan', country: 'India', latitude: 27.6094, longitude: 75.1399, timezone: 'Asia/Kolkata' },
+  { id: 'bhilwara', name: 'Bhilwara', state: 'Rajasthan', country: 'India', latitude: 25.3407, longitude: 74.6313, timezone: 'Asia/Kolkata' },
+  { id: 'sri-ganganagar', name: 'Sri Ganganagar', state: 'Rajasthan', country: 'India', latitude: 29.9038, longitude: 73.8772, timezone: 'Asia/Kolkata' },
+  { id: 'rajkot', name: 'Rajkot', state: 'Gujarat', country: 'India', latitude: 22.3039, longitude: 70.8022, timezone: 'Asia/Kolkata' },
+  { id: 'bhavnagar', name: 'Bhavnagar', state: 'Gujarat', country: 'India', latitude: 21.7645, longitude: 72.1519, timezone: 'Asia/Kolkata' },
+  { id: 'jamnagar', name: 'Jamnagar', state: 'Gujarat', country: 'India', latitude: 22.4707, longitude: 70.0577, timezone: 'Asia/Kolkata' },
+  { id: 'junagadh', name: 'Junagadh', state: 'Gujarat', country: 'India', latitude: 21.5222, longitude: 70.4579, timezone: 'Asia/Kolkata' },
+  { id: 'gandhinagar', name: 'Gandhinagar', state: 'Gujarat', country: 'India', latitude: 23.2156, longitude: 72.6369, timezone: 'Asia/Kolkata' },
+  { id: 'anand', name: 'Anand', state: 'Gujarat', country: 'India', latitude: 22.5645, longitude: 72.9289, timezone: 'Asia/Kolkata' },
+  { id: 'bhuj', name: 'Bhuj', state: 'Gujarat', country: 'India', latitude: 23.242, longitude: 69.6669, timezone: 'Asia/Kolkata' },
+  { id: 'dwarka', name: 'Dwarka', state: 'Gujarat', country: 'India', latitude: 22.2442, longitude: 68.9685, timezone: 'Asia/Kolkata' },
+  { id: 'somnath', name: 'Somnath', state: 'Gujarat', country: 'India', latitude: 20.888, longitude: 70.401, timezone: 'Asia/Kolkata' },
+  { id: 'nashik', name: 'Nashik', state: 'Maharashtra', country: 'India', latitude: 19.9975, longitude: 73.7898, timezone: 'Asia/Kolkata', aliases: ['Nasik'] },
+  { id: 'aurangabad', name: 'Chhatrapati Sambhajinagar', state: 'Maharashtra', country: 'India', latitude: 19.8762, longitude: 75.3433, timezone: 'Asia/Kolkata', aliases: ['Aurangabad'] },
+  { id: 'solapur', name: 'Solapur', state: 'Maharashtra', country: 'India', latitude: 17.6599, longitude: 75.9064, timezone: 'Asia/Kolkata' },
+  { id: 'kolhapur', name: 'Kolhapur', state: 'Maharashtra', country: 'India', latitude: 16.705, longitude: 74.2433, timezone: 'Asia/Kolkata' },
+  { id: 'sangli', name: 'Sangli', state: 'Maharashtra', country: 'India', latitude: 16.8524, longitude: 74.5815, timezone: 'Asia/Kolkata' },
+  { id: 'satara', name: 'Satara', state: 'Maharashtra', country: 'India', latitude: 17.6805, longitude: 74.0183, timezone: 'Asia/Kolkata' },
+  { id: 'amravati', name: 'Amravati', state: 'Maharashtra', country: 'India', latitude: 20.9374, longitude: 77.7796, timezone: 'Asia/Kolkata' },
+  { id: 'akola', name: 'Akola', state: 'Maharashtra', country: 'India', latitude: 20.7002, longitude: 77.0082, timezone: 'Asia/Kolkata' },
+  { id: 'jalgaon', name: 'Jalgaon', state: 'Maharashtra', country: 'India', latitude: 21.0077, longitude: 75.5626, timezone: 'Asia/Kolkata' },
+  { id: 'latur', name: 'Latur', state: 'Maharashtra', country: 'India', latitude: 18.4088, longitude: 76.5604, timezone: 'Asia/Kolkata' },
+  { id: 'nanded', name: 'Nanded', state: 'Maharashtra', country: 'India', latitude: 19.1383, longitude: 77.321, timezone: 'Asia/Kolkata' },
+  { id: 'ahilyanagar', name: 'Ahilyanagar', state: 'Maharashtra', country: 'India', latitude: 19.0948, longitude: 74.748, timezone: 'Asia/Kolkata', aliases: ['Ahmednagar'] },
+  { id: 'shirdi', name: 'Shirdi', state: 'Maharashtra', country: 'India', latitude: 19.7645, longitude: 74.4769, timezone: 'Asia/Kolkata' },
+  { id: 'navi-mumbai', name: 'Navi Mumbai', state: 'Maharashtra', country: 'India', latitude: 19.033, longitude: 73.0297, timezone: 'Asia/Kolkata' },
+  { id: 'panaji', name: 'Panaji', state: 'Goa', country: 'India', latitude: 15.4909, longitude: 73.8278, timezone: 'Asia/Kolkata', aliases: ['Goa', 'Panjim'] },
+  { id: 'margao', name: 'Margao', state: 'Goa', country: 'India', latitude: 15.2832, longitude: 73.9862, timezone: 'Asia/Kolkata', aliases: ['Madgaon'] },
+  { id: 'jabalpur', name: 'Jabalpur', state: 'Madhya Pradesh', country: 'India', latitude: 23.1815, longitude: 79.9864, timezone: 'Asia/Kolkata' },
+  { id: 'gwalior', name: 'Gwalior', state: 'Madhya Pradesh', country: 'India', latitude: 26.2183, longitude: 78.1828, timezone: 'Asia/Kolkata' },
+  { id: 'ujjain', name: 'Ujjain', state: 'Madhya Pradesh', country: 'India', latitude: 23.1765, longitude: 75.7885, timezone: 'Asia/Kolkata' },
+  { id: 'sagar', name: 'Sagar', state: 'Madhya Pradesh', country: 'India', latitude: 23.8388, longitude: 78.7378, timezone: 'Asia/Kolkata' },
+  { id: 'satna', name: 'Satna', state: 'Madhya Pradesh', country: 'India', latitude: 24.6005, longitude: 80.8322, timezone: 'Asia/Kolkata' },
+  { id: 'rewa', name: 'Rewa', state: 'Madhya Pradesh', country: 'India', latitude: 24.5362, longitude: 81.3037, timezone: 'Asia/Kolkata' },
+  { id: 'ratlam', name: 'Ratlam', state: 'Madhya Pradesh', country: 'India', latitude: 23.3315, longitude: 75.0367, timezone: 'Asia/Kolkata' },
+  { id: 'raipur', name: 'Raipur', state: 'Chhattisgarh', country: 'India', latitude: 21.2514, longitude: 81.6296, timezone: 'Asia/Kolkata' },
+  { id: 'bilaspur', name: 'Bilaspur', state: 'Chhattisgarh', country: 'India', latitude: 22.0797, longitude: 82.1391, timezone: 'Asia/Kolkata' },
+  { id: 'bhilai', name: 'Bhilai', state: 'Chhattisgarh', country: 'India', latitude: 21.1938, longitude: 81.3509, timezone: 'Asia/Kolkata' },
+  { id: 'durg', name: 'Durg', state: 'Chhattisgarh', country: 'India', latitude: 21.1904, longitude: 81.2849, timezone: 'Asia/Kolkata' },
+  { id: 'korba', name: 'Korba', state: 'Chhattisgarh', country: 'India', latitude: 22.3595, longitude: 82.7501, timezone: 'Asia/Kolkata' },
+  { id: 'ranchi', name: 'Ranchi', state: 'Jharkhand', country: 'India', latitude: 23.3441, longitude: 85.3096, timezone: 'Asia/Kolkata' },
+  { id: 'jamshedpur', name: 'Jamshedpur', state: 'Jharkhand', country: 'India', latitude: 22.8046, longitude: 86.2029, timezone: 'Asia/Kolkata' },
+  { id: 'dhanbad', name: 'Dhanbad', state: 'Jharkhand', country: 'India', latitude: 23.7957, longitude: 86.4304, timezone: 'Asia/Kolkata' },
+  { id: 'bokaro', name: 'Bokaro', state: 'Jharkhand', country: 'India', latitude: 23.6693, longitude: 86.1511, timezone: 'Asia/Kolkata' },
+  { id: 'hazaribagh', name: 'Hazaribagh', state: 'Jharkhand', country: 'India', latitude: 23.9925, longitude: 85.3637, timezone: 'Asia/Kolkata' },
+  { id: 'deoghar', name: 'Deoghar', state: 'Jharkhand', country: 'India', latitude: 24.482, longitude: 86.695, timezone: 'Asia/Kolkata' },
+  { id: 'gaya', name: 'Gaya', state: 'Bihar', country: 'India', latitude: 24.7914, longitude: 85.0002, timezone: 'Asia/Kolkata' },
+  { id: 'muzaffarpur', name: 'Muzaffarpur', state: 'Bihar', country: 'India', latitude: 26.1209, longitude: 85.3647, timezone: 'Asia/Kolkata' },
+  { id: 'bhagalpur', name: 'Bhagalpur', state: 'Bihar', country: 'India', latitude: 25.2425, longitude: 86.9842, timezone: 'Asia/Kolkata' },
+  { id: 'darbhanga', name: 'Darbhanga', state: 'Bihar', country: 'India', latitude: 26.1542, longitude: 85.8918, timezone: 'Asia/Kolkata' },
+  { id: 'purnia', name: 'Purnia', state: 'Bihar', country: 'India', latitude: 25.7771, longitude: 87.4753, timezone: 'Asia/Kolkata' },
+  { id: 'begusarai', name: 'Begusarai', state: 'Bihar', country: 'India', latitude: 25.4182, longitude: 86.1272, timezone: 'Asia/Kolkata' },
+  { id: 'howrah', name: 'Howrah', state: 'West Bengal', country: 'India', latitude: 22.5958, longitude: 88.2636, timezone: 'Asia/Kolkata' },
+  { id: 'siliguri', name: 'Siliguri', state: 'West Bengal', country: 'India', latitude: 26.7271, longitude: 88.3953, timezone: 'Asia/Kolkata' },
+  { id: 'durgapur', name: 'Durgapur', state: 'West Bengal', country: 'India', latitude: 23.5204, longitude: 87.3119, timezone: 'Asia/Kolkata' },
+  { id: 'asansol', name: 'Asansol', state: 'West Bengal', country: 'India', latitude: 23.6739, longitude: 86.9524, timezone: 'Asia/Kolkata' },
+  { id: 'kharagpur', name: 'Kharagpur', state: 'West Bengal', country: 'India', latitude: 22.346, longitude: 87.232, timezone: 'Asia/Kolkata' },
+  { id: 'bhubaneswar', name: 'Bhubaneswar', state: 'Odisha', country: 'India', latitude: 20.2961, longitude: 85.8245, timezone: 'Asia/Kolkata' },
+  { id: 'cuttack', name: 'Cuttack', state: 'Odisha', country: 'India', latitude: 20.4625, longitude: 85.883, timezone: 'Asia/Kolkata' },
+  { id: 'puri', name: 'Puri', state: 'Odisha', country: 'India', latitude: 19.8135, longitude: 85.8312, timezone: 'Asia/Kolkata' },
+  { id: 'rourkela', name: 'Rourkela', state: 'Odisha', country: 'India', latitude: 22.2604, longitude: 84.8536, timezone: 'Asia/Kolkata' },
+  { id: 'sambalpur', name: 'Sambalpur', state: 'Odisha', country: 'India', latitude: 21.4669, longitude: 83.9812, timezone: 'Asia/Kolkata' },
+  { id: 'berhampur', name: 'Berhampur', state: 'Odisha', country: 'India', latitude: 19.315, longitude: 84.7941, timezone: 'Asia/Kolkata', aliases: ['Brahmapur'] },
+  { id: 'guwahati', name: 'Guwahati', state: 'Assam', country: 'India', latitude: 26.1445, longitude: 91.7362, timezone: 'Asia/Kolkata', aliases: ['Gauhati'] },
+  { id: 'dibrugarh', name: 'Dibrugarh', state: 'Assam', country: 'India', latitude: 27.4728, longitude: 94.912, timezone: 'Asia/Kolkata' },
+  { id: 'jorhat', name: 'Jorhat', state: 'Assam', country: 'India', latitude: 26.7509, longitude: 94.2037, timezone: 'Asia/Kolkata' },
+  { id: 'silchar', name: 'Silchar', state: 'Assam', country: 'India', latitude: 24.8333, longitude: 92.7789, timezone: 'Asia/Kolkata' },
+  { id: 'shillong', name: 'Shillong', state: 'Meghalaya', country: 'India', latitude: 25.5788, longitude: 91.8933, timezone: 'Asia/Kolkata' },
+  { id: 'imphal', name: 'Imphal', state: 'Manipur', country: 'India', latitude: 24.817, longitude: 93.9368, timezone: 'Asia/Kolkata' },
+  { id: 'agartala', name: 'Agartala', state: 'Tripura', country: 'India', latitude: 23.8315, longitude: 91.2868, timezone: 'Asia/Kolkata' },
+  { id: 'aizawl', name: 'Aizawl', state: 'Mizoram', country: 'India', latitude: 23.7271, longitude: 92.7176, timezone: 'Asia/Kolkata' },
+  { id: 'kohima', name: 'Kohima', state: 'Nagaland', country: 'India', latitude: 25.6751, longitude: 94.1086, timezone: 'Asia/Kolkata' },
+  { id: 'dimapur', name: 'Dimapur', state: 'Nagaland', country: 'India', latitude: 25.9091, longitude: 93.7266, timezone: 'Asia/Kolkata' },
+  { id: 'itanagar', name: 'Itanagar', state: 'Arunachal Pradesh', country: 'India', latitude: 27.0844, longitude: 93.6053, timezone: 'Asia/Kolkata' },
+  { id: 'gangtok', name: 'Gangtok', state: 'Sikkim', country: 'India', latitude: 27.3389, longitude: 88.6065, timezone: 'Asia/Kolkata' },
+  { id: 'vijayawada', name: 'Vijayawada', state: 'Andhra Pradesh', country: 'India', latitude: 16.5062, longitude: 80.648, timezone: 'Asia/Kolkata', aliases: ['Bezawada'] },
+  { id: 'guntur', name: 'Guntur', state: 'Andhra Pradesh', country: 'India', latitude: 16.3067, longitude: 80.4365, timezone: 'Asia/Kolkata' },
+  { id: 'nellore', name: 'Nellore', state: 'Andhra Pradesh', country: 'India', latitude: 14.4426, longitude: 79.9865, timezone: 'Asia/Kolkata' },
+  { id: 'kurnool', name: 'Kurnool', state: 'Andhra Pradesh', country: 'India', latitude: 15.8281, longitude: 78.0373, timezone: 'Asia/Kolkata' },
+  { id: 'kakinada', name: 'Kakinada', state: 'Andhra Pradesh', country: 'India', latitude: 16.9891, longitude: 82.2475, timezone: 'Asia/Kolkata' },
+  { id: 'rajahmundry', name: 'Rajahmundry', state: 'Andhra Pradesh', country: 'India', latitude: 17.0005, longitude: 81.804, timezone: 'Asia/Kolkata', aliases: ['Rajamahendravaram'] },
+  { id: 'tirupati', name: 'Tirupati', state: 'Andhra Pradesh', country: 'India', latitude: 13.6288, longitude: 79.4192, timezone: 'Asia/Kolkata' },
+  { id: 'anantapur', name: 'Anantapur', state: 'Andhra Pradesh', country: 'India', latitude: 14.6819, longitude: 77.6006, timezone: 'Asia/Kolkata' },
+  { id: 'warangal', name: 'Warangal', state: 'Telangana', country: 'India', latitude: 17.9689, longitude: 79.5941, timezone: 'Asia/Kolkata' },
+  { id: 'karimnagar', name: 'Karimnagar', state: 'Telangana', country: 'India', latitude: 18.4386, longitude: 79.1288, timezone: 'Asia/Kolkata' },
+  { id: 'nizamabad', name: 'Nizamabad', state: 'Telangana', country: 'India', latitude: 18.6725, longitude: 78.0941, timezone: 'Asia/Kolkata' },
+  { id: 'khammam', name: 'Khammam', state: 'Telangana', country: 'India', latitude: 17.2473, longitude: 80.1514, timezone: 'Asia/Kolkata' },
+  { id: 'mysuru', name: 'Mysuru', state: 'Karnataka', country: 'India', latitude: 12.2958, longitude: 76.6394, timezone: 'Asia/Kolkata', aliases: ['Mysore'] },
+  { id: 'mangaluru', name: 'Mangaluru', state: 'Karnataka', country: 'India', latitude: 12.9141, longitude: 74.856, timezone: 'Asia/Kolkata', aliases: ['Mangalore'] },
+  { id: 'hubballi', name: 'Hubballi', state: 'Karnataka', country: 'India', latitude: 15.3647, longitude: 75.124, timezone: 'Asia/Kolkata', aliases: ['Hubli', 'Dharwad'] },
+  { id: 'belagavi', name: 'Belagavi', state: 'Karnataka', country: 'India', latitude: 15.8497, longitude: 74.4977, timezone: 'Asia/Kolkata', aliases: ['Belgaum'] },
+  { id: 'davanagere', name: 'Davanagere', state: 'Karnataka', country: 'India', latitude: 14.4644, longitude: 75.9218, timezone: 'Asia/Kolkata' },
+  { id: 'ballari', name: 'Ballari', state: 'Karnataka', country: 'India', latitude: 15.1394, longitude: 76.9214, timezone: 'Asia/Kolkata', aliases: ['Bellary'] },
+  { id: 'kalaburagi', name: 'Kalaburagi', state: 'Karnataka', country: 'India', latitude: 17.3297, longitude: 76.8343, timezone: 'Asia/Kolkata', aliases: ['Gulbarga'] },
+  { id: 'udupi', name: 'Udupi', state: 'Karnataka', country: 'India', latitude: 13.3409, longitude: 74.7421, timezone: 'Asia/Kolkata' },
+  { id: 'shivamogga', name: 'Shivamogga', state: 'Karnataka', country: 'India', latitude: 13.9299, longitude: 75.5681, timezone: 'Asia/Kolkata', aliases: ['Shimoga'] },
+  { id: 'coimbatore', name: 'Coimbatore', state: 'Tamil Nadu', country: 'India', latitude: 11.0168, longitude: 76.9558, timezone: 'Asia/Kolkata' },
+  { id: 'madurai', name: 'Madurai', state: 'Tamil Nadu', country: 'India', latitude: 9.9252, longitude: 78.1198, timezone: 'Asia/Kolkata' },
+  { id: 'tiruchirappalli', name: 'Tiruchirappalli', state: 'Tamil Nadu', country: 'India', latitude: 10.7905, longitude: 78.7047, timezone: 'Asia/Kolkata', aliases: ['Trichy'] },
+  { id: 'salem', name: 'Salem', state: 'Tamil Nadu', country: 'India', latitude: 11.6643, longitude: 78.146, timezone: 'Asia/Kolkata' },
+  { id: 'tirunelveli', name: 'Tirunelveli', state: 'Tamil Nadu', country: 'India', latitude: 8.7139, longitude: 77.7567, timezone: 'Asia/Kolkata' },
+  { id: 'vellore', name: 'Vellore', state: 'Tamil Nadu', country: 'India', latitude: 12.9165, longitude: 79.1325, timezone: 'Asia/Kolkata' },
+  { id: 'erode', name: 'Erode', state: 'Tamil Nadu', country: 'India', latitude: 11.341, longitude: 77.7172, timezone: 'Asia/Kolkata' },
+  { id: 'thanjavur', name: 'Thanjavur', state: 'Tamil Nadu', country: 'India', latitude: 10.787, longitude: 79.1378, timezone: 'Asia/Kolkata', aliases: ['Tanjore'] },
+  { id: 'tiruppur', name: 'Tiruppur', state: 'Tamil Nadu', country: 'India', latitude: 11.1085, longitude: 77.3411, timezone: 'Asia/Kolkata' },
+  { id: 'rameswaram', name: 'Rameswaram', state: 'Tamil Nadu', country: 'India', latitude: 9.2876, longitude: 79.3129, timezone: 'Asia/Kolkata' },
+  { id: 'kanyakumari', name: 'Kanyakumari', state: 'Tamil Nadu', country: 'India', latitude: 8.0883, longitude: 77.5385, timezone: 'Asia/Kolkata' },
+  { id: 'puducherry', name: 'Puducherry', state: 'Puducherry', country: 'India', latitude: 11.9416, longitude: 79.8083, timezone: 'Asia/Kolkata', aliases: ['Pondicherry'] },
+  { id: 'thiruvananthapuram', name: 'Thiruvananthapuram', state: 'Kerala', country: 'India', latitude: 8.5241, longitude: 76.9366, timezone: 'Asia/Kolkata', aliases: ['Trivandrum'] },
+  { id: 'kochi', name: 'Kochi', state: 'Kerala', country: 'India', latitude: 9.9312, longitude: 76.2673, timezone: 'Asia/Kolkata', aliases: ['Cochin', 'Ernakulam'] },
+  { id: 'kozhikode', name: 'Kozhikode', state: 'Kerala', country: 'India', latitude: 11.2588, longitude: 75.7804, timezone: 'Asia/Kolkata', aliases: ['Calicut'] },
+  { id: 'thrissur', name: 'Thrissur', state: 'Kerala', country: 'India', latitude: 10.5276, longitude: 76.2144, timezone: 'Asia/Kolkata', aliases: ['Trichur'] },
+  { id: 'kollam', name: 'Kollam', state: 'Kerala', country: 'India', latitude: 8.8932, longitude: 76.6141, timezone: 'Asia/Kolkata', aliases: ['Quilon'] },
+  { id: 'kannur', name: 'Kannur', state: 'Kerala', country: 'India', latitude: 11.8745, longitude: 75.3704, timezone: 'Asia/Kolkata', aliases: ['Cannanore'] },
+  { id: 'alappuzha', name: 'Alappuzha', state: 'Kerala', country: 'India', latitude: 9.4981, longitude: 76.3388, timezone: 'Asia/Kolkata', aliases: ['Alleppey'] },
+  { id: 'palakkad', name: 'Palakkad', state: 'Kerala', country: 'India', latitude: 10.7867, longitude: 76.6548, timezone: 'Asia/Kolkata', aliases: ['Palghat'] },
+  { id: 'port-blair', name: 'Sri Vijaya Puram', state: 'Andaman and Nicobar Islands', country: 'India', latitude: 11.6234, longitude: 92.7265, timezone: 'Asia/Kolkata', aliases: ['Port Blair'] },
+
+  // Rest of the world
+  { id: 'kathmandu', name: 'Kathmandu', country: 'Nepal', latitude: 27.7172, longitude: 85.324, timezone: 'Asia/Kathmandu' },
+  { id: 'pokhara', name: 'Pokhara', country: 'Nepal', latitude: 28.2096, longitude: 83.9856, timezone: 'Asia/Kathmandu' },
+  { id: 'dhaka', name: 'Dhaka', country: 'Bangladesh', latitude: 23.8103, longitude: 90.4125, timezone: 'Asia/Dhaka', aliases: ['Dacca'] },
+  { id: 'chittagong', name: 'Chattogram', country: 'Bangladesh', latitude: 22.3569, longitude: 91.7832, timezone: 'Asia/Dhaka', aliases: ['Chittagong'] },
+  { id: 'karachi', name: 'Karachi', country: 'Pakistan', latitude: 24.8607, longitude: 67.0011, timezone: 'Asia/Karachi' },
+  { id: 'lahore', name: 'Lahore', country: 'Pakistan', latitude: 31.5204, longitude: 74.3587, timezone: 'Asia/Karachi' },
+  { id: 'islamabad', name: 'Islamabad', country: 'Pakistan', latitude: 33.6844, longitude: 73.0479, timezone: 'Asia/Karachi' },
+  { id: 'colombo', name: 'Colombo', country: 'Sri Lanka', latitude: 6.9271, longitude: 79.8612, timezone: 'Asia/Colombo' },
+  { id: 'kandy', name: 'Kandy', country: 'Sri Lanka', latitude: 7.2906, longitude: 80.6337, timezone: 'Asia/Colombo' },
+  { id: 'thimphu', name: 'Thimphu', country: 'Bhutan', latitude: 27.4728, longitude: 89.639, timezone: 'Asia/Thimphu' },
+  { id: 'male', name: 'Male', country: 'Maldives', latitude: 4.1755, longitude: 73.5093, timezone: 'Indian/Maldives' },
+  { id: 'kabul', name: 'Kabul', country: 'Afghanistan', latitude: 34.5553, longitude: 69.2075, timezone: 'Asia/Kabul' },
+  { id: 'dubai', name: 'Dubai', country: 'United Arab Emirates', latitude: 25.2048, longitude: 55.2708, timezone: 'Asia/Dubai' },
+  { id: 'abu-dhabi', name: 'Abu Dhabi', country: 'United Arab Emirates', latitude: 24.4539, longitude: 54.3773, timezone: 'Asia/Dubai' },
+  { id: 'sharjah', name: 'Sharjah', country: 'United Arab Emirates', latitude: 25.3463, longitude: 55.4209, timezone: 'Asia/Dubai' },
+  { id: 'muscat', name: 'Muscat', country: 'Oman', latitude: 23.588, longitude: 58.3829, timezone: 'Asia/Muscat' },
+  { id: 'doha', name: 'Doha', country: 'Qatar', latitude: 25.2854, longitude: 51.531, timezone: 'Asia/Qatar' },
+  { id: 'kuwait-city', name: 'Kuwait City', country: 'Kuwait', latitude: 29.3759, longitude: 47.9774, timezone: 'Asia/Kuwait' },
+  { id: 'manama', name: 'Manama', country: 'Bahrain', latitude: 26.2285, longitude: 50.586, timezone: 'Asia/Bahrain' },
+  { id: 'riyadh', name: 'Riyadh', country: 'Saudi Arabia', latitude: 24.7136, longitude: 46.6753, timezone: 'Asia/Riyadh' },
+  { id: 'jeddah', name: 'Jeddah', country: 'Saudi Arabia', latitude: 21.4858, longitude: 39.1925, timezone: 'Asia/Riyadh' },
+  { id: 'singapore', name: 'Singapore', country: 'Singapore', latitude: 1.3521, longitude: 103.8198, timezone: 'Asia/Singapore' },
+  { id: 'kuala-lumpur', name: 'Kuala Lumpur', country: 'Malaysia', latitude: 3.139, longitude: 101.6869, timezone: 'Asia/Kuala_Lumpur' },
+  { id: 'bangkok', name: 'Bangkok', country: 'Thailand', latitude: 13.7563, longitude: 100.5018, timezone: 'Asia/Bangkok' },
+  { id: 'jakarta', name: 'Jakarta', country: 'Indonesia', latitude: -6.2088, longitude: 106.8456, timezone: 'Asia/Jakarta' },
+  { id: 'hong-kong', name: 'Hong Kong', country: 'China', latitude: 22.3193, longitude: 114.1694, timezone: 'Asia/Hong_Kong' },
+  { id: 'shanghai', name: 'Shanghai', country: 'China', latitude: 31.2304, longitude: 121.4737, timezone: 'Asia/Shanghai' },
+  { id: 'beijing', name: 'Beijing', country: 'China', latitude: 39.9042, longitude: 116.4074, timezone: 'Asia/Shanghai', aliases: ['Peking'] },
+  { id: 'tokyo', name: 'Tokyo', country: 'Japan', latitude: 35.6762, longitude: 139.6503, timezone: 'Asia/Tokyo' },
+  { id: 'manila', name: 'Manila', country: 'Philippines', latitude: 14.5995, longitude: 120.9842, timezone: 'Asia/Manila' },
+  { id: 'london', name: 'London', state: 'England', country: 'United Kingdom', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London' },
+  { id: 'birmingham', name: 'Birmingham', state: 'England', country: 'United Kingdom', latitude: 52.4862, longitude: -1.8904, timezone: 'Europe/London' },
+  { id: 'leicester', name: 'Leicester', state: 'England', country: 'United Kingdom', latitude: 52.6369, longitude: -1.1398, timezone: 'Europe/London' },
+  { id: 'manchester', name: 'Manchester', state: 'England', country: 'United Kingdom', latitude: 53.4808, longitude: -2.2426, timezone: 'Europe/London' },
+  { id: 'edinburgh', name: 'Edinburgh', state: 'Scotland', country: 'United Kingdom', latitude: 55.9533, longitude: -3.1883, timezone: 'Europe/London' },
+  { id: 'dublin', name: 'Dublin', country: 'Ireland', latitude: 53.3498, longitude: -6.2603, timezone: 'Europe/Dublin' },
+  { id: 'paris', name: 'Paris', country: 'France', latitude: 48.8566, longitude: 2.3522, timezone: 'Europe/Paris' },
+  { id: 'berlin', name: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.405, timezone: 'Europe/Berlin' },
+  { id: 'frankfurt', name: 'Frankfurt', country: 'Germany', latitude: 50.1109, longitude: 8.6821, timezone: 'Europe/Berlin' },
+  { id: 'munich', name: 'Munich', country: 'Germany', latitude: 48.1351, longitude: 11.582, timezone: 'Europe/Berlin' },
+  { id: 'amsterdam', name: 'Amsterdam', country: 'Netherlands', latitude: 52.3676, longitude: 4.9041, timezone: 'Europe/Amsterdam' },
+  { id: 'brussels', name: 'Brussels', country: 'Belgium', latitude: 50.8503, longitude: 4.3517, timezone: 'Europe/Brussels' },
+  { id: 'zurich', name: 'Zurich', country: 'Switzerland', latitude: 47.3769, longitude: 8.5417, timezone: 'Europe/Zurich' },
+  { id: 'rome', name: 'Rome', country: 'Italy', latitude: 41.9028, longitude: 12.4964, timezone: 'Europe/Rome' },
+  { id: 'milan', name: 'Milan', country: 'Italy', latitude: 45.4642, longitude: 9.19, timezone: 'Europe/Rome' },
+  { id: 'madrid', name: 'Madrid', country: 'Spain', latitude: 40.4168, longitude: -3.7038, timezone: 'Europe/Madrid' },
+  { id: 'vienna', name: 'Vienna', country: 'Austria', latitude: 48.2082, longitude: 16.3738, timezone: 'Europe/Vienna' },
+  { id: 'stockholm', name: 'Stockholm', country: 'Sweden', latitude: 59.3293, longitude: 18.0686, timezone: 'Europe/Stockholm' },
+  { id: 'oslo', name: 'Oslo', country: 'Norway', latitude: 59.9139, longitude: 10.7522, timezone: 'Europe/Oslo' },
+  { id: 'copenhagen', name: 'Copenhagen', country: 'Denmark', latitude: 55.6761, longitude: 12.5683, timezone: 'Europe/Copenhagen' },
+  { id: 'warsaw', name: 'Warsaw', country: 'Poland', latitude: 52.2297, longitude: 21.0122, timezone: 'Europe/Warsaw' },
+  { id: 'athens', name: 'Athens', country: 'Greece', latitude: 37.9838, longitude: 23.7275, timezone: 'Europe/Athens' },
+  { id: 'istanbul', name: 'Istanbul', country: 'Turkey', latitude: 41.0082, longitude: 28.9784, timezone: 'Europe/Istanbul' },
+  { id: 'moscow', name: 'Moscow', country: 'Russia', latitude: 55.7558, longitude: 37.6173, timezone: 'Europe/Moscow' },
+  { id: 'new-york', name: 'New York', state: 'New York', country: 'United States', latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York' },
+  { id: 'edison', name: 'Edison', state: 'New Jersey', country: 'United States', latitude: 40.5187, longitude: -74.4121, timezone: 'America/New_York' },
+  { id: 'boston', name: 'Boston', state: 'Massachusetts', country: 'United States', latitude: 42.3601, longitude: -71.0589, timezone: 'America/New_York' },
+  { id: 'washington', name: 'Washington', state: 'District of Columbia', country: 'United States', latitude: 38.9072, longitude: -77.0369, timezone: 'America/New_York' },
+  { id: 'atlanta', name: 'Atlanta', state: 'Georgia', country: 'United States', latitude: 33.749, longitude: -84.388, timezone: 'America/New_York' },
+  { id: 'miami', name: 'Miami', state: 'Florida', country: 'United States', latitude: 25.7617, longitude: -80.1918, timezone: 'America/New_York' },
+  { id: 'chicago', name: 'Chicago', state: 'Illinois', country: 'United States', latitude: 41.8781, longitude: -87.6298, timezone: 'America/Chicago' },
+  { id: 'houston', name: 'Houston', state: 'Texas', country: 'United States', latitude: 29.7604, longitude: -95.3698, timezone: 'America/Chicago' },
+  { id: 'dallas', name: 'Dallas', state: 'Texas', country: 'United States', latitude: 32.7767, longitude: -96.797, timezone: 'America/Chicago' },
+  { id: 'denver', name: 'Denver', state: 'Colorado', country: 'United States', latitude: 39.7392, longitude: -104.9903, timezone: 'America/Denver' },
+  { id: 'phoenix', name: 'Phoenix', state: 'Arizona', country: 'United States', latitude: 33.4484, longitude: -112.074, timezone: 'America/Phoenix' },
+  { id: 'los-angeles', name: 'Los Angeles', state: 'California', country: 'United States', latitude: 34.0522, longitude: -118.2437, timezone: 'America/Los_Angeles' },
+  { id: 'san-francisco', name: 'San Francisco', state: 'California', country: 'United States', latitude: 37.7749, longitude: -122.4194, timezone: 'America/Los_Angeles' },
+  { id: 'san-jose', name: 'San Jose', state: 'California', country: 'United States', latitude: 37.3382, longitude: -121.8863, timezone: 'America/Los_Angeles' },
+  { id: 'seattle', name: 'Seattle', state: 'Washington', country: 'United States', latitude: 47.6062, longitude: -122.3321, timezone: 'America/Los_Angeles' },
+  { id: 'toronto', name: 'Toronto', state: 'Ontario', country: 'Canada', latitude: 43.6532, longitude: -79.3832, timezone: 'America/Toronto' },
+  { id: 'brampton', name: 'Brampton', state: 'Ontario', country: 'Canada', latitude: 43.7315, longitude: -79.7624, timezone: 'America/Toronto' },
+  { id: 'montreal', name: 'Montreal', state: 'Quebec', country: 'Canada', latitude: 45.5017, longitude: -73.5673, timezone: 'America/Toronto' },
+  { id: 'calgary', name: 'Calgary', state: 'Alberta', country: 'Canada', latitude: 51.0447, longitude: -114.0719, timezone: 'America/Edmonton' },
+  { id: 'edmonton', name: 'Edmonton', state: 'Alberta', country: 'Canada', latitude: 53.5461, longitude: -113.4938, timezone: 'America/Edmonton' },
+  { id: 'vancouver', name: 'Vancouver', state: 'British Columbia', country: 'Canada', latitude: 49.2827, longitude: -123.1207, timezone: 'America/Vancouver' },
+  { id: 'surrey-bc', name: 'Surrey', state: 'British Columbia', country: 'Canada', latitude: 49.1913, longitude: -122.849, timezone: 'America/Vancouver' },
+  { id: 'mexico-city', name: 'Mexico City', country: 'Mexico', latitude: 19.4326, longitude: -99.1332, timezone: 'America/Mexico_City' },
+  { id: 'port-of-spain', name: 'Port of Spain', country: 'Trinidad and Tobago', latitude: 10.6549, longitude: -61.5019, timezone: 'America/Port_of_Spain' },
+  { id: 'georgetown', name: 'Georgetown', country: 'Guyana', latitude: 6.8013, longitude: -58.1551, timezone: 'America/Guyana' },
+  { id: 'paramaribo', name: 'Paramaribo', country: 'Suriname', latitude: 5.852, longitude: -55.2038, timezone: 'America/Paramaribo' },
+  { id: 'johannesburg', name: 'Johannesburg', country: 'South Africa', latitude: -26.2041, longitude: 28.0473, timezone: 'Africa/Johannesburg' },
+  { id: 'durban', name: 'Durban', country: 'South Africa', latitude: -29.8587, longitude: 31.0218, timezone: 'Africa/Johannesburg' },
+  { id: 'nairobi', name: 'Nairobi', country: 'Kenya', latitude: -1.2921, longitude: 36.8219, timezone: 'Africa/Nairobi' },
+  { id: 'mombasa', name: 'Mombasa', country: 'Kenya', latitude: -4.0435, longitude: 39.6682, timezone: 'Africa/Nairobi' },
+  { id: 'dar-es-salaam', name: 'Dar es Salaam', country: 'Tanzania', latitude: -6.7924, longitude: 39.2083, timezone: 'Africa/Dar_es_Salaam' },
+  { id: 'kampala', name: 'Kampala', country: 'Uganda', latitude: 0.3476, longitude: 32.5825, timezone: 'Africa/Kampala' },
+  { id: 'lagos', name: 'Lagos', country: 'Nigeria', latitude: 6.5244, longitude: 3.3792, timezone: 'Africa/Lagos' },
+  { id: 'port-louis', name: 'Port Louis', country: 'Mauritius', latitude: -20.1609, longitude: 57.5012, timezone: 'Indian/Mauritius' },
+  { id: 'sydney', name: 'Sydney', state: 'New South Wales', country: 'Australia', latitude: -33.8688, longitude: 151.2093, timezone: 'Australia/Sydney' },
+  { id: 'melbourne', name: 'Melbourne', state: 'Victoria', country: 'Australia', latitude: -37.8136, longitude: 144.9631, timezone: 'Australia/Melbourne' },
+  { id: 'adelaide', name: 'Adelaide', state: 'South Australia', country: 'Australia', latitude: -34.9285, longitude: 138.6007, timezone: 'Australia/Adelaide' },
+  { id: 'brisbane', name: 'Brisbane', state: 'Queensland', country: 'Australia', latitude: -27.4698, longitude: 153.0251, timezone: 'Australia/Brisbane' },
+  { id: 'perth', name: 'Perth', state: 'Western Australia', country: 'Australia', latitude: -31.9505, longitude: 115.8605, timezone: 'Australia/Perth' },
+  { id: 'auckland', name: 'Auckland', country: 'New Zealand', latitude: -36.8485, longitude: 174.7633, timezone: 'Pacific/Auckland' },
+];
+
+// Default location when the user has not picked one
+export const DEFAULT_CITY_ID = 'delhi';
+
+export const getCityById = (id) => {
+  return cities.find(city => city.id === id);
+};
+
+// "Mumbai, Maharashtra, India"
+export const formatCityName = (city) => {
+  if (!city) return '';
+  return [city.name, city.state, city.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Structured place fields stored on a profile next to the display name.
+ * A null city (custom place typed by the user) clears them.
+ */
+export const getBirthPlaceFields = (city) => ({
+  birthPlaceId: city?.id || null,
+  birthLatitude: city ? city.latitude : null,
+  birthLongitude: city ? city.longitude : null,
+  birthTimezone: city?.timezone || null,
+});
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Search by city, alias (old names such as Bombay), state or country.
+ * Cities whose name starts with the query are listed first.
+ * @param {string} query - Free text typed by the user
+ * @param {number} limit - Maximum number of results
+ */
+export const searchCities = (query, limit = 50) => {
+  const normalizedQuery = normalize(query || '');
+  if (!normalizedQuery) return cities.slice(0, limit);
+
+  const scored = [];
+  cities.forEach((city) => {
+    const names = [city.name, ...(city.aliases || [])].map(normalize);
+    let score = null;
+
+    if (names.some(name => name.startsWith(normalizedQuery))) {
+      score = 0;
+    } else if (names.some(name => name.includes(normalizedQuery))) {
+      score = 1;
+    } else if ([city.state, city.country].some(field => field && normalize(field).startsWith(normalizedQuery))) {
+      score = 2;
+    }
+
+    if (score !== null) {
+      scored.push({ city, score });
+    }
+  });
+
+  return scored
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(entry => entry.city);
+};
+
+/**
+ * Best-effort match of a free-text place (e.g. "Mumbai, Maharashtra") to a
+ * gazetteer city, used for profiles saved before structured places existed.
+ * @returns {Object|null} City, or null when nothing matches confidently
+ */
+export const findCityByName = (placeName) => {
+  if (!placeName) return null;
+  const firstPart = normalize(placeName.split(',')[0]);
+  if (!firstPart) return null;
+
+  return cities.find(city => (
+    [city.name, ...(city.aliases || [])].some(name => normalize(name) === firstPart)
+  )) || null;
+};
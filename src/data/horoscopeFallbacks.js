@@ -0,0 +1,63 @@
+/**
+ * Bundled horoscope text used when no online provider is reachable.
+ * Readings are assembled from a sign-specific focus and a period message,
+ * picked deterministically from the date so the text is stable for the period.
+ */
+
+export const SIGN_FOCUS = {
+  aries: 'Your energy is high and others notice your drive. Channel it into one clear goal instead of many small fights.',
+  taurus: 'Steady effort pays off. Comfort and security matter to you, but a small change in routine opens a useful door.',
+  gemini: 'Conversations bring opportunities. Share your ideas, but finish what you start before chasing the next one.',
+  cancer: 'Home and family are on your mind. Trust your intuition about people, and make time to care for yourself too.',
+  leo: 'Your confidence draws people in. Lead with generosity and your efforts will be recognised.',
+  virgo: 'Details are your strength. Organise what is in front of you and let go of what you cannot control.',
+  libra: 'Balance and fairness guide you. A decision you have postponed becomes easier once you listen to your own needs.',
+  scorpio: 'Your focus is intense and productive. Keep your plans private until they are ready to be shared.',
+  sagittarius: 'Curiosity pulls you toward learning and travel. Keep promises small and realistic so you can keep them all.',
+  capricorn: 'Discipline brings results. Long-term plans move forward when you allow others to help you.',
+  aquarius: 'Fresh ideas come easily. Connect with friends and groups who share your vision.',
+  pisces: 'Your sensitivity is a gift. Creative and spiritual pursuits bring calm; set gentle boundaries with your time.',
+};
+
+export const PERIOD_MESSAGES = {
+  daily: [
+    'Start the day with a short prayer or moment of stillness and keep your words kind.',
+    'A pending task moves forward if you tackle it early. Avoid impulsive spending today.',
+    'Good news may come through a friend or family member. Stay open to advice.',
+    'Take care of your health with rest and simple food. Patience in conversations helps.',
+    'Favourable time to plan rather than rush. Small steps today lead to steady progress.',
+    'Old efforts show results. Express gratitude to those who supported you.',
+    'Avoid arguments over small matters. An evening walk or quiet time clears your mind.',
+  ],
+  weekly: [
+    'This week favours completing pending work before starting anything new. Mid-week brings clarity on a financial matter.',
+    'Relationships take the spotlight this week. Honest conversations strengthen bonds; avoid making promises in haste.',
+    'A productive week for career matters. Keep your schedule realistic and leave room for rest over the weekend.',
+    'Expect a change in plans early in the week that works in your favour. Stay flexible and keep expenses in check.',
+  ],
+  monthly: [
+    'This month brings steady progress at work. Financial discipline now builds security for the months ahead.',
+    'Family and home need attention this month. Resolve old misunderstandings and plan a meaningful gathering.',
+    'A month of learning and growth. New skills or courses started now bring long-term benefits.',
+    'Health and routine deserve priority this month. Regular sleep and exercise lift your mood and energy.',
+  ],
+  yearly: [
+    'This year rewards patience and consistent effort. Career growth comes steadily, and relationships deepen through shared responsibilities.',
+    'A year of new beginnings. Take calculated risks, look after your health, and invest time in the people who matter most.',
+  ],
+};
+
+// Stable index for a date-derived seed so the same period always shows the same message
+export const pickMessage = (messages, seed) => {
+  let hash = 0;
+  for (let index = 0; index < seed.length; index++) {
+    hash = (hash * 31 + seed.charCodeAt(index)) % 100000;
+  }
+  return messages[hash % messages.length];
+};
+
+export default {
+  SIGN_FOCUS,
+  PERIOD_MESSAGES,
+  pickMessage,
+};
@@ -0,0 +1,61 @@
+import { useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import {
+  handleAppointmentCancelled,
+  handleAppointmentRescheduled,
+  syncAppointmentReminders,
+} from '../utils/appointments';
+
+const getBookingId = (data) => data?.bookingId || data?.booking?._id || data?._id;
+
+/**
+ * Keeps the reminders for upcoming consultations in step with the server.
+ * Mounted once for the logged-in app: reminders are rebuilt from the user's
+ * bookings on start, and dropped or moved as soon as a booking is cancelled,
+ * auto-cancelled or rescheduled.
+ */
+const useAppointmentReminders = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const userId = user?._id || user?.id;
+
+  // Without the server's list the current reminders are left as they are
+  const syncReminders = useCallback(() => syncAppointmentReminders(), []);
+
+  useEffect(() => {
+    if (userId) syncReminders();
+  }, [userId, syncReminders]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleCancelled = (data) => {
+      const bookingId = getBookingId(data);
+      if (!bookingId) return;
+      console.log('⏰ [AppointmentReminders] Booking cancelled, dropping reminders:', bookingId);
+      handleAppointmentCancelled(bookingId);
+    };
+
+    const handleRescheduled = async (data) => {
+      const bookingId = getBookingId(data);
+      const scheduledTime = data?.newScheduledTime || data?.scheduledTime || data?.booking?.scheduledTime;
+      if (!bookingId || !scheduledTime) return;
+      console.log('⏰ [AppointmentReminders] Booking rescheduled:', bookingId, scheduledTime);
+      const handled = await handleAppointmentRescheduled(bookingId, scheduledTime);
+      if (!handled) syncReminders();
+    };
+
+    socket.on('booking_cancelled', handleCancelled);
+    socket.on('booking_auto_cancelled', handleCancelled);
+    socket.on('booking_rescheduled', handleRescheduled);
+
+    return () => {
+      socket.off('booking_cancelled', handleCancelled);
+      socket.off('booking_auto_cancelled', handleCancelled);
+      socket.off('booking_rescheduled', handleRescheduled);
+    };
+  }, [socket, syncReminders]);
+};
+
+export default useAppointmentReminders;
@@ -0,0 +1,141 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import { astrologersAPI } from '../services/api';
+import FCMService from '../services/FCMService';
+import {
+  getWaitlistEntry,
+  saveWaitlistEntry,
+  removeWaitlistEntry,
+  estimateWaitMinutes,
+} from '../utils/waitlistStore';
+
+// How often the queue position is re-read while waiting on the profile
+const POSITION_POLL_MS = 30000;
+
+// The API interceptor returns response.data, but some endpoints nest it once more
+const unwrap = (response) => {
+  if (response?.success && response.data) return response.data;
+  if (response?.data?.success) return response.data.data;
+  throw new Error(response?.message || response?.data?.message || 'Waitlist request failed');
+};
+
+/**
+ * The user's place in an astrologer's waitlist.
+ * Joining stores the entry on the device as well, so the app-wide
+ * WaitlistPrompt can tell the user when the astrologer comes online.
+ * @param {Object} astrologer - Astrologer being viewed
+ * @param {Boolean} available - Whether the astrologer can take a consultation now
+ */
+const useAstrologerWaitlist = (astrologer, available) => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const userId = user?._id || user?.id;
+  const astrologerId = astrologer?._id || astrologer?.id;
+
+  const [entry, setEntry] = useState(null);
+  const [updating, setUpdating] = useState(false);
+
+  const applyStatus = useCallback(async (status) => {
+    if (!status || status.position == null) return;
+    const next = {
+      astrologerId,
+      astrologerName: astrologer?.displayName || astrologer?.name,
+      profileImage: astrologer?.profileImage,
+      position: status.position,
+      estimatedWaitMinutes: status.estimatedWaitMinutes ?? null,
+      joinedAt: status.joinedAt,
+    };
+    await saveWaitlistEntry(userId, next);
+    setEntry(prev => ({ ...prev, ...next, joinedAt: next.joinedAt || prev?.joinedAt }));
+  }, [userId, astrologerId, astrologer?.displayName, astrologer?.name, astrologer?.profileImage]);
+
+  const refreshPosition = useCallback(async () => {
+    try {
+      const status = unwrap(await astrologersAPI.getWaitlistStatus(astrologerId));
+      if (status.position == null) {
+        // The server no longer has us in the queue
+        await removeWaitlistEntry(userId, astrologerId);
+        setEntry(null);
+        return;
+      }
+      await applyStatus(status);
+    } catch (error) {
+      console.log('⚠️ [Waitlist] Could not refresh queue position:', error.message);
+    }
+  }, [userId, astrologerId, applyStatus]);
+
+  // Restore a waitlist joined earlier
+  useEffect(() => {
+    if (!astrologerId) return;
+    getWaitlistEntry(userId, astrologerId).then((stored) => {
+      setEntry(stored);
+      if (stored) refreshPosition();
+    });
+  }, [userId, astrologerId]);
+
+  // Once the astrologer is free the wait is over; WaitlistPrompt takes it from here
+  useEffect(() => {
+    if (available) setEntry(null);
+  }, [available]);
+
+  const waiting = !!entry;
+  useEffect(() => {
+    if (!waiting || available) return;
+    const interval = setInterval(refreshPosition, POSITION_POLL_MS);
+    return () => clearInterval(interval);
+  }, [waiting, available, refreshPosition]);
+
+  useEffect(() => {
+    if (!socket || !astrologerId) return;
+
+    const handlePositionUpdate = (data) => {
+      if (data?.astrologerId !== astrologerId) return;
+      console.log('🔢 [Waitlist] Queue position update:', data);
+      // Late updates must not put back a waitlist the user has just left
+      getWaitlistEntry(userId, astrologerId).then((stored) => {
+        if (stored) applyStatus(data);
+      });
+    };
+
+    socket.on('waitlist_position_updated', handlePositionUpdate);
+    return () => socket.off('waitlist_position_updated', handlePositionUpdate);
+  }, [socket, userId, astrologerId, applyStatus]);
+
+  const joinWaitlist = useCallback(async (preferredType) => {
+    setUpdating(true);
+    try {
+      // The heads-up is a local notification, so ask before it is needed
+      await FCMService.requestPermissions();
+      const status = unwrap(await astrologersAPI.joinWaitlist(astrologerId, { preferredType }));
+      console.log('🔔 [Waitlist] Joined waitlist for', astrologerId, 'at position', status.position);
+      await applyStatus({ ...status, joinedAt: status.joinedAt || new Date().toISOString() });
+    } finally {
+      setUpdating(false);
+    }
+  }, [astrologerId, applyStatus]);
+
+  const leaveWaitlist = useCallback(async () => {
+    setUpdating(true);
+    try {
+      await astrologersAPI.leaveWaitlist(astrologerId);
+    } catch (error) {
+      // Leaving locally still stops the notification
+      console.log('⚠️ [Waitlist] Could not leave the server waitlist:', error.message);
+    } finally {
+      await removeWaitlistEntry(userId, astrologerId);
+      setEntry(null);
+      setUpdating(false);
+    }
+  }, [userId, astrologerId]);
+
+  return {
+    entry,
+    estimatedWaitMinutes: estimateWaitMinutes(entry, astrologer?.status === 'busy'),
+    updating,
+    joinWaitlist,
+    leaveWaitlist,
+  };
+};
+
+export default useAstrologerWaitlist;
@@ -0,0 +1,634 @@
+import { useState, useEffect, useRef, useCallback, useReducer } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import {
+  CHAT_PHASES,
+  CHAT_EVENTS,
+  MESSAGE_ACTIONS,
+  transitionChatPhase,
+  getPhaseFlags,
+  chatMessagesReducer,
+  normalizeChatMessage,
+  createSessionTimer,
+} from '../utils/chatEngine';
+import { createChatSocketAdapter, CHAT_MODES } from '../utils/chatSocketAdapter';
+import { createSessionClock } from '../utils/sessionClock';
+import { createMessageSync } from '../utils/messageSync';
+import {
+  OUTBOX_STATES,
+  enqueueMessage,
+  flushOutbox,
+  retryOutboxMessage,
+  markOutboxMessage,
+  getPendingOutboxMessages,
+  subscribeToOutbox,
+  clearOutboxRoom,
+} from '../utils/messageOutbox';
+import { getAttachmentLabel, validateAttachment, uploadAttachment } from '../utils/chatAttachments';
+import { applyReaction, getMessageRefId } from '../utils/messageActions';
+
+// Give up on the first connection after this long and show the offline state
+const CONNECT_TIMEOUT = 8000;
+// Typing indicators clear themselves if the stop event never arrives
+const TYPING_TIMEOUT = 5000;
+
+const generateMessageId = () => `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Runs one chat session - paid, prepaid or free - on the shared chat engine.
+ * The screens only render what this returns and decide what happens around
+ * the session (navigation, offers, alerts).
+ * @param {Object} options
+ * @param {String} options.mode - CHAT_MODES.PAID or CHAT_MODES.FREE
+ * @param {Object} options.params - Adapter params, see utils/chatSocketAdapter
+ * @param {Function} options.onSessionEnded - Called once with the end event data ({ reason: 'ended_in_background' } when found by a status check)
+ * @param {Function} options.onExpire - Called once when a local countdown runs out (free chat)
+ * @param {Function} options.onJoinFailed - Called when the server refuses the room join
+ * @param {Object} options.extraListeners - Additional socket events for this screen, event -> handler
+ */
+const useChatSession = ({
+  mode = CHAT_MODES.PAID,
+  params,
+  onSessionEnded,
+  onExpire,
+  onJoinFailed,
+  extraListeners = {},
+}) => {
+  const { user: authUser } = useAuth();
+  const { socket } = useSocket();
+  const userId = authUser?.id;
+
+  // ===== ENGINE =====
+  const adapterRef = useRef(null);
+  if (!adapterRef.current) {
+    adapterRef.current = createChatSocketAdapter(mode, params);
+  }
+  const adapter = adapterRef.current;
+
+  const [phase, setPhase] = useState(CHAT_PHASES.CONNECTING);
+  const [messages, dispatchMessages] = useReducer(chatMessagesReducer, []);
+  const [timer, setTimer] = useState(() => {
+    const duration = mode === CHAT_MODES.FREE ? (params.sessionDuration || 180) : null;
+    return { elapsed: 0, duration, remaining: duration, isActive: false };
+  });
+  // The timer as of the last server reading, without the local ticks in between
+  const [serverReading, setServerReading] = useState(null);
+  const [astrologerTyping, setAstrologerTyping] = useState(false);
+
+  // ===== REFS =====
+  const socketRef = useRef(null);
+  const mountedRef = useRef(true);
+  const phaseRef = useRef(CHAT_PHASES.CONNECTING);
+  const endedRef = useRef(false);
+  const hasJoinedRef = useRef(false);
+  const syncRef = useRef(null);
+  const timerRef = useRef(null);
+  const uploadControllersRef = useRef(new Map()); // messageId -> AbortController
+  const typingTimeoutRef = useRef(null);
+  const astrologerTypingTimeoutRef = useRef(null);
+  const appStateRef = useRef(AppState.currentState);
+
+  // Callbacks from the screen change every render; handlers read the latest through this ref
+  const optionsRef = useRef({});
+  optionsRef.current = { onSessionEnded, onExpire, onJoinFailed, extraListeners };
+
+  const safeSetState = useCallback((setter, value) => {
+    if (mountedRef.current) {
+      setter(value);
+    }
+  }, []);
+
+  const dispatchPhase = useCallback((event) => {
+    const next = transitionChatPhase(phaseRef.current, event);
+    if (next === phaseRef.current) return;
+    console.log(`🔀 [ChatSession] ${phaseRef.current} -> ${next} (${event})`);
+    phaseRef.current = next;
+    safeSetState(setPhase, next);
+  }, [safeSetState]);
+
+  const cancelUploads = useCallback(() => {
+    if (uploadControllersRef.current.size === 0) return;
+    console.log('🛑 [ChatSession] Cancelling', uploadControllersRef.current.size, 'uploads');
+    uploadControllersRef.current.forEach(controller => controller.abort());
+    uploadControllersRef.current.clear();
+  }, []);
+
+  // Terminal: every path that ends the session goes through here exactly once
+  const markEnded = useCallback(() => {
+    if (endedRef.current) return false;
+    endedRef.current = true;
+    dispatchPhase(CHAT_EVENTS.SESSION_ENDED);
+    timerRef.current?.stop();
+    cancelUploads();
+    // Nothing queued for an ended session may be replayed if the room is joined again
+    clearOutboxRoom(adapter.roomId);
+    safeSetState(setAstrologerTyping, false);
+    return true;
+  }, [adapter, dispatchPhase, cancelUploads, safeSetState]);
+
+  const applyServerReading = useCallback((reading) => {
+    timerRef.current.update(reading);
+    safeSetState(setServerReading, timerRef.current.getState());
+  }, [safeSetState]);
+
+  if (!timerRef.current) {
+    timerRef.current = createSessionTimer({
+      localCountdown: adapter.localCountdown,
+      clock: createSessionClock({ sessionId: params.sessionId, source: `${mode}_chat_timer` }),
+      onChange: (state) => safeSetState(setTimer, state),
+      onExpire: () => {
+        console.log('⏰ [ChatSession] Session timer expired');
+        if (adapter.endsLocally && markEnded()) {
+          optionsRef.current.onExpire?.();
+        }
+      }
+    });
+  }
+
+  // ===== MESSAGE SYNC =====
+  const processBatch = useCallback((batch, source) => {
+    console.log(`📨 [ChatSession] Merging ${batch.length} messages from ${source}`);
+    const normalized = batch.map(raw => normalizeChatMessage(raw, userId));
+
+    // Own messages the server already holds no longer need the outbox
+    normalized.forEach(message => {
+      if (message.senderType === 'user' && message.clientMessageId) {
+        markOutboxMessage(message.clientMessageId, OUTBOX_STATES.SENT);
+      }
+    });
+    dispatchMessages({ type: MESSAGE_ACTIONS.MERGE, messages: normalized });
+  }, [userId]);
+
+  const processBatchRef = useRef(processBatch);
+  processBatchRef.current = processBatch;
+
+  if (!syncRef.current) {
+    syncRef.current = createMessageSync({
+      roomId: adapter.roomId,
+      getSocket: () => socketRef.current,
+      buildRequest: () => ({ ...adapter.syncRequest(), userId: authUser?.id }),
+      onMessages: (batch, source) => processBatchRef.current(batch, source)
+    });
+  }
+
+  // ===== STATUS CHECK =====
+  // After a reconnect or a stint in the background the session may have ended without us
+  const checkStatus = useCallback(async (source) => {
+    try {
+      const status = await adapter.fetchStatus();
+      if (!status || !mountedRef.current || endedRef.current) return;
+
+      if (status.ended) {
+        console.log(`❌ [ChatSession] Session ended while away (${source})`);
+        if (markEnded()) {
+          optionsRef.current.onSessionEnded?.({ reason: 'ended_in_background', endedBy: 'system', duration: status.duration });
+        }
+        return;
+      }
+      if (status.timer) {
+        applyServerReading(status.timer);
+      }
+    } catch (error) {
+      // Not fatal - the socket events will still end the session
+      console.log(`⚠️ [ChatSession] Could not check session status (${source}):`, error.message);
+    }
+  }, [adapter, markEnded, applyServerReading]);
+
+  // ===== SOCKET BINDING =====
+  useEffect(() => {
+    if (!socket || !userId) return;
+    socketRef.current = socket;
+
+    const joinRoom = async () => {
+      const joined = await adapter.join(socket, userId);
+      if (!mountedRef.current || socketRef.current !== socket) return;
+      if (!joined) {
+        optionsRef.current.onJoinFailed?.();
+        return;
+      }
+
+      console.log('🏠 [ChatSession] Joined', adapter.roomId);
+      dispatchPhase(CHAT_EVENTS.CONNECTED);
+
+      // Replay messages sent while offline or before the app was last closed
+      flushOutbox(adapter.roomId, socket);
+      syncRef.current.resync(hasJoinedRef.current ? 'rejoin' : 'room_join');
+      if (hasJoinedRef.current) {
+        checkStatus('rejoin');
+      }
+      hasJoinedRef.current = true;
+    };
+
+    const startTyping = () => {
+      safeSetState(setAstrologerTyping, true);
+      clearTimeout(astrologerTypingTimeoutRef.current);
+      astrologerTypingTimeoutRef.current = setTimeout(() => {
+        safeSetState(setAstrologerTyping, false);
+      }, TYPING_TIMEOUT);
+    };
+
+    const stopTyping = () => {
+      clearTimeout(astrologerTypingTimeoutRef.current);
+      safeSetState(setAstrologerTyping, false);
+    };
+
+    const unsubscribe = adapter.listen(socket, {
+      onMessage: (raw) => {
+        const message = normalizeChatMessage(raw, userId);
+        // Advance the seq cursor; a gap before this message is fetched automatically
+        const isNew = syncRef.current.receive(message);
+
+        if (message.senderType === 'user') {
+          // Echo of our own message - only stamp its seq onto the local copy
+          dispatchMessages({ type: MESSAGE_ACTIONS.MERGE_OWN_ECHO, message });
+          return;
+        }
+
+        // Both adapters read the normalized id; a message the server sent without one cannot be marked read
+        const hasServerId = !!(raw.id || raw._id || raw.messageId);
+        if (socket.connected && hasServerId) adapter.emitRead(socket, userId, message);
+        stopTyping();
+
+        if (!isNew) {
+          console.log('⚠️ [ChatSession] Duplicate message ignored:', message.id);
+          return;
+        }
+        dispatchMessages({ type: MESSAGE_ACTIONS.MERGE, messages: [message] });
+      },
+      onHistory: (batch) => {
+        batch.forEach(raw => syncRef.current.receive(raw));
+        processBatchRef.current(batch, 'auto_recovery');
+      },
+      onReceipt: (messageId, status) => {
+        if (!messageId) return;
+        markOutboxMessage(messageId, status === 'read' ? OUTBOX_STATES.READ : OUTBOX_STATES.DELIVERED);
+        dispatchMessages({ type: MESSAGE_ACTIONS.RECEIPT, messageId, status });
+      },
+      onReaction: (data) => {
+        if (!data?.messageId || data.userId === userId) return;
+        dispatchMessages({
+          type: MESSAGE_ACTIONS.REACTION,
+          messageId: data.messageId,
+          senderType: data.senderType || 'astrologer',
+          reaction: data.reaction
+        });
+      },
+      onTyping: (isTyping) => (isTyping ? startTyping() : stopTyping()),
+      onSessionStarted: (reading) => {
+        if (endedRef.current) return;
+        console.log('🎯 [ChatSession] Session started', reading || '');
+        if (reading) applyServerReading(reading);
+        dispatchPhase(CHAT_EVENTS.SESSION_STARTED);
+        // Resumed sessions may have missed messages while we were away
+        if (hasJoinedRef.current) syncRef.current.resync('session_start');
+      },
+      onTimer: (reading) => {
+        if (endedRef.current) return;
+        applyServerReading(reading);
+        if (reading.remaining == null || reading.remaining > 0) dispatchPhase(CHAT_EVENTS.SESSION_STARTED);
+      },
+      onExtended: (duration) => {
+        if (endedRef.current) return;
+        console.log('⏩ [ChatSession] Session extended to', duration, 'seconds');
+        timerRef.current.extendTo(duration);
+      },
+      onSessionEnded: (data) => {
+        console.log('🛑 [ChatSession] Session ended:', data);
+        if (markEnded()) {
+          optionsRef.current.onSessionEnded?.(data);
+        }
+      },
+    });
+
+    // Screen-specific events, bound through the options ref so handlers stay current
+    const extraHandlers = Object.keys(optionsRef.current.extraListeners || {}).map(event => {
+      const handler = (...args) => optionsRef.current.extraListeners?.[event]?.(...args);
+      socket.on(event, handler);
+      return [event, handler];
+    });
+
+    const handleConnect = () => {
+      console.log('🔗 [ChatSession] Socket connected');
+      joinRoom();
+    };
+    const handleDisconnect = (reason) => {
+      console.log('🔌 [ChatSession] Socket disconnected:', reason);
+      dispatchPhase(CHAT_EVENTS.DISCONNECTED);
+    };
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    if (socket.connected) {
+      joinRoom();
+    }
+
+    return () => {
+      unsubscribe();
+      extraHandlers.forEach(([event, handler]) => socket.off(event, handler));
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [socket, userId, adapter, dispatchPhase, checkStatus, safeSetState, applyServerReading]);
+
+  // ===== LIFECYCLE =====
+  useEffect(() => {
+    mountedRef.current = true;
+
+    const connectTimeout = setTimeout(() => dispatchPhase(CHAT_EVENTS.CONNECT_TIMEOUT), CONNECT_TIMEOUT);
+
+    const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active' && !endedRef.current) {
+        console.log('📱 [ChatSession] App foregrounded');
+        // A socket that dropped rejoins from its 'connect' event instead
+        if (socketRef.current?.connected) {
+          syncRef.current.resync('app_foreground');
+          checkStatus('app_foreground');
+        }
+      }
+      appStateRef.current = nextAppState;
+    });
+
+    return () => {
+      mountedRef.current = false;
+      clearTimeout(connectTimeout);
+      clearTimeout(typingTimeoutRef.current);
+      clearTimeout(astrologerTypingTimeoutRef.current);
+      appStateSubscription?.remove();
+      syncRef.current?.dispose();
+      timerRef.current?.dispose();
+      uploadControllersRef.current.forEach(controller => controller.abort());
+      uploadControllersRef.current.clear();
+    };
+  }, [dispatchPhase, checkStatus]);
+
+  // ===== OUTBOX =====
+  // Mirror outbox state changes onto the message bubbles
+  useEffect(() => subscribeToOutbox((entry) => {
+    if (entry.roomId !== adapter.roomId) return;
+    dispatchMessages({
+      type: MESSAGE_ACTIONS.UPDATE,
+      id: entry.id,
+      changes: { status: entry.state, failureReason: entry.failureReason }
+    });
+  }), [adapter]);
+
+  // Restore messages that were still unsent when the app was last closed
+  useEffect(() => {
+    getPendingOutboxMessages(adapter.roomId).then((pending) => {
+      if (pending.length === 0 || !mountedRef.current) return;
+      console.log('📥 [ChatSession] Restoring', pending.length, 'unsent messages');
+
+      dispatchMessages({
+        type: MESSAGE_ACTIONS.RESTORE,
+        messages: pending.map(entry => ({
+          id: entry.id,
+          content: entry.payload.content,
+          messageType: entry.payload.messageType || 'text',
+          attachment: entry.payload.attachment || null,
+          replyTo: entry.payload.replyTo || null,
+          senderId: entry.payload.senderId,
+          senderType: 'user',
+          timestamp: entry.payload.timestamp,
+          status: entry.state,
+          failureReason: entry.failureReason
+        }))
+      });
+    });
+  }, [adapter]);
+
+  // ===== ACTIONS =====
+  const flags = getPhaseFlags(phase);
+  const canSend = flags.sessionActive && !flags.sessionEnded;
+
+  const updateMessage = useCallback((id, changes) => {
+    dispatchMessages({ type: MESSAGE_ACTIONS.UPDATE, id, changes });
+  }, []);
+
+  const queueOutgoing = useCallback((id, payload) => {
+    console.log('📤 [ChatSession] Queueing message:', id);
+    return enqueueMessage({
+      id,
+      roomId: adapter.roomId,
+      event: adapter.messageEvent,
+      socket: socketRef.current,
+      payload: adapter.buildMessagePayload({
+        id,
+        senderId: userId,
+        senderType: 'user',
+        timestamp: new Date().toISOString(),
+        ...payload
+      })
+    });
+  }, [adapter, userId]);
+
+  const setTyping = useCallback((isTyping) => {
+    const socket = socketRef.current;
+    if (!socket?.connected || !canSend) return;
+
+    adapter.emitTyping(socket, userId, isTyping);
+    clearTimeout(typingTimeoutRef.current);
+
+    // Stop the indicator after a pause even if the user never clears the input
+    if (isTyping) {
+      typingTimeoutRef.current = setTimeout(() => {
+        if (socketRef.current?.connected) {
+          adapter.emitTyping(socketRef.current, userId, false);
+        }
+      }, TYPING_TIMEOUT);
+    }
+  }, [adapter, userId, canSend]);
+
+  /**
+   * Send a text message through the outbox
+   * @returns {Boolean} false when the session cannot take messages
+   */
+  const sendText = useCallback((text, { replyTo = null } = {}) => {
+    const content = text.trim();
+    if (!content || !canSend) return false;
+
+    const id = generateMessageId();
+    const timestamp = new Date().toISOString();
+
+    dispatchMessages({
+      type: MESSAGE_ACTIONS.APPEND,
+      message: {
+        id,
+        content,
+        senderId: userId,
+        senderType: 'user',
+        timestamp,
+        status: OUTBOX_STATES.QUEUED,
+        afterSeq: syncRef.current.getLatestSeq(),
+        replyTo
+      }
+    });
+    setTyping(false);
+
+    queueOutgoing(id, { content, text: content, message: content, timestamp, replyTo });
+    return true;
+  }, [canSend, userId, setTyping, queueOutgoing]);
+
+  // ===== ATTACHMENTS =====
+  const emitAttachmentMessage = useCallback((id, messageType, attachment) => {
+    // Content is a readable fallback for clients that do not render attachments
+    const content = getAttachmentLabel(messageType, attachment);
+    const { localUri, ...uploadedAttachment } = attachment;
+
+    queueOutgoing(id, {
+      content,
+      text: content,
+      message: content,
+      messageType,
+      type: messageType,
+      attachment: uploadedAttachment
+    });
+  }, [queueOutgoing]);
+
+  const startAttachmentUpload = useCallback(async (message) => {
+    const controller = new AbortController();
+    uploadControllersRef.current.set(message.id, controller);
+    updateMessage(message.id, { status: 'uploading', uploadProgress: 0, failureReason: null });
+
+    try {
+      const uploaded = await uploadAttachment({
+        ...adapter.uploadTarget,
+        file: { ...message.attachment, uri: message.attachment.localUri, type: message.messageType },
+        signal: controller.signal,
+        onProgress: (progress) => updateMessage(message.id, { uploadProgress: progress }),
+      });
+
+      const attachment = { ...message.attachment, ...uploaded };
+      updateMessage(message.id, { status: OUTBOX_STATES.QUEUED, uploadProgress: 1, attachment });
+      emitAttachmentMessage(message.id, message.messageType, attachment);
+    } catch (error) {
+      console.error('❌ [ChatSession] Upload failed:', error);
+      updateMessage(message.id, {
+        status: 'failed',
+        failureReason: controller.signal.aborted
+          ? 'Session ended before the upload finished.'
+          : 'Upload failed.'
+      });
+    } finally {
+      uploadControllersRef.current.delete(message.id);
+    }
+  }, [adapter, updateMessage, emitAttachmentMessage]);
+
+  /**
+   * Upload a picked or recorded file and send it as a message
+   * @returns {String|null} Why the file cannot be sent, if it cannot
+   */
+  const sendFile = useCallback((file) => {
+    if (!canSend || !flags.connected) return 'The session is not active.';
+
+    const limitError = validateAttachment(file, messages);
+    if (limitError) return limitError;
+
+    const message = {
+      id: generateMessageId(),
+      content: '',
+      messageType: file.type,
+      attachment: {
+        localUri: file.uri,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size,
+        width: file.width,
+        height: file.height,
+        durationMs: file.durationMs,
+        waveform: file.waveform
+      },
+      senderId: userId,
+      senderType: 'user',
+      timestamp: new Date().toISOString(),
+      status: 'uploading',
+      uploadProgress: 0,
+      afterSeq: syncRef.current.getLatestSeq()
+    };
+
+    dispatchMessages({ type: MESSAGE_ACTIONS.APPEND, message });
+    startAttachmentUpload(message);
+    return null;
+  }, [canSend, flags.connected, messages, userId, startAttachmentUpload]);
+
+  const retryMessage = useCallback((message) => {
+    if (!canSend || !flags.connected) return;
+    console.log('🔁 [ChatSession] Manual retry for message:', message.id);
+    retryOutboxMessage(message.id, socketRef.current);
+  }, [canSend, flags.connected]);
+
+  const retryAttachment = useCallback((message) => {
+    if (!canSend || !flags.connected) return;
+
+    // Uploaded but the message itself failed - resend without uploading again
+    if (message.attachment.url) {
+      retryOutboxMessage(message.id, socketRef.current);
+    } else {
+      startAttachmentUpload(message);
+    }
+  }, [canSend, flags.connected, startAttachmentUpload]);
+
+  // ===== REACTIONS =====
+  /**
+   * @returns {Boolean} false when offline - reactions are not queued
+   */
+  const react = useCallback((message, reaction) => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return false;
+
+    updateMessage(message.id, current => applyReaction(current, 'user', reaction));
+    adapter.emitReaction(socket, userId, { messageId: getMessageRefId(message), reaction });
+    return true;
+  }, [adapter, userId, updateMessage]);
+
+  // ===== END =====
+  /**
+   * Ask the server to end the session. Paid sessions end when the server
+   * confirms; free chats end locally straight away.
+   * @returns {Boolean} false when offline
+   */
+  const endSession = useCallback((reason = 'user_ended') => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return false;
+
+    console.log('🛑 [ChatSession] Ending session:', reason);
+    adapter.emitEnd(socket, userId, reason);
+
+    if (adapter.endsLocally && markEnded()) {
+      optionsRef.current.onSessionEnded?.({ endedBy: 'user', reason });
+    }
+    return true;
+  }, [adapter, userId, markEnded]);
+
+  /**
+   * Apply a top-up the server has confirmed, without waiting for its
+   * session_extended event
+   * @param {Number} duration - New total duration in seconds
+   */
+  const extendTimer = useCallback((duration) => {
+    if (endedRef.current) return;
+    timerRef.current.extendTo(duration);
+  }, []);
+
+  return {
+    phase,
+    flags,
+    messages,
+    timer,
+    serverReading,
+    astrologerTyping,
+    roomId: adapter.roomId,
+
+    sendText,
+    sendFile,
+    retryMessage,
+    retryAttachment,
+    setTyping,
+    react,
+    endSession,
+    extendTimer,
+    updateMessage,
+  };
+};
+
+export default useChatSession;
@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { sessionsAPI } from '../services/api';
+import LocalSessionTimer from '../utils/LocalSessionTimer';
+
+/**
+ * Live billing, low-balance warnings and in-session top-ups for a running
+ * paid consultation. LocalSessionTimer counts down to the point the wallet
+ * runs out, kept in step with the server's readings, and raises the 60s / 30s
+ * warnings; a top-up paid from the warning extends the server session and
+ * pushes the local end back, so the consultation carries on.
+ * @param {Object} options
+ * @param {String} options.sessionId - Session being billed
+ * @param {String} options.bookingId - Booking the session belongs to
+ * @param {Number} options.ratePerMinute - Astrologer's per-minute rate
+ * @param {Boolean} options.active - Whether the session is running and billed
+ * @param {Number} options.elapsedSeconds - Elapsed time in the server's last reading
+ * @param {Number} options.remainingSeconds - Remaining time in the server's last reading; estimated from the wallet when omitted
+ * @param {Boolean} options.reportDrift - False when the caller's timer already reports drift from the server
+ * @param {Function} options.onExtended - Called with the server's extension data ({ maxAllowedSeconds, addedSeconds })
+ */
+const useSessionTopUp = ({
+  sessionId,
+  bookingId,
+  ratePerMinute,
+  active,
+  elapsedSeconds = 0,
+  remainingSeconds,
+  reportDrift = true,
+  onExtended,
+}) => {
+  const { user } = useAuth();
+  const walletBalance = user?.walletBalance || 0;
+
+  const [warning, setWarning] = useState(null); // { message, remainingSeconds }
+  const [billing, setBilling] = useState(null); // { amountSpent, remainingBalance }
+  const [topUpVisible, setTopUpVisible] = useState(false);
+
+  const mountedRef = useRef(true);
+  const startedRef = useRef(false);
+  const onExtendedRef = useRef(onExtended);
+  onExtendedRef.current = onExtended;
+
+  // ===== LOCAL TIMER =====
+  useEffect(() => {
+    if (!active || !sessionId || !ratePerMinute || startedRef.current) return;
+
+    const totalSeconds = remainingSeconds != null
+      ? elapsedSeconds + remainingSeconds
+      : Math.floor(walletBalance / ratePerMinute) * 60;
+    if (!(totalSeconds > elapsedSeconds)) return;
+
+    startedRef.current = true;
+    LocalSessionTimer.startTimer(sessionId, totalSeconds, walletBalance, ratePerMinute, {
+      onTick: (update) => {
+        if (!mountedRef.current) return;
+        setBilling({
+          amountSpent: update.currentAmount,
+          remainingBalance: Math.max(0, update.remainingBalance)
+        });
+      },
+      onWarning: (data) => {
+        if (mountedRef.current) setWarning(data);
+      },
+      onEnd: () => {
+        if (mountedRef.current) setWarning(null);
+      }
+    }, Date.now() - elapsedSeconds * 1000);
+  }, [active, sessionId, ratePerMinute, elapsedSeconds, remainingSeconds, walletBalance]);
+
+  // Follow the server's clock rather than the phone's
+  useEffect(() => {
+    if (!startedRef.current) return;
+    LocalSessionTimer.reconcileTimer(sessionId, elapsedSeconds, remainingSeconds, { logDrift: reportDrift });
+  }, [sessionId, elapsedSeconds, remainingSeconds, reportDrift]);
+
+  useEffect(() => {
+    if (active || !startedRef.current) return;
+    startedRef.current = false;
+    LocalSessionTimer.stopTimer(sessionId);
+    // An open top-up is left alone - a payment in progress must still be verified
+    setWarning(null);
+  }, [active, sessionId]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      if (startedRef.current) {
+        startedRef.current = false;
+        LocalSessionTimer.stopTimer(sessionId);
+      }
+    };
+  }, [sessionId]);
+
+  // ===== ACTIONS =====
+  const openTopUp = useCallback(() => {
+    setTopUpVisible(true);
+    // Not fatal - the payment may still finish before the session runs out
+    sessionsAPI.holdForTopUp(sessionId, bookingId).catch((error) => {
+      console.log('⚠️ [SessionTopUp] Could not hold the session for top-up:', error.message);
+    });
+  }, [sessionId, bookingId]);
+
+  const closeTopUp = useCallback(() => setTopUpVisible(false), []);
+
+  const dismissWarning = useCallback(() => setWarning(null), []);
+
+  /**
+   * Add a verified wallet top-up to the running session
+   * @param {Object} payment - { paymentId, orderId, amount, minutes }
+   * @returns {Promise<Object>} The server's extension data
+   */
+  const extendSession = useCallback(async (payment) => {
+    const response = await sessionsAPI.extend(sessionId, {
+      bookingId,
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      amount: payment.amount
+    });
+    if (!response?.success) {
+      throw new Error(response?.message || 'Failed to extend the session');
+    }
+
+    const extension = response.data || {};
+    const addedSeconds = extension.addedSeconds ?? payment.minutes * 60;
+    console.log('⏩ [SessionTopUp] Session extended by', addedSeconds, 'seconds');
+
+    const extended = await LocalSessionTimer.extendTimer(sessionId, addedSeconds, payment.amount);
+    if (!extended) {
+      // The local countdown already ran out - start it again from the next reading
+      startedRef.current = false;
+    }
+    onExtendedRef.current?.({ ...extension, addedSeconds });
+    if (mountedRef.current) setWarning(null);
+    return extension;
+  }, [sessionId, bookingId]);
+
+  return {
+    billing,
+    warning,
+    topUpVisible,
+    openTopUp,
+    closeTopUp,
+    dismissWarning,
+    extendSession,
+  };
+};
+
+export default useSessionTopUp;
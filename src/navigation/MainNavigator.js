@@ -24,18 +24,25 @@ import AstrologersScreen from '../screens/main/AstrologersScreen';
 import PrepaidChatPackAstrologersScreen from '../screens/main/PrepaidChatPackAstrologersScreen';
 import BookingWaitingScreen from '../screens/main/BookingWaitingScreen';
 import PendingConsultationsScreen from '../screens/main/PendingConsultationsScreen';
-import ChatScreen from '../screens/session/ChatScreen';
 import FixedChatScreen from '../screens/session/FixedChatScreen';
 import FixedFreeChatScreen from '../screens/session/FixedFreeChatScreen';
-import EnhancedFixedFreeChatScreen from '../screens/session/EnhancedFixedFreeChatScreen';
 import PreChatForm from '../screens/session/PreChatForm';
 import FreeChatPreForm from '../screens/session/FreeChatPreForm';
 import TransactionHistoryScreen from '../screens/main/TransactionHistoryScreen';
 import TransactionDetailScreen from '../screens/main/TransactionDetailScreen';
 import ChatHistoryScreen from '../screens/ChatHistoryScreen';
+import TranscriptSearchScreen from '../screens/TranscriptSearchScreen';
 import BlogDetailScreen from '../screens/main/BlogDetailScreen';
 import BlogListScreen from '../screens/main/BlogListScreen';
 import DailyHoroscopeScreen from '../screens/main/DailyHoroscopeScreen';
+import KundliScreen from '../screens/main/KundliScreen';
+import GunaMilanScreen from '../screens/main/GunaMilanScreen';
+import GunaMilanResultScreen from '../screens/main/GunaMilanResultScreen';
+import PanchangScreen from '../screens/main/PanchangScreen';
+import DashaScreen from '../screens/main/DashaScreen';
+import NumerologyScreen from '../screens/main/NumerologyScreen';
+import FamilyProfilesScreen from '../screens/main/FamilyProfilesScreen';
+import FamilyProfileFormScreen from '../screens/main/FamilyProfileFormScreen';
 import PoojaDetailScreen from '../screens/pooja/PoojaDetailScreen';
 import PoojaListScreen from '../screens/pooja/PoojaListScreen';
 
@@ -49,6 +56,8 @@ import BookingAcceptedModal from '../components/BookingAcceptedModal';
 
 // Import context
 import { BookingPopupProvider, useBookingPopup } from '../context/BookingPopupContext';
+import useAppointmentReminders from '../hooks/useAppointmentReminders';
+import WaitlistPrompt from '../components/WaitlistPrompt';
 
 // Import utilities
 import eventEmitter from '../utils/eventEmitter';
@@ -253,6 +262,9 @@ const BookingPopupWrapper = () => {
 
 // Main stack navigator that includes the tab navigator and other screens
 const MainNavigator = () => {
+  // Reminders before scheduled consultations, kept in step with the server
+  useAppointmentReminders();
+
   return (
     <BookingPopupProvider>
       <Stack.Navigator
@@ -284,8 +296,8 @@ const MainNavigator = () => {
         />
         <Stack.Screen 
           name="Chat" 
-          component={ChatScreen} 
-          options={{ headerShown: true, title: 'Chat Consultation' }}
+          component={FixedChatScreen} 
+          options={{ headerShown: false }}
         />
         <Stack.Screen 
           name="EnhancedChat" 
@@ -304,8 +316,8 @@ const MainNavigator = () => {
         />
         <Stack.Screen 
           name="ConsultationRoom" 
-          component={ChatScreen} 
-          options={{ headerShown: true, title: 'Consultation Room' }}
+          component={FixedChatScreen} 
+          options={{ headerShown: false }}
         />
         <Stack.Screen 
           name="FixedChatScreen" 
@@ -319,7 +331,7 @@ const MainNavigator = () => {
         />
         <Stack.Screen 
           name="EnhancedFixedFreeChatScreen" 
-          component={EnhancedFixedFreeChatScreen} 
+          component={FixedFreeChatScreen} 
           options={{ headerShown: false }}
         />
         <Stack.Screen 
@@ -387,6 +399,11 @@ const MainNavigator = () => {
           component={ChatHistoryScreen} 
           options={{ headerShown: false }}
         />
+        <Stack.Screen 
+          name="TranscriptSearch" 
+          component={TranscriptSearchScreen} 
+          options={{ headerShown: false }}
+        />
         <Stack.Screen 
           name="BlogDetail" 
           component={BlogDetailScreen} 
@@ -402,6 +419,46 @@ const MainNavigator = () => {
           component={DailyHoroscopeScreen} 
           options={{ headerShown: false }}
         />
+        <Stack.Screen 
+          name="Kundli" 
+          component={KundliScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="GunaMilan" 
+          component={GunaMilanScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="GunaMilanResult" 
+          component={GunaMilanResultScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="Panchang" 
+          component={PanchangScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="Dasha" 
+          component={DashaScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="Numerology" 
+          component={NumerologyScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="FamilyProfiles" 
+          component={FamilyProfilesScreen} 
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen 
+          name="FamilyProfileForm" 
+          component={FamilyProfileFormScreen} 
+          options={{ headerShown: false }}
+        />
         <Stack.Screen 
           name="PoojaDetail" 
           component={PoojaDetailScreen} 
@@ -414,6 +471,7 @@ const MainNavigator = () => {
         />
       </Stack.Navigator>
       <BookingPopupWrapper />
+      <WaitlistPrompt />
     </BookingPopupProvider>
   );
 };
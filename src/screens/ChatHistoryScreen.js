@@ -1,9 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
   TouchableOpacity,
   Alert,
   ActivityIndicator,
@@ -13,14 +12,28 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { chatHistoryAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import HighlightedText from '../components/HighlightedText';
+import { indexTranscript, getSearchTerms } from '../utils/transcriptIndex';
+import { exportTranscriptPdf } from '../utils/transcriptPdf';
 
 const ChatHistoryScreen = ({ navigation, route }) => {
-  const { sessionId, bookingId } = route.params;
+  const { sessionId, bookingId, astrologerName, highlightMessageId, searchQuery } = route.params;
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const searchTerms = getSearchTerms(searchQuery);
   
   const [loading, setLoading] = useState(true);
   const [chatData, setChatData] = useState(null);
   const [messages, setMessages] = useState([]);
   const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // Jump-to-message from transcript search
+  const scrollViewRef = useRef(null);
+  const messagesOffsetRef = useRef(null);
+  const highlightOffsetRef = useRef(null);
+  const hasJumpedRef = useRef(false);
 
   useEffect(() => {
     fetchChatHistory();
@@ -50,6 +63,9 @@ const ChatHistoryScreen = ({ navigation, route }) => {
         console.log('📜 [CHAT_HISTORY] Is Free Chat:', response.data.session?.isFreeChat);
         setChatData(response.data);
         setMessages(response.data.messages || []);
+
+        // Cache for transcript search; failures only mean this session is not searchable yet
+        indexTranscript(userId, sessionId, response.data, { bookingId, astrologerName });
       } else {
         console.error('📜 [CHAT_HISTORY] Unexpected response structure:', response);
         throw new Error(response?.message || 'Failed to fetch chat history');
@@ -80,6 +96,21 @@ const ChatHistoryScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleExportPdf = async () => {
+    setExporting(true);
+    try {
+      const shared = await exportTranscriptPdf({ chatData, astrologerName });
+      if (!shared) {
+        Alert.alert('Sharing Unavailable', 'Sharing files is not supported on this device.');
+      }
+    } catch (error) {
+      console.error('📜 [CHAT_HISTORY] Error exporting transcript:', error);
+      Alert.alert('Error', 'Could not create the transcript PDF. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -107,16 +138,37 @@ const ChatHistoryScreen = ({ navigation, route }) => {
     }
   };
 
-  const renderMessage = ({ item, index }) => {
+  // Scroll once both the message list and the searched message have been laid out
+  const jumpToHighlight = () => {
+    if (hasJumpedRef.current) return;
+    if (messagesOffsetRef.current === null || highlightOffsetRef.current === null) return;
+
+    hasJumpedRef.current = true;
+    scrollViewRef.current?.scrollTo({
+      y: Math.max(0, messagesOffsetRef.current + highlightOffsetRef.current - 80),
+      animated: true
+    });
+  };
+
+  const renderMessage = (item, index) => {
     const isUser = item.sender.type === 'user';
     const isLastMessage = index === messages.length - 1;
+    const isHighlighted = highlightMessageId && item.id === highlightMessageId;
     
     return (
-      <View style={[
-        styles.messageContainer,
-        isUser ? styles.userMessage : styles.astrologerMessage,
-        isLastMessage && styles.lastMessage
-      ]}>
+      <View
+        key={item.id}
+        style={[
+          styles.messageContainer,
+          isUser ? styles.userMessage : styles.astrologerMessage,
+          isLastMessage && styles.lastMessage,
+          isHighlighted && styles.highlightedMessage
+        ]}
+        onLayout={isHighlighted ? (event) => {
+          highlightOffsetRef.current = event.nativeEvent.layout.y;
+          jumpToHighlight();
+        } : undefined}
+      >
         <View style={styles.messageHeader}>
           <Text style={[
             styles.senderName,
@@ -129,12 +181,14 @@ const ChatHistoryScreen = ({ navigation, route }) => {
           </Text>
         </View>
         
-        <Text style={[
-          styles.messageContent,
-          isUser ? styles.userMessageContent : styles.astrologerMessageContent
-        ]}>
-          {item.content}
-        </Text>
+        <HighlightedText
+          text={item.content}
+          terms={searchTerms}
+          style={[
+            styles.messageContent,
+            isUser ? styles.userMessageContent : styles.astrologerMessageContent
+          ]}
+        />
         
         {item.attachments && item.attachments.length > 0 && (
           <View style={styles.attachmentsContainer}>
@@ -262,6 +316,18 @@ const ChatHistoryScreen = ({ navigation, route }) => {
           <Ionicons name="arrow-back" size={24} color="#333" />
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Chat History</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('TranscriptSearch')} style={styles.searchButton}>
+          <Ionicons name="search" size={22} color="#333" />
+        </TouchableOpacity>
+        {messages.length > 0 && (
+          <TouchableOpacity onPress={handleExportPdf} style={styles.searchButton} disabled={exporting}>
+            {exporting ? (
+              <ActivityIndicator size="small" color="#4A90E2" />
+            ) : (
+              <Ionicons name="share-outline" size={22} color="#333" />
+            )}
+          </TouchableOpacity>
+        )}
       </View>
 
       {messages.length === 0 ? (
@@ -273,21 +339,22 @@ const ChatHistoryScreen = ({ navigation, route }) => {
           </Text>
         </View>
       ) : (
-        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <ScrollView ref={scrollViewRef} style={styles.content} showsVerticalScrollIndicator={false}>
           {renderSessionSummary()}
           
           <View style={styles.messagesHeader}>
             <Text style={styles.messagesTitle}>Messages ({chatData.messageCount})</Text>
           </View>
           
-          <FlatList
-            data={messages}
-            renderItem={renderMessage}
-            keyExtractor={(item) => item.id}
-            scrollEnabled={false}
-            showsVerticalScrollIndicator={false}
-            contentContainerStyle={styles.messagesList}
-          />
+          <View
+            style={styles.messagesList}
+            onLayout={(event) => {
+              messagesOffsetRef.current = event.nativeEvent.layout.y;
+              jumpToHighlight();
+            }}
+          >
+            {messages.map(renderMessage)}
+          </View>
         </ScrollView>
       )}
     </SafeAreaView>
@@ -323,6 +390,9 @@ const styles = StyleSheet.create({
     color: '#333',
     flex: 1,
   },
+  searchButton: {
+    padding: 8,
+  },
   content: {
     flex: 1,
   },
@@ -432,6 +502,10 @@ const styles = StyleSheet.create({
   lastMessage: {
     marginBottom: 8,
   },
+  highlightedMessage: {
+    borderWidth: 2,
+    borderColor: '#F59E0B',
+  },
   messageHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../context/AuthContext';
+import { bookingsAPI } from '../services/api';
+import HighlightedText from '../components/HighlightedText';
+import {
+  getIndexedSessions,
+  indexPastSessions,
+  getSearchTerms,
+  searchTranscripts,
+  getMatchSnippet
+} from '../utils/transcriptIndex';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const formatDate = (date) => new Date(date).toLocaleDateString([], {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const TranscriptSearchScreen = ({ navigation, route }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [indexProgress, setIndexProgress] = useState(null); // { done, total } while backfilling
+  const [query, setQuery] = useState(route.params?.query || '');
+  const [debouncedQuery, setDebouncedQuery] = useState(query);
+  const [astrologerId, setAstrologerId] = useState(route.params?.astrologerId || null);
+  const [fromDate, setFromDate] = useState(null);
+  const [toDate, setToDate] = useState(null);
+  const [pickerTarget, setPickerTarget] = useState(null); // 'from' | 'to'
+
+  const mountedRef = useRef(true);
+
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedQuery(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  // Show what is cached right away, then pull in past chats that were never opened
+  const loadIndex = useCallback(async () => {
+    setSessions(await getIndexedSessions(userId));
+    setLoading(false);
+
+    try {
+      const response = await bookingsAPI.getAll();
+      const bookings = Array.isArray(response.data) ? response.data : (response.data?.data || []);
+
+      const added = await indexPastSessions(userId, bookings, {
+        onProgress: (done, total) => {
+          if (mountedRef.current) setIndexProgress({ done, total });
+        },
+        isCancelled: () => !mountedRef.current
+      });
+
+      if (added > 0 && mountedRef.current) {
+        setSessions(await getIndexedSessions(userId));
+      }
+    } catch (error) {
+      // Searching what is already cached still works
+      console.warn('📚 [TRANSCRIPT_SEARCH] Could not refresh past sessions:', error.message);
+    } finally {
+      if (mountedRef.current) setIndexProgress(null);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadIndex();
+  }, [loadIndex]);
+
+  const astrologers = useMemo(() => {
+    const seen = new Map();
+    sessions.forEach(session => {
+      if (!seen.has(session.astrologerId)) {
+        seen.set(session.astrologerId, session.astrologerName);
+      }
+    });
+    return Array.from(seen, ([id, name]) => ({ id, name }));
+  }, [sessions]);
+
+  const terms = useMemo(() => getSearchTerms(debouncedQuery), [debouncedQuery]);
+
+  const results = useMemo(() => {
+    // The "to" day is inclusive
+    const to = toDate ? new Date(new Date(toDate).setHours(23, 59, 59, 999)) : null;
+    const from = fromDate ? new Date(new Date(fromDate).setHours(0, 0, 0, 0)) : null;
+    return searchTranscripts(sessions, debouncedQuery, { astrologerId, from, to });
+  }, [sessions, debouncedQuery, astrologerId, fromDate, toDate]);
+
+  const onDateChange = (event, selectedDate) => {
+    const target = pickerTarget;
+    setPickerTarget(null);
+    if (!selectedDate) return;
+
+    if (target === 'from') {
+      setFromDate(selectedDate);
+      if (toDate && selectedDate > toDate) setToDate(null);
+    } else {
+      setToDate(selectedDate);
+      if (fromDate && selectedDate < fromDate) setFromDate(null);
+    }
+  };
+
+  const openResult = (result) => {
+    navigation.navigate('ChatHistory', {
+      sessionId: result.sessionId,
+      bookingId: result.bookingId,
+      astrologerName: result.astrologerName,
+      highlightMessageId: result.message.id,
+      searchQuery: debouncedQuery
+    });
+  };
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity style={styles.resultCard} onPress={() => openResult(item)}>
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultAstrologer}>{item.astrologerName}</Text>
+        <Text style={styles.resultDate}>{formatDate(item.message.timestamp)}</Text>
+      </View>
+      <Text style={styles.resultSender}>
+        {item.message.senderType === 'user' ? 'You' : item.message.senderName || item.astrologerName}
+      </Text>
+      <HighlightedText
+        text={getMatchSnippet(item.message.content, terms)}
+        terms={terms}
+        style={styles.resultText}
+        numberOfLines={4}
+      />
+    </TouchableOpacity>
+  );
+
+  const renderEmpty = () => {
+    if (loading) return null;
+
+    if (sessions.length === 0 && !indexProgress) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="chatbubbles-outline" size={64} color="#ccc" />
+          <Text style={styles.emptyTitle}>No Transcripts Yet</Text>
+          <Text style={styles.emptyMessage}>
+            Your completed chat consultations will be searchable here.
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="search-outline" size={64} color="#ccc" />
+        <Text style={styles.emptyTitle}>
+          {terms.length === 0 ? 'Search Your Consultations' : 'No Matches Found'}
+        </Text>
+        <Text style={styles.emptyMessage}>
+          {terms.length === 0
+            ? `Search across ${sessions.length} past ${sessions.length === 1 ? 'session' : 'sessions'}, e.g. "marriage" or "career"`
+            : 'Try different words or clear the filters.'}
+        </Text>
+      </View>
+    );
+  };
+
+  const hasDateFilter = fromDate || toDate;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={18} color="#999" />
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search past consultations"
+            placeholderTextColor="#999"
+            autoFocus
+            returnKeyType="search"
+          />
+          {query.length > 0 && (
+            <TouchableOpacity onPress={() => setQuery('')}>
+              <Ionicons name="close-circle" size={18} color="#999" />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {/* Filters */}
+      <View style={styles.filtersContainer}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipsRow}>
+          <TouchableOpacity
+            style={[styles.chip, !astrologerId && styles.chipActive]}
+            onPress={() => setAstrologerId(null)}
+          >
+            <Text style={[styles.chipText, !astrologerId && styles.chipTextActive]}>All astrologers</Text>
+          </TouchableOpacity>
+          {astrologers.map(astrologer => (
+            <TouchableOpacity
+              key={astrologer.id}
+              style={[styles.chip, astrologerId === astrologer.id && styles.chipActive]}
+              onPress={() => setAstrologerId(astrologer.id)}
+            >
+              <Text style={[styles.chipText, astrologerId === astrologer.id && styles.chipTextActive]}>
+                {astrologer.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        <View style={styles.dateRow}>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickerTarget('from')}>
+            <Ionicons name="calendar-outline" size={16} color="#4A90E2" />
+            <Text style={styles.dateButtonText}>{fromDate ? formatDate(fromDate) : 'From'}</Text>
+          </TouchableOpacity>
+          <Text style={styles.dateSeparator}>–</Text>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickerTarget('to')}>
+            <Ionicons name="calendar-outline" size={16} color="#4A90E2" />
+            <Text style={styles.dateButtonText}>{toDate ? formatDate(toDate) : 'To'}</Text>
+          </TouchableOpacity>
+          {hasDateFilter && (
+            <TouchableOpacity
+              style={styles.clearDatesButton}
+              onPress={() => {
+                setFromDate(null);
+                setToDate(null);
+              }}
+            >
+              <Text style={styles.clearDatesText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {indexProgress && (
+        <View style={styles.indexingBanner}>
+          <ActivityIndicator size="small" color="#4A90E2" />
+          <Text style={styles.indexingText}>
+            Indexing past consultations {indexProgress.done}/{indexProgress.total}
+          </Text>
+        </View>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#4A90E2" />
+        </View>
+      ) : (
+        <FlatList
+          data={results}
+          renderItem={renderResult}
+          keyExtractor={(item) => `${item.sessionId}-${item.message.id}`}
+          contentContainerStyle={styles.resultsList}
+          keyboardShouldPersistTaps="handled"
+          ListHeaderComponent={results.length > 0 ? (
+            <Text style={styles.resultsCount}>
+              {results.length} {results.length === 1 ? 'match' : 'matches'}
+            </Text>
+          ) : null}
+          ListEmptyComponent={renderEmpty}
+        />
+      )}
+
+      {pickerTarget && (
+        <DateTimePicker
+          value={(pickerTarget === 'from' ? fromDate : toDate) || new Date()}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onDateChange}
+          maximumDate={new Date()}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e1e8ed',
+  },
+  backButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f1f3f5',
+    borderRadius: 20,
+    paddingHorizontal: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 8,
+    marginHorizontal: 8,
+  },
+  filtersContainer: {
+    backgroundColor: '#fff',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e1e8ed',
+  },
+  chipsRow: {
+    paddingHorizontal: 16,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e1e8ed',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#4A90E2',
+    borderColor: '#4A90E2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginTop: 10,
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  dateButtonText: {
+    fontSize: 13,
+    color: '#333',
+    marginLeft: 6,
+  },
+  dateSeparator: {
+    marginHorizontal: 8,
+    color: '#999',
+  },
+  clearDatesButton: {
+    marginLeft: 'auto',
+    padding: 6,
+  },
+  clearDatesText: {
+    fontSize: 13,
+    color: '#4A90E2',
+    fontWeight: '600',
+  },
+  indexingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: 'rgba(74, 144, 226, 0.1)',
+  },
+  indexingText: {
+    fontSize: 13,
+    color: '#4A90E2',
+    marginLeft: 8,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  resultsList: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  resultsCount: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  resultCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  resultAstrologer: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  resultDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  resultSender: {
+    fontSize: 12,
+    color: '#4A90E2',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  resultText: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyMessage: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
+
+export default TranscriptSearchScreen;
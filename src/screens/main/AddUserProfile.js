@@ -17,10 +17,11 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-// import { GooglePlacesAutocomplete } from 'react-native-google-places-autocomplete';
 import { useAuth } from '../../context/AuthContext';
 import { authAPI } from '../../services/api';
-import { GOOGLE_PLACES_CONFIG } from '../../config/googlePlaces';
+import CityPicker from '../../components/CityPicker';
+import { getCityById, findCityByName, formatCityName, getBirthPlaceFields } from '../../data/cities';
+import { zonedTimeToUtc, formatUtcOffset } from '../../utils/astrology/timezone';
 
 const AddUserProfile = ({ navigation, route }) => {
   const { user, setUser } = useAuth();
@@ -28,6 +29,7 @@ const AddUserProfile = ({ navigation, route }) => {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [showGenderPicker, setShowGenderPicker] = useState(false);
+  const [showCityPicker, setShowCityPicker] = useState(false);
   const [isTimeOfBirthUnknown, setIsTimeOfBirthUnknown] = useState(false);
   
   // Form state
@@ -36,6 +38,7 @@ const AddUserProfile = ({ navigation, route }) => {
     birthDate: new Date(),
     birthTime: new Date(),
     birthLocation: '',
+    birthCity: null,
     gender: '',
     isTimeOfBirthUnknown: false,
   });
@@ -50,6 +53,8 @@ const AddUserProfile = ({ navigation, route }) => {
         birthDate: user.birthDate ? new Date(user.birthDate) : new Date(),
         birthTime: isTimeUnknown ? null : (user.birthTime ? new Date(user.birthTime) : new Date()),
         birthLocation: user.birthLocation || '',
+        // Older profiles only have free text; match them to the gazetteer
+        birthCity: getCityById(user.birthPlaceId) || findCityByName(user.birthLocation),
         gender: user.gender || '',
         isTimeOfBirthUnknown: isTimeUnknown,
       };
@@ -115,32 +120,41 @@ const AddUserProfile = ({ navigation, route }) => {
     }
   };
 
-  // Handle birth location selection from Google Places
-  const handleLocationSelect = (data, details = null) => {
-    try {
-      if (!data) {
-        console.log('GooglePlacesAutocomplete: No data received');
-        return;
-      }
-      
-      const locationName = data.description || 
-                          data.structured_formatting?.main_text || 
-                          data.formatted_address || 
-                          data.name || 
-                          '';
-      
-      if (locationName) {
-        console.log('Selected location:', locationName);
-        handleInputChange('birthLocation', locationName);
-      } else {
-        console.log('GooglePlacesAutocomplete: No valid location name found in data:', data);
-      }
-    } catch (error) {
-      console.error('Error handling location selection:', error);
-      Alert.alert('Error', 'Failed to select location. Please try again.');
+  // Handle birth location selection from the offline city list
+  const handleLocationSelect = (city, customPlace = '') => {
+    setShowCityPicker(false);
+    if (city) {
+      console.log('📍 Selected birth city:', city.id);
+      setFormData(prev => ({
+        ...prev,
+        birthLocation: formatCityName(city),
+        birthCity: city,
+      }));
+    } else if (customPlace) {
+      console.log('📍 Using custom birth place without coordinates:', customPlace);
+      setFormData(prev => ({
+        ...prev,
+        birthLocation: customPlace,
+        birthCity: null,
+      }));
     }
   };
 
+  // Offset in force at the birth place on the birth date, e.g. "UTC+06:30"
+  // for Indian births during war time
+  const getBirthOffsetLabel = () => {
+    if (!formData.birthCity) return null;
+    const birthTime = formData.birthTime || formData.birthDate;
+    const { utcOffsetMinutes } = zonedTimeToUtc({
+      year: formData.birthDate.getFullYear(),
+      month: formData.birthDate.getMonth(),
+      day: formData.birthDate.getDate(),
+      hours: birthTime.getHours(),
+      minutes: birthTime.getMinutes(),
+    }, formData.birthCity.timezone);
+    return formatUtcOffset(utcOffsetMinutes);
+  };
+
   // Format date for display
   const formatDate = (date) => {
     return date.toLocaleDateString('en-IN', {
@@ -195,6 +209,7 @@ const AddUserProfile = ({ navigation, route }) => {
         birthDate: formData.birthDate.toISOString(),
         birthTime: isTimeOfBirthUnknown ? null : formData.birthTime?.toISOString(),
         birthLocation: formData.birthLocation.trim(),
+        ...getBirthPlaceFields(formData.birthCity),
         gender: formData.gender,
         isTimeOfBirthUnknown: isTimeOfBirthUnknown,
       };
@@ -207,8 +222,10 @@ const AddUserProfile = ({ navigation, route }) => {
       
       if (response.success) {
         // Update user context with new data from API response
+        // Keep the structured place locally even if the API does not echo it
         const updatedUser = {
           ...user,
+          ...profileData,
           ...response.data
         };
         console.log('👤 Updated user context:', updatedUser);
@@ -374,20 +391,28 @@ const AddUserProfile = ({ navigation, route }) => {
           {/* Birth Location Field */}
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Birth Location *</Text>
-            <View style={styles.googlePlacesContainer}>
-              {/* Fallback to TextInput if Google Places causes issues */}
-              <TextInput
-                style={styles.textInput}
-                value={formData.birthLocation}
-                onChangeText={(text) => handleInputChange('birthLocation', text)}
-                placeholder="Enter your birth city/place"
-                placeholderTextColor="#9CA3AF"
-                autoCapitalize="words"
-                autoCorrect={false}
-              />
-              {/* Note: Google Places Autocomplete temporarily disabled due to filter error */}
-              {/* Will be re-enabled once the react-native-google-places-autocomplete library issue is resolved */}
-            </View>
+            <TouchableOpacity
+              style={styles.dateTimeButton}
+              onPress={() => setShowCityPicker(true)}
+            >
+              <Ionicons name="location-outline" size={20} color="#6B7280" />
+              <Text
+                style={[styles.dateTimeText, !formData.birthLocation && styles.placeholderText]}
+                numberOfLines={1}
+              >
+                {formData.birthLocation || 'Select your birth city'}
+              </Text>
+              <Ionicons name="chevron-down" size={20} color="#6B7280" />
+            </TouchableOpacity>
+            {formData.birthCity ? (
+              <Text style={styles.locationHint}>
+                {formData.birthCity.latitude.toFixed(2)}°, {formData.birthCity.longitude.toFixed(2)}° • {getBirthOffsetLabel()} on birth date
+              </Text>
+            ) : formData.birthLocation ? (
+              <Text style={styles.locationHint}>
+                Coordinates unknown - pick a nearby city for an accurate chart
+              </Text>
+            ) : null}
           </View>
         </View>
 
@@ -430,6 +455,14 @@ const AddUserProfile = ({ navigation, route }) => {
         />
       )}
 
+      {/* Birth City Picker */}
+      <CityPicker
+        visible={showCityPicker}
+        onClose={() => setShowCityPicker(false)}
+        onSelect={handleLocationSelect}
+        selectedCityId={formData.birthCity?.id}
+      />
+
       {/* Gender Picker Modal */}
       <Modal
         visible={showGenderPicker}
@@ -623,9 +656,11 @@ const styles = StyleSheet.create({
   disabledText: {
     color: '#9CA3AF',
   },
-  googlePlacesContainer: {
-    flex: 1,
-    zIndex: 1,
+  locationHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+    marginLeft: 4,
   },
   modalOverlay: {
     flex: 1,
@@ -19,6 +19,10 @@ import { useSocket } from '../../context/SocketContext';
 import { astrologersAPI, walletAPI, ratingsAPI } from '../../services/api';
 import { initiateRealTimeBooking, listenForBookingStatusUpdates } from '../../services/socketService';
 import { addPendingConsultation, getPendingConsultations } from '../../utils/pendingConsultationsStore';
+import { bookAppointment, formatAppointmentTime } from '../../utils/appointments';
+import AppointmentSlotPicker from '../../components/AppointmentSlotPicker';
+import useAstrologerWaitlist from '../../hooks/useAstrologerWaitlist';
+import { isAstrologerAvailable } from '../../utils/waitlistStore';
 
 const AstrologerProfileScreen = ({ route, navigation }) => {
   const { socket } = useSocket();
@@ -45,9 +49,16 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
   // State for consultation notification
   const [showNotificationBanner, setShowNotificationBanner] = useState(false);
   const [consultationData, setConsultationData] = useState(null);
+
+  // Scheduled appointment slot picker
+  const [slotPickerVisible, setSlotPickerVisible] = useState(false);
+
+  // Waitlist while the astrologer is busy or offline
+  const isAvailableNow = isAstrologerAvailable(astrologer);
+  const waitlist = useAstrologerWaitlist(astrologer, isAvailableNow);
   
   // Get astrologer ID from navigation params - handle both astrologerId and astrologer object
-  const { astrologerId, astrologer: passedAstrologer } = route.params || {};
+  const { astrologerId, astrologer: passedAstrologer, consultationContext } = route.params || {};
   const actualAstrologerId = astrologerId || passedAstrologer?._id || passedAstrologer?.id;
   
   console.log('🔍 [USER-APP] AstrologerProfileScreen: Route params:', route.params);
@@ -63,7 +74,8 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
     console.log('🚀 [USER-APP] AstrologerProfileScreen: Navigating to PreChatForm for chat booking');
     navigation.navigate('PreChatForm', {
       astrologer: astrologer,
-      bookingType: 'chat'
+      bookingType: 'chat',
+      consultationContext
     });
   };
 
@@ -77,6 +89,7 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
     if (socket) {
       console.log('🔌 [AstrologerProfile] Setting up availability update listener');
       socket.on('astrologer_availability_updated', handleAstrologerAvailabilityUpdate);
+      socket.on('astrologer_status_updated', handleAstrologerStatusUpdate);
     }
     
     // Note: We don't clean up the booking status listener here to maintain
@@ -89,9 +102,10 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
       if (socket) {
         console.log('🧹 [AstrologerProfile] Cleaning up availability update listener');
         socket.off('astrologer_availability_updated', handleAstrologerAvailabilityUpdate);
+        socket.off('astrologer_status_updated', handleAstrologerStatusUpdate);
       }
     };
-  }, [socket, handleAstrologerAvailabilityUpdate]);
+  }, [socket, handleAstrologerAvailabilityUpdate, handleAstrologerStatusUpdate]);
 
   // Fetch reviews when astrologer is loaded
   useEffect(() => {
@@ -179,7 +193,8 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
         
         const updatedAstrologer = {
           ...prevAstrologer,
-          onlineStatus: data.onlineStatus
+          onlineStatus: data.onlineStatus,
+          status: data.status ?? prevAstrologer.status
         };
         
         console.log('🔄 [AstrologerProfile] Astrologer state updated:', {
@@ -194,6 +209,16 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
     }
   }, [actualAstrologerId]);
 
+  // Handle astrologer status updates (busy/online), which decide the waitlist card
+  const handleAstrologerStatusUpdate = useCallback((data) => {
+    if (!actualAstrologerId || actualAstrologerId !== data?.astrologerId) return;
+    console.log('🔄 [AstrologerProfile] Astrologer status update received:', data.status);
+
+    setAstrologer(prevAstrologer => (
+      prevAstrologer ? { ...prevAstrologer, status: data.status } : prevAstrologer
+    ));
+  }, [actualAstrologerId]);
+
   // Set up listener for booking status updates
   const setupBookingStatusListener = async () => {
     try {
@@ -930,6 +955,114 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
     console.log('Video call booking - feature removed');
   };
 
+  // Book one of the astrologer's open slots for later
+  const handleConfirmAppointment = async ({ slot, type }) => {
+    const hasEnoughBalance = await checkWalletBalance(type);
+    if (!hasEnoughBalance) {
+      setSlotPickerVisible(false);
+      return;
+    }
+
+    try {
+      await bookAppointment({ astrologer, type, slot });
+      setSlotPickerVisible(false);
+
+      const astrologerName = astrologer.displayName || astrologer.name || 'the astrologer';
+      Alert.alert(
+        'Appointment Booked',
+        `Your ${type === 'voice' ? 'voice call' : 'chat'} with ${astrologerName} is booked for ${formatAppointmentTime(slot.start)}. You can reschedule or cancel it from Pending Consultations.`,
+        [
+          { text: 'OK', style: 'cancel' },
+          { text: 'View', onPress: () => navigation.navigate('PendingConsultations') }
+        ]
+      );
+    } catch (error) {
+      console.error('❌ [USER-APP] AstrologerProfileScreen: Appointment booking failed:', error);
+      Alert.alert(
+        'Booking Failed',
+        error.response?.data?.message || error.message || 'This slot could not be booked. Please pick another time.'
+      );
+      throw error;
+    }
+  };
+
+  const handleJoinWaitlist = async () => {
+    try {
+      await waitlist.joinWaitlist(astrologer.consultationPrices?.chat ? 'chat' : 'voice');
+    } catch (error) {
+      console.error('❌ [USER-APP] AstrologerProfileScreen: Could not join waitlist:', error);
+      Alert.alert('Waitlist', error.response?.data?.message || error.message || 'Could not join the waitlist. Please try again.');
+    }
+  };
+
+  const renderWaitlistCard = () => {
+    if (!astrologer || isAvailableNow) return null;
+
+    const isBusy = astrologer.status === 'busy';
+    const { entry, estimatedWaitMinutes, updating } = waitlist;
+
+    if (!entry) {
+      return (
+        <View style={styles.waitlistCard}>
+          <Text style={styles.waitlistText}>
+            {isBusy
+              ? 'In a consultation right now. Join the waitlist and we will let you know when they are free.'
+              : 'Offline right now. Join the waitlist and we will let you know when they come online.'}
+          </Text>
+          <TouchableOpacity
+            style={styles.waitlistButton}
+            onPress={handleJoinWaitlist}
+            disabled={updating}
+            accessibilityLabel="Notify me when online"
+          >
+            {updating ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="notifications-outline" size={18} color="#fff" />
+                <Text style={styles.waitlistButtonText}>Notify me when online</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.waitlistCard}>
+        <View style={styles.waitlistStatusRow}>
+          <View style={styles.waitlistPosition}>
+            <Text style={styles.waitlistPositionNumber}>#{entry.position}</Text>
+            <Text style={styles.waitlistPositionLabel}>in line</Text>
+          </View>
+          <View style={styles.waitlistStatusText}>
+            <Text style={styles.waitlistTitle}>You're on the waitlist</Text>
+            <Text style={styles.waitlistText}>
+              {estimatedWaitMinutes != null
+                ? `Estimated wait about ${estimatedWaitMinutes} min. We'll notify you when it's your turn.`
+                : "We'll notify you as soon as they're online."}
+            </Text>
+          </View>
+        </View>
+        <TouchableOpacity onPress={waitlist.leaveWaitlist} disabled={updating} style={styles.leaveWaitlistButton}>
+          <Text style={styles.leaveWaitlistText}>{updating ? 'Leaving...' : 'Leave waitlist'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderScheduleButton = () => (
+    <TouchableOpacity
+      style={styles.scheduleButton}
+      onPress={() => setSlotPickerVisible(true)}
+      accessibilityLabel="Schedule an Appointment"
+    >
+      <Ionicons name="calendar-outline" size={20} color="#F97316" />
+      <Text style={styles.scheduleButtonText}>Schedule for later</Text>
+      <Ionicons name="chevron-forward" size={18} color="#F97316" />
+    </TouchableOpacity>
+  );
+
   // Booking request pending modal
   const renderBookingPendingModal = () => {
     // Don't show modal for voice calls as they redirect to Home immediately
@@ -1159,6 +1292,8 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
               : 'Astrologer is currently offline. The astrologer will be notified once they come online.'}
           </Text> */}
           
+          {renderWaitlistCard()}
+
           <View style={styles.bookingButtonsContainer}>
             {/* Chat Button - Show only if onlineStatus.chat === 1 and consultation price exists */}
             {(() => {
@@ -1237,6 +1372,7 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
               </Text>
             </TouchableOpacity> */}
           </View>
+          {renderScheduleButton()}
         </View>
 
         {/* Profile Details */}
@@ -1506,6 +1642,8 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
               : 'Astrologer is currently offline. The astrologer will be notified once they come online.'}
           </Text> */}
           
+          {renderWaitlistCard()}
+
           <View style={styles.bookingButtonsContainer}>
             {/* Chat Button - Show only if onlineStatus.chat === 1 and consultation price exists */}
             {(() => {
@@ -1584,11 +1722,20 @@ const AstrologerProfileScreen = ({ route, navigation }) => {
               </Text>
             </TouchableOpacity> */}
           </View>
+          {renderScheduleButton()}
         </View>
       </ScrollView>
       
       {/* Booking Pending Modal */}
       {renderBookingPendingModal()}
+
+      <AppointmentSlotPicker
+        visible={slotPickerVisible}
+        astrologer={astrologer}
+        initialType={astrologer?.consultationPrices?.chat ? 'chat' : 'voice'}
+        onConfirm={handleConfirmAppointment}
+        onClose={() => setSlotPickerVisible(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -2028,6 +2175,90 @@ const styles = StyleSheet.create({
   disabledButtonText: {
     color: '#9CA3AF',
   },
+  waitlistCard: {
+    backgroundColor: '#FFF7ED',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+  },
+  waitlistText: {
+    fontSize: 13,
+    color: '#6B7280',
+    lineHeight: 18,
+  },
+  waitlistButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    borderRadius: 10,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  waitlistButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  waitlistStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  waitlistPosition: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#F97316',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  waitlistPositionNumber: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  waitlistPositionLabel: {
+    color: '#fff',
+    fontSize: 10,
+  },
+  waitlistStatusText: {
+    flex: 1,
+  },
+  waitlistTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 2,
+  },
+  leaveWaitlistButton: {
+    alignSelf: 'flex-end',
+    paddingVertical: 6,
+    marginTop: 6,
+  },
+  leaveWaitlistText: {
+    color: '#EF4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  scheduleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#F97316',
+    backgroundColor: '#FFF7ED',
+  },
+  scheduleButtonText: {
+    color: '#F97316',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+    flex: 1,
+  },
   
   // Reviews Section Styles
   reviewsSection: {
@@ -32,6 +32,8 @@ const AstrologersScreen = ({ navigation, route }) => {
   const durationMinutes = route.params?.durationMinutes;
   const cardName = route.params?.cardName;
   const astrologerAssignment = route.params?.astrologerAssignment || 'all';
+  // Optional context (e.g. a kundli matching result) to carry through to PreChatForm
+  const consultationContext = route.params?.consultationContext;
   // Memoize array to prevent new reference on every render
   const assignedAstrologers = useMemo(
     () => route.params?.assignedAstrologers || [],
@@ -186,9 +188,9 @@ const AstrologersScreen = ({ navigation, route }) => {
       );
     } else {
       // Normal flow - navigate to profile
-      navigation.navigate('AstrologerProfile', { astrologer });
+      navigation.navigate('AstrologerProfile', { astrologer, consultationContext });
     }
-  }, [isPrepaidRechargeCard, purchaseId, durationMinutes, cardName, navigation]);
+  }, [isPrepaidRechargeCard, purchaseId, durationMinutes, cardName, consultationContext, navigation]);
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -16,12 +16,15 @@ import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
 import { useFocusEffect } from '@react-navigation/native';
 import { bookingsAPI } from '../../services/api';
+import { bookAppointment, formatAppointmentTime } from '../../utils/appointments';
+import AppointmentSlotPicker from '../../components/AppointmentSlotPicker';
 
 const BookingScreen = ({ route, navigation }) => {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('all');
+  const [schedulingAstrologer, setSchedulingAstrologer] = useState(null);
   const { user } = useAuth();
   const { socket } = useSocket();
   
@@ -147,94 +150,31 @@ const BookingScreen = ({ route, navigation }) => {
   );
 
   useEffect(() => {
-    // If we have a selected astrologer, show the booking modal
+    // If we have a selected astrologer, open the slot picker
     if (selectedAstrologer) {
-      showBookingOptions(selectedAstrologer);
+      setSchedulingAstrologer(selectedAstrologer);
     }
   }, [selectedAstrologer]);
   
-  // Function to handle booking creation
-  const createBooking = async (astrologer, type, scheduledTime) => {
+  // Book the slot picked for the selected astrologer
+  const createBooking = async ({ slot, type }) => {
+    const astrologer = schedulingAstrologer;
+    const astrologerName = astrologer.name || astrologer.displayName || 'the astrologer';
     try {
-      setLoading(true);
-      
-      const bookingData = {
-        astrologerId: astrologer.id,
-        type,
-        scheduledTime,
-      };
-      
-      // Call backend API to create booking
-      const response = await bookingsAPI.create(bookingData);
-      
-      if (response.data && response.data.success) {
-        Alert.alert(
-          'Booking Successful',
-          `Your ${type} session with ${astrologer.name} has been scheduled.`,
-          [{ text: 'OK', onPress: () => fetchBookings() }]
-        );
-      } else {
-        Alert.alert('Booking Failed', response.data?.message || 'Failed to create booking');
-      }
-      
-      setLoading(false);
+      await bookAppointment({ astrologer, type, slot });
+      setSchedulingAstrologer(null);
+      Alert.alert(
+        'Booking Successful',
+        `Your ${type} session with ${astrologerName} is scheduled for ${formatAppointmentTime(slot.start)}.`,
+        [{ text: 'OK', onPress: () => fetchBookings() }]
+      );
     } catch (error) {
       console.error('Error creating booking:', error);
-      setLoading(false);
-      Alert.alert('Error', 'Failed to create booking. Please try again.');
+      Alert.alert('Booking Failed', error.response?.data?.message || error.message || 'Failed to create booking. Please try again.');
+      throw error;
     }
   };
 
-  const showBookingOptions = (astrologer) => {
-    Alert.alert(
-      `Book ${astrologer.name}`,
-      'Select session type:',
-      [
-        {
-          text: 'Chat Session',
-          onPress: () => scheduleSession(astrologer, 'chat')
-        },
-        {
-          text: 'Voice Call',
-          onPress: () => scheduleSession(astrologer, 'voice')
-        },
-        {
-          text: 'Video Call',
-          onPress: () => scheduleSession(astrologer, 'video')
-        },
-        {
-          text: 'Cancel',
-          style: 'cancel'
-        }
-      ]
-    );
-  };
-
-  const scheduleSession = (astrologer, type) => {
-    // Get current time and calculate a time 1 hour from now for scheduling
-    const now = new Date();
-    const scheduledTime = new Date(now.getTime() + 60 * 60 * 1000); // 1 hour from now
-    
-    // Format the time for display
-    const formattedTime = scheduledTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    
-    // Confirm booking with user
-    Alert.alert(
-      'Confirm Booking',
-      `Schedule a ${type} session with ${astrologer.name} at ${formattedTime}?`,
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel'
-        },
-        {
-          text: 'Confirm',
-          onPress: () => createBooking(astrologer, type, scheduledTime.toISOString())
-        }
-      ]
-    );
-  };
-
   const handleViewChatHistory = (booking) => {
     console.log('📜 [BookingScreen] Viewing chat history for booking:', booking._id);
     console.log('📜 [BookingScreen] Session ID:', booking.sessionId);
@@ -687,6 +627,12 @@ const BookingScreen = ({ route, navigation }) => {
           <Ionicons name="arrow-back" size={24} color="#333" />
         </TouchableOpacity>
         <Text style={styles.title}>My Bookings</Text>
+        <TouchableOpacity 
+          style={styles.searchButton} 
+          onPress={() => navigation.navigate('TranscriptSearch')}
+        >
+          <Ionicons name="search" size={22} color="#333" />
+        </TouchableOpacity>
       </View>
 
       {/* Tab Navigation */}
@@ -731,6 +677,13 @@ const BookingScreen = ({ route, navigation }) => {
         />
       )}
       </View>
+
+      <AppointmentSlotPicker
+        visible={!!schedulingAstrologer}
+        astrologer={schedulingAstrologer}
+        onConfirm={createBooking}
+        onClose={() => setSchedulingAstrologer(null)}
+      />
     </SafeAreaView>
   );
 };
@@ -768,6 +721,9 @@ const styles = StyleSheet.create({
     color: '#333',
     flex: 1,
   },
+  searchButton: {
+    padding: 8,
+  },
   tabContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
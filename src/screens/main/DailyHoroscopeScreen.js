@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -14,27 +14,106 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
-import horoscopeService, { ZODIAC_SIGNS, DAY_OPTIONS } from '../../services/horoscopeService';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from '../../context/AuthContext';
+import horoscopeService, {
+  ZODIAC_SIGNS,
+  DAY_OPTIONS,
+  PERIOD_OPTIONS,
+  getZodiacSign,
+  getPeriodRange,
+} from '../../services/horoscopeService';
+import { RASHIS } from '../../utils/astrology/astroMath';
+import { getPersonalSigns } from '../../utils/astrology/personalSigns';
 
 const { width } = Dimensions.get('window');
 
+const PREFERENCES_KEY = 'horoscope_preferences';
+
+// Vedic readings follow the sidereal Moon sign, western ones the tropical Sun sign
+const SIGN_SYSTEMS = [
+  { key: 'vedic', name: 'Vedic Rashi', label: 'Moon Sign (Rashi)' },
+  { key: 'western', name: 'Western', label: 'Sun Sign' },
+];
+
+const getRashiForSign = (signKey) => RASHIS.find(rashi => rashi.zodiacKey === signKey);
+
 const DailyHoroscopeScreen = ({ navigation }) => {
-  const [selectedSign, setSelectedSign] = useState(ZODIAC_SIGNS[0]); // Default to Aries
+  const { user } = useAuth();
+  const [signSystem, setSignSystem] = useState('vedic');
+  const [selectedSign, setSelectedSign] = useState(null);
+  const [selectedPeriod, setSelectedPeriod] = useState(PERIOD_OPTIONS[0]); // Default to Daily
   const [selectedDay, setSelectedDay] = useState(DAY_OPTIONS[0]); // Default to Today
   const [horoscopeData, setHoroscopeData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [showSignModal, setShowSignModal] = useState(false);
   const [showDayModal, setShowDayModal] = useState(false);
 
+  const personalSigns = useMemo(() => {
+    try {
+      return getPersonalSigns(user);
+    } catch (error) {
+      console.error('❌ [DailyHoroscope] Failed to derive personal signs:', error);
+      return null;
+    }
+  }, [user]);
+
+  const getPersonalSignKey = (system) => {
+    if (!personalSigns) return null;
+    return system === 'vedic' ? personalSigns.moonRashi.zodiacKey : personalSigns.sunSignKey;
+  };
+
+  const personalSignKey = getPersonalSignKey(signSystem);
+  const isPersonalSignSelected = !!personalSignKey && selectedSign?.key === personalSignKey;
+
+  // Restore the last choice; without one, land on the user's own sign
+  useEffect(() => {
+    const loadPreferences = async () => {
+      let preferences = null;
+      try {
+        const stored = await AsyncStorage.getItem(PREFERENCES_KEY);
+        preferences = stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        console.error('❌ [DailyHoroscope] Failed to load preferences:', error);
+      }
+
+      const system = preferences?.signSystem || 'vedic';
+      // A null signKey means "follow my own sign", so edited birth details are picked up
+      const signKey = preferences?.signKey || getPersonalSignKey(system) || ZODIAC_SIGNS[0].key;
+
+      setSignSystem(system);
+      setSelectedSign(getZodiacSign(signKey) || ZODIAC_SIGNS[0]);
+    };
+
+    loadPreferences();
+  }, [personalSigns]);
+
+  const savePreferences = async (system, sign) => {
+    try {
+      const isPersonal = sign.key === getPersonalSignKey(system);
+      await AsyncStorage.setItem(PREFERENCES_KEY, JSON.stringify({
+        signSystem: system,
+        signKey: isPersonal ? null : sign.key,
+      }));
+    } catch (error) {
+      console.error('❌ [DailyHoroscope] Failed to save preferences:', error);
+    }
+  };
+
   // Fetch horoscope when component mounts or selections change
   useEffect(() => {
-    fetchHoroscope();
-  }, [selectedSign, selectedDay]);
+    if (selectedSign) {
+      fetchHoroscope();
+    }
+  }, [selectedSign, selectedPeriod, selectedDay]);
 
   const fetchHoroscope = async () => {
     setLoading(true);
     try {
-      const data = await horoscopeService.fetchDailyHoroscope(selectedSign.key, selectedDay.key);
+      const data = await horoscopeService.fetchHoroscope(selectedSign.key, {
+        period: selectedPeriod.key,
+        day: selectedDay.key,
+      });
       setHoroscopeData(data);
     } catch (error) {
       console.error('Error fetching horoscope:', error);
@@ -47,6 +126,28 @@ const DailyHoroscopeScreen = ({ navigation }) => {
   const handleSignSelect = (sign) => {
     setSelectedSign(sign);
     setShowSignModal(false);
+    savePreferences(signSystem, sign);
+  };
+
+  const handleSystemChange = (system) => {
+    if (system === signSystem) return;
+
+    // Switch to the user's own sign in the other system when we know it
+    const ownSign = getZodiacSign(getPersonalSignKey(system) || selectedSign.key);
+    setSignSystem(system);
+    setSelectedSign(ownSign);
+    savePreferences(system, ownSign);
+  };
+
+  const handleShowMySign = () => {
+    handleSignSelect(getZodiacSign(personalSignKey));
+  };
+
+  // "Vrishabha (Taurus)" in the Vedic view, "Taurus" in the western view
+  const getSignName = (sign) => {
+    if (signSystem !== 'vedic') return sign.name;
+    const rashi = getRashiForSign(sign.key);
+    return rashi ? `${rashi.name} (${sign.name})` : sign.name;
   };
 
   const handleDaySelect = (day) => {
@@ -62,10 +163,15 @@ const DailyHoroscopeScreen = ({ navigation }) => {
       <View style={styles.signItemContent}>
         <Text style={styles.signSymbol}>{item.symbol}</Text>
         <View style={styles.signTextContainer}>
-          <Text style={styles.signName}>{item.name}</Text>
-          <Text style={styles.signDates}>{item.dates}</Text>
+          <Text style={styles.signName}>{getSignName(item)}</Text>
+          {signSystem === 'western' && <Text style={styles.signDates}>{item.dates}</Text>}
         </View>
-        {selectedSign.key === item.key && (
+        {item.key === personalSignKey && (
+          <View style={styles.yoursBadge}>
+            <Text style={styles.yoursBadgeText}>Yours</Text>
+          </View>
+        )}
+        {selectedSign?.key === item.key && (
           <Ionicons name="checkmark-circle" size={24} color="#4CAF50" />
         )}
       </View>
@@ -86,30 +192,38 @@ const DailyHoroscopeScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
-  // Function to get display date based on selected day
-  const getDisplayDate = (dayKey) => {
-    const today = new Date();
-    let targetDate;
-
-    switch (dayKey) {
-      case 'today':
-        targetDate = today;
-        break;
-      case 'tomorrow':
-        targetDate = new Date(today);
-        targetDate.setDate(today.getDate() + 1);
-        break;
-      case 'yesterday':
-        targetDate = new Date(today);
-        targetDate.setDate(today.getDate() - 1);
-        break;
+  // Function to get display date for the selected period
+  const getDisplayDate = () => {
+    const { start, end } = getPeriodRange(selectedPeriod.key, selectedDay.key);
+
+    switch (selectedPeriod.key) {
+      case 'weekly': {
+        const lastDay = new Date(end.getTime() - 86400000);
+        const format = { day: 'numeric', month: 'short' };
+        return `${start.toLocaleDateString('en-IN', format)} - ${lastDay.toLocaleDateString('en-IN', format)}`;
+      }
+      case 'monthly':
+        return start.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+      case 'yearly':
+        return String(start.getFullYear());
       default:
-        targetDate = today;
+        return start.toLocaleDateString();
     }
-
-    return targetDate.toLocaleDateString();
   };
 
+  const isDaily = selectedPeriod.key === 'daily';
+
+  // Preferences are still loading
+  if (!selectedSign) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#F97316" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
@@ -125,19 +239,90 @@ const DailyHoroscopeScreen = ({ navigation }) => {
       </View>
 
       <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Sign System Toggle */}
+        <View style={styles.systemToggle}>
+          {SIGN_SYSTEMS.map((system) => (
+            <TouchableOpacity
+              key={system.key}
+              style={[styles.systemOption, signSystem === system.key && styles.systemOptionActive]}
+              onPress={() => handleSystemChange(system.key)}
+            >
+              <Text style={[styles.systemOptionText, signSystem === system.key && styles.systemOptionTextActive]}>
+                {system.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Personal Sign */}
+        {personalSigns ? (
+          <View style={styles.personalCard}>
+            <Ionicons name="person-circle-outline" size={28} color="#F97316" />
+            <View style={styles.personalTextContainer}>
+              <Text style={styles.personalLabel}>
+                Your {signSystem === 'vedic' ? 'Moon sign' : 'Sun sign'}
+              </Text>
+              <Text style={styles.personalValue}>
+                {getZodiacSign(personalSignKey).symbol} {getSignName(getZodiacSign(personalSignKey))}
+              </Text>
+              {signSystem === 'vedic' && personalSigns.isMoonSignUncertain && (
+                <Text style={styles.personalNote}>
+                  Birth time unknown - the Moon may have been in the neighbouring sign
+                </Text>
+              )}
+            </View>
+            {!isPersonalSignSelected && (
+              <TouchableOpacity style={styles.showMineButton} onPress={handleShowMySign}>
+                <Text style={styles.showMineText}>Show mine</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={styles.personalCard}
+            onPress={() => navigation.navigate('AddUserProfile')}
+          >
+            <Ionicons name="person-add-outline" size={24} color="#F97316" />
+            <View style={styles.personalTextContainer}>
+              <Text style={styles.personalValue}>See your own horoscope</Text>
+              <Text style={styles.personalLabel}>Add your birth details to find your Moon and Sun signs</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+          </TouchableOpacity>
+        )}
+
+        {/* Period Tabs */}
+        <View style={styles.periodTabs}>
+          {PERIOD_OPTIONS.map((period) => (
+            <TouchableOpacity
+              key={period.key}
+              style={[styles.periodTab, selectedPeriod.key === period.key && styles.periodTabActive]}
+              onPress={() => setSelectedPeriod(period)}
+            >
+              <Text style={[styles.periodTabText, selectedPeriod.key === period.key && styles.periodTabTextActive]}>
+                {period.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
         {/* Selection Cards */}
         <View style={styles.selectionContainer}>
           {/* Zodiac Sign Selector */}
           <TouchableOpacity
-            style={styles.selectorCard}
+            style={[styles.selectorCard, !isDaily && styles.selectorCardFull]}
             onPress={() => setShowSignModal(true)}
           >
             <View style={styles.selectorContent}>
-              <Text style={styles.selectorLabel}>Zodiac Sign</Text>
+              <Text style={styles.selectorLabel}>
+                {SIGN_SYSTEMS.find(system => system.key === signSystem).label}
+              </Text>
               <View style={styles.selectorMainContent}>
                 <View style={styles.selectorValue}>
                   <Text style={styles.signSymbolLarge}>{selectedSign.symbol}</Text>
-                  <Text style={styles.selectorText}>{selectedSign.name}</Text>
+                  <Text style={styles.selectorText}>
+                    {signSystem === 'vedic' ? getRashiForSign(selectedSign.key)?.name || selectedSign.name : selectedSign.name}
+                  </Text>
                 </View>
               </View>
               <Ionicons name="chevron-down" size={20} color="#6B7280" />
@@ -145,18 +330,20 @@ const DailyHoroscopeScreen = ({ navigation }) => {
           </TouchableOpacity>
 
           {/* Day Selector */}
-          <TouchableOpacity
-            style={styles.selectorCard}
-            onPress={() => setShowDayModal(true)}
-          >
-            <View style={styles.selectorContent}>
-              <Text style={styles.selectorLabel}>Day</Text>
-              <View style={styles.selectorMainContent}>
-                <Text style={styles.selectorText}>{selectedDay.name}</Text>
+          {isDaily && (
+            <TouchableOpacity
+              style={styles.selectorCard}
+              onPress={() => setShowDayModal(true)}
+            >
+              <View style={styles.selectorContent}>
+                <Text style={styles.selectorLabel}>Day</Text>
+                <View style={styles.selectorMainContent}>
+                  <Text style={styles.selectorText}>{selectedDay.name}</Text>
+                </View>
+                <Ionicons name="chevron-down" size={20} color="#6B7280" />
               </View>
-              <Ionicons name="chevron-down" size={20} color="#6B7280" />
-            </View>
-          </TouchableOpacity>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Horoscope Content */}
@@ -164,10 +351,10 @@ const DailyHoroscopeScreen = ({ navigation }) => {
           <View style={styles.horoscopeCard}>
             <View style={styles.horoscopeHeader}>
               <Text style={styles.horoscopeTitle}>
-                {selectedSign.name} - {selectedDay.name}
+                {getSignName(selectedSign)} - {isDaily ? selectedDay.name : selectedPeriod.name}
               </Text>
               <Text style={styles.horoscopeDate}>
-                {getDisplayDate(selectedDay.key)}
+                {getDisplayDate()}
               </Text>
             </View>
 
@@ -213,6 +400,21 @@ const DailyHoroscopeScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Panchang Link */}
+        <TouchableOpacity
+          style={styles.panchangCard}
+          onPress={() => navigation.navigate('Panchang')}
+        >
+          <View style={styles.panchangIconContainer}>
+            <Ionicons name="calendar-outline" size={24} color="#F97316" />
+          </View>
+          <View style={styles.panchangTextContainer}>
+            <Text style={styles.panchangTitle}>Today's Panchang</Text>
+            <Text style={styles.panchangSubtitle}>Tithi, nakshatra, sunrise and Rahu Kaal for your city</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+        </TouchableOpacity>
+
       </ScrollView>
 
       {/* Zodiac Sign Selection Modal */}
@@ -225,7 +427,9 @@ const DailyHoroscopeScreen = ({ navigation }) => {
         <View style={styles.modalOverlay}>
           <View style={styles.modalContainer}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Select Zodiac Sign</Text>
+              <Text style={styles.modalTitle}>
+                {signSystem === 'vedic' ? 'Select Moon Sign (Rashi)' : 'Select Sun Sign'}
+              </Text>
               <TouchableOpacity
                 onPress={() => setShowSignModal(false)}
                 style={styles.modalCloseButton}
@@ -310,6 +514,104 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     paddingTop: 20,
   },
+  systemToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  systemOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  systemOptionActive: {
+    backgroundColor: '#FFFFFF',
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  systemOptionText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#6B7280',
+  },
+  systemOptionTextActive: {
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  personalCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF7ED',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#FED7AA',
+    padding: 14,
+    marginBottom: 16,
+  },
+  personalTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  personalLabel: {
+    fontSize: 12,
+    color: '#9A3412',
+  },
+  personalValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 2,
+  },
+  personalNote: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  showMineButton: {
+    backgroundColor: '#F97316',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginLeft: 8,
+  },
+  showMineText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  periodTabs: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  periodTab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    marginHorizontal: 3,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  periodTabActive: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  periodTabText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#6B7280',
+  },
+  periodTabTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
   selectionContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -329,6 +631,9 @@ const styles = StyleSheet.create({
     padding: 15,
     height: 96,
   },
+  selectorCardFull: {
+    flex: 1,
+  },
   selectorContent: {
     alignItems: 'center',
     justifyContent: 'space-between',
@@ -361,6 +666,38 @@ const styles = StyleSheet.create({
   horoscopeContainer: {
     marginBottom: 20,
   },
+  panchangCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    padding: 15,
+    marginBottom: 30,
+  },
+  panchangIconContainer: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#FFF7ED',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  panchangTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  panchangTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  panchangSubtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
   horoscopeCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 16,
@@ -549,6 +886,18 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     marginTop: 2,
   },
+  yoursBadge: {
+    backgroundColor: '#FFF7ED',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 8,
+  },
+  yoursBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#F97316',
+  },
   dayItemContent: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,426 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { buildKundliFromProfile } from '../../utils/astrology/kundli';
+import {
+  buildDashaTimeline,
+  getCurrentDasha,
+  formatDashaBalance,
+} from '../../utils/astrology/dasha';
+
+const LEVEL_LABELS = {
+  mahadasha: 'Mahadasha',
+  antardasha: 'Antardasha',
+  pratyantardasha: 'Pratyantar',
+};
+
+const DashaScreen = ({ navigation, route }) => {
+  const { user } = useAuth();
+  const profile = route.params?.profile || user;
+
+  const { kundli, timeline, current, error } = useMemo(() => {
+    try {
+      const builtKundli = buildKundliFromProfile(profile);
+      if (!builtKundli) {
+        return { kundli: null, timeline: null, current: null, error: null };
+      }
+      const builtTimeline = buildDashaTimeline(builtKundli);
+      return {
+        kundli: builtKundli,
+        timeline: builtTimeline,
+        current: getCurrentDasha(builtTimeline),
+        error: null,
+      };
+    } catch (buildError) {
+      console.error('❌ [DashaScreen] Failed to calculate dasha:', buildError);
+      return { kundli: null, timeline: null, current: null, error: buildError };
+    }
+  }, [profile]);
+
+  // Running Mahadasha and Antardasha start expanded
+  const [expandedKeys, setExpandedKeys] = useState(() => new Set(
+    [current?.mahadasha?.key, current?.antardasha?.key].filter(Boolean)
+  ));
+
+  const toggleExpanded = (key) => {
+    setExpandedKeys((previous) => {
+      const next = new Set(previous);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const formatDate = (date) => date.toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+  const isCurrent = (period) => current?.[period.level]?.key === period.key;
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+        <Ionicons name="arrow-back" size={24} color="#1F2937" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>Dasha Periods</Text>
+      <View style={styles.placeholder} />
+    </View>
+  );
+
+  const renderPeriod = (period, depth = 0) => {
+    const hasChildren = period.subPeriods?.length > 0;
+    const isExpanded = expandedKeys.has(period.key);
+    const running = isCurrent(period);
+
+    return (
+      <View key={period.key} style={depth > 0 && styles.nestedContainer}>
+        <TouchableOpacity
+          style={[
+            styles.periodRow,
+            depth === 0 && styles.mahadashaRow,
+            running && styles.currentPeriodRow,
+          ]}
+          onPress={() => hasChildren && toggleExpanded(period.key)}
+          activeOpacity={hasChildren ? 0.7 : 1}
+        >
+          <View style={styles.periodInfo}>
+            <Text style={[
+              styles.periodLord,
+              depth === 0 && styles.mahadashaLord,
+              running && styles.currentPeriodText,
+            ]}>
+              {period.planet.name} ({period.planet.hindi})
+            </Text>
+            <Text style={styles.periodDates}>
+              {formatDate(period.start)} - {formatDate(period.end)}
+            </Text>
+          </View>
+          {running && (
+            <View style={styles.currentBadge}>
+              <Text style={styles.currentBadgeText}>Now</Text>
+            </View>
+          )}
+          {hasChildren && (
+            <Ionicons
+              name={isExpanded ? 'chevron-up' : 'chevron-down'}
+              size={18}
+              color="#6B7280"
+            />
+          )}
+        </TouchableOpacity>
+        {hasChildren && isExpanded && period.subPeriods.map(subPeriod => renderPeriod(subPeriod, depth + 1))}
+      </View>
+    );
+  };
+
+  if (!timeline) {
+    return (
+      <SafeAreaView style={styles.container}>
+        {renderHeader()}
+        <View style={styles.emptyContainer}>
+          <Ionicons name="time-outline" size={64} color="#F97316" />
+          <Text style={styles.emptyTitle}>
+            {error ? 'Unable to calculate dasha' : 'Birth details needed'}
+          </Text>
+          <Text style={styles.emptyText}>
+            {error
+              ? 'Something went wrong while calculating dasha periods. Please check the birth details and try again.'
+              : 'Add your date, time and place of birth to see your Vimshottari dasha periods.'}
+          </Text>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('AddUserProfile')}
+          >
+            <Text style={styles.primaryButtonText}>Update Birth Details</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Birth Summary */}
+        <View style={styles.card}>
+          <Text style={styles.profileName}>{kundli.birthDetails.name || 'Your Profile'}</Text>
+          <Text style={styles.profileMeta}>
+            Birth nakshatra: {timeline.birthNakshatra.name} (Pada {timeline.birthNakshatra.pada})
+          </Text>
+          <Text style={styles.profileMeta}>
+            Balance at birth: {timeline.balance.planet.name} {formatDashaBalance(timeline.balance.years)}
+          </Text>
+        </View>
+
+        {timeline.isApproximate && (
+          <View style={styles.warningCard}>
+            <Ionicons name="information-circle-outline" size={18} color="#F59E0B" />
+            <Text style={styles.warningText}>
+              Time of birth is unknown, so these dates are approximate and may shift by several months. Add your birth time for accurate periods.
+            </Text>
+          </View>
+        )}
+
+        {/* Current Period */}
+        {current?.mahadasha && (
+          <View style={styles.currentCard}>
+            <Text style={styles.currentLabel}>You are currently running</Text>
+            {['mahadasha', 'antardasha', 'pratyantardasha'].map(level => current[level] && (
+              <View key={level} style={styles.currentRow}>
+                <Text style={styles.currentLevel}>{LEVEL_LABELS[level]}</Text>
+                <View style={styles.currentValueContainer}>
+                  <Text style={styles.currentValue}>{current[level].planet.name}</Text>
+                  <Text style={styles.currentUntil}>until {formatDate(current[level].end)}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Timeline */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Vimshottari Timeline</Text>
+          <Text style={styles.sectionHint}>Tap a period to see its sub-periods</Text>
+          {timeline.mahadashas.map(mahadasha => renderPeriod(mahadasha))}
+        </View>
+
+        {/* CTA */}
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.ctaButton]}
+          onPress={() => navigation.navigate('Astrologers')}
+        >
+          <Ionicons name="chatbubbles-outline" size={20} color="#fff" />
+          <Text style={[styles.primaryButtonText, styles.ctaButtonText]}>Ask an Astrologer About This Period</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  profileName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  profileMeta: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  warningCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    borderLeftWidth: 3,
+    borderLeftColor: '#F59E0B',
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400E',
+    marginLeft: 8,
+    lineHeight: 18,
+  },
+  currentCard: {
+    backgroundColor: '#FFF7ED',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#FED7AA',
+  },
+  currentLabel: {
+    fontSize: 13,
+    color: '#9A3412',
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  currentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  currentLevel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  currentValueContainer: {
+    alignItems: 'flex-end',
+  },
+  currentValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  currentUntil: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  sectionHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+    marginBottom: 12,
+  },
+  nestedContainer: {
+    marginLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: '#F3F4F6',
+    paddingLeft: 8,
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    borderRadius: 6,
+  },
+  mahadashaRow: {
+    paddingVertical: 12,
+  },
+  currentPeriodRow: {
+    backgroundColor: '#FFF7ED',
+  },
+  periodInfo: {
+    flex: 1,
+  },
+  periodLord: {
+    fontSize: 14,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  mahadashaLord: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  currentPeriodText: {
+    color: '#F97316',
+  },
+  periodDates: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  currentBadge: {
+    backgroundColor: '#F97316',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 8,
+  },
+  currentBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  ctaButton: {
+    marginBottom: 32,
+  },
+  ctaButtonText: {
+    marginLeft: 8,
+  },
+});
+
+export default DashaScreen;
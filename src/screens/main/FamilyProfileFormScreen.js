@@ -0,0 +1,474 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  Platform,
+  KeyboardAvoidingView,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../../context/AuthContext';
+import CityPicker from '../../components/CityPicker';
+import { getCityById, findCityByName, formatCityName, getBirthPlaceFields } from '../../data/cities';
+import { RELATIONSHIP_OPTIONS, saveFamilyProfile } from '../../utils/familyProfilesStore';
+
+const GENDER_OPTIONS = ['Male', 'Female', 'Other'];
+
+const FamilyProfileFormScreen = ({ navigation, route }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const existingProfile = route.params?.profile || null;
+  const isEditing = !!existingProfile;
+
+  const [saving, setSaving] = useState(false);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [showCityPicker, setShowCityPicker] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const [formData, setFormData] = useState(() => ({
+    name: existingProfile?.name || '',
+    relationship: existingProfile?.relationship || '',
+    gender: existingProfile?.gender || '',
+    birthDate: existingProfile?.birthDate ? new Date(existingProfile.birthDate) : new Date(1990, 0, 1),
+    birthTime: existingProfile?.birthTime ? new Date(existingProfile.birthTime) : new Date(1990, 0, 1, 12, 0),
+    birthLocation: existingProfile?.birthLocation || '',
+    birthCity: existingProfile
+      ? getCityById(existingProfile.birthPlaceId) || findCityByName(existingProfile.birthLocation)
+      : null,
+    isTimeOfBirthUnknown: existingProfile?.isTimeOfBirthUnknown || false,
+  }));
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const onDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    if (selectedDate) {
+      handleInputChange('birthDate', selectedDate);
+    }
+  };
+
+  const onTimeChange = (event, selectedTime) => {
+    if (Platform.OS === 'android' || event.type === 'dismissed') {
+      setShowTimePicker(false);
+    }
+    if (selectedTime && event.type !== 'dismissed') {
+      handleInputChange('birthTime', selectedTime);
+      if (Platform.OS === 'ios') {
+        setShowTimePicker(false);
+      }
+    }
+  };
+
+  const handleLocationSelect = (city, customPlace = '') => {
+    setShowCityPicker(false);
+    if (!city && !customPlace) return;
+
+    setFormData(prev => ({
+      ...prev,
+      birthLocation: city ? formatCityName(city) : customPlace,
+      birthCity: city,
+    }));
+    if (errors.birthLocation) {
+      setErrors(prev => ({ ...prev, birthLocation: null }));
+    }
+  };
+
+  const formatDate = (date) => date.toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  const formatTime = (time) => time.toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    } else if (formData.name.trim().length < 2) {
+      newErrors.name = 'Name must be at least 2 characters';
+    }
+    if (!formData.relationship) {
+      newErrors.relationship = 'Relationship is required';
+    }
+    if (!formData.gender) {
+      newErrors.gender = 'Gender is required';
+    }
+    if (formData.birthDate > new Date()) {
+      newErrors.birthDate = 'Date of birth cannot be in the future';
+    }
+    if (!formData.birthLocation.trim()) {
+      newErrors.birthLocation = 'Place of birth is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) return;
+
+    setSaving(true);
+    try {
+      await saveFamilyProfile(userId, {
+        id: existingProfile?.id,
+        name: formData.name.trim(),
+        relationship: formData.relationship,
+        gender: formData.gender,
+        birthDate: formData.birthDate.toISOString(),
+        birthTime: formData.isTimeOfBirthUnknown ? null : formData.birthTime.toISOString(),
+        birthLocation: formData.birthLocation.trim(),
+        ...getBirthPlaceFields(formData.birthCity),
+        isTimeOfBirthUnknown: formData.isTimeOfBirthUnknown,
+      });
+      navigation.goBack();
+    } catch (error) {
+      console.error('❌ [FamilyProfileForm] Failed to save profile:', error);
+      Alert.alert('Error', error.message || 'Failed to save profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderChips = (field, options) => (
+    <View style={styles.chipContainer}>
+      {options.map((option) => {
+        const isSelected = formData[field] === option;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => handleInputChange(field, option)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{isEditing ? 'Edit Profile' : 'Add Family Member'}</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <KeyboardAvoidingView
+        style={styles.keyboardAvoid}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          <View style={styles.formCard}>
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Full Name *</Text>
+              <TextInput
+                style={[styles.textInput, errors.name && styles.inputError]}
+                value={formData.name}
+                onChangeText={(value) => handleInputChange('name', value)}
+                placeholder="Full name"
+                placeholderTextColor="#9CA3AF"
+                autoCapitalize="words"
+              />
+              {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Relationship *</Text>
+              {renderChips('relationship', RELATIONSHIP_OPTIONS)}
+              {errors.relationship && <Text style={styles.errorText}>{errors.relationship}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Gender *</Text>
+              {renderChips('gender', GENDER_OPTIONS)}
+              {errors.gender && <Text style={styles.errorText}>{errors.gender}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Date of Birth *</Text>
+              <TouchableOpacity
+                style={[styles.pickerInput, errors.birthDate && styles.inputError]}
+                onPress={() => setShowDatePicker(true)}
+              >
+                <Text style={styles.pickerText}>{formatDate(formData.birthDate)}</Text>
+                <Ionicons name="calendar-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+              {errors.birthDate && <Text style={styles.errorText}>{errors.birthDate}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Time of Birth</Text>
+              <TouchableOpacity
+                style={styles.checkboxContainer}
+                onPress={() => handleInputChange('isTimeOfBirthUnknown', !formData.isTimeOfBirthUnknown)}
+              >
+                <View style={[styles.checkbox, formData.isTimeOfBirthUnknown && styles.checkboxChecked]}>
+                  {formData.isTimeOfBirthUnknown && <Ionicons name="checkmark" size={16} color="#fff" />}
+                </View>
+                <Text style={styles.checkboxLabel}>Time of birth is not known</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.pickerInput, formData.isTimeOfBirthUnknown && styles.inputDisabled]}
+                onPress={() => setShowTimePicker(true)}
+                disabled={formData.isTimeOfBirthUnknown}
+              >
+                <Text style={[styles.pickerText, formData.isTimeOfBirthUnknown && styles.placeholderText]}>
+                  {formData.isTimeOfBirthUnknown ? 'Time unknown' : formatTime(formData.birthTime)}
+                </Text>
+                <Ionicons name="time-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Place of Birth *</Text>
+              <TouchableOpacity
+                style={[styles.pickerInput, errors.birthLocation && styles.inputError]}
+                onPress={() => setShowCityPicker(true)}
+              >
+                <Text
+                  style={[styles.pickerText, styles.placeText, !formData.birthLocation && styles.placeholderText]}
+                  numberOfLines={1}
+                >
+                  {formData.birthLocation || 'Select city of birth'}
+                </Text>
+                <Ionicons name="location-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+              {errors.birthLocation && <Text style={styles.errorText}>{errors.birthLocation}</Text>}
+            </View>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="checkmark-circle-outline" size={20} color="#fff" />
+                <Text style={styles.saveButtonText}>{isEditing ? 'Save Changes' : 'Save Profile'}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={formData.birthDate}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onDateChange}
+          maximumDate={new Date()}
+          minimumDate={new Date(1900, 0, 1)}
+        />
+      )}
+
+      {showTimePicker && (
+        <DateTimePicker
+          value={formData.birthTime}
+          mode="time"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onTimeChange}
+        />
+      )}
+
+      <CityPicker
+        visible={showCityPicker}
+        onClose={() => setShowCityPicker(false)}
+        onSelect={handleLocationSelect}
+        selectedCityId={formData.birthCity?.id}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  fieldContainer: {
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111827',
+    backgroundColor: '#F9FAFB',
+  },
+  pickerInput: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#F9FAFB',
+  },
+  pickerText: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  placeText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  placeholderText: {
+    color: '#9CA3AF',
+  },
+  inputDisabled: {
+    backgroundColor: '#F3F4F6',
+    borderColor: '#E5E7EB',
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 4,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    backgroundColor: '#F9FAFB',
+  },
+  chipSelected: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  checkboxContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderWidth: 2,
+    borderColor: '#D1D5DB',
+    borderRadius: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  checkboxChecked: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  checkboxLabel: {
+    marginLeft: 10,
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginBottom: 32,
+  },
+  saveButtonDisabled: {
+    opacity: 0.7,
+  },
+  saveButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default FamilyProfileFormScreen;
@@ -0,0 +1,294 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { useAuth } from '../../context/AuthContext';
+import {
+  getFamilyProfiles,
+  syncFamilyProfiles,
+  deleteFamilyProfile,
+  formatProfileSummary,
+} from '../../utils/familyProfilesStore';
+
+const FamilyProfilesScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+  const [profiles, setProfiles] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+
+      const loadProfiles = async () => {
+        const localProfiles = await getFamilyProfiles(userId);
+        if (isActive) setProfiles(localProfiles);
+
+        const syncedProfiles = await syncFamilyProfiles(userId);
+        if (isActive) setProfiles(syncedProfiles);
+      };
+
+      loadProfiles();
+      return () => {
+        isActive = false;
+      };
+    }, [userId])
+  );
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setProfiles(await syncFamilyProfiles(userId));
+    setRefreshing(false);
+  };
+
+  const handleDelete = (profile) => {
+    Alert.alert(
+      'Delete Profile',
+      `Remove ${profile.name}'s birth details from your profiles?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteFamilyProfile(userId, profile.id);
+              setProfiles(await getFamilyProfiles(userId));
+            } catch (error) {
+              console.error('❌ [FamilyProfiles] Failed to delete profile:', error);
+              Alert.alert('Error', 'Failed to delete profile. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderProfileCard = (profile) => (
+    <View key={profile.id} style={styles.profileCard}>
+      <TouchableOpacity
+        style={styles.profileMain}
+        onPress={() => navigation.navigate('Kundli', { profile })}
+      >
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>{profile.name.charAt(0).toUpperCase()}</Text>
+        </View>
+        <View style={styles.profileInfo}>
+          <Text style={styles.profileName}>{profile.name}</Text>
+          <Text style={styles.profileMeta} numberOfLines={1}>{formatProfileSummary(profile)}</Text>
+          {!profile.isSynced && (
+            <Text style={styles.syncPending}>Saved on this device - will sync when online</Text>
+          )}
+        </View>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.iconButton}
+        onPress={() => navigation.navigate('FamilyProfileForm', { profile })}
+      >
+        <Ionicons name="create-outline" size={20} color="#6B7280" />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.iconButton} onPress={() => handleDelete(profile)}>
+        <Ionicons name="trash-outline" size={20} color="#EF4444" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Family Profiles</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+      >
+        {/* Own Profile */}
+        <Text style={styles.sectionTitle}>Your Profile</Text>
+        <View style={styles.profileCard}>
+          <TouchableOpacity
+            style={styles.profileMain}
+            onPress={() => navigation.navigate('Kundli')}
+          >
+            <View style={[styles.avatar, styles.selfAvatar]}>
+              <Ionicons name="person" size={20} color="#FFFFFF" />
+            </View>
+            <View style={styles.profileInfo}>
+              <Text style={styles.profileName}>{user?.name || 'You'}</Text>
+              <Text style={styles.profileMeta} numberOfLines={1}>
+                {user?.birthDate ? formatProfileSummary(user) : 'Birth details missing - tap edit to add'}
+              </Text>
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => navigation.navigate('AddUserProfile')}
+          >
+            <Ionicons name="create-outline" size={20} color="#6B7280" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Family Members */}
+        <Text style={styles.sectionTitle}>Family Members</Text>
+        {profiles.length === 0 ? (
+          <View style={styles.emptyCard}>
+            <Ionicons name="people-outline" size={40} color="#F97316" />
+            <Text style={styles.emptyText}>
+              Save birth details for your spouse, children and parents to consult for them without retyping.
+            </Text>
+          </View>
+        ) : (
+          profiles.map(renderProfileCard)
+        )}
+
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => navigation.navigate('FamilyProfileForm')}
+        >
+          <Ionicons name="person-add-outline" size={20} color="#fff" />
+          <Text style={styles.addButtonText}>Add Family Member</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  profileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  profileMain: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#FED7AA',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selfAvatar: {
+    backgroundColor: '#F97316',
+  },
+  avatarText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#9A3412',
+  },
+  profileInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  profileMeta: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  syncPending: {
+    fontSize: 11,
+    color: '#F59E0B',
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 8,
+  },
+  emptyCard: {
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginTop: 8,
+    marginBottom: 32,
+  },
+  addButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default FamilyProfilesScreen;
@@ -0,0 +1,414 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { matchProfiles } from '../../utils/astrology/gunaMilan';
+
+const VERDICT_COLORS = {
+  not_recommended: '#DC2626',
+  average: '#F59E0B',
+  good: '#10B981',
+  excellent: '#059669',
+};
+
+const GunaMilanResultScreen = ({ navigation, route }) => {
+  const profiles = route.params?.profiles || [];
+
+  const { result, error } = useMemo(() => {
+    try {
+      return { result: matchProfiles(profiles[0], profiles[1]), error: null };
+    } catch (matchError) {
+      console.error('❌ [GunaMilanResult] Matching failed:', matchError);
+      return { result: null, error: matchError };
+    }
+  }, [profiles]);
+
+  const handleDiscussWithAstrologer = () => {
+    navigation.navigate('Astrologers', {
+      consultationContext: {
+        type: 'matchmaking',
+        title: 'Kundli Matching',
+        profiles,
+        summary: `Guna Milan score ${result.total}/${result.maxScore} (${result.verdict.label})`,
+      },
+    });
+  };
+
+  const renderManglikStatus = (person) => {
+    const { manglik } = person;
+    let statusText = 'Not Manglik';
+    if (manglik.isManglik) {
+      statusText = `Manglik (Mars in house ${manglik.fromLagna ? manglik.marsHouseFromLagna : manglik.marsHouseFromMoon} from ${manglik.fromLagna ? 'Lagna' : 'Moon'})`;
+    } else if (manglik.isCancelled) {
+      statusText = 'Manglik dosha cancelled (Mars in own or exalted sign)';
+    }
+
+    return (
+      <View style={styles.manglikRow} key={person.name}>
+        <Text style={styles.manglikName}>{person.name}</Text>
+        <Text style={[styles.manglikStatus, manglik.isManglik && styles.manglikStatusActive]}>
+          {statusText}
+        </Text>
+        {!manglik.isLagnaChecked && (
+          <Text style={styles.manglikNote}>Checked from Moon only</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Matching Result</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {!result ? (
+        <View style={styles.errorContainer}>
+          <Ionicons name="warning-outline" size={48} color="#F59E0B" />
+          <Text style={styles.errorText}>
+            {error?.message || 'Unable to calculate compatibility for these profiles.'}
+          </Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {/* Score Summary */}
+          <View style={styles.scoreCard}>
+            <Text style={styles.coupleNames}>
+              {result.groom.name} & {result.bride.name}
+            </Text>
+            <Text style={[styles.scoreValue, { color: VERDICT_COLORS[result.verdict.key] }]}>
+              {result.total}
+              <Text style={styles.scoreMax}> / {result.maxScore}</Text>
+            </Text>
+            <View style={styles.scoreBar}>
+              <View
+                style={[
+                  styles.scoreBarFill,
+                  {
+                    width: `${(result.total / result.maxScore) * 100}%`,
+                    backgroundColor: VERDICT_COLORS[result.verdict.key],
+                  },
+                ]}
+              />
+            </View>
+            <Text style={[styles.verdictLabel, { color: VERDICT_COLORS[result.verdict.key] }]}>
+              {result.verdict.label}
+            </Text>
+            <Text style={styles.verdictDescription}>{result.verdict.description}</Text>
+          </View>
+
+          {/* Warnings */}
+          {(result.groom.isTimeOfBirthUnknown || result.bride.isTimeOfBirthUnknown) && (
+            <View style={styles.warningCard}>
+              <Ionicons name="information-circle-outline" size={20} color="#B45309" />
+              <Text style={styles.warningText}>
+                Time of birth is unknown for one of the profiles. If the Moon changed nakshatra on that day the result may differ.
+              </Text>
+            </View>
+          )}
+          {result.isGenderAssumed && (
+            <View style={styles.warningCard}>
+              <Ionicons name="information-circle-outline" size={20} color="#B45309" />
+              <Text style={styles.warningText}>
+                {`Koota tables are read groom to bride. ${result.groom.name} has been treated as the groom.`}
+              </Text>
+            </View>
+          )}
+
+          {/* Moon Details */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Moon Chart</Text>
+            <View style={styles.tableRow}>
+              <Text style={[styles.tableCell, styles.tableHeader]} />
+              <Text style={[styles.tableCell, styles.tableHeader]} numberOfLines={1}>{result.groom.name}</Text>
+              <Text style={[styles.tableCell, styles.tableHeader]} numberOfLines={1}>{result.bride.name}</Text>
+            </View>
+            <View style={styles.tableRow}>
+              <Text style={[styles.tableCell, styles.tableLabel]}>Rashi</Text>
+              <Text style={styles.tableCell}>{result.groom.moonSign.name}</Text>
+              <Text style={styles.tableCell}>{result.bride.moonSign.name}</Text>
+            </View>
+            <View style={styles.tableRow}>
+              <Text style={[styles.tableCell, styles.tableLabel]}>Nakshatra</Text>
+              <Text style={styles.tableCell}>{result.groom.nakshatra.name} ({result.groom.nakshatra.pada})</Text>
+              <Text style={styles.tableCell}>{result.bride.nakshatra.name} ({result.bride.nakshatra.pada})</Text>
+            </View>
+          </View>
+
+          {/* Koota Breakdown */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Ashtakoota Breakdown</Text>
+            {result.kootas.map((koota) => (
+              <View key={koota.key} style={styles.kootaRow}>
+                <View style={styles.kootaInfo}>
+                  <Text style={styles.kootaName}>
+                    {koota.name}
+                    {koota.hasDosha ? <Text style={styles.doshaTag}>  Dosha</Text> : null}
+                  </Text>
+                  <Text style={styles.kootaArea}>{koota.area}</Text>
+                  <Text style={styles.kootaValues}>{koota.groomValue} • {koota.brideValue}</Text>
+                </View>
+                <Text style={styles.kootaScore}>
+                  {koota.score}/{koota.max}
+                </Text>
+              </View>
+            ))}
+          </View>
+
+          {/* Manglik Dosha */}
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Manglik Dosha</Text>
+            {renderManglikStatus(result.groom)}
+            {renderManglikStatus(result.bride)}
+            <Text style={[styles.manglikSummary, !result.manglikCompatible && styles.manglikSummaryWarning]}>
+              {result.manglikCompatible
+                ? 'Manglik status is compatible for this couple.'
+                : 'Only one partner is Manglik. Consult an astrologer about remedies.'}
+            </Text>
+          </View>
+
+          {/* Consultation CTA */}
+          <TouchableOpacity style={styles.ctaButton} onPress={handleDiscussWithAstrologer}>
+            <Ionicons name="chatbubbles-outline" size={20} color="#fff" />
+            <Text style={styles.ctaButtonText}>Discuss with an Astrologer</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  errorContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  scoreCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  coupleNames: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  scoreValue: {
+    fontSize: 48,
+    fontWeight: '700',
+  },
+  scoreMax: {
+    fontSize: 20,
+    fontWeight: '500',
+    color: '#9CA3AF',
+  },
+  scoreBar: {
+    width: '100%',
+    height: 8,
+    backgroundColor: '#F3F4F6',
+    borderRadius: 4,
+    marginVertical: 12,
+    overflow: 'hidden',
+  },
+  scoreBarFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  verdictLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  verdictDescription: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  warningCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    borderLeftWidth: 3,
+    borderLeftColor: '#F59E0B',
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400E',
+    marginLeft: 8,
+    lineHeight: 18,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 13,
+    color: '#374151',
+  },
+  tableHeader: {
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  tableLabel: {
+    color: '#6B7280',
+  },
+  kootaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  kootaInfo: {
+    flex: 1,
+  },
+  kootaName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  doshaTag: {
+    fontSize: 12,
+    color: '#DC2626',
+    fontWeight: '600',
+  },
+  kootaArea: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  kootaValues: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  kootaScore: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#F97316',
+    marginLeft: 12,
+  },
+  manglikRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  manglikName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  manglikStatus: {
+    fontSize: 13,
+    color: '#10B981',
+    marginTop: 2,
+  },
+  manglikStatusActive: {
+    color: '#DC2626',
+  },
+  manglikNote: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  manglikSummary: {
+    fontSize: 13,
+    color: '#065F46',
+    marginTop: 12,
+  },
+  manglikSummaryWarning: {
+    color: '#B45309',
+  },
+  ctaButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginBottom: 32,
+  },
+  ctaButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
+
+export default GunaMilanResultScreen;
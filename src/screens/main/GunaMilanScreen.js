@@ -0,0 +1,606 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  Platform,
+  KeyboardAvoidingView,
+  Modal,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../../context/AuthContext';
+import { matchProfiles } from '../../utils/astrology/gunaMilan';
+import CityPicker from '../../components/CityPicker';
+import ProfileSwitcher from '../../components/ProfileSwitcher';
+import { getCityById, findCityByName, formatCityName, getBirthPlaceFields } from '../../data/cities';
+
+const GENDER_OPTIONS = ['Male', 'Female', 'Other'];
+
+const GunaMilanScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [showGenderModal, setShowGenderModal] = useState(false);
+  const [showCityPicker, setShowCityPicker] = useState(false);
+  const [selectedProfileId, setSelectedProfileId] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  // Partner details
+  const [partner, setPartner] = useState({
+    name: '',
+    gender: user?.gender === 'Female' ? 'Male' : user?.gender === 'Male' ? 'Female' : '',
+    birthDate: new Date(1995, 0, 1),
+    birthTime: new Date(1995, 0, 1, 12, 0),
+    birthLocation: '',
+    birthCity: null,
+    isTimeOfBirthUnknown: false,
+  });
+
+  const hasOwnBirthDetails = !!user?.birthDate;
+
+  const handleInputChange = (field, value) => {
+    setPartner(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const onDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    if (selectedDate) {
+      handleInputChange('birthDate', selectedDate);
+    }
+  };
+
+  const onTimeChange = (event, selectedTime) => {
+    if (Platform.OS === 'android' || event.type === 'dismissed') {
+      setShowTimePicker(false);
+    }
+    if (selectedTime && event.type !== 'dismissed') {
+      handleInputChange('birthTime', selectedTime);
+      if (Platform.OS === 'ios') {
+        setShowTimePicker(false);
+      }
+    }
+  };
+
+  // Fill the partner form from a saved family profile
+  const handleProfileSelect = (profile) => {
+    setSelectedProfileId(profile.id);
+    setPartner({
+      name: profile.name || '',
+      gender: profile.gender || '',
+      birthDate: profile.birthDate ? new Date(profile.birthDate) : new Date(1995, 0, 1),
+      birthTime: profile.birthTime ? new Date(profile.birthTime) : new Date(1995, 0, 1, 12, 0),
+      birthLocation: profile.birthLocation || '',
+      birthCity: getCityById(profile.birthPlaceId) || findCityByName(profile.birthLocation),
+      isTimeOfBirthUnknown: profile.isTimeOfBirthUnknown || false,
+    });
+    setErrors({});
+  };
+
+  const handleLocationSelect = (city, customPlace = '') => {
+    setShowCityPicker(false);
+    if (!city && !customPlace) return;
+
+    setPartner(prev => ({
+      ...prev,
+      birthLocation: city ? formatCityName(city) : customPlace,
+      birthCity: city,
+    }));
+    if (errors.birthLocation) {
+      setErrors(prev => ({ ...prev, birthLocation: null }));
+    }
+  };
+
+  const formatDate = (date) => date.toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  const formatTime = (time) => time.toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!partner.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    if (!partner.gender) {
+      newErrors.gender = 'Gender is required';
+    }
+    if (!partner.birthLocation.trim()) {
+      newErrors.birthLocation = 'Place of birth is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleMatch = () => {
+    if (!hasOwnBirthDetails) {
+      Alert.alert(
+        'Complete Your Profile',
+        'Add your birth details first so we can match your chart.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Update Profile', onPress: () => navigation.navigate('AddUserProfile') },
+        ]
+      );
+      return;
+    }
+
+    if (!validateForm()) return;
+
+    // Profiles are passed as plain objects with ISO strings so they stay serializable
+    const partnerProfile = {
+      name: partner.name.trim(),
+      gender: partner.gender,
+      birthDate: partner.birthDate.toISOString(),
+      birthTime: partner.isTimeOfBirthUnknown ? null : partner.birthTime.toISOString(),
+      birthLocation: partner.birthLocation.trim(),
+      ...getBirthPlaceFields(partner.birthCity),
+      isTimeOfBirthUnknown: partner.isTimeOfBirthUnknown,
+    };
+
+    const ownProfile = {
+      name: user.name,
+      gender: user.gender,
+      birthDate: user.birthDate,
+      birthTime: user.birthTime,
+      birthLocation: user.birthLocation,
+      birthPlaceId: user.birthPlaceId,
+      birthLatitude: user.birthLatitude,
+      birthLongitude: user.birthLongitude,
+      birthTimezone: user.birthTimezone,
+      isTimeOfBirthUnknown: user.isTimeOfBirthUnknown || false,
+    };
+
+    try {
+      // Validate that both charts can be built before leaving the form
+      matchProfiles(ownProfile, partnerProfile);
+      navigation.navigate('GunaMilanResult', {
+        profiles: [ownProfile, partnerProfile],
+      });
+    } catch (error) {
+      console.error('❌ [GunaMilan] Matching failed:', error);
+      Alert.alert('Error', error.message || 'Unable to match these profiles. Please check the details.');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Kundli Matching</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <KeyboardAvoidingView
+        style={styles.keyboardAvoid}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.infoCard}>
+            <Ionicons name="heart-circle" size={24} color="#F97316" />
+            <Text style={styles.infoText}>
+              Ashtakoota Guna Milan compares the Moon charts of both partners across eight kootas for a score out of 36.
+            </Text>
+          </View>
+
+          {/* Own Profile */}
+          <Text style={styles.sectionTitle}>Your Details</Text>
+          <TouchableOpacity
+            style={styles.profileCard}
+            onPress={() => navigation.navigate('AddUserProfile')}
+          >
+            <Ionicons name="person-circle-outline" size={40} color="#F97316" />
+            <View style={styles.profileInfo}>
+              <Text style={styles.profileName}>{user?.name || 'You'}</Text>
+              <Text style={styles.profileMeta}>
+                {hasOwnBirthDetails
+                  ? `${formatDate(new Date(user.birthDate))}${user.birthLocation ? ` • ${user.birthLocation}` : ''}`
+                  : 'Birth details missing - tap to add'}
+              </Text>
+            </View>
+            <Ionicons name="create-outline" size={20} color="#6B7280" />
+          </TouchableOpacity>
+
+          {/* Partner Form */}
+          <Text style={styles.sectionTitle}>Partner's Details</Text>
+          <ProfileSwitcher
+            selectedProfileId={selectedProfileId}
+            onSelect={handleProfileSelect}
+            includeSelf={false}
+            title="Use a saved profile"
+          />
+          <View style={styles.formCard}>
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Full Name *</Text>
+              <TextInput
+                style={[styles.textInput, errors.name && styles.inputError]}
+                value={partner.name}
+                onChangeText={(value) => handleInputChange('name', value)}
+                placeholder="Partner's full name"
+                placeholderTextColor="#9CA3AF"
+                autoCapitalize="words"
+              />
+              {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Gender *</Text>
+              <TouchableOpacity
+                style={[styles.pickerInput, errors.gender && styles.inputError]}
+                onPress={() => setShowGenderModal(true)}
+              >
+                <Text style={[styles.pickerText, !partner.gender && styles.placeholderText]}>
+                  {partner.gender || 'Select gender'}
+                </Text>
+                <Ionicons name="chevron-down" size={20} color="#6B7280" />
+              </TouchableOpacity>
+              {errors.gender && <Text style={styles.errorText}>{errors.gender}</Text>}
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Date of Birth *</Text>
+              <TouchableOpacity style={styles.pickerInput} onPress={() => setShowDatePicker(true)}>
+                <Text style={styles.pickerText}>{formatDate(partner.birthDate)}</Text>
+                <Ionicons name="calendar-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Time of Birth</Text>
+              <TouchableOpacity
+                style={styles.checkboxContainer}
+                onPress={() => handleInputChange('isTimeOfBirthUnknown', !partner.isTimeOfBirthUnknown)}
+              >
+                <View style={[styles.checkbox, partner.isTimeOfBirthUnknown && styles.checkboxChecked]}>
+                  {partner.isTimeOfBirthUnknown && <Ionicons name="checkmark" size={16} color="#fff" />}
+                </View>
+                <Text style={styles.checkboxLabel}>Time of birth is not known</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.pickerInput, partner.isTimeOfBirthUnknown && styles.inputDisabled]}
+                onPress={() => setShowTimePicker(true)}
+                disabled={partner.isTimeOfBirthUnknown}
+              >
+                <Text style={[styles.pickerText, partner.isTimeOfBirthUnknown && styles.placeholderText]}>
+                  {partner.isTimeOfBirthUnknown ? 'Time unknown' : formatTime(partner.birthTime)}
+                </Text>
+                <Ionicons name="time-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Place of Birth *</Text>
+              <TouchableOpacity
+                style={[styles.pickerInput, errors.birthLocation && styles.inputError]}
+                onPress={() => setShowCityPicker(true)}
+              >
+                <Text
+                  style={[styles.pickerText, styles.placeText, !partner.birthLocation && styles.placeholderText]}
+                  numberOfLines={1}
+                >
+                  {partner.birthLocation || 'Select city of birth'}
+                </Text>
+                <Ionicons name="location-outline" size={20} color="#6B7280" />
+              </TouchableOpacity>
+              {errors.birthLocation && <Text style={styles.errorText}>{errors.birthLocation}</Text>}
+            </View>
+          </View>
+
+          <TouchableOpacity style={styles.matchButton} onPress={handleMatch}>
+            <Ionicons name="heart" size={20} color="#fff" />
+            <Text style={styles.matchButtonText}>Match Kundlis</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={partner.birthDate}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onDateChange}
+          maximumDate={new Date()}
+          minimumDate={new Date(1900, 0, 1)}
+        />
+      )}
+
+      {showTimePicker && (
+        <DateTimePicker
+          value={partner.birthTime}
+          mode="time"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onTimeChange}
+        />
+      )}
+
+      <CityPicker
+        visible={showCityPicker}
+        onClose={() => setShowCityPicker(false)}
+        onSelect={handleLocationSelect}
+        selectedCityId={partner.birthCity?.id}
+        title="Partner's Place of Birth"
+      />
+
+      <Modal
+        visible={showGenderModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowGenderModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Select Gender</Text>
+              <TouchableOpacity onPress={() => setShowGenderModal(false)}>
+                <Ionicons name="close" size={24} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+            {GENDER_OPTIONS.map((gender) => (
+              <TouchableOpacity
+                key={gender}
+                style={[styles.genderOption, partner.gender === gender && styles.genderOptionSelected]}
+                onPress={() => {
+                  handleInputChange('gender', gender);
+                  setShowGenderModal(false);
+                }}
+              >
+                <Text style={[styles.genderOptionText, partner.gender === gender && styles.genderOptionTextSelected]}>
+                  {gender}
+                </Text>
+                {partner.gender === gender && <Ionicons name="checkmark" size={20} color="#F97316" />}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  infoCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3E2',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+  },
+  infoText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 14,
+    color: '#92400E',
+    lineHeight: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  profileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  profileInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  profileMeta: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  formCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  fieldContainer: {
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111827',
+    backgroundColor: '#F9FAFB',
+  },
+  pickerInput: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: '#F9FAFB',
+  },
+  pickerText: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  placeText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  placeholderText: {
+    color: '#9CA3AF',
+  },
+  inputDisabled: {
+    backgroundColor: '#F3F4F6',
+    borderColor: '#E5E7EB',
+  },
+  inputError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#EF4444',
+    marginTop: 4,
+  },
+  checkboxContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderWidth: 2,
+    borderColor: '#D1D5DB',
+    borderRadius: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+  },
+  checkboxChecked: {
+    backgroundColor: '#F97316',
+    borderColor: '#F97316',
+  },
+  checkboxLabel: {
+    marginLeft: 10,
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  matchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginBottom: 32,
+  },
+  matchButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingBottom: 34,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  genderOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    marginVertical: 4,
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  genderOptionSelected: {
+    backgroundColor: '#FEF3E2',
+    borderColor: '#F97316',
+  },
+  genderOptionText: {
+    fontSize: 16,
+    color: '#374151',
+  },
+  genderOptionTextSelected: {
+    color: '#F97316',
+    fontWeight: '600',
+  },
+});
+
+export default GunaMilanScreen;
@@ -0,0 +1,453 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import KundliChart from '../../components/KundliChart';
+import { buildKundliFromProfile } from '../../utils/astrology/kundli';
+import { formatDegreeInSign } from '../../utils/astrology/astroMath';
+import { formatZonedTime, formatUtcOffset } from '../../utils/astrology/timezone';
+
+const { width } = Dimensions.get('window');
+const CHART_SIZE = Math.min(width - 40, 360);
+
+const CHART_VARIANTS = [
+  { key: 'north', name: 'North Indian' },
+  { key: 'south', name: 'South Indian' },
+];
+
+const KundliScreen = ({ navigation, route }) => {
+  const { user } = useAuth();
+  const profile = route.params?.profile || user;
+  const [chartVariant, setChartVariant] = useState('north');
+
+  const { kundli, error } = useMemo(() => {
+    try {
+      return { kundli: buildKundliFromProfile(profile), error: null };
+    } catch (buildError) {
+      console.error('❌ [KundliScreen] Failed to build kundli:', buildError);
+      return { kundli: null, error: buildError };
+    }
+  }, [profile]);
+
+  // Birth date and time are shown as the wall clock at the place of birth
+  const formatBirthDate = ({ year, month, day }) => new Date(year, month, day).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  const formatBirthTime = ({ date, utcOffsetMinutes }) => (
+    `${formatZonedTime(date, utcOffsetMinutes)} (${formatUtcOffset(utcOffsetMinutes)})`
+  );
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+        <Ionicons name="arrow-back" size={24} color="#1F2937" />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>My Kundli</Text>
+      <View style={styles.placeholder} />
+    </View>
+  );
+
+  if (!kundli) {
+    return (
+      <SafeAreaView style={styles.container}>
+        {renderHeader()}
+        <View style={styles.emptyContainer}>
+          <Ionicons name="planet-outline" size={64} color="#F97316" />
+          <Text style={styles.emptyTitle}>
+            {error ? 'Unable to generate chart' : 'Birth details needed'}
+          </Text>
+          <Text style={styles.emptyText}>
+            {error
+              ? 'Something went wrong while calculating this chart. Please check the birth details and try again.'
+              : 'Add your date, time and place of birth to generate your kundli.'}
+          </Text>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('AddUserProfile')}
+          >
+            <Text style={styles.primaryButtonText}>Update Birth Details</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const { birthDetails } = kundli;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderHeader()}
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Birth Details */}
+        <View style={styles.card}>
+          <Text style={styles.profileName}>{birthDetails.name || 'Birth Chart'}</Text>
+          <Text style={styles.profileMeta}>
+            {formatBirthDate(birthDetails.localParts)}
+            {birthDetails.isTimeOfBirthUnknown ? ' • Time unknown' : ` • ${formatBirthTime(birthDetails)}`}
+          </Text>
+          {birthDetails.placeName ? (
+            <Text style={styles.profileMeta}>{birthDetails.placeName}</Text>
+          ) : null}
+        </View>
+
+        {/* Accuracy Warnings */}
+        {!kundli.isAscendantReliable && (
+          <View style={styles.warningCard}>
+            <Ionicons name="warning-outline" size={20} color="#B45309" />
+            <Text style={styles.warningText}>
+              {birthDetails.isTimeOfBirthUnknown
+                ? 'Time of birth is unknown, so the chart is cast for 12:00 noon. Lagna and house positions are approximate; planet signs are still reliable.'
+                : 'Exact coordinates for the place of birth are not available. Lagna and house positions are approximate.'}
+            </Text>
+          </View>
+        )}
+
+        {/* Chart Style Toggle */}
+        <View style={styles.toggleContainer}>
+          {CHART_VARIANTS.map((variant) => (
+            <TouchableOpacity
+              key={variant.key}
+              style={[styles.toggleButton, chartVariant === variant.key && styles.toggleButtonActive]}
+              onPress={() => setChartVariant(variant.key)}
+            >
+              <Text style={[styles.toggleText, chartVariant === variant.key && styles.toggleTextActive]}>
+                {variant.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.chartContainer}>
+          <KundliChart kundli={kundli} variant={chartVariant} size={CHART_SIZE} />
+        </View>
+
+        {/* Key Details */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Key Details</Text>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Lagna (Ascendant)</Text>
+            <Text style={styles.detailValue}>
+              {kundli.ascendant.rashi.name} ({kundli.ascendant.rashi.english}) {formatDegreeInSign(kundli.ascendant.longitude)}
+            </Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Rashi (Moon Sign)</Text>
+            <Text style={styles.detailValue}>
+              {kundli.moonSign.name} ({kundli.moonSign.english})
+            </Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Nakshatra</Text>
+            <Text style={styles.detailValue}>
+              {kundli.nakshatra.name}, Pada {kundli.nakshatra.pada}
+            </Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Sun Sign (Sidereal)</Text>
+            <Text style={styles.detailValue}>
+              {kundli.sunSign.name} ({kundli.sunSign.english})
+            </Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Ayanamsa (Lahiri)</Text>
+            <Text style={styles.detailValue}>{kundli.ayanamsa.toFixed(4)}°</Text>
+          </View>
+        </View>
+
+        {/* Planetary Positions */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Planetary Positions</Text>
+          <View style={[styles.tableRow, styles.tableHeaderRow]}>
+            <Text style={[styles.tableCell, styles.tableHeader, styles.planetColumn]}>Planet</Text>
+            <Text style={[styles.tableCell, styles.tableHeader]}>Sign</Text>
+            <Text style={[styles.tableCell, styles.tableHeader]}>Degree</Text>
+            <Text style={[styles.tableCell, styles.tableHeader, styles.nakshatraColumn]}>Nakshatra</Text>
+            <Text style={[styles.tableCell, styles.tableHeader, styles.houseColumn]}>House</Text>
+          </View>
+          {kundli.planets.map((planet) => (
+            <View key={planet.key} style={styles.tableRow}>
+              <Text style={[styles.tableCell, styles.planetColumn]}>
+                {planet.name}{planet.isRetrograde && planet.key !== 'rahu' && planet.key !== 'ketu' ? ' (R)' : ''}
+              </Text>
+              <Text style={styles.tableCell}>{planet.rashi.name}</Text>
+              <Text style={styles.tableCell}>{formatDegreeInSign(planet.longitude)}</Text>
+              <Text style={[styles.tableCell, styles.nakshatraColumn]}>
+                {planet.nakshatra.name} ({planet.nakshatra.pada})
+              </Text>
+              <Text style={[styles.tableCell, styles.houseColumn]}>{planet.house}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* House Cusps */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>House Cusps</Text>
+          {kundli.houses.map((house) => (
+            <View key={house.number} style={styles.detailRow}>
+              <Text style={styles.detailLabel}>House {house.number}</Text>
+              <Text style={styles.detailValue}>
+                {formatDegreeInSign(house.cuspLongitude)} {house.rashi.name}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Dasha Link */}
+        <TouchableOpacity
+          style={styles.linkCard}
+          onPress={() => navigation.navigate('Dasha', { profile })}
+        >
+          <Ionicons name="time-outline" size={22} color="#F97316" />
+          <View style={styles.linkTextContainer}>
+            <Text style={styles.linkTitle}>Vimshottari Dasha</Text>
+            <Text style={styles.linkSubtitle}>Mahadasha, Antardasha and Pratyantar periods</Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+        </TouchableOpacity>
+
+        {/* Consultation CTA */}
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.ctaButton]}
+          onPress={() => navigation.navigate('Astrologers')}
+        >
+          <Ionicons name="chatbubbles-outline" size={20} color="#fff" />
+          <Text style={[styles.primaryButtonText, styles.ctaButtonText]}>Ask an Astrologer About Your Chart</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  profileName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  profileMeta: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  warningCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    borderLeftWidth: 3,
+    borderLeftColor: '#F59E0B',
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400E',
+    marginLeft: 8,
+    lineHeight: 18,
+  },
+  toggleContainer: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  toggleButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toggleButtonActive: {
+    backgroundColor: '#FFFFFF',
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  toggleTextActive: {
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  chartContainer: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1F2937',
+    textAlign: 'right',
+    flexShrink: 1,
+    marginLeft: 12,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  tableHeaderRow: {
+    borderBottomColor: '#E5E7EB',
+  },
+  tableCell: {
+    flex: 1,
+    fontSize: 12,
+    color: '#374151',
+  },
+  tableHeader: {
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  planetColumn: {
+    flex: 1.2,
+  },
+  nakshatraColumn: {
+    flex: 1.6,
+  },
+  houseColumn: {
+    flex: 0.6,
+    textAlign: 'center',
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    paddingHorizontal: 24,
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  linkCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  linkTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  linkTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  linkSubtitle: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  ctaButton: {
+    marginBottom: 32,
+  },
+  ctaButtonText: {
+    marginLeft: 8,
+  },
+});
+
+export default KundliScreen;
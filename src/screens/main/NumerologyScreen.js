@@ -0,0 +1,565 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons, FontAwesome } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { astrologersAPI } from '../../services/api';
+import ProfileSwitcher from '../../components/ProfileSwitcher';
+import { SELF_PROFILE_ID } from '../../utils/familyProfilesStore';
+import {
+  NUMEROLOGY_SYSTEMS,
+  SYSTEM_OPTIONS,
+  NUMBER_MEANINGS,
+  buildNumerologyReport,
+} from '../../utils/astrology/numerology';
+
+const MAX_EXPERTS = 10;
+
+const isNumerologyExpert = (astrologer) => {
+  const expertise = [
+    ...(Array.isArray(astrologer.specialties) ? astrologer.specialties : []),
+    ...(Array.isArray(astrologer.specialization) ? astrologer.specialization : [astrologer.specialization]),
+  ];
+  return expertise.some(item => typeof item === 'string' && item.toLowerCase().includes('numerolog'));
+};
+
+const isOnline = (astrologer) => astrologer.onlineStatus?.chat === 1 || astrologer.onlineStatus?.call === 1;
+
+const getRating = (astrologer) => (
+  astrologer.rating?.average || (typeof astrologer.rating === 'number' ? astrologer.rating : 0)
+);
+
+const NumerologyScreen = ({ navigation, route }) => {
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(route.params?.profile || user);
+  const [system, setSystem] = useState(NUMEROLOGY_SYSTEMS.CHALDEAN);
+  const [experts, setExperts] = useState([]);
+  const [loadingExperts, setLoadingExperts] = useState(true);
+
+  const report = useMemo(() => buildNumerologyReport(profile, system), [profile, system]);
+
+  useEffect(() => {
+    let isActive = true;
+
+    // Expertise is not filterable on the backend, so walk all pages like AstrologersScreen
+    const fetchExperts = async () => {
+      try {
+        let allAstrologers = [];
+        let currentPage = 1;
+        let hasMorePages = true;
+
+        while (hasMorePages) {
+          const data = await astrologersAPI.getAll({ page: currentPage, limit: 50 });
+          if (data.success && data.data) {
+            allAstrologers = [...allAstrologers, ...data.data];
+            hasMorePages = !!data.pagination?.next;
+            currentPage++;
+          } else {
+            hasMorePages = false;
+          }
+        }
+
+        const numerologists = allAstrologers
+          .filter(isNumerologyExpert)
+          .sort((a, b) => (isOnline(b) - isOnline(a)) || (getRating(b) - getRating(a)))
+          .slice(0, MAX_EXPERTS);
+        if (isActive) setExperts(numerologists);
+      } catch (error) {
+        console.error('❌ [Numerology] Error fetching numerology astrologers:', error);
+      } finally {
+        if (isActive) setLoadingExperts(false);
+      }
+    };
+
+    fetchExperts();
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  const isSelf = profile === user || profile?.id === SELF_PROFILE_ID;
+
+  const handleConsult = (astrologer) => {
+    const systemLabel = SYSTEM_OPTIONS.find(option => option.key === system).label;
+    navigation.navigate('AstrologerProfile', {
+      astrologer,
+      consultationContext: {
+        type: 'numerology',
+        title: 'Numerology',
+        profiles: [profile],
+        summary: `Life path ${report.lifePath}, destiny ${report.destiny.number}, birth number ${report.birthNumber} (${systemLabel})`,
+      },
+    });
+  };
+
+  const renderNumberCard = (label, number, hint, showDescription = false) => {
+    const meaning = NUMBER_MEANINGS[number];
+    return (
+      <View style={styles.numberCard} key={label}>
+        <View style={styles.numberBadge}>
+          <Text style={styles.numberValue}>{number ?? '-'}</Text>
+        </View>
+        <View style={styles.numberInfo}>
+          <Text style={styles.numberLabel}>{label}</Text>
+          <Text style={styles.numberHint}>{hint}</Text>
+          {meaning && (
+            <Text style={styles.numberKeywords}>{meaning.planet} • {meaning.keywords}</Text>
+          )}
+          {showDescription && meaning && (
+            <Text style={styles.numberDescription}>{meaning.description}</Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderExpert = (astrologer) => (
+    <TouchableOpacity
+      key={astrologer._id || astrologer.id}
+      style={styles.expertCard}
+      onPress={() => handleConsult(astrologer)}
+    >
+      <Image
+        source={{ uri: astrologer.imageUrl || astrologer.profileImage || 'https://via.placeholder.com/80x80?text=No+Image' }}
+        style={[styles.expertImage, isOnline(astrologer) && styles.expertImageOnline]}
+      />
+      <Text style={styles.expertName} numberOfLines={1}>{astrologer.displayName || astrologer.name}</Text>
+      <View style={styles.expertRating}>
+        <FontAwesome name="star" size={12} color="#FFD700" />
+        <Text style={styles.expertRatingText}>{getRating(astrologer) ? getRating(astrologer).toFixed(1) : 'New'}</Text>
+      </View>
+      <Text style={[styles.expertStatus, isOnline(astrologer) && styles.expertStatusOnline]}>
+        {isOnline(astrologer) ? 'Online' : 'Offline'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Numerology</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <ProfileSwitcher
+          selectedProfileId={isSelf ? SELF_PROFILE_ID : profile?.id}
+          onSelect={setProfile}
+          title="Numerology for"
+        />
+
+        {/* System Toggle */}
+        <View style={styles.toggleContainer}>
+          {SYSTEM_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.toggleButton, system === option.key && styles.toggleButtonActive]}
+              onPress={() => setSystem(option.key)}
+            >
+              <Text style={[styles.toggleText, system === option.key && styles.toggleTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {!report ? (
+          <View style={styles.emptyCard}>
+            <Ionicons name="calculator-outline" size={48} color="#F97316" />
+            <Text style={styles.emptyTitle}>Name and date of birth needed</Text>
+            <Text style={styles.emptyText}>
+              Add the full name and date of birth to calculate the numerology numbers.
+            </Text>
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => (isSelf
+                ? navigation.navigate('AddUserProfile')
+                : navigation.navigate('FamilyProfileForm', { profile }))}
+            >
+              <Text style={styles.primaryButtonText}>Update Details</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            {/* Profile */}
+            <View style={styles.card}>
+              <Text style={styles.profileName}>{report.name}</Text>
+              <Text style={styles.profileMeta}>
+                Born {report.birthDate.toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' })}
+              </Text>
+            </View>
+
+            {/* Core Numbers */}
+            <Text style={styles.sectionTitle}>Core Numbers</Text>
+            {renderNumberCard('Life Path', report.lifePath, 'From your full date of birth', true)}
+            {renderNumberCard('Birth Number', report.birthNumber, 'From the day you were born')}
+            {renderNumberCard('Destiny', report.destiny.number, `All letters of your name (compound ${report.destiny.compound})`, true)}
+            {renderNumberCard('Soul Urge', report.soulUrge.number, 'Vowels - your inner desires')}
+            {renderNumberCard('Personality', report.personality.number, 'Consonants - how others see you')}
+
+            {/* Lucky Numbers & Name */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Lucky Numbers</Text>
+              <View style={styles.luckyRow}>
+                {report.favourableNumbers.map(number => (
+                  <View key={number} style={styles.luckyChip}>
+                    <Text style={styles.luckyChipText}>{number}</Text>
+                  </View>
+                ))}
+              </View>
+
+              <View style={styles.nameStatus}>
+                <Ionicons
+                  name={report.isNameFavourable ? 'checkmark-circle' : 'alert-circle'}
+                  size={20}
+                  color={report.isNameFavourable ? '#10B981' : '#F59E0B'}
+                />
+                <Text style={styles.nameStatusText}>
+                  {report.isNameFavourable
+                    ? `Name number ${report.destiny.number} is in harmony with your date of birth.`
+                    : `Name number ${report.destiny.number} is not among your lucky numbers.`}
+                </Text>
+              </View>
+
+              {report.nameSuggestions.length > 0 && (
+                <>
+                  <Text style={styles.suggestionTitle}>Suggested spellings</Text>
+                  {report.nameSuggestions.map(suggestion => (
+                    <View key={suggestion.name} style={styles.suggestionRow}>
+                      <Text style={styles.suggestionName}>{suggestion.name}</Text>
+                      <Text style={styles.suggestionNumber}>
+                        {suggestion.compound}/{suggestion.number}
+                      </Text>
+                    </View>
+                  ))}
+                  <Text style={styles.noteText}>
+                    Discuss a name change with a numerologist before adopting it.
+                  </Text>
+                </>
+              )}
+            </View>
+
+            {/* Numerology Experts */}
+            <Text style={styles.sectionTitle}>Consult a Numerologist</Text>
+            {loadingExperts ? (
+              <ActivityIndicator size="small" color="#F97316" style={styles.expertsLoader} />
+            ) : experts.length === 0 ? (
+              <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('Astrologers')}>
+                <Text style={styles.noteText}>
+                  No numerology specialists are available right now. Tap to browse all astrologers.
+                </Text>
+              </TouchableOpacity>
+            ) : (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.expertsList}
+              >
+                {experts.map(renderExpert)}
+              </ScrollView>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  toggleContainer: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  toggleButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toggleButtonActive: {
+    backgroundColor: '#FFFFFF',
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  toggleTextActive: {
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  profileName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  profileMeta: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  numberCard: {
+    flexDirection: 'row',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  numberBadge: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#FFF7ED',
+    borderWidth: 2,
+    borderColor: '#F97316',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  numberValue: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#F97316',
+  },
+  numberInfo: {
+    flex: 1,
+    marginLeft: 14,
+  },
+  numberLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  numberHint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  numberKeywords: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 6,
+  },
+  numberDescription: {
+    fontSize: 13,
+    color: '#6B7280',
+    lineHeight: 18,
+    marginTop: 4,
+  },
+  luckyRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  luckyChip: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#F97316',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  luckyChipText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  nameStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  nameStatusText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 8,
+  },
+  suggestionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  suggestionName: {
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  suggestionNumber: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#F97316',
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  emptyCard: {
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 24,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#F97316',
+    paddingHorizontal: 24,
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  expertsLoader: {
+    marginVertical: 20,
+  },
+  expertsList: {
+    paddingBottom: 32,
+  },
+  expertCard: {
+    width: 120,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginRight: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  expertImage: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    borderWidth: 2,
+    borderColor: '#D1D5DB',
+  },
+  expertImageOnline: {
+    borderColor: '#10B981',
+  },
+  expertName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 8,
+  },
+  expertRating: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  expertRatingText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginLeft: 4,
+  },
+  expertStatus: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 4,
+  },
+  expertStatusOnline: {
+    color: '#10B981',
+    fontWeight: '600',
+  },
+});
+
+export default NumerologyScreen;
@@ -0,0 +1,661 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  TextInput,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../../context/AuthContext';
+import { searchCities, getCityById, DEFAULT_CITY_ID } from '../../data/cities';
+import { getPanchang } from '../../utils/astrology/panchang';
+import {
+  DEFAULT_TIMEZONE,
+  getUtcOffsetMinutes,
+  toZonedParts,
+  formatZonedTime,
+} from '../../utils/astrology/timezone';
+
+const LOCATION_STORAGE_KEY = 'panchang_location';
+const BIRTH_PLACE_ID = 'birth_place';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toLocation = (city) => ({
+  id: city.id,
+  name: city.name,
+  subtitle: [city.state, city.country].filter(Boolean).join(', '),
+  latitude: city.latitude,
+  longitude: city.longitude,
+  timezone: city.timezone,
+});
+
+const PanchangScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [location, setLocation] = useState(toLocation(getCityById(DEFAULT_CITY_ID)));
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showLocationModal, setShowLocationModal] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  // Birth place is only offered once the profile carries coordinates
+  const birthPlaceLocation = useMemo(() => {
+    const latitude = user?.birthLatitude ?? user?.latitude;
+    const longitude = user?.birthLongitude ?? user?.longitude;
+    if (latitude == null || longitude == null) return null;
+
+    return {
+      id: BIRTH_PLACE_ID,
+      name: user.birthLocation || 'Birth place',
+      subtitle: 'From your profile',
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      timezone: user.birthTimezone || DEFAULT_TIMEZONE,
+    };
+  }, [user]);
+
+  useEffect(() => {
+    loadSavedLocation();
+  }, []);
+
+  const loadSavedLocation = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(LOCATION_STORAGE_KEY);
+      if (saved) {
+        setLocation(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('❌ [PanchangScreen] Failed to load saved location:', error);
+    }
+  };
+
+  const handleLocationSelect = async (newLocation) => {
+    setLocation(newLocation);
+    setShowLocationModal(false);
+    setSearchQuery('');
+    try {
+      await AsyncStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify(newLocation));
+    } catch (error) {
+      console.error('❌ [PanchangScreen] Failed to save location:', error);
+    }
+  };
+
+  const utcOffsetMinutes = getUtcOffsetMinutes(location.timezone, selectedDate);
+
+  const { panchang, error } = useMemo(() => {
+    try {
+      return {
+        panchang: getPanchang({
+          date: {
+            year: selectedDate.getFullYear(),
+            month: selectedDate.getMonth(),
+            day: selectedDate.getDate(),
+          },
+          latitude: location.latitude,
+          longitude: location.longitude,
+          utcOffsetMinutes,
+        }),
+        error: null,
+      };
+    } catch (calculationError) {
+      console.error('❌ [PanchangScreen] Failed to calculate panchang:', calculationError);
+      return { panchang: null, error: calculationError };
+    }
+  }, [selectedDate, location, utcOffsetMinutes]);
+
+  const locationOptions = useMemo(() => {
+    const cityOptions = searchCities(searchQuery).map(toLocation);
+    return birthPlaceLocation && !searchQuery.trim()
+      ? [birthPlaceLocation, ...cityOptions]
+      : cityOptions;
+  }, [searchQuery, birthPlaceLocation]);
+
+  const isToday = selectedDate.toDateString() === new Date().toDateString();
+
+  const shiftDate = (days) => {
+    const newDate = new Date(selectedDate);
+    newDate.setDate(newDate.getDate() + days);
+    setSelectedDate(newDate);
+  };
+
+  const onDateChange = (event, date) => {
+    setShowDatePicker(false);
+    if (date) {
+      setSelectedDate(date);
+    }
+  };
+
+  // Times past midnight are shown with their date, as in printed panchangs
+  const formatTime = (date) => {
+    if (!date) return '--';
+    const time = formatZonedTime(date, utcOffsetMinutes);
+    const { day, month } = toZonedParts(date, utcOffsetMinutes);
+    if (day === selectedDate.getDate() && month === selectedDate.getMonth()) {
+      return time;
+    }
+    return `${time}, ${day} ${MONTH_NAMES[month]}`;
+  };
+
+  const formatRange = (range) => {
+    if (!range) return '--';
+    return `${formatTime(range.start)} - ${formatTime(range.end)}`;
+  };
+
+  const formatDisplayDate = (date) => date.toLocaleDateString('en-IN', {
+    weekday: 'long',
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  const renderLimb = (label, value, limb) => (
+    <View style={styles.limbRow}>
+      <Text style={styles.limbLabel}>{label}</Text>
+      <View style={styles.limbValueContainer}>
+        <Text style={styles.limbValue}>{value}</Text>
+        {limb?.endTime && (
+          <Text style={styles.limbEnd}>
+            till {formatTime(limb.endTime)}, then {limb.next}
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+
+  const renderTiming = (label, range, icon) => (
+    <View style={styles.timingRow}>
+      <Ionicons name={icon} size={18} color="#DC2626" />
+      <Text style={styles.timingLabel}>{label}</Text>
+      <Text style={styles.timingValue}>{formatRange(range)}</Text>
+    </View>
+  );
+
+  const renderLocationItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.modalItem}
+      onPress={() => handleLocationSelect(item)}
+    >
+      <View style={styles.locationItemContent}>
+        <Ionicons
+          name={item.id === BIRTH_PLACE_ID ? 'home-outline' : 'location-outline'}
+          size={20}
+          color="#F97316"
+        />
+        <View style={styles.locationTextContainer}>
+          <Text style={styles.locationName}>{item.name}</Text>
+          <Text style={styles.locationSubtitle}>{item.subtitle}</Text>
+        </View>
+        {location.id === item.id && (
+          <Ionicons name="checkmark-circle" size={24} color="#4CAF50" />
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1F2937" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Daily Panchang</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Date Navigator */}
+        <View style={styles.dateNavigator}>
+          <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(-1)}>
+            <Ionicons name="chevron-back" size={22} color="#1F2937" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setShowDatePicker(true)}>
+            <Ionicons name="calendar-outline" size={18} color="#F97316" />
+            <Text style={styles.dateText}>{formatDisplayDate(selectedDate)}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.dateArrow} onPress={() => shiftDate(1)}>
+            <Ionicons name="chevron-forward" size={22} color="#1F2937" />
+          </TouchableOpacity>
+        </View>
+        {!isToday && (
+          <TouchableOpacity style={styles.todayButton} onPress={() => setSelectedDate(new Date())}>
+            <Text style={styles.todayButtonText}>Back to today</Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Location */}
+        <TouchableOpacity style={styles.locationCard} onPress={() => setShowLocationModal(true)}>
+          <Ionicons name="location" size={20} color="#F97316" />
+          <View style={styles.locationTextContainer}>
+            <Text style={styles.locationName}>{location.name}</Text>
+            <Text style={styles.locationSubtitle}>{location.subtitle}</Text>
+          </View>
+          <Text style={styles.changeText}>Change</Text>
+        </TouchableOpacity>
+
+        {!panchang ? (
+          <View style={styles.card}>
+            <Text style={styles.errorText}>
+              {error ? 'Unable to calculate panchang for this day.' : 'No panchang available.'}
+            </Text>
+          </View>
+        ) : (
+          <>
+            {/* Sunrise / Sunset */}
+            <View style={styles.sunCard}>
+              <View style={styles.sunItem}>
+                <Ionicons name="sunny-outline" size={28} color="#F97316" />
+                <Text style={styles.sunLabel}>Sunrise</Text>
+                <Text style={styles.sunValue}>{formatTime(panchang.sunrise)}</Text>
+              </View>
+              <View style={styles.sunDivider} />
+              <View style={styles.sunItem}>
+                <Ionicons name="moon-outline" size={28} color="#6366F1" />
+                <Text style={styles.sunLabel}>Sunset</Text>
+                <Text style={styles.sunValue}>{formatTime(panchang.sunset)}</Text>
+              </View>
+            </View>
+
+            {!panchang.sunrise && (
+              <View style={styles.warningCard}>
+                <Ionicons name="information-circle-outline" size={18} color="#F59E0B" />
+                <Text style={styles.warningText}>
+                  The sun does not rise or set here on this day. Values are shown for 6:00 AM.
+                </Text>
+              </View>
+            )}
+
+            {/* Panchang Elements */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Panchang</Text>
+              {renderLimb('Vara', `${panchang.vara.name} (${panchang.vara.english})`)}
+              {renderLimb('Tithi', `${panchang.tithi.paksha} ${panchang.tithi.name}`, panchang.tithi)}
+              {renderLimb('Nakshatra', panchang.nakshatra.name, panchang.nakshatra)}
+              {renderLimb('Yoga', panchang.yoga.name, panchang.yoga)}
+              {renderLimb('Karana', panchang.karana.name, panchang.karana)}
+              {renderLimb('Moon Sign', `${panchang.moonRashi.name} (${panchang.moonRashi.english})`)}
+              {renderLimb('Sun Sign', `${panchang.sunRashi.name} (${panchang.sunRashi.english})`)}
+            </View>
+
+            {/* Inauspicious Timings */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Inauspicious Timings</Text>
+              {renderTiming('Rahu Kaal', panchang.rahuKaal, 'alert-circle-outline')}
+              {renderTiming('Gulika Kaal', panchang.gulika, 'time-outline')}
+              {renderTiming('Yamaganda', panchang.yamaganda, 'hourglass-outline')}
+              <Text style={styles.noteText}>
+                Avoid starting new or important work during these periods.
+              </Text>
+            </View>
+
+            {/* CTA */}
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => navigation.navigate('Astrologers')}
+            >
+              <Ionicons name="chatbubbles-outline" size={20} color="#FFFFFF" />
+              <Text style={styles.primaryButtonText}>Ask an Astrologer for a Muhurat</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        <View style={styles.bottomSpacing} />
+      </ScrollView>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={selectedDate}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={onDateChange}
+          minimumDate={new Date(1900, 0, 1)}
+          maximumDate={new Date(2100, 11, 31)}
+        />
+      )}
+
+      {/* Location Selection Modal */}
+      <Modal
+        visible={showLocationModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowLocationModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Select Location</Text>
+              <TouchableOpacity
+                onPress={() => setShowLocationModal(false)}
+                style={styles.modalCloseButton}
+              >
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+            <View style={styles.searchContainer}>
+              <Ionicons name="search" size={18} color="#9CA3AF" />
+              <TextInput
+                style={styles.searchInput}
+                placeholder="Search city"
+                placeholderTextColor="#9CA3AF"
+                value={searchQuery}
+                onChangeText={setSearchQuery}
+              />
+            </View>
+            <FlatList
+              data={locationOptions}
+              renderItem={renderLocationItem}
+              keyExtractor={(item) => item.id}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+              ListEmptyComponent={
+                <Text style={styles.emptySearchText}>No cities found</Text>
+              }
+            />
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  dateNavigator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    padding: 8,
+  },
+  dateArrow: {
+    padding: 8,
+  },
+  dateButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dateText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginLeft: 8,
+  },
+  todayButton: {
+    alignSelf: 'center',
+    marginTop: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+  },
+  todayButtonText: {
+    fontSize: 13,
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  locationCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    padding: 14,
+    marginTop: 12,
+    marginBottom: 16,
+  },
+  locationTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  locationName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  locationSubtitle: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  changeText: {
+    fontSize: 14,
+    color: '#F97316',
+    fontWeight: '600',
+  },
+  sunCard: {
+    flexDirection: 'row',
+    backgroundColor: '#FFF7ED',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#FED7AA',
+    paddingVertical: 16,
+    marginBottom: 16,
+  },
+  sunItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  sunDivider: {
+    width: 1,
+    backgroundColor: '#FED7AA',
+  },
+  sunLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+  },
+  sunValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 2,
+  },
+  warningCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+    borderLeftWidth: 3,
+    borderLeftColor: '#F59E0B',
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400E',
+    marginLeft: 8,
+    lineHeight: 18,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  limbRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  limbLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  limbValueContainer: {
+    flexShrink: 1,
+    alignItems: 'flex-end',
+    marginLeft: 12,
+  },
+  limbValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+    textAlign: 'right',
+  },
+  limbEnd: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+    textAlign: 'right',
+  },
+  timingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  timingLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1F2937',
+    marginLeft: 8,
+  },
+  timingValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#DC2626',
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 10,
+    lineHeight: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#DC2626',
+    textAlign: 'center',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#F97316',
+    borderRadius: 12,
+    paddingVertical: 14,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  bottomSpacing: {
+    height: 30,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '80%',
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  modalCloseButton: {
+    padding: 5,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    marginHorizontal: 20,
+    marginVertical: 12,
+    paddingHorizontal: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 15,
+    color: '#1F2937',
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
+  modalItem: {
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  locationItemContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  emptySearchText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+});
+
+export default PanchangScreen;
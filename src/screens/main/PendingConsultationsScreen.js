@@ -17,6 +17,18 @@ import { useSocket } from '../../context/SocketContext';
 import { useAuth } from '../../context/AuthContext';
 import { bookingsAPI } from '../../services/api';
 import { getPendingConsultations, removePendingConsultation } from '../../utils/pendingConsultationsStore';
+import {
+  getAppointmentTime,
+  isScheduledAppointment,
+  isMissedAppointment,
+  getAppointmentPolicy,
+  formatAppointmentTime,
+  formatCountdown,
+  rescheduleAppointment,
+  cancelAppointment,
+} from '../../utils/appointments';
+import { shareAppointmentIcs } from '../../utils/appointmentReminders';
+import AppointmentSlotPicker from '../../components/AppointmentSlotPicker';
 
 const PendingConsultationsScreen = () => {
   const navigation = useNavigation();
@@ -27,6 +39,9 @@ const PendingConsultationsScreen = () => {
   const [refreshing, setRefreshing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [sessionTimers, setSessionTimers] = useState({}); // Track timer data for each session
+  const [scheduledConsultations, setScheduledConsultations] = useState([]);
+  const [rescheduleTarget, setRescheduleTarget] = useState(null);
+  const [now, setNow] = useState(Date.now()); // Drives the appointment countdowns
 
   const loadConsultations = async () => {
     try {
@@ -45,8 +60,19 @@ const PendingConsultationsScreen = () => {
       // Separate pending and in-progress consultations
       const pending = [];
       const inProgress = [];
+      const scheduled = [];
       
       for (const consultation of pendingConsultations) {
+        // Scheduled appointments stay here until the astrologer starts the session
+        if (isScheduledAppointment(consultation) && !consultation.sessionId) {
+          if (isMissedAppointment(consultation.booking)) {
+            await removePendingConsultation(consultation.booking._id);
+          } else {
+            scheduled.push(consultation);
+          }
+          continue;
+        }
+
         // Check if this consultation has an active session
         if (consultation.booking.status === 'in-progress' || sessionTimers[consultation.booking._id]) {
           inProgress.push(consultation);
@@ -55,12 +81,16 @@ const PendingConsultationsScreen = () => {
         }
       }
       
+      scheduled.sort((a, b) => new Date(getAppointmentTime(a.booking)) - new Date(getAppointmentTime(b.booking)));
+      
       setConsultations(pending);
       setInProgressConsultations(inProgress);
+      setScheduledConsultations(scheduled);
       
       console.log('📱 [PendingConsultations] Separated:', {
         pending: pending.length,
-        inProgress: inProgress.length
+        inProgress: inProgress.length,
+        scheduled: scheduled.length
       });
       
     } catch (error) {
@@ -141,6 +171,13 @@ const PendingConsultationsScreen = () => {
     };
   }, [socket]);
 
+  // Tick the appointment countdowns
+  useEffect(() => {
+    if (scheduledConsultations.length === 0) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [scheduledConsultations.length]);
+
   // Load consultations when screen comes into focus
   useFocusEffect(
     useCallback(() => {
@@ -258,6 +295,74 @@ const PendingConsultationsScreen = () => {
     }
   };
 
+  const handleCancelAppointment = (consultation) => {
+    const policy = getAppointmentPolicy(consultation.booking);
+    if (!policy.canCancel) {
+      Alert.alert('Cannot Cancel', policy.cancelReason);
+      return;
+    }
+
+    Alert.alert(
+      'Cancel Appointment',
+      `Cancel your appointment on ${formatAppointmentTime(getAppointmentTime(consultation.booking))}?`,
+      [
+        {
+          text: 'Keep',
+          style: 'cancel'
+        },
+        {
+          text: 'Cancel Appointment',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              console.log('📅 [PendingConsultations] Cancelling appointment:', consultation.booking._id);
+              await cancelAppointment(consultation.booking);
+              loadConsultations();
+              Alert.alert('Appointment Cancelled', 'Your appointment has been cancelled.');
+            } catch (error) {
+              console.error('❌ [PendingConsultations] Error cancelling appointment:', error);
+              Alert.alert('Error', error.response?.data?.message || error.message || 'Failed to cancel the appointment. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleRescheduleAppointment = (consultation) => {
+    const policy = getAppointmentPolicy(consultation.booking);
+    if (!policy.canReschedule) {
+      Alert.alert('Cannot Reschedule', policy.rescheduleReason);
+      return;
+    }
+    setRescheduleTarget(consultation);
+  };
+
+  const handleConfirmReschedule = async ({ slot }) => {
+    try {
+      await rescheduleAppointment(rescheduleTarget.booking, slot);
+      setRescheduleTarget(null);
+      loadConsultations();
+      Alert.alert('Appointment Rescheduled', `Your appointment is now on ${formatAppointmentTime(slot.start)}.`);
+    } catch (error) {
+      console.error('❌ [PendingConsultations] Error rescheduling appointment:', error);
+      Alert.alert('Error', error.response?.data?.message || error.message || 'Failed to reschedule. Please pick another time.');
+      throw error;
+    }
+  };
+
+  const handleAddToCalendar = async (consultation) => {
+    try {
+      const shared = await shareAppointmentIcs(consultation.booking);
+      if (!shared) {
+        Alert.alert('Not Available', 'Sharing is not available on this device.');
+      }
+    } catch (error) {
+      console.error('❌ [PendingConsultations] Error exporting appointment:', error);
+      Alert.alert('Error', 'Failed to create the calendar file. Please try again.');
+    }
+  };
+
   // Helper function to format timer display
   const formatTimer = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -384,12 +489,78 @@ const PendingConsultationsScreen = () => {
     );
   };
 
+  // Render scheduled appointment with countdown, reschedule and cancel
+  const renderScheduledConsultationItem = ({ item }) => {
+    const consultation = item;
+    const astrologer = consultation.booking.astrologer || consultation.astrologer || {};
+    const bookingType = consultation.booking.type;
+    const scheduledTime = getAppointmentTime(consultation.booking);
+    const countdown = formatCountdown(scheduledTime, now);
+    const policy = getAppointmentPolicy(consultation.booking, now);
+
+    return (
+      <View style={[styles.consultationCard, styles.scheduledCard]}>
+        <View style={styles.consultationHeader}>
+          <Image 
+            source={{ uri: astrologer.profileImage || 'https://via.placeholder.com/50' }}
+            style={styles.astrologerImage}
+          />
+          <View style={styles.consultationInfo}>
+            <Text style={styles.astrologerName}>
+              {astrologer.displayName || astrologer.name || 'Astrologer'}
+            </Text>
+            <Text style={styles.consultationType}>
+              {bookingType.charAt(0).toUpperCase() + bookingType.slice(1)} · {formatAppointmentTime(scheduledTime)}
+            </Text>
+            <View style={styles.timerContainer}>
+              <Ionicons name="hourglass-outline" size={16} color="#007AFF" />
+              <Text style={styles.timerText}>
+                {countdown ? `Starts in ${countdown}` : 'Starting now - waiting for the astrologer'}
+              </Text>
+            </View>
+          </View>
+          <View style={styles.typeIcon}>
+            <Ionicons 
+              name={bookingType === 'chat' ? 'chatbubble' : 'call'} 
+              size={24} 
+              color="#007AFF" 
+            />
+          </View>
+        </View>
+
+        {countdown && (
+          <View style={styles.consultationActions}>
+            <TouchableOpacity 
+              style={styles.calendarButton}
+              onPress={() => handleAddToCalendar(consultation)}
+              accessibilityLabel="Add to calendar"
+            >
+              <Ionicons name="calendar-outline" size={18} color="#007AFF" />
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.rescheduleButton, !policy.canReschedule && styles.actionDisabled]}
+              onPress={() => handleRescheduleAppointment(consultation)}
+            >
+              <Text style={styles.rescheduleButtonText}>Reschedule</Text>
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.endButton, !policy.canCancel && styles.actionDisabled]}
+              onPress={() => handleCancelAppointment(consultation)}
+            >
+              <Text style={styles.endButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
       <Ionicons name="calendar-outline" size={64} color="#C7C7CC" />
       <Text style={styles.emptyStateTitle}>No Pending Consultations</Text>
       <Text style={styles.emptyStateSubtitle}>
-        Your accepted booking requests will appear here
+        Your accepted booking requests and scheduled appointments will appear here
       </Text>
       <TouchableOpacity 
         style={styles.browseButton}
@@ -411,7 +582,7 @@ const PendingConsultationsScreen = () => {
     </View>
   );
 
-  const hasAnyConsultations = inProgressConsultations.length > 0 || consultations.length > 0;
+  const hasAnyConsultations = inProgressConsultations.length > 0 || consultations.length > 0 || scheduledConsultations.length > 0;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -446,6 +617,10 @@ const PendingConsultationsScreen = () => {
             ...(consultations.length > 0 ? [
               { type: 'header', title: 'Pending', count: consultations.length },
               ...consultations.map(item => ({ ...item, type: 'pending' }))
+            ] : []),
+            ...(scheduledConsultations.length > 0 ? [
+              { type: 'header', title: 'Scheduled', count: scheduledConsultations.length },
+              ...scheduledConsultations.map(item => ({ ...item, type: 'scheduled' }))
             ] : [])
           ]}
           renderItem={({ item }) => {
@@ -453,6 +628,8 @@ const PendingConsultationsScreen = () => {
               return renderSectionHeader(item.title, item.count);
             } else if (item.type === 'inProgress') {
               return renderInProgressConsultationItem({ item });
+            } else if (item.type === 'scheduled') {
+              return renderScheduledConsultationItem({ item });
             } else {
               return renderConsultationItem({ item });
             }
@@ -470,6 +647,18 @@ const PendingConsultationsScreen = () => {
           showsVerticalScrollIndicator={false}
         />
       )}
+
+      <AppointmentSlotPicker
+        visible={!!rescheduleTarget}
+        astrologer={rescheduleTarget?.booking.astrologer || rescheduleTarget?.astrologer}
+        initialType={rescheduleTarget?.booking.type}
+        lockType
+        currentTime={getAppointmentTime(rescheduleTarget?.booking)}
+        title="Reschedule Appointment"
+        confirmLabel="Move to"
+        onConfirm={handleConfirmReschedule}
+        onClose={() => setRescheduleTarget(null)}
+      />
     </SafeAreaView>
   );
 };
@@ -551,6 +740,10 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  scheduledCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#007AFF',
+  },
   inProgressCard: {
     borderLeftWidth: 4,
     borderLeftColor: '#34C759',
@@ -659,6 +852,28 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  calendarButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+  },
+  rescheduleButton: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  rescheduleButtonText: {
+    color: '#007AFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  actionDisabled: {
+    opacity: 0.4,
+  },
   endButton: {
     backgroundColor: '#FF3B30',
     paddingHorizontal: 16,
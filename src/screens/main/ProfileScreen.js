@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   StyleSheet,
   View,
@@ -16,12 +16,25 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { useNotification } from '../../context/NotificationContext';
 import { APP_CONFIG } from '../../config/appConfig';
+import DailyReminderSettings from '../../components/DailyReminderSettings';
+import { getReminderSettings, formatReminderTime } from '../../utils/dailyReminders';
+import AppointmentReminderSettings from '../../components/AppointmentReminderSettings';
+import { getAppointmentReminderSettings, formatLeadTime } from '../../utils/appointmentReminders';
 
 const ProfileScreen = ({ navigation }) => {
   const { user, logout } = useAuth();
   const { sendTestNotification } = useNotification();
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [loading, setLoading] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(null);
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
+  const [appointmentReminderSettings, setAppointmentReminderSettings] = useState(null);
+  const [showAppointmentReminderSettings, setShowAppointmentReminderSettings] = useState(false);
+
+  useEffect(() => {
+    getReminderSettings().then(setReminderSettings);
+    getAppointmentReminderSettings().then(setAppointmentReminderSettings);
+  }, []);
 
   const handleLogout = async () => {
     Alert.alert(
@@ -110,6 +123,58 @@ const ProfileScreen = ({ navigation }) => {
     //   value: notificationsEnabled,
     //   onToggle: toggleNotifications,
     // },
+    {
+      icon: 'people-outline',
+      title: 'Family Profiles',
+      subtitle: 'Saved birth details of your family',
+      onPress: () => navigation.navigate('FamilyProfiles'),
+    },
+    {
+      icon: 'alarm-outline',
+      title: 'Daily Reminder',
+      subtitle: reminderSettings?.enabled
+        ? `Horoscope and Panchang every day at ${formatReminderTime(reminderSettings)}`
+        : 'Off',
+      onPress: () => setShowReminderSettings(true),
+    },
+    {
+      icon: 'notifications-outline',
+      title: 'Appointment Reminders',
+      subtitle: appointmentReminderSettings?.enabled
+        ? appointmentReminderSettings.leadMinutes.map(formatLeadTime).join(', ') + ' before'
+        : 'Off',
+      onPress: () => setShowAppointmentReminderSettings(true),
+    },
+    {
+      icon: 'planet-outline',
+      title: 'My Kundli',
+      subtitle: 'Birth chart, rashi and nakshatra',
+      onPress: () => navigation.navigate('Kundli'),
+    },
+    {
+      icon: 'time-outline',
+      title: 'Dasha Periods',
+      subtitle: 'Vimshottari Mahadasha timeline',
+      onPress: () => navigation.navigate('Dasha'),
+    },
+    {
+      icon: 'heart-circle-outline',
+      title: 'Kundli Matching',
+      subtitle: 'Ashtakoota Guna Milan',
+      onPress: () => navigation.navigate('GunaMilan'),
+    },
+    {
+      icon: 'calendar-outline',
+      title: 'Daily Panchang',
+      subtitle: 'Tithi, nakshatra and Rahu Kaal',
+      onPress: () => navigation.navigate('Panchang'),
+    },
+    {
+      icon: 'calculator-outline',
+      title: 'Numerology',
+      subtitle: 'Lucky numbers and name correction',
+      onPress: () => navigation.navigate('Numerology'),
+    },
     {
       icon: 'logo-whatsapp',
       title: 'WhatsApp Support',
@@ -230,6 +295,18 @@ const ProfileScreen = ({ navigation }) => {
       )}
       </ScrollView>
       </View>
+
+      <DailyReminderSettings
+        visible={showReminderSettings}
+        onClose={() => setShowReminderSettings(false)}
+        onSaved={setReminderSettings}
+      />
+
+      <AppointmentReminderSettings
+        visible={showAppointmentReminderSettings}
+        onClose={() => setShowAppointmentReminderSettings(false)}
+        onSaved={setAppointmentReminderSettings}
+      />
     </SafeAreaView>
   );
 };
@@ -17,6 +17,10 @@ import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
+import CityPicker from '../../components/CityPicker';
+import ProfileSwitcher from '../../components/ProfileSwitcher';
+import { SELF_PROFILE_ID, getSelfProfile } from '../../utils/familyProfilesStore';
+import { getCityById, findCityByName, formatCityName, getBirthPlaceFields } from '../../data/cities';
 
 const FreeChatPreForm = ({ route, navigation }) => {
   const { user } = useAuth();
@@ -28,10 +32,13 @@ const FreeChatPreForm = ({ route, navigation }) => {
     dateOfBirth: new Date(),
     timeOfBirth: new Date(),
     placeOfBirth: '',
+    birthCity: null,
     gender: '',
     isTimeOfBirthUnknown: false,
   });
   
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [showCityPicker, setShowCityPicker] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [showGenderModal, setShowGenderModal] = useState(false);
@@ -49,23 +56,36 @@ const FreeChatPreForm = ({ route, navigation }) => {
     { label: 'Prefer not to say', value: 'Prefer not to say' },
   ];
 
+  // Fill the form from a user or saved family profile
+  const fillFormFromProfile = (profile) => {
+    setFormData(prev => ({
+      ...prev,
+      name: profile.name || '',
+      dateOfBirth: profile.birthDate ? new Date(profile.birthDate) : new Date(),
+      timeOfBirth: profile.birthTime ? new Date(profile.birthTime) : new Date(),
+      placeOfBirth: profile.birthLocation || '',
+      birthCity: getCityById(profile.birthPlaceId) || findCityByName(profile.birthLocation),
+      gender: profile.gender || '',
+      isTimeOfBirthUnknown: profile.isTimeOfBirthUnknown || false,
+    }));
+    
+    setIsTimeOfBirthUnknown(profile.isTimeOfBirthUnknown || false);
+    setErrors({});
+  };
+
   // Pre-fill form with user data
   useEffect(() => {
     if (user) {
-      setFormData(prev => ({
-        ...prev,
-        name: user.name || '',
-        dateOfBirth: user.birthDate ? new Date(user.birthDate) : new Date(),
-        timeOfBirth: user.birthTime ? new Date(user.birthTime) : new Date(),
-        placeOfBirth: user.birthLocation || '',
-        gender: user.gender || '',
-        isTimeOfBirthUnknown: user.isTimeOfBirthUnknown || false,
-      }));
-      
-      setIsTimeOfBirthUnknown(user.isTimeOfBirthUnknown || false);
+      fillFormFromProfile(user);
+      setSelectedProfile(getSelfProfile(user));
     }
   }, [user]);
 
+  const handleProfileSelect = (profile) => {
+    setSelectedProfile(profile);
+    fillFormFromProfile(profile);
+  };
+
   // Socket event listeners for free chat
   useEffect(() => {
     if (!socket) return;
@@ -237,6 +257,21 @@ const FreeChatPreForm = ({ route, navigation }) => {
     }
   };
 
+  // Handle place of birth selection from the offline city list
+  const handlePlaceOfBirthSelect = (city, customPlace = '') => {
+    setShowCityPicker(false);
+    if (!city && !customPlace) return;
+
+    setFormData(prev => ({
+      ...prev,
+      placeOfBirth: city ? formatCityName(city) : customPlace,
+      birthCity: city,
+    }));
+    if (errors.placeOfBirth) {
+      setErrors(prev => ({ ...prev, placeOfBirth: null }));
+    }
+  };
+
   // Format date for display
   const formatDate = (date) => {
     return date.toLocaleDateString('en-IN', {
@@ -287,8 +322,13 @@ const FreeChatPreForm = ({ route, navigation }) => {
         dateOfBirth: formData.dateOfBirth.toISOString(),
         timeOfBirth: formData.isTimeOfBirthUnknown ? null : formData.timeOfBirth?.toISOString(),
         placeOfBirth: formData.placeOfBirth.trim(),
+        ...getBirthPlaceFields(formData.birthCity),
         gender: formData.gender,
         isTimeOfBirthUnknown: formData.isTimeOfBirthUnknown,
+        profileId: selectedProfile && selectedProfile.id !== SELF_PROFILE_ID
+          ? selectedProfile.serverId || selectedProfile.id
+          : null,
+        relationship: selectedProfile?.relationship || null,
       };
 
       // Emit socket event to request free chat with user profile
@@ -347,6 +387,12 @@ const FreeChatPreForm = ({ route, navigation }) => {
             </Text>
           </View>
 
+          {/* Profile Switcher */}
+          <ProfileSwitcher
+            selectedProfileId={selectedProfile?.id}
+            onSelect={handleProfileSelect}
+          />
+
           {/* Form Fields */}
           <View style={styles.formContainer}>
             {/* Name Field */}
@@ -421,13 +467,18 @@ const FreeChatPreForm = ({ route, navigation }) => {
             {/* Place of Birth Field */}
             <View style={styles.inputGroup}>
               <Text style={styles.label}>Place of Birth *</Text>
-              <TextInput
-                style={[styles.input, errors.placeOfBirth && styles.inputError]}
-                value={formData.placeOfBirth}
-                onChangeText={(value) => handleInputChange('placeOfBirth', value)}
-                placeholder="Enter your birth city"
-                placeholderTextColor="#999"
-              />
+              <TouchableOpacity
+                style={[styles.input, styles.selectInput, errors.placeOfBirth && styles.inputError]}
+                onPress={() => setShowCityPicker(true)}
+              >
+                <Text
+                  style={[styles.selectText, styles.placeText, !formData.placeOfBirth && styles.placeholderText]}
+                  numberOfLines={1}
+                >
+                  {formData.placeOfBirth || 'Select your birth city'}
+                </Text>
+                <Ionicons name="location" size={20} color="#666" />
+              </TouchableOpacity>
               {errors.placeOfBirth && <Text style={styles.errorText}>{errors.placeOfBirth}</Text>}
             </View>
           </View>
@@ -472,6 +523,14 @@ const FreeChatPreForm = ({ route, navigation }) => {
           />
         )}
 
+        {/* Place of Birth Picker */}
+        <CityPicker
+          visible={showCityPicker}
+          onClose={() => setShowCityPicker(false)}
+          onSelect={handlePlaceOfBirthSelect}
+          selectedCityId={formData.birthCity?.id}
+        />
+
         {/* Gender Selection Modal */}
         <Modal
           visible={showGenderModal}
@@ -639,6 +698,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  placeText: {
+    flex: 1,
+    marginRight: 8,
+  },
   placeholderText: {
     color: '#999',
   },
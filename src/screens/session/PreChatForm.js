@@ -15,14 +15,16 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-// import { GooglePlacesAutocomplete } from 'react-native-google-places-autocomplete';
 import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
 import { walletAPI } from '../../services/api';
-import { GOOGLE_PLACES_CONFIG } from '../../config/googlePlaces';
+import CityPicker from '../../components/CityPicker';
+import ProfileSwitcher from '../../components/ProfileSwitcher';
+import { SELF_PROFILE_ID, getSelfProfile } from '../../utils/familyProfilesStore';
+import { getCityById, findCityByName, formatCityName, getBirthPlaceFields } from '../../data/cities';
 
 const PreChatForm = ({ route, navigation }) => {
-  const { astrologer, bookingType = 'chat' } = route.params || {};
+  const { astrologer, bookingType = 'chat', consultationContext } = route.params || {};
   const { user } = useAuth();
   const { socket } = useSocket();
   
@@ -32,10 +34,13 @@ const PreChatForm = ({ route, navigation }) => {
     dateOfBirth: new Date(),
     timeOfBirth: new Date(),
     placeOfBirth: '',
+    birthCity: null,
     gender: '',
     isTimeOfBirthUnknown: false,
   });
   
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [showCityPicker, setShowCityPicker] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [showGenderModal, setShowGenderModal] = useState(false);
@@ -51,22 +56,40 @@ const PreChatForm = ({ route, navigation }) => {
     { label: 'Prefer not to say', value: 'Prefer not to say' },
   ];
 
+  // Profiles attached by a feature screen (e.g. kundli matching); the first one fills the form
+  const contextProfiles = consultationContext?.profiles || [];
+  const additionalProfiles = contextProfiles.slice(1);
+
+  // Fill the form from a user or saved family profile
+  const fillFormFromProfile = (sourceProfile) => {
+    const isTimeUnknown = sourceProfile.isTimeOfBirthUnknown || false;
+    setFormData({
+      name: sourceProfile.name || '',
+      dateOfBirth: sourceProfile.birthDate ? new Date(sourceProfile.birthDate) : new Date(),
+      timeOfBirth: isTimeUnknown ? new Date() : (sourceProfile.birthTime ? new Date(sourceProfile.birthTime) : new Date()),
+      placeOfBirth: sourceProfile.birthLocation || '',
+      birthCity: getCityById(sourceProfile.birthPlaceId) || findCityByName(sourceProfile.birthLocation),
+      gender: sourceProfile.gender || '',
+      isTimeOfBirthUnknown: isTimeUnknown,
+    });
+    setIsTimeOfBirthUnknown(isTimeUnknown);
+    setErrors({});
+  };
+
   // Pre-fill form with user profile data
   useEffect(() => {
-    if (user) {
-      const isTimeUnknown = user.isTimeOfBirthUnknown || false;
-      const initialData = {
-        name: user.name || '',
-        dateOfBirth: user.birthDate ? new Date(user.birthDate) : new Date(),
-        timeOfBirth: isTimeUnknown ? new Date() : (user.birthTime ? new Date(user.birthTime) : new Date()),
-        placeOfBirth: user.birthLocation || '',
-        gender: user.gender || '',
-        isTimeOfBirthUnknown: isTimeUnknown,
-      };
-      setFormData(initialData);
-      setIsTimeOfBirthUnknown(isTimeUnknown);
+    if (contextProfiles[0]) {
+      fillFormFromProfile(contextProfiles[0]);
+    } else if (user) {
+      fillFormFromProfile(user);
+      setSelectedProfile(getSelfProfile(user));
     }
-  }, [user]);
+  }, [user, consultationContext]);
+
+  const handleProfileSelect = (profile) => {
+    setSelectedProfile(profile);
+    fillFormFromProfile(profile);
+  };
 
   // Validation function
   const validateForm = () => {
@@ -202,33 +225,20 @@ const PreChatForm = ({ route, navigation }) => {
     return option ? option.label : 'Select Gender';
   };
 
-  // Handle place of birth selection from Google Places
-  const handlePlaceOfBirthSelect = (data, details = null) => {
-    try {
-      if (!data) {
-        console.log('GooglePlacesAutocomplete: No data received');
-        return;
-      }
-      
-      const locationName = data.description || 
-                          data.structured_formatting?.main_text || 
-                          data.formatted_address || 
-                          data.name || 
-                          '';
-      
-      if (locationName) {
-        console.log('Selected place of birth:', locationName);
-        setFormData(prev => ({ ...prev, placeOfBirth: locationName }));
-        // Clear place of birth error if it exists
-        if (errors.placeOfBirth) {
-          setErrors(prev => ({ ...prev, placeOfBirth: null }));
-        }
-      } else {
-        console.log('GooglePlacesAutocomplete: No valid location name found in data:', data);
-      }
-    } catch (error) {
-      console.error('Error handling place of birth selection:', error);
-      Alert.alert('Error', 'Failed to select location. Please try again.');
+  // Handle place of birth selection from the offline city list
+  const handlePlaceOfBirthSelect = (city, customPlace = '') => {
+    setShowCityPicker(false);
+    if (!city && !customPlace) return;
+
+    console.log('Selected place of birth:', city ? city.id : customPlace);
+    setFormData(prev => ({
+      ...prev,
+      placeOfBirth: city ? formatCityName(city) : customPlace,
+      birthCity: city,
+    }));
+    // Clear place of birth error if it exists
+    if (errors.placeOfBirth) {
+      setErrors(prev => ({ ...prev, placeOfBirth: null }));
     }
   };
 
@@ -360,17 +370,45 @@ const PreChatForm = ({ route, navigation }) => {
       const bookingData = {
         astrologerId: astrologer._id,
         type: bookingType,
-        notes: `${bookingType} consultation request`,
+        notes: consultationContext?.summary
+          ? `${bookingType} consultation request - ${consultationContext.title}: ${consultationContext.summary}`
+          : `${bookingType} consultation request`,
         userInfo: {
           name: formData.name.trim(),
           dateOfBirth: formData.dateOfBirth.toISOString(),
           timeOfBirth: formData.isTimeOfBirthUnknown ? null : formData.timeOfBirth?.toISOString(),
           placeOfBirth: formData.placeOfBirth.trim(),
+          ...getBirthPlaceFields(formData.birthCity),
           gender: formData.gender,
           isTimeOfBirthUnknown: formData.isTimeOfBirthUnknown,
+          // Lets the astrologer see whose chart this is when booking for a family member
+          profileId: selectedProfile && selectedProfile.id !== SELF_PROFILE_ID
+            ? selectedProfile.serverId || selectedProfile.id
+            : null,
+          relationship: selectedProfile?.relationship || null,
         }
       };
 
+      // Send any additional profiles (e.g. the partner in kundli matching) in the same shape as userInfo
+      if (consultationContext) {
+        bookingData.consultationContext = {
+          type: consultationContext.type,
+          summary: consultationContext.summary,
+          additionalProfiles: additionalProfiles.map(profile => ({
+            name: profile.name,
+            dateOfBirth: profile.birthDate,
+            timeOfBirth: profile.isTimeOfBirthUnknown ? null : profile.birthTime,
+            placeOfBirth: profile.birthLocation,
+            birthPlaceId: profile.birthPlaceId || null,
+            birthLatitude: profile.birthLatitude ?? null,
+            birthLongitude: profile.birthLongitude ?? null,
+            birthTimezone: profile.birthTimezone || null,
+            gender: profile.gender,
+            isTimeOfBirthUnknown: !!profile.isTimeOfBirthUnknown,
+          })),
+        };
+      }
+
       console.log(' [PreChatForm] Initiating socket-based booking with data:', JSON.stringify(bookingData, null, 2));
       console.log(' [PreChatForm] User context:', user ? 'User authenticated' : 'No user context');
       console.log(' [PreChatForm] Astrologer info:', JSON.stringify(astrologer, null, 2));
@@ -520,6 +558,26 @@ const PreChatForm = ({ route, navigation }) => {
             </Text>
           </View>
 
+          {/* Consultation Context (e.g. kundli matching) */}
+          {consultationContext && (
+            <View style={styles.contextCard}>
+              <View style={styles.contextHeader}>
+                <Ionicons name="heart-circle" size={22} color="#F97316" />
+                <Text style={styles.contextTitle}>{consultationContext.title}</Text>
+              </View>
+              {consultationContext.summary ? (
+                <Text style={styles.contextSummary}>{consultationContext.summary}</Text>
+              ) : null}
+              {additionalProfiles.map((profile, index) => (
+                <Text key={`${profile.name}-${index}`} style={styles.contextProfile}>
+                  {profile.name} • {formatDate(new Date(profile.birthDate))}
+                  {profile.birthLocation ? ` • ${profile.birthLocation}` : ''}
+                </Text>
+              ))}
+              <Text style={styles.contextNote}>These details will be shared with the astrologer along with yours.</Text>
+            </View>
+          )}
+
           {/* Form Instructions */}
           <View style={styles.instructionsCard}>
             <Ionicons name="information-circle" size={24} color="#F97316" />
@@ -531,6 +589,14 @@ const PreChatForm = ({ route, navigation }) => {
             </View>
           </View>
 
+          {/* Profile Switcher */}
+          {!consultationContext && (
+            <ProfileSwitcher
+              selectedProfileId={selectedProfile?.id}
+              onSelect={handleProfileSelect}
+            />
+          )}
+
           {/* Form Fields */}
           <View style={styles.formContainer}>
             {/* Name Field */}
@@ -622,16 +688,22 @@ const PreChatForm = ({ route, navigation }) => {
             {/* Place of Birth Field */}
             <View style={styles.fieldContainer}>
               <Text style={styles.fieldLabel}>Place of Birth *</Text>
-              <TextInput
-                style={[styles.textInput, errors.placeOfBirth && styles.inputError]}
-                value={formData.placeOfBirth}
-                onChangeText={(value) => handleInputChange('placeOfBirth', value)}
-                placeholder="Enter your place of birth (City, State)"
-                placeholderTextColor="#999"
-                autoCapitalize="words"
-                autoCorrect={false}
-              />
-              {/* Note: Google Places Autocomplete temporarily disabled due to filter error */}
+              <TouchableOpacity
+                style={[styles.dateInput, errors.placeOfBirth && styles.inputError]}
+                onPress={() => setShowCityPicker(true)}
+              >
+                <Text
+                  style={[
+                    styles.dateText,
+                    styles.placeText,
+                    !formData.placeOfBirth && styles.placeholderText
+                  ]}
+                  numberOfLines={1}
+                >
+                  {formData.placeOfBirth || 'Select your place of birth'}
+                </Text>
+                <Ionicons name="location-outline" size={20} color="#666" />
+              </TouchableOpacity>
               {errors.placeOfBirth && <Text style={styles.errorText}>{errors.placeOfBirth}</Text>}
             </View>
           </View>
@@ -687,6 +759,14 @@ const PreChatForm = ({ route, navigation }) => {
           />
         )}
 
+        {/* Place of Birth Picker */}
+        <CityPicker
+          visible={showCityPicker}
+          onClose={() => setShowCityPicker(false)}
+          onSelect={handlePlaceOfBirthSelect}
+          selectedCityId={formData.birthCity?.id}
+        />
+
         {/* Gender Selection Modal */}
         <Modal
           visible={showGenderModal}
@@ -794,6 +874,41 @@ const styles = StyleSheet.create({
     color: '#F97316',
     fontWeight: '500',
   },
+  contextCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+    borderWidth: 1,
+    borderColor: '#FED7AA',
+  },
+  contextHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  contextTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginLeft: 8,
+  },
+  contextSummary: {
+    fontSize: 14,
+    color: '#F97316',
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  contextProfile: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 4,
+  },
+  contextNote: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 4,
+  },
   instructionsCard: {
     flexDirection: 'row',
     backgroundColor: '#FEF3E2',
@@ -854,6 +969,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#1f2937',
   },
+  placeText: {
+    flex: 1,
+    marginRight: 8,
+  },
   inputError: {
     borderColor: '#ef4444',
   },
@@ -983,10 +1102,6 @@ const styles = StyleSheet.create({
     color: '#F97316',
     fontWeight: '600',
   },
-  googlePlacesContainer: {
-    flex: 1,
-    zIndex: 1,
-  },
 });
 
 export default PreChatForm;
@@ -13,7 +13,8 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
-import { bookingsAPI, astrologersAPI, ratingsAPI } from '../../services/api';
+import { bookingsAPI, astrologersAPI, ratingsAPI, chatHistoryAPI } from '../../services/api';
+import { exportTranscriptPdf } from '../../utils/transcriptPdf';
 
 const RatingScreen = ({ route, navigation }) => {
   const { bookingId, consultation } = route.params || {};
@@ -23,6 +24,7 @@ const RatingScreen = ({ route, navigation }) => {
   const [submitting, setSubmitting] = useState(false);
   const [bookingData, setBookingData] = useState(null);
   const [astrologer, setAstrologer] = useState(null);
+  const [exporting, setExporting] = useState(false);
   const { user } = useAuth();
   
   // Format duration from minutes to readable format
@@ -149,6 +151,30 @@ const RatingScreen = ({ route, navigation }) => {
     }
   };
 
+  const handleExportTranscript = async () => {
+    setExporting(true);
+    try {
+      const response = await chatHistoryAPI.getChatHistory(bookingData.sessionId);
+      if (!response?.success || !response.data) {
+        throw new Error(response?.message || 'Failed to fetch chat history');
+      }
+
+      const shared = await exportTranscriptPdf({
+        chatData: response.data,
+        booking: bookingData,
+        astrologerName: astrologer?.displayName || astrologer?.name
+      });
+      if (!shared) {
+        Alert.alert('Sharing Unavailable', 'Sharing files is not supported on this device.');
+      }
+    } catch (error) {
+      console.error('Error exporting transcript:', error);
+      Alert.alert('Error', 'Could not create the transcript PDF. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleRating = (value) => {
     setRating(value);
   };
@@ -303,6 +329,23 @@ const RatingScreen = ({ route, navigation }) => {
             </View>
           )}
         </View>
+
+        {bookingData.type === 'chat' && bookingData.sessionId && (
+          <TouchableOpacity
+            style={styles.exportButton}
+            onPress={handleExportTranscript}
+            disabled={exporting}
+          >
+            {exporting ? (
+              <ActivityIndicator size="small" color="#F97316" />
+            ) : (
+              <Ionicons name="document-text-outline" size={18} color="#F97316" />
+            )}
+            <Text style={styles.exportButtonText}>
+              {exporting ? 'Preparing PDF...' : 'Share Chat Transcript (PDF)'}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
       
       <View style={styles.ratingContainer}>
@@ -516,6 +559,22 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 8,
   },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#F97316',
+  },
+  exportButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#F97316',
+    marginLeft: 8,
+  },
   ratingContainer: {
     backgroundColor: '#fff',
     margin: 16,
@@ -1003,6 +1003,40 @@ class FCMService {
     }
   }
 
+  /**
+   * Schedule a notification generated on the device (no backend push involved)
+   * @param {Object} options - { title, body, data, date, channelId }; omit date to show it now
+   * @returns {Promise<string|null>} Notification id, used to cancel it later
+   */
+  async scheduleLocalNotification({ title, body, data = {}, date = null, channelId = 'general' }) {
+    try {
+      const trigger = date
+        ? { type: Notifications.SchedulableTriggerInputTypes.DATE, date, channelId }
+        : null;
+
+      const notificationId = await Notifications.scheduleNotificationAsync({
+        content: { title, body, data, sound: 'default' },
+        trigger,
+      });
+      console.log('⏰ [FCM] Local notification scheduled:', notificationId, date ? date.toISOString() : 'now');
+      return notificationId;
+    } catch (error) {
+      console.error('❌ [FCM] Failed to schedule local notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel a scheduled local notification
+   */
+  async cancelLocalNotification(notificationId) {
+    try {
+      await Notifications.cancelScheduledNotificationAsync(notificationId);
+    } catch (error) {
+      console.error('❌ [FCM] Failed to cancel local notification:', error);
+    }
+  }
+
   /**
    * Cleanup listeners
    */
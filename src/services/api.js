@@ -275,11 +275,22 @@ export const authAPI = {
   registerDeviceToken: (token) => API.post('/users/register-device-token', { token }),
 };
 
+// Family Profiles API (birth details saved for spouse, children, parents etc.)
+export const familyProfilesAPI = {
+  getAll: () => API.get('/users/family-profiles'),
+  create: (profileData) => API.post('/users/family-profiles', profileData),
+  update: (id, profileData) => API.put(`/users/family-profiles/${id}`, profileData),
+  delete: (id) => API.delete(`/users/family-profiles/${id}`),
+};
+
 // Astrologers API
 export const astrologersAPI = {
   getAll: (params) => API.get('/astrologers', { params }),
   getById: (id) => API.get(`/astrologers/${id}`),
   getAvailability: (id) => API.get(`/astrologers/${id}/availability`),
+  joinWaitlist: (id, data = {}) => API.post(`/astrologers/${id}/waitlist`, data),
+  leaveWaitlist: (id) => API.delete(`/astrologers/${id}/waitlist`),
+  getWaitlistStatus: (id) => API.get(`/astrologers/${id}/waitlist/me`),
 };
 
 // Bookings API
@@ -345,6 +356,11 @@ export const sessionsAPI = {
   end: (sessionId) => API.post('/sessions/end', { sessionId }),
   getActive: () => API.get('/sessions/active'),
   checkActiveSession: () => API.get('/sessions/check-active'), // For rejoin functionality
+  // In-session top-up: hold the session end (and tell the astrologer) while the user pays,
+  // then extend it with the verified payment
+  holdForTopUp: (sessionId, bookingId) => API.post('/sessions/topup-hold', { sessionId, bookingId }),
+  extend: (sessionId, extensionData) => API.post('/sessions/extend', { sessionId, ...extensionData }),
+  reportTimerDiscrepancy: (sessionId, report) => API.post(`/sessions/${sessionId}/timer-discrepancies`, report),
 };
 
 // Free Chat API
@@ -352,6 +368,7 @@ export const freeChatAPI = {
   checkEligibility: () => API.get('/free-chat/eligibility'),
   requestFreeChat: () => API.post('/free-chat/request'),
   getFreeChatDetails: (freeChatId) => API.get(`/free-chat/${freeChatId}`),
+  getStatus: (freeChatId) => API.get(`/free-chat/${freeChatId}/status`),
   cancelFreeChat: (freeChatId) => API.delete(`/free-chat/${freeChatId}/cancel`),
   getHistory: () => API.get('/free-chat/history'),
   getGlobalSettings: () => API.get('/admin/free-chat/settings'),
@@ -371,6 +388,22 @@ export const chatHistoryAPI = {
   getChatHistory: (sessionId) => API.get(`/chat-history/${sessionId}`),
 };
 
+// Chat Attachments API
+export const chatAttachmentsAPI = {
+  // formData carries the file plus bookingId/sessionId; large files get a longer timeout
+  upload: (formData, { onUploadProgress, signal } = {}) => API.post('/chat/attachments', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000,
+    onUploadProgress,
+    signal,
+  }),
+};
+
+// Horoscope API
+export const horoscopeAPI = {
+  getReading: (sign, period, day) => API.get('/horoscope', { params: { sign, period, day } }),
+};
+
 // Version API
 export const versionAPI = {
   checkVersion: (versionData) => API.post(`/version/check`, versionData),
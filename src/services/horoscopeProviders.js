@@ -0,0 +1,129 @@
+import { horoscopeAPI } from './api';
+import { SIGN_FOCUS, PERIOD_MESSAGES, pickMessage } from '../data/horoscopeFallbacks';
+
+/**
+ * Horoscope Providers
+ * Each provider exposes the same shape so horoscopeService can try them in order:
+ *   { key, name, supports(period, day), fetchReading({ sign, period, day, periodKey }) -> Promise<string> }
+ */
+
+const ANY_GE_API_BASE = 'https://any.ge/horoscope/api/';
+
+/**
+ * Pull the reading out of the different shapes Any.ge has returned over time
+ */
+const extractAnyGeText = (data, sign, day) => {
+  if (typeof data === 'string') {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    const firstElement = data[0];
+    if (typeof firstElement === 'string') {
+      return firstElement;
+    }
+    if (firstElement && typeof firstElement === 'object') {
+      return firstElement.text ||
+             firstElement.horoscope ||
+             firstElement.content ||
+             firstElement.prediction ||
+             firstElement.message ||
+             firstElement.description ||
+             '';
+    }
+    return '';
+  }
+
+  if (data && typeof data === 'object') {
+    const text = data.horoscope ||
+                 data.text ||
+                 data.content ||
+                 data.prediction ||
+                 data.message ||
+                 data.description ||
+                 data.daily ||
+                 data[day] || // Sometimes the day is the key
+                 data[sign] || // Sometimes the sign is the key
+                 '';
+    if (text) return text;
+
+    // If still no text, try to find any string value in the object
+    return Object.values(data).find(val => typeof val === 'string' && val.length > 10) || '';
+  }
+
+  return '';
+};
+
+export const anyGeProvider = {
+  key: 'anyge',
+  name: 'Any.ge Horoscope API',
+  supports: () => true,
+  fetchReading: async ({ sign, period, day, signal }) => {
+    // Only daily readings take a day; the other periods always describe the current one
+    const dayParam = period === 'daily' ? `&day=${day}` : '';
+    const url = `${ANY_GE_API_BASE}?sign=${sign}&type=${period}${dayParam}&lang=en`;
+    console.log(`[HoroscopeProviders] Fetching horoscope from: ${url}`);
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': '*/*',
+        'User-Agent': 'JyotishCall-App/1.0',
+      },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+    }
+
+    // Get response as text first to handle different content types
+    const responseText = await response.text();
+    if (!responseText || responseText.trim() === '' || responseText === 'null') {
+      throw new Error(`API returned empty response for ${sign} - ${period}/${day}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (parseError) {
+      // If not JSON, treat as plain text horoscope
+      data = responseText.trim();
+    }
+
+    if (data === null || data === undefined) {
+      throw new Error(`API returned null data for ${sign} - ${period}/${day}`);
+    }
+
+    return extractAnyGeText(data, sign, day);
+  },
+};
+
+export const backendProvider = {
+  key: 'backend',
+  name: 'JyotishCall Horoscope',
+  supports: () => true,
+  fetchReading: async ({ sign, period, day }) => {
+    const response = await horoscopeAPI.getReading(sign, period, day);
+    const reading = response?.data;
+    return typeof reading === 'string' ? reading : reading?.horoscope || reading?.text || '';
+  },
+};
+
+export const bundledProvider = {
+  key: 'bundled',
+  name: 'General guidance',
+  isOffline: true,
+  supports: (period) => Boolean(PERIOD_MESSAGES[period]),
+  fetchReading: async ({ sign, period, periodKey }) => (
+    `${SIGN_FOCUS[sign]} ${pickMessage(PERIOD_MESSAGES[period], `${sign}_${periodKey}`)}`
+  ),
+};
+
+export const HOROSCOPE_PROVIDERS = {
+  [anyGeProvider.key]: anyGeProvider,
+  [backendProvider.key]: backendProvider,
+  [bundledProvider.key]: bundledProvider,
+};
+
+export default HOROSCOPE_PROVIDERS;
@@ -1,10 +1,14 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import APP_CONFIG from '../config/appConfig';
+import HOROSCOPE_PROVIDERS from './horoscopeProviders';
+
 /**
  * Horoscope Service
- * Integrates with Any.ge Horoscope API to fetch daily horoscopes
+ * Fetches daily, weekly, monthly and yearly readings through the providers
+ * configured in APP_CONFIG.horoscope, caching them in AsyncStorage until the
+ * period they describe is over.
  */
 
-const HOROSCOPE_API_BASE = 'https://any.ge/horoscope/api/';
-
 // Zodiac signs mapping
 export const ZODIAC_SIGNS = [
   { key: 'aries', name: 'Aries', symbol: '♈', dates: 'Mar 21 - Apr 19' },
@@ -28,208 +32,237 @@ export const DAY_OPTIONS = [
   { key: 'yesterday', name: 'Yesterday' }
 ];
 
-// Session cache for horoscope data
-const horoscopeCache = new Map();
+// Reading periods
+export const PERIOD_OPTIONS = [
+  { key: 'daily', name: 'Daily' },
+  { key: 'weekly', name: 'Weekly' },
+  { key: 'monthly', name: 'Monthly' },
+  { key: 'yearly', name: 'Yearly' }
+];
+
+const CACHE_STORAGE_KEY = 'horoscope_cache';
+
+// Long periods are still refreshed weekly in case the provider revises them
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Readings whose period ended more than a day ago are dropped from storage
+const CACHE_PRUNE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const DAY_OFFSETS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+// In-memory copy of the persisted cache, loaded on first use
+let horoscopeCache = null;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 
 /**
- * Generate cache key for horoscope data
+ * Local start/end of the period a reading covers
+ * @returns {Object} { key, start, end } - end is exclusive
  */
-const getCacheKey = (sign, day) => `${sign}_${day}`;
+export const getPeriodRange = (period = 'daily', day = 'today', now = new Date()) => {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let end;
+
+  switch (period) {
+    case 'weekly': {
+      // Weeks run Monday to Sunday
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+      return { key: `week-${toDateKey(start)}`, start, end };
+    }
+    case 'monthly':
+      start.setDate(1);
+      end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      return { key: `${start.getFullYear()}-${pad(start.getMonth() + 1)}`, start, end };
+    case 'yearly':
+      start.setMonth(0, 1);
+      end = new Date(start.getFullYear() + 1, 0, 1);
+      return { key: `${start.getFullYear()}`, start, end };
+    default:
+      start.setDate(start.getDate() + (DAY_OFFSETS[day] || 0));
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+      return { key: toDateKey(start), start, end };
+  }
+};
 
 /**
- * Fetch daily horoscope from Any.ge API
- * @param {string} sign - Zodiac sign (e.g., 'aries', 'taurus')
- * @param {string} day - Day option ('today', 'tomorrow', 'yesterday')
- * @returns {Promise<Object>} Horoscope data
+ * Generate cache key for horoscope data
  */
-export const fetchDailyHoroscope = async (sign, day = 'today') => {
-  try {
-    // Validate inputs
-    if (!sign || !day) {
-      throw new Error('Sign and day are required parameters');
-    }
+const getCacheKey = (sign, period, periodKey) => `${sign}_${period}_${periodKey}`;
 
-    const validSigns = ZODIAC_SIGNS.map(s => s.key);
-    const validDays = DAY_OPTIONS.map(d => d.key);
+const loadCache = async () => {
+  if (horoscopeCache) return horoscopeCache;
 
-    if (!validSigns.includes(sign.toLowerCase())) {
-      throw new Error(`Invalid zodiac sign: ${sign}`);
-    }
+  horoscopeCache = new Map();
+  try {
+    const stored = await AsyncStorage.getItem(CACHE_STORAGE_KEY);
+    const entries = stored ? JSON.parse(stored) : {};
+    const pruneBefore = Date.now() - CACHE_PRUNE_AFTER_MS;
 
-    if (!validDays.includes(day.toLowerCase())) {
-      throw new Error(`Invalid day option: ${day}`);
-    }
+    Object.entries(entries).forEach(([key, entry]) => {
+      if (new Date(entry.data.periodEnd).getTime() > pruneBefore) {
+        horoscopeCache.set(key, entry);
+      }
+    });
+    console.log(`[HoroscopeService] Loaded ${horoscopeCache.size} cached readings`);
+  } catch (error) {
+    console.error('[HoroscopeService] Error reading cache from AsyncStorage:', error);
+  }
+  return horoscopeCache;
+};
 
-    // Check cache first
-    const cacheKey = getCacheKey(sign.toLowerCase(), day.toLowerCase());
-    if (horoscopeCache.has(cacheKey)) {
-      console.log(`[HoroscopeService] Returning cached data for ${cacheKey}`);
-      return horoscopeCache.get(cacheKey);
-    }
+const persistCache = async () => {
+  try {
+    await AsyncStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(Object.fromEntries(horoscopeCache)));
+  } catch (error) {
+    console.error('[HoroscopeService] Error saving cache to AsyncStorage:', error);
+  }
+};
 
-    // Build API URL - Based on Any.ge documentation
-    const url = `${HOROSCOPE_API_BASE}?sign=${sign.toLowerCase()}&type=daily&day=${day.toLowerCase()}&lang=en`;
-    
-    console.log(`[HoroscopeService] Fetching horoscope from: ${url}`);
-
-    // Make API request with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': '*/*',
-        'User-Agent': 'JyotishCall-App/1.0',
-      },
-      signal: controller.signal
-    });
+/**
+ * Providers to try, in the order set in APP_CONFIG.horoscope.providers
+ */
+const getProviderChain = () => {
+  const configured = APP_CONFIG.horoscope?.providers || ['anyge', 'bundled'];
+  return configured.map(key => HOROSCOPE_PROVIDERS[key]).filter(Boolean);
+};
 
-    clearTimeout(timeoutId);
+const fetchFromProvider = async (provider, params) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.horoscope?.requestTimeout || 10000);
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-    }
+  try {
+    let horoscopeText = await provider.fetchReading({ ...params, signal: controller.signal });
 
-    // Get response as text first to handle different content types
-    const responseText = await response.text();
-    console.log(`[HoroscopeService] Raw response text:`, responseText);
+    // Clean up the horoscope text
+    horoscopeText = (horoscopeText || '')
+      .trim()
+      .replace(/<[^>]*>/g, '') // Remove any HTML tags if present
+      .replace(/\s+/g, ' '); // Remove extra whitespace
 
-    // Handle null or empty responses
-    if (!responseText || responseText.trim() === '' || responseText === 'null') {
-      throw new Error(`API returned empty response for ${sign} - ${day}. This day might not be available.`);
+    // Validate we have meaningful content
+    if (horoscopeText.length < 10) {
+      throw new Error('No meaningful horoscope content received');
     }
+    return horoscopeText;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
 
-    let data;
-    try {
-      // Try to parse as JSON
-      data = JSON.parse(responseText);
-    } catch (parseError) {
-      // If not JSON, treat as plain text horoscope
-      console.log(`[HoroscopeService] Response is not JSON, treating as plain text`);
-      data = responseText.trim();
+/**
+ * Fetch a horoscope reading, trying each configured provider in turn
+ * @param {string} sign - Zodiac sign (e.g., 'aries', 'taurus')
+ * @param {Object} options - { period: 'daily'|'weekly'|'monthly'|'yearly', day: 'today'|'tomorrow'|'yesterday' }
+ * @returns {Promise<Object>} Horoscope data
+ */
+export const fetchHoroscope = async (sign, { period = 'daily', day = 'today' } = {}) => {
+  try {
+    // Validate inputs
+    if (!sign) {
+      throw new Error('Sign is a required parameter');
     }
 
-    console.log(`[HoroscopeService] Parsed data:`, data);
+    const signKey = sign.toLowerCase();
+    const periodKey = period.toLowerCase();
+    const dayKey = periodKey === 'daily' ? day.toLowerCase() : 'today';
 
-    // Handle null data after parsing
-    if (data === null || data === undefined) {
-      throw new Error(`API returned null data for ${sign} - ${day}. This day might not be available.`);
+    if (!ZODIAC_SIGNS.some(s => s.key === signKey)) {
+      throw new Error(`Invalid zodiac sign: ${sign}`);
     }
-
-    // Extract horoscope text based on Any.ge API response format
-    let horoscopeText = '';
-    
-    if (typeof data === 'string') {
-      // Plain text response
-      horoscopeText = data.trim();
-    } else if (data && typeof data === 'object') {
-      // JSON response - check common field names based on API docs
-      if (Array.isArray(data)) {
-        // If it's an array, take the first element and extract text from it
-        const firstElement = data[0];
-        if (firstElement && typeof firstElement === 'object') {
-          horoscopeText = firstElement.text || 
-                         firstElement.horoscope || 
-                         firstElement.content || 
-                         firstElement.prediction || 
-                         firstElement.message || 
-                         firstElement.description ||
-                         '';
-        } else if (typeof firstElement === 'string') {
-          horoscopeText = firstElement;
-        }
-      } else {
-        // Object response - try different field names
-        horoscopeText = data.horoscope || 
-                       data.text || 
-                       data.content || 
-                       data.prediction || 
-                       data.message || 
-                       data.description ||
-                       data.daily ||
-                       data[day] || // Sometimes the day is the key
-                       data[sign] || // Sometimes the sign is the key
-                       '';
-        
-        // If still no text, try to find any string value in the object
-        if (!horoscopeText) {
-          const values = Object.values(data);
-          horoscopeText = values.find(val => typeof val === 'string' && val.length > 10) || '';
-        }
-      }
+    if (!PERIOD_OPTIONS.some(p => p.key === periodKey)) {
+      throw new Error(`Invalid period: ${period}`);
     }
-
-    // Clean up the horoscope text
-    if (horoscopeText) {
-      horoscopeText = horoscopeText.trim();
-      // Remove any HTML tags if present
-      horoscopeText = horoscopeText.replace(/<[^>]*>/g, '');
-      // Remove extra whitespace
-      horoscopeText = horoscopeText.replace(/\s+/g, ' ');
+    if (!DAY_OPTIONS.some(d => d.key === dayKey)) {
+      throw new Error(`Invalid day option: ${day}`);
     }
 
-    // Validate we have meaningful content
-    if (!horoscopeText || horoscopeText.length < 10) {
-      throw new Error('No meaningful horoscope content received from API');
+    const range = getPeriodRange(periodKey, dayKey);
+    const cacheKey = getCacheKey(signKey, periodKey, range.key);
+    const cache = await loadCache();
+    const cached = cache.get(cacheKey);
+
+    // Check cache first
+    if (cached && cached.expiresAt > Date.now()) {
+      console.log(`[HoroscopeService] Returning cached data for ${cacheKey}`);
+      return { ...cached.data, day: dayKey };
     }
 
-    // Structure the response data
-    const horoscopeData = {
-      sign: sign.toLowerCase(),
-      day: day.toLowerCase(),
-      horoscope: horoscopeText,
-      date: new Date().toISOString().split('T')[0],
-      metadata: {
-        source: 'Any.ge Horoscope API',
-        fetchedAt: new Date().toISOString(),
-        rawResponse: data,
-        responseType: typeof data
+    const providers = getProviderChain();
+    const params = { sign: signKey, period: periodKey, day: dayKey, periodKey: range.key };
+
+    for (const provider of providers) {
+      if (!provider.supports(periodKey, dayKey)) continue;
+
+      // An expired live reading for this period beats generic offline text
+      if (provider.isOffline && cached) {
+        console.log(`[HoroscopeService] Live providers failed, using saved reading for ${cacheKey}`);
+        return {
+          ...cached.data,
+          day: dayKey,
+          fallbackUsed: true,
+          fallbackMessage: 'Live horoscopes are unavailable right now. Showing your last saved reading.'
+        };
       }
-    };
-
-    // Cache the result for current session
-    horoscopeCache.set(cacheKey, horoscopeData);
 
-    console.log(`[HoroscopeService] Successfully fetched horoscope for ${sign} - ${day}`);
-    return horoscopeData;
-
-  } catch (error) {
-    console.error(`[HoroscopeService] Error fetching horoscope:`, error);
-    
-    // Check if this is a day availability issue and try fallback
-    const isDayUnavailable = error.message.includes('This day might not be available') || 
-                            error.message.includes('null data') ||
-                            error.message.includes('empty response');
-    
-    if (isDayUnavailable && day !== 'today') {
-      console.log(`[HoroscopeService] ${day} not available, trying today as fallback`);
       try {
-        // Try to get today's horoscope as fallback
-        const fallbackResult = await fetchDailyHoroscope(sign, 'today');
-        if (fallbackResult && !fallbackResult.error) {
+        const horoscopeText = await fetchFromProvider(provider, params);
+
+        // Structure the response data
+        const horoscopeData = {
+          sign: signKey,
+          period: periodKey,
+          day: dayKey,
+          horoscope: horoscopeText,
+          date: range.key,
+          periodStart: range.start.toISOString(),
+          periodEnd: range.end.toISOString(),
+          provider: provider.key,
+          metadata: {
+            source: provider.name,
+            fetchedAt: new Date().toISOString()
+          }
+        };
+
+        if (provider.isOffline) {
+          // Not cached, so the next visit tries the live providers again
           return {
-            ...fallbackResult,
-            originalDay: day,
+            ...horoscopeData,
             fallbackUsed: true,
-            fallbackMessage: `${day.charAt(0).toUpperCase() + day.slice(1)}'s horoscope is not available. Showing today's guidance instead.`
+            fallbackMessage: 'Live horoscopes are unavailable right now. Showing general guidance for your sign.'
           };
         }
-      } catch (fallbackError) {
-        console.error(`[HoroscopeService] Fallback also failed:`, fallbackError);
+
+        cache.set(cacheKey, {
+          data: horoscopeData,
+          expiresAt: Math.min(range.end.getTime(), Date.now() + CACHE_MAX_AGE_MS)
+        });
+        persistCache();
+
+        console.log(`[HoroscopeService] Fetched ${periodKey} horoscope for ${signKey} from ${provider.key}`);
+        return horoscopeData;
+      } catch (providerError) {
+        console.warn(`[HoroscopeService] Provider ${provider.key} failed:`, providerError.message);
       }
     }
-    
+
+    throw new Error('Unable to load horoscope. Please try again later.');
+  } catch (error) {
+    console.error(`[HoroscopeService] Error fetching horoscope:`, error);
+
     // Generate day-specific fallback messages
     const fallbackMessages = {
       today: 'The stars are aligning for you today. Stay positive and embrace new opportunities that come your way.',
       tomorrow: 'Tomorrow holds great potential for you. Trust your instincts and be open to new possibilities that may arise.',
       yesterday: 'Reflect on yesterday\'s experiences with wisdom. Every moment has taught you something valuable for your journey ahead.'
     };
-    
+
     // Return error object with fallback message
     return {
       sign: sign?.toLowerCase() || 'unknown',
+      period: period?.toLowerCase() || 'daily',
       day: day?.toLowerCase() || 'today',
       horoscope: null,
       error: true,
@@ -239,6 +272,14 @@ export const fetchDailyHoroscope = async (sign, day = 'today') => {
   }
 };
 
+/**
+ * Fetch daily horoscope
+ * @param {string} sign - Zodiac sign (e.g., 'aries', 'taurus')
+ * @param {string} day - Day option ('today', 'tomorrow', 'yesterday')
+ * @returns {Promise<Object>} Horoscope data
+ */
+export const fetchDailyHoroscope = (sign, day = 'today') => fetchHoroscope(sign, { period: 'daily', day });
+
 /**
  * Get zodiac sign by name
  */
@@ -246,6 +287,13 @@ export const getZodiacSign = (signKey) => {
   return ZODIAC_SIGNS.find(sign => sign.key === signKey.toLowerCase());
 };
 
+/**
+ * Get period option by key
+ */
+export const getPeriodOption = (periodKey) => {
+  return PERIOD_OPTIONS.find(period => period.key === periodKey.toLowerCase());
+};
+
 /**
  * Get day option by key
  */
@@ -256,8 +304,13 @@ export const getDayOption = (dayKey) => {
 /**
  * Clear horoscope cache
  */
-export const clearHoroscopeCache = () => {
-  horoscopeCache.clear();
+export const clearHoroscopeCache = async () => {
+  horoscopeCache = new Map();
+  try {
+    await AsyncStorage.removeItem(CACHE_STORAGE_KEY);
+  } catch (error) {
+    console.error('[HoroscopeService] Error clearing cache from AsyncStorage:', error);
+  }
   console.log('[HoroscopeService] Cache cleared');
 };
 
@@ -265,15 +318,19 @@ export const clearHoroscopeCache = () => {
  * Get cache size
  */
 export const getCacheSize = () => {
-  return horoscopeCache.size;
+  return horoscopeCache ? horoscopeCache.size : 0;
 };
 
 export default {
+  fetchHoroscope,
   fetchDailyHoroscope,
+  getPeriodRange,
   getZodiacSign,
+  getPeriodOption,
   getDayOption,
   clearHoroscopeCache,
   getCacheSize,
   ZODIAC_SIGNS,
-  DAY_OPTIONS
+  DAY_OPTIONS,
+  PERIOD_OPTIONS
 };
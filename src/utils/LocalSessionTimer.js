@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { AppState } from 'react-native';
+import { reportTimerDrift } from './sessionClock';
 
 /**
  * Frontend-owned session timer utility
@@ -41,8 +42,9 @@ class LocalSessionTimer {
    * @param {number} walletBalance - User's wallet balance
    * @param {number} ratePerMinute - Rate per minute for the session
    * @param {object} callbacks - Callback functions { onTick, onWarning, onEnd }
+   * @param {number} startedAt - When the session started, for timers joined mid-session
    */
-  async startTimer(sessionId, totalDurationSeconds, walletBalance, ratePerMinute, callbacks = {}) {
+  async startTimer(sessionId, totalDurationSeconds, walletBalance, ratePerMinute, callbacks = {}, startedAt = Date.now()) {
     try {
       console.log('🔄 [LocalSessionTimer] Starting timer for session:', sessionId);
       console.log('🔄 [LocalSessionTimer] Duration:', totalDurationSeconds, 'seconds');
@@ -51,7 +53,7 @@ class LocalSessionTimer {
       // Stop existing timer if any
       this.stopTimer(sessionId);
 
-      const startTime = Date.now();
+      const startTime = startedAt;
       const endTime = startTime + (totalDurationSeconds * 1000);
 
       const timerData = {
@@ -165,7 +167,9 @@ class LocalSessionTimer {
   checkAndSendWarnings(sessionId, remainingSeconds, callbacks) {
     const timerData = this.timers.get(sessionId);
     
-    if (remainingSeconds === 60 && !timerData.warningsSent.oneMinute) {
+    // Ranges rather than exact seconds - a late tick or a timer started with
+    // under a minute left must still warn
+    if (remainingSeconds <= 60 && remainingSeconds > 30 && !timerData.warningsSent.oneMinute) {
       console.log('⚠️ [LocalSessionTimer] 1 minute warning for session:', sessionId);
       timerData.warningsSent.oneMinute = true;
       
@@ -173,21 +177,22 @@ class LocalSessionTimer {
         callbacks.onWarning({
           sessionId,
           message: 'Your chat session will end in 1 minute',
-          remainingSeconds: 60,
+          remainingSeconds,
           remainingMinutes: 1
         });
       }
     }
 
-    if (remainingSeconds === 30 && !timerData.warningsSent.thirtySeconds) {
+    if (remainingSeconds <= 30 && remainingSeconds > 0 && !timerData.warningsSent.thirtySeconds) {
       console.log('⚠️ [LocalSessionTimer] 30 seconds warning for session:', sessionId);
+      timerData.warningsSent.oneMinute = true;
       timerData.warningsSent.thirtySeconds = true;
       
       if (callbacks?.onWarning) {
         callbacks.onWarning({
           sessionId,
           message: 'Your chat session will end in 30 seconds',
-          remainingSeconds: 30,
+          remainingSeconds,
           remainingMinutes: 0
         });
       }
@@ -220,6 +225,90 @@ class LocalSessionTimer {
     this.stopTimer(sessionId);
   }
 
+  /**
+   * Push the end of a running timer back after an in-session top-up.
+   * Warnings fire again if the extended session runs low.
+   * @param {string} sessionId - Session identifier
+   * @param {number} addedSeconds - Time the top-up bought
+   * @param {number} addedBalance - Amount credited to the wallet
+   * @returns {Promise<boolean>} false when the session has no running timer
+   */
+  async extendTimer(sessionId, addedSeconds, addedBalance = 0) {
+    const timerData = this.timers.get(sessionId);
+    if (!timerData || !timerData.isActive || !(addedSeconds > 0)) {
+      return false;
+    }
+
+    timerData.endTime += addedSeconds * 1000;
+    timerData.totalDurationSeconds += addedSeconds;
+    timerData.walletBalance += addedBalance;
+
+    const remainingSeconds = Math.floor((timerData.endTime - Date.now()) / 1000);
+    timerData.warningsSent = {
+      oneMinute: timerData.warningsSent.oneMinute && remainingSeconds <= 60,
+      thirtySeconds: timerData.warningsSent.thirtySeconds && remainingSeconds <= 30
+    };
+
+    await this.saveTimerToStorage(sessionId, timerData);
+
+    console.log('⏩ [LocalSessionTimer] Extended session', sessionId, 'by', addedSeconds, 'seconds');
+    return true;
+  }
+
+  /**
+   * Re-anchor a running timer on the server's reading. Date.now() drifts from
+   * the clock the backend bills by; a gap above the threshold is logged.
+   * @param {string} sessionId - Session identifier
+   * @param {number} elapsedSeconds - Elapsed time according to the server
+   * @param {number} remainingSeconds - Remaining time according to the server; the wallet-based end is kept when omitted
+   * @param {Object} options - { logDrift: false } when the caller's own session clock already reports drift
+   * @returns {number|null} Drift in seconds, positive when the local timer was ahead
+   */
+  reconcileTimer(sessionId, elapsedSeconds, remainingSeconds = null, { logDrift = true } = {}) {
+    const timerData = this.timers.get(sessionId);
+    if (!timerData || !timerData.isActive) {
+      return null;
+    }
+
+    const now = Date.now();
+    const localElapsed = (now - timerData.startTime) / 1000;
+    const drift = Math.round((localElapsed - elapsedSeconds) * 10) / 10;
+
+    if (logDrift) {
+      reportTimerDrift({
+        sessionId,
+        source: 'local_session_timer',
+        localElapsed: Math.round(localElapsed),
+        serverElapsed: Math.round(elapsedSeconds),
+        driftSeconds: drift,
+        ratePerMinute: timerData.ratePerMinute
+      });
+    }
+
+    const startTime = now - elapsedSeconds * 1000;
+    const endTime = remainingSeconds != null
+      ? now + remainingSeconds * 1000
+      : timerData.endTime + (startTime - timerData.startTime);
+
+    // Readings are whole seconds - a gap under two is tick noise
+    if (Math.abs(startTime - timerData.startTime) < 2000 && Math.abs(endTime - timerData.endTime) < 2000) {
+      return drift;
+    }
+
+    timerData.startTime = startTime;
+    timerData.endTime = endTime;
+    timerData.totalDurationSeconds = Math.round((endTime - startTime) / 1000);
+
+    const remaining = Math.floor((endTime - now) / 1000);
+    timerData.warningsSent = {
+      oneMinute: timerData.warningsSent.oneMinute && remaining <= 60,
+      thirtySeconds: timerData.warningsSent.thirtySeconds && remaining <= 30
+    };
+
+    this.saveTimerToStorage(sessionId, timerData);
+    return drift;
+  }
+
   /**
    * Stop a session timer
    */
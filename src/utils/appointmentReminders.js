@@ -0,0 +1,298 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Sharing from 'expo-sharing';
+import * as FileSystem from 'expo-file-system/legacy';
+import FCMService from '../services/FCMService';
+import { getPendingConsultations } from './pendingConsultationsStore';
+
+/**
+ * Reminders before scheduled consultations
+ * Local notifications are scheduled on the device at the lead times the user
+ * picked, one set per upcoming booking, and tracked by booking so they can be
+ * dropped as soon as the booking is cancelled or moved. Appointments can also
+ * be exported as an .ics file for the user's calendar app.
+ */
+
+const SETTINGS_KEY = 'appointment_reminder_settings';
+// { [bookingId]: [notificationId, ...] }
+const SCHEDULED_IDS_KEY = 'appointment_reminder_notification_ids';
+
+export const REMINDER_LEAD_OPTIONS = [1440, 180, 60, 15, 5];
+
+export const DEFAULT_APPOINTMENT_REMINDER_SETTINGS = {
+  enabled: true,
+  leadMinutes: [1440, 60, 5],
+};
+
+// Server booking states that still end in a consultation
+export const UPCOMING_STATUSES = ['pending', 'confirmed', 'scheduled'];
+
+// Used for the calendar entry when the booking has no duration of its own
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Serialises refreshes, new bookings and cancellations so ids are never lost
+let reminderQueue = Promise.resolve();
+
+const enqueue = (task) => {
+  reminderQueue = reminderQueue
+    .catch(() => {})
+    .then(task)
+    .catch((error) => {
+      console.error('❌ [AppointmentReminders] Reminder update failed:', error);
+      return null;
+    });
+  return reminderQueue;
+};
+
+export const getAppointmentReminderSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    return stored
+      ? { ...DEFAULT_APPOINTMENT_REMINDER_SETTINGS, ...JSON.parse(stored) }
+      : DEFAULT_APPOINTMENT_REMINDER_SETTINGS;
+  } catch (error) {
+    console.error('❌ [AppointmentReminders] Error reading settings:', error);
+    return DEFAULT_APPOINTMENT_REMINDER_SETTINGS;
+  }
+};
+
+export const saveAppointmentReminderSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('❌ [AppointmentReminders] Error saving settings:', error);
+    return false;
+  }
+};
+
+/**
+ * "1 day", "3 hours", "5 minutes"
+ */
+export const formatLeadTime = (minutes) => {
+  const [value, unit] = minutes % 1440 === 0
+    ? [minutes / 1440, 'day']
+    : minutes % 60 === 0
+      ? [minutes / 60, 'hour']
+      : [minutes, 'minute'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+const getStartTime = (booking) => {
+  const time = booking?.scheduledTime || booking?.scheduledAt;
+  return time ? new Date(time) : null;
+};
+
+const getAstrologerName = (booking) => {
+  const astrologer = typeof booking.astrologer === 'object' ? booking.astrologer : null;
+  return astrologer?.displayName || astrologer?.name || booking.astrologerName || 'your astrologer';
+};
+
+const getTypeLabel = (booking) => (booking.type === 'chat' ? 'chat' : 'voice call');
+
+const readScheduledIds = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SCHEDULED_IDS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('❌ [AppointmentReminders] Error reading scheduled ids:', error);
+    return {};
+  }
+};
+
+const cancelIds = (notificationIds = []) =>
+  Promise.all(notificationIds.map(id => FCMService.cancelLocalNotification(id)));
+
+const scheduleForBooking = async (booking, settings) => {
+  const startTime = getStartTime(booking);
+  if (!settings.enabled || !startTime) return [];
+
+  const now = Date.now();
+  const startLabel = startTime.toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  const notificationIds = [];
+
+  for (const leadMinutes of settings.leadMinutes) {
+    const fireAt = new Date(startTime.getTime() - leadMinutes * 60 * 1000);
+    if (fireAt.getTime() <= now) continue;
+
+    const notificationId = await FCMService.scheduleLocalNotification({
+      title: `⏰ Consultation in ${formatLeadTime(leadMinutes)}`,
+      body: `Your ${getTypeLabel(booking)} with ${getAstrologerName(booking)} starts ${startLabel}.`,
+      data: { type: 'appointment_reminder', bookingId: booking._id, screen: 'PendingConsultations' },
+      date: fireAt,
+    });
+    if (notificationId) notificationIds.push(notificationId);
+  }
+  return notificationIds;
+};
+
+/**
+ * Schedule (or replace) the reminders for one booking
+ * @param {Object} booking - Needs _id, scheduledTime and type
+ */
+export const scheduleAppointmentReminders = (booking) => enqueue(async () => {
+  const [settings, scheduledIds] = await Promise.all([getAppointmentReminderSettings(), readScheduledIds()]);
+
+  await cancelIds(scheduledIds[booking._id]);
+  const notificationIds = await scheduleForBooking(booking, settings);
+  if (notificationIds.length > 0) {
+    scheduledIds[booking._id] = notificationIds;
+  } else {
+    delete scheduledIds[booking._id];
+  }
+
+  await AsyncStorage.setItem(SCHEDULED_IDS_KEY, JSON.stringify(scheduledIds));
+  console.log(`⏰ [AppointmentReminders] ${notificationIds.length} reminders set for booking ${booking._id}`);
+  return notificationIds;
+});
+
+/**
+ * Drop the reminders of a cancelled, rescheduled or started booking
+ */
+export const cancelAppointmentReminders = (bookingId) => enqueue(async () => {
+  const scheduledIds = await readScheduledIds();
+  if (!scheduledIds[bookingId]) return;
+
+  await cancelIds(scheduledIds[bookingId]);
+  delete scheduledIds[bookingId];
+  await AsyncStorage.setItem(SCHEDULED_IDS_KEY, JSON.stringify(scheduledIds));
+  console.log('⏰ [AppointmentReminders] Reminders cancelled for booking', bookingId);
+});
+
+/**
+ * Rebuild every reminder from the scheduled appointments in the pending list
+ * and, when given, the user's bookings from the server - those flagged
+ * isScheduled or already in the list
+ * @param {Array} serverBookings - bookingsAPI.getAll() results
+ */
+export const refreshAppointmentReminders = (serverBookings = []) => enqueue(async () => {
+  const [settings, scheduledIds, consultations] = await Promise.all([
+    getAppointmentReminderSettings(),
+    readScheduledIds(),
+    getPendingConsultations(),
+  ]);
+  await Promise.all(Object.values(scheduledIds).map(cancelIds));
+
+  const now = Date.now();
+  const serverStatus = new Map(serverBookings.map(b => [b._id, b.status]));
+  const upcoming = new Map();
+  const scheduled = consultations.filter(c => c.isScheduled && !c.sessionId);
+  scheduled
+    // The server's word wins for bookings cancelled while the app was closed
+    .filter(c => !serverStatus.has(c.booking._id) || UPCOMING_STATUSES.includes(serverStatus.get(c.booking._id)))
+    .forEach(c => upcoming.set(c.booking._id, c.booking));
+  // Real-time chat and call requests are bookings too; only appointments get reminders
+  const appointmentIds = new Set(scheduled.map(c => c.booking._id));
+  serverBookings
+    .filter(b => b.isScheduled || appointmentIds.has(b._id))
+    .filter(b => UPCOMING_STATUSES.includes(b.status))
+    .forEach(b => upcoming.set(b._id, { ...upcoming.get(b._id), ...b }));
+
+  const nextIds = {};
+  for (const booking of upcoming.values()) {
+    const startTime = getStartTime(booking);
+    if (!startTime || startTime.getTime() <= now) continue;
+
+    const notificationIds = await scheduleForBooking(booking, settings);
+    if (notificationIds.length > 0) nextIds[booking._id] = notificationIds;
+  }
+
+  await AsyncStorage.setItem(SCHEDULED_IDS_KEY, JSON.stringify(nextIds));
+  console.log(`⏰ [AppointmentReminders] Reminders refreshed for ${Object.keys(nextIds).length} appointments`);
+  return nextIds;
+});
+
+// ===== CALENDAR EXPORT =====
+
+const toIcsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeIcsText = (text) =>
+  String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+
+/**
+ * iCalendar (RFC 5545) text for a booking, with an alarm per reminder lead time
+ * @param {Object} booking
+ * @param {Array} leadMinutes - Alarm offsets; none when empty
+ */
+export const buildAppointmentIcs = (booking, leadMinutes = []) => {
+  const startTime = getStartTime(booking);
+  const durationMinutes = booking.duration || DEFAULT_DURATION_MINUTES;
+  const endTime = booking.endTime
+    ? new Date(booking.endTime)
+    : new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+  const astrologerName = getAstrologerName(booking);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Jyotish Call//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking._id}@jyotishcall`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART:${toIcsDate(startTime)}`,
+    `DTEND:${toIcsDate(endTime)}`,
+    `SUMMARY:${escapeIcsText(`Astrology ${getTypeLabel(booking)} with ${astrologerName}`)}`,
+    `DESCRIPTION:${escapeIcsText(`Your ${getTypeLabel(booking)} consultation with ${astrologerName}. Open the Jyotish Call app a few minutes early to join.`)}`,
+    'STATUS:CONFIRMED',
+  ];
+
+  leadMinutes.forEach((minutes) => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(`Consultation with ${astrologerName} in ${formatLeadTime(minutes)}`)}`,
+      `TRIGGER:-PT${minutes}M`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.join('\r\n');
+};
+
+/**
+ * Write the booking to an .ics file and open the share sheet
+ * @returns {Promise<boolean>} false when sharing is not available on this device
+ */
+export const shareAppointmentIcs = async (booking) => {
+  if (!getStartTime(booking)) {
+    throw new Error('This booking has no scheduled time');
+  }
+  if (!(await Sharing.isAvailableAsync())) {
+    return false;
+  }
+
+  const settings = await getAppointmentReminderSettings();
+  const ics = buildAppointmentIcs(booking, settings.enabled ? settings.leadMinutes : []);
+  const uri = `${FileSystem.cacheDirectory}appointment-${booking._id}.ics`;
+  await FileSystem.writeAsStringAsync(uri, ics);
+  console.log('📅 [AppointmentReminders] Calendar file written:', uri);
+
+  await Sharing.shareAsync(uri, {
+    mimeType: 'text/calendar',
+    UTI: 'public.calendar-event',
+    dialogTitle: `Consultation with ${getAstrologerName(booking)}`,
+  });
+  return true;
+};
+
+export default {
+  UPCOMING_STATUSES,
+  REMINDER_LEAD_OPTIONS,
+  DEFAULT_APPOINTMENT_REMINDER_SETTINGS,
+  getAppointmentReminderSettings,
+  saveAppointmentReminderSettings,
+  formatLeadTime,
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders,
+  refreshAppointmentReminders,
+  buildAppointmentIcs,
+  shareAppointmentIcs,
+};
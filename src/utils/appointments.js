@@ -0,0 +1,318 @@
+import { bookingsAPI } from '../services/api';
+import {
+  addPendingConsultation,
+  updatePendingConsultation,
+  removePendingConsultation,
+  getPendingConsultations,
+} from './pendingConsultationsStore';
+import {
+  UPCOMING_STATUSES,
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders,
+  refreshAppointmentReminders,
+} from './appointmentReminders';
+
+/**
+ * Scheduled appointments
+ * Availability comes from the backend in UTC; everything shown to the user is
+ * in the device's timezone. Booked appointments go into the pending
+ * consultations list so they sit next to the real-time ones with a countdown.
+ */
+
+// Changes are allowed up to this long before the start; the backend has the final say
+export const APPOINTMENT_POLICY = {
+  cancelBeforeMinutes: 120,
+  rescheduleBeforeMinutes: 120,
+  maxReschedules: 2,
+};
+
+// Appointments nobody started are dropped from the pending list after this long
+const MISSED_AFTER_MINUTES = 60;
+
+export const getUserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Kolkata';
+  } catch (error) {
+    return 'Asia/Kolkata';
+  }
+};
+
+const toDayKey = (date) => {
+  const month = `${date.getMonth() + 1}`.padStart(2, '0');
+  const day = `${date.getDate()}`.padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const getDayLabel = (date) => {
+  const today = new Date();
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  if (toDayKey(date) === toDayKey(today)) return 'Today';
+  if (toDayKey(date) === toDayKey(tomorrow)) return 'Tomorrow';
+  return date.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+export const formatSlotTime = (time) =>
+  new Date(time).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+
+export const formatAppointmentTime = (time) => {
+  const date = new Date(time);
+  return `${getDayLabel(date)}, ${formatSlotTime(date)}`;
+};
+
+// Slots arrive as a flat list or grouped by day, with the field names varying by endpoint version
+const collectSlots = (data) => {
+  if (!data) return [];
+  if (Array.isArray(data)) {
+    return data.flatMap(item => (Array.isArray(item.slots) ? item.slots : [item]));
+  }
+  if (Array.isArray(data.slots)) return data.slots;
+  if (Array.isArray(data.days)) return data.days.flatMap(day => day.slots || []);
+  if (Array.isArray(data.availability)) return collectSlots(data.availability);
+  return [];
+};
+
+/**
+ * Group the astrologer's open slots by day in the user's timezone
+ * @param {Object} response - astrologersAPI.getAvailability() result
+ * @param {Object} options - { now, minLeadMinutes } - slots starting sooner than the lead time are left out
+ * @returns {Array} [{ key, label, slots: [{ start, end, label }] }] in date order
+ */
+export const groupSlotsByDay = (response, { now = Date.now(), minLeadMinutes = 15 } = {}) => {
+  const earliest = now + minLeadMinutes * 60 * 1000;
+  const days = new Map();
+
+  collectSlots(response?.data ?? response)
+    .filter(slot => slot && slot.available !== false && !slot.isBooked)
+    .map(slot => ({
+      start: new Date(slot.startTime || slot.start || slot.time),
+      end: slot.endTime || slot.end ? new Date(slot.endTime || slot.end) : null,
+    }))
+    .filter(slot => !Number.isNaN(slot.start.getTime()) && slot.start.getTime() >= earliest)
+    .sort((a, b) => a.start - b.start)
+    .forEach(slot => {
+      const key = toDayKey(slot.start);
+      if (!days.has(key)) {
+        days.set(key, { key, label: getDayLabel(slot.start), slots: [] });
+      }
+      days.get(key).slots.push({
+        start: slot.start.toISOString(),
+        end: slot.end ? slot.end.toISOString() : null,
+        label: formatSlotTime(slot.start),
+      });
+    });
+
+  return Array.from(days.values());
+};
+
+// ===== APPOINTMENT STATE =====
+
+export const getAppointmentTime = (booking) => booking?.scheduledTime || booking?.scheduledAt || null;
+
+export const isScheduledAppointment = (consultation) =>
+  !!consultation?.isScheduled && !!getAppointmentTime(consultation.booking);
+
+export const isMissedAppointment = (booking, now = Date.now()) => {
+  const time = getAppointmentTime(booking);
+  return !!time && now - new Date(time).getTime() > MISSED_AFTER_MINUTES * 60 * 1000;
+};
+
+/**
+ * What the user may still change about an appointment
+ * @returns {Object} { canCancel, canReschedule, cancelReason, rescheduleReason }
+ */
+export const getAppointmentPolicy = (booking, now = Date.now()) => {
+  const policy = { ...APPOINTMENT_POLICY, ...(booking?.policy || {}) };
+  const minutesLeft = (new Date(getAppointmentTime(booking)).getTime() - now) / 60000;
+  const rescheduleCount = booking?.rescheduleCount || 0;
+
+  const canCancel = minutesLeft >= policy.cancelBeforeMinutes;
+  const canReschedule = minutesLeft >= policy.rescheduleBeforeMinutes && rescheduleCount < policy.maxReschedules;
+
+  return {
+    canCancel,
+    canReschedule,
+    cancelReason: canCancel ? null : `Appointments can only be cancelled up to ${policy.cancelBeforeMinutes / 60} hours before the start.`,
+    rescheduleReason: canReschedule
+      ? null
+      : rescheduleCount >= policy.maxReschedules
+        ? `An appointment can be rescheduled at most ${policy.maxReschedules} times.`
+        : `Appointments can only be rescheduled up to ${policy.rescheduleBeforeMinutes / 60} hours before the start.`,
+  };
+};
+
+/**
+ * Countdown text for an upcoming appointment, e.g. "2d 4h", "3h 12m", "04:59"
+ * @returns {String|null} null once the start time has passed
+ */
+export const formatCountdown = (time, now = Date.now()) => {
+  const totalSeconds = Math.floor((new Date(time).getTime() - now) / 1000);
+  if (totalSeconds <= 0) return null;
+
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// ===== ACTIONS =====
+
+const unwrapBooking = (response) => {
+  const data = response?.data?.booking || response?.data || response?.booking;
+  if (response?.success === false || !data?._id) {
+    throw new Error(response?.message || 'The server did not return the booking');
+  }
+  return data;
+};
+
+/**
+ * Book a slot and add it to the pending consultations list
+ * @param {Object} options - { astrologer, type, slot }
+ * @returns {Promise<Object>} The created booking
+ */
+export const bookAppointment = async ({ astrologer, type, slot }) => {
+  const astrologerId = astrologer._id || astrologer.id;
+  const response = await bookingsAPI.create({
+    astrologerId,
+    type,
+    scheduledTime: slot.start,
+    timeZone: getUserTimeZone(),
+  });
+  const booking = unwrapBooking(response);
+  console.log('📅 [Appointments] Booked', type, 'appointment:', booking._id, slot.start);
+
+  const appointment = {
+    ...booking,
+    type: booking.type || type,
+    scheduledTime: getAppointmentTime(booking) || slot.start,
+    astrologer: typeof booking.astrologer === 'object' ? booking.astrologer : astrologer,
+  };
+  await addPendingConsultation({ booking: appointment, astrologer, isScheduled: true });
+  scheduleAppointmentReminders(appointment);
+  return booking;
+};
+
+/**
+ * Move an appointment to another slot
+ * @returns {Promise<String>} The new start time
+ */
+export const rescheduleAppointment = async (booking, slot, reason = 'Rescheduled by user') => {
+  const response = await bookingsAPI.reschedule(booking._id, slot.start, reason);
+  if (response?.success === false) {
+    throw new Error(response.message || 'Failed to reschedule');
+  }
+  console.log('📅 [Appointments] Rescheduled', booking._id, 'to', slot.start);
+
+  const changes = {
+    scheduledTime: slot.start,
+    rescheduleCount: (booking.rescheduleCount || 0) + 1,
+  };
+  await updatePendingConsultation(booking._id, { booking: changes });
+  scheduleAppointmentReminders({ ...booking, ...changes });
+  return slot.start;
+};
+
+/**
+ * Cancel an appointment and drop it from the pending list along with its reminders
+ */
+export const cancelAppointment = async (booking, reason = 'Cancelled by user') => {
+  const response = await bookingsAPI.cancel(booking._id, reason);
+  if (response?.success === false) {
+    throw new Error(response.message || 'Failed to cancel');
+  }
+  console.log('📅 [Appointments] Cancelled', booking._id);
+
+  await removePendingConsultation(booking._id);
+  cancelAppointmentReminders(booking._id);
+};
+
+// ===== SERVER CHANGES =====
+
+/**
+ * A booking was cancelled on the server (by the astrologer, or auto-cancelled)
+ * Scheduled appointments that never started leave the pending list; reminders always go
+ */
+export const handleAppointmentCancelled = async (bookingId) => {
+  cancelAppointmentReminders(bookingId);
+
+  const consultations = await getPendingConsultations();
+  const consultation = consultations.find(c => c.booking._id === bookingId);
+  if (consultation && isScheduledAppointment(consultation) && !consultation.sessionId) {
+    await removePendingConsultation(bookingId);
+  }
+};
+
+/**
+ * A booking was moved on the server; follow it in the pending list and the reminders
+ * @returns {Promise<Boolean>} false when the booking is not in the pending list
+ */
+export const handleAppointmentRescheduled = async (bookingId, scheduledTime) => {
+  const consultations = await getPendingConsultations();
+  const consultation = consultations.find(c => c.booking._id === bookingId);
+  if (!consultation) return false;
+
+  await updatePendingConsultation(bookingId, { booking: { scheduledTime } });
+  scheduleAppointmentReminders({ ...consultation.booking, scheduledTime });
+  return true;
+};
+
+/**
+ * Rebuild the reminders for every upcoming booking from the server's list
+ * Scheduled appointments the server no longer has as upcoming (e.g. auto-cancelled
+ * while the app was closed) are dropped first.
+ * @returns {Promise<Boolean>} false when the bookings could not be loaded; existing reminders are kept
+ */
+export const syncAppointmentReminders = async () => {
+  let bookings;
+  try {
+    const response = await bookingsAPI.getAll();
+    bookings = Array.isArray(response?.data)
+      ? response.data
+      : Array.isArray(response?.data?.data) ? response.data.data : null;
+  } catch (error) {
+    console.log('⚠️ [Appointments] Could not load bookings, keeping current reminders:', error.message);
+    return false;
+  }
+  if (!bookings) {
+    console.log('⚠️ [Appointments] Unexpected bookings response, keeping current reminders');
+    return false;
+  }
+
+  const consultations = await getPendingConsultations();
+  const serverStatus = new Map(bookings.map(b => [b._id, b.status]));
+  const cancelled = consultations.filter(c =>
+    isScheduledAppointment(c) &&
+    !c.sessionId &&
+    serverStatus.has(c.booking._id) &&
+    !UPCOMING_STATUSES.includes(serverStatus.get(c.booking._id))
+  );
+  for (const consultation of cancelled) {
+    console.log('📅 [Appointments] Booking no longer upcoming on the server:', consultation.booking._id);
+    await handleAppointmentCancelled(consultation.booking._id);
+  }
+
+  await refreshAppointmentReminders(bookings);
+  return true;
+};
+
+export default {
+  APPOINTMENT_POLICY,
+  getUserTimeZone,
+  groupSlotsByDay,
+  formatSlotTime,
+  formatAppointmentTime,
+  getAppointmentTime,
+  isScheduledAppointment,
+  isMissedAppointment,
+  getAppointmentPolicy,
+  formatCountdown,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  handleAppointmentCancelled,
+  handleAppointmentRescheduled,
+  syncAppointmentReminders,
+};
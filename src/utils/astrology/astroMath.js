@@ -0,0 +1,138 @@
+/**
+ * Shared astrology constants and math helpers
+ * Used by the on-device chart engine (ephemeris, kundli and derived calculators)
+ */
+
+export const DEG = Math.PI / 180;
+export const RAD = 180 / Math.PI;
+
+export const NAKSHATRA_SPAN = 360 / 27; // 13°20'
+export const PADA_SPAN = NAKSHATRA_SPAN / 4; // 3°20'
+
+// Planet keys in traditional Vedic order
+export const PLANETS = [
+  { key: 'sun', name: 'Sun', short: 'Su', hindi: 'Surya' },
+  { key: 'moon', name: 'Moon', short: 'Mo', hindi: 'Chandra' },
+  { key: 'mars', name: 'Mars', short: 'Ma', hindi: 'Mangal' },
+  { key: 'mercury', name: 'Mercury', short: 'Me', hindi: 'Budh' },
+  { key: 'jupiter', name: 'Jupiter', short: 'Ju', hindi: 'Guru' },
+  { key: 'venus', name: 'Venus', short: 'Ve', hindi: 'Shukra' },
+  { key: 'saturn', name: 'Saturn', short: 'Sa', hindi: 'Shani' },
+  { key: 'rahu', name: 'Rahu', short: 'Ra', hindi: 'Rahu' },
+  { key: 'ketu', name: 'Ketu', short: 'Ke', hindi: 'Ketu' },
+];
+
+// Sidereal signs; `zodiacKey` matches the keys used by horoscopeService
+export const RASHIS = [
+  { index: 0, name: 'Mesha', english: 'Aries', zodiacKey: 'aries', lord: 'mars', symbol: '♈' },
+  { index: 1, name: 'Vrishabha', english: 'Taurus', zodiacKey: 'taurus', lord: 'venus', symbol: '♉' },
+  { index: 2, name: 'Mithuna', english: 'Gemini', zodiacKey: 'gemini', lord: 'mercury', symbol: '♊' },
+  { index: 3, name: 'Karka', english: 'Cancer', zodiacKey: 'cancer', lord: 'moon', symbol: '♋' },
+  { index: 4, name: 'Simha', english: 'Leo', zodiacKey: 'leo', lord: 'sun', symbol: '♌' },
+  { index: 5, name: 'Kanya', english: 'Virgo', zodiacKey: 'virgo', lord: 'mercury', symbol: '♍' },
+  { index: 6, name: 'Tula', english: 'Libra', zodiacKey: 'libra', lord: 'venus', symbol: '♎' },
+  { index: 7, name: 'Vrishchika', english: 'Scorpio', zodiacKey: 'scorpio', lord: 'mars', symbol: '♏' },
+  { index: 8, name: 'Dhanu', english: 'Sagittarius', zodiacKey: 'sagittarius', lord: 'jupiter', symbol: '♐' },
+  { index: 9, name: 'Makara', english: 'Capricorn', zodiacKey: 'capricorn', lord: 'saturn', symbol: '♑' },
+  { index: 10, name: 'Kumbha', english: 'Aquarius', zodiacKey: 'aquarius', lord: 'saturn', symbol: '♒' },
+  { index: 11, name: 'Meena', english: 'Pisces', zodiacKey: 'pisces', lord: 'jupiter', symbol: '♓' },
+];
+
+// The 27 nakshatras with their Vimshottari lords
+export const NAKSHATRAS = [
+  { index: 0, name: 'Ashwini', lord: 'ketu' },
+  { index: 1, name: 'Bharani', lord: 'venus' },
+  { index: 2, name: 'Krittika', lord: 'sun' },
+  { index: 3, name: 'Rohini', lord: 'moon' },
+  { index: 4, name: 'Mrigashira', lord: 'mars' },
+  { index: 5, name: 'Ardra', lord: 'rahu' },
+  { index: 6, name: 'Punarvasu', lord: 'jupiter' },
+  { index: 7, name: 'Pushya', lord: 'saturn' },
+  { index: 8, name: 'Ashlesha', lord: 'mercury' },
+  { index: 9, name: 'Magha', lord: 'ketu' },
+  { index: 10, name: 'Purva Phalguni', lord: 'venus' },
+  { index: 11, name: 'Uttara Phalguni', lord: 'sun' },
+  { index: 12, name: 'Hasta', lord: 'moon' },
+  { index: 13, name: 'Chitra', lord: 'mars' },
+  { index: 14, name: 'Swati', lord: 'rahu' },
+  { index: 15, name: 'Vishakha', lord: 'jupiter' },
+  { index: 16, name: 'Anuradha', lord: 'saturn' },
+  { index: 17, name: 'Jyeshtha', lord: 'mercury' },
+  { index: 18, name: 'Mula', lord: 'ketu' },
+  { index: 19, name: 'Purva Ashadha', lord: 'venus' },
+  { index: 20, name: 'Uttara Ashadha', lord: 'sun' },
+  { index: 21, name: 'Shravana', lord: 'moon' },
+  { index: 22, name: 'Dhanishta', lord: 'mars' },
+  { index: 23, name: 'Shatabhisha', lord: 'rahu' },
+  { index: 24, name: 'Purva Bhadrapada', lord: 'jupiter' },
+  { index: 25, name: 'Uttara Bhadrapada', lord: 'saturn' },
+  { index: 26, name: 'Revati', lord: 'mercury' },
+];
+
+/**
+ * Normalize an angle into the 0-360 range
+ */
+export const normalizeDegrees = (degrees) => {
+  const result = degrees % 360;
+  return result < 0 ? result + 360 : result;
+};
+
+export const sinDeg = (degrees) => Math.sin(degrees * DEG);
+export const cosDeg = (degrees) => Math.cos(degrees * DEG);
+export const tanDeg = (degrees) => Math.tan(degrees * DEG);
+export const atan2Deg = (y, x) => normalizeDegrees(Math.atan2(y, x) * RAD);
+
+/**
+ * Convert a JS Date (an absolute instant) into a Julian Day number (UT)
+ */
+export const toJulianDay = (date) => date.getTime() / 86400000 + 2440587.5;
+
+/**
+ * Convert a Julian Day number back into a JS Date
+ */
+export const fromJulianDay = (julianDay) => new Date((julianDay - 2440587.5) * 86400000);
+
+/**
+ * Get the sidereal sign for a longitude
+ * @param {number} longitude - Sidereal longitude in degrees
+ */
+export const getRashi = (longitude) => RASHIS[Math.floor(normalizeDegrees(longitude) / 30)];
+
+/**
+ * Get nakshatra and pada (1-4) for a sidereal longitude
+ * @param {number} longitude - Sidereal longitude in degrees
+ */
+export const getNakshatra = (longitude) => {
+  const normalized = normalizeDegrees(longitude);
+  const index = Math.floor(normalized / NAKSHATRA_SPAN);
+  const offset = normalized - index * NAKSHATRA_SPAN;
+
+  return {
+    ...NAKSHATRAS[index],
+    pada: Math.floor(offset / PADA_SPAN) + 1,
+    // Fraction of the nakshatra already traversed (0-1)
+    progress: offset / NAKSHATRA_SPAN,
+  };
+};
+
+/**
+ * Get planet metadata by key
+ */
+export const getPlanet = (planetKey) => PLANETS.find(planet => planet.key === planetKey);
+
+/**
+ * Format a longitude within its sign as D°MM'
+ * @param {number} longitude - Longitude in degrees (0-360)
+ */
+export const formatDegreeInSign = (longitude) => {
+  const inSign = normalizeDegrees(longitude) % 30;
+  let degrees = Math.floor(inSign);
+  let minutes = Math.round((inSign - degrees) * 60);
+
+  if (minutes === 60) {
+    degrees += 1;
+    minutes = 0;
+  }
+
+  return `${degrees}°${minutes.toString().padStart(2, '0')}'`;
+};
@@ -0,0 +1,150 @@
+import { getPlanet } from './astroMath';
+
+/**
+ * Vimshottari Dasha calculator
+ * The 120-year cycle starts from the lord of the Moon's birth nakshatra; the
+ * portion of that nakshatra still to be traversed at birth sets the balance of
+ * the first Mahadasha. Each period divides into sub-periods in the same order,
+ * starting from its own lord, in proportion to the lords' years.
+ */
+
+export const VIMSHOTTARI_SEQUENCE = [
+  { lord: 'ketu', years: 7 },
+  { lord: 'venus', years: 20 },
+  { lord: 'sun', years: 6 },
+  { lord: 'moon', years: 10 },
+  { lord: 'mars', years: 7 },
+  { lord: 'rahu', years: 18 },
+  { lord: 'jupiter', years: 16 },
+  { lord: 'saturn', years: 19 },
+  { lord: 'mercury', years: 17 },
+];
+
+export const VIMSHOTTARI_TOTAL_YEARS = 120;
+
+export const DASHA_LEVELS = ['mahadasha', 'antardasha', 'pratyantardasha'];
+
+const YEAR_MS = 365.25 * 86400000;
+
+const getSequenceIndex = (lord) => VIMSHOTTARI_SEQUENCE.findIndex(entry => entry.lord === lord);
+
+/**
+ * Split a period into its nine sub-periods, recursing down to `depth` levels
+ */
+const buildPeriods = (lord, start, durationMs, level, depth, birthTime) => {
+  const startIndex = getSequenceIndex(lord);
+  const periods = [];
+  let cursor = start;
+
+  for (let offset = 0; offset < VIMSHOTTARI_SEQUENCE.length; offset++) {
+    const entry = VIMSHOTTARI_SEQUENCE[(startIndex + offset) % VIMSHOTTARI_SEQUENCE.length];
+    const subDuration = durationMs * (entry.years / VIMSHOTTARI_TOTAL_YEARS);
+    const subStart = cursor;
+    const subEnd = cursor + subDuration;
+    cursor = subEnd;
+
+    // Sub-periods that ran out before birth are not part of this life
+    if (subEnd <= birthTime) continue;
+
+    periods.push(createPeriod(entry.lord, subStart, subEnd, level, depth, birthTime));
+  }
+
+  return periods;
+};
+
+const createPeriod = (lord, start, end, level, depth, birthTime) => {
+  const period = {
+    key: `${DASHA_LEVELS[level]}-${lord}-${start}`,
+    level: DASHA_LEVELS[level],
+    lord,
+    planet: getPlanet(lord),
+    // The running period at birth is shown from the birth date
+    start: new Date(Math.max(start, birthTime)),
+    end: new Date(end),
+    isBalanceAtBirth: start < birthTime,
+  };
+
+  if (level + 1 < depth) {
+    period.subPeriods = buildPeriods(lord, start, end - start, level + 1, depth, birthTime);
+  }
+
+  return period;
+};
+
+/**
+ * Build the Vimshottari timeline from a kundli
+ * @param {Object} kundli - Output of buildKundli
+ * @param {number} depth - 1 = Mahadasha only, 2 = + Antardasha, 3 = + Pratyantardasha
+ * @returns {Object} { birthNakshatra, balance, mahadashas, isApproximate }
+ */
+export const buildDashaTimeline = (kundli, depth = 3) => {
+  if (!kundli?.nakshatra) {
+    throw new Error('Moon nakshatra is required to calculate dasha');
+  }
+
+  const birthTime = kundli.birthDetails.date.getTime();
+  const { lord, progress } = kundli.nakshatra;
+  const startIndex = getSequenceIndex(lord);
+
+  // Theoretical start of the first Mahadasha, before birth
+  const firstYears = VIMSHOTTARI_SEQUENCE[startIndex].years;
+  let cursor = birthTime - progress * firstYears * YEAR_MS;
+
+  const mahadashas = [];
+  for (let offset = 0; offset < VIMSHOTTARI_SEQUENCE.length; offset++) {
+    const entry = VIMSHOTTARI_SEQUENCE[(startIndex + offset) % VIMSHOTTARI_SEQUENCE.length];
+    const end = cursor + entry.years * YEAR_MS;
+    mahadashas.push(createPeriod(entry.lord, cursor, end, 0, depth, birthTime));
+    cursor = end;
+  }
+
+  return {
+    birthNakshatra: kundli.nakshatra,
+    balance: {
+      lord,
+      planet: getPlanet(lord),
+      years: (1 - progress) * firstYears,
+    },
+    mahadashas,
+    // The Moon moves about 13° a day, so an unknown birth time can shift
+    // every date in the timeline by months
+    isApproximate: Boolean(kundli.birthDetails.isTimeOfBirthUnknown),
+  };
+};
+
+/**
+ * Find the running period at each level for a date
+ * @returns {Object} { mahadasha, antardasha, pratyantardasha } (null where not found)
+ */
+export const getCurrentDasha = (timeline, date = new Date()) => {
+  const time = date.getTime();
+  const current = { mahadasha: null, antardasha: null, pratyantardasha: null };
+
+  let periods = timeline?.mahadashas || [];
+  while (periods && periods.length) {
+    const running = periods.find(period => period.start.getTime() <= time && time < period.end.getTime());
+    if (!running) break;
+    current[running.level] = running;
+    periods = running.subPeriods;
+  }
+
+  return current;
+};
+
+/**
+ * Format a balance in years as "5y 3m 12d"
+ */
+export const formatDashaBalance = (years) => {
+  const wholeYears = Math.floor(years);
+  const months = (years - wholeYears) * 12;
+  const wholeMonths = Math.floor(months);
+  const days = Math.floor((months - wholeMonths) * 30.4375);
+  return `${wholeYears}y ${wholeMonths}m ${days}d`;
+};
+
+export default {
+  VIMSHOTTARI_SEQUENCE,
+  buildDashaTimeline,
+  getCurrentDasha,
+  formatDashaBalance,
+};
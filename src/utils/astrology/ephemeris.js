@@ -0,0 +1,300 @@
+import {
+  normalizeDegrees,
+  sinDeg,
+  cosDeg,
+  tanDeg,
+  atan2Deg,
+  toJulianDay,
+  RAD,
+} from './astroMath';
+
+/**
+ * Lightweight on-device ephemeris
+ * Low-precision orbital elements (P. Schlyter, "Computing planetary positions")
+ * with the main lunar, Jupiter and Saturn perturbation terms. Accuracy is within
+ * a few arc-minutes for 1900-2100, which is enough for rashi, nakshatra and
+ * house placement. All longitudes returned here are sidereal (Lahiri).
+ */
+
+const J2000 = 2451545.0;
+
+// Lahiri (Chitrapaksha) reference: 23°14'43.9" on 1956-03-21 00:00 TT
+const LAHIRI_EPOCH_JD = 2435553.5;
+const LAHIRI_EPOCH_VALUE = 23.245524743;
+const PRECESSION_PER_YEAR = 50.290966 / 3600;
+
+// Orbital elements as functions of `d` (days since 1999-12-31 00:00 UT)
+const ORBITAL_ELEMENTS = {
+  sun: (d) => ({
+    N: 0,
+    i: 0,
+    w: 282.9404 + 4.70935e-5 * d,
+    a: 1,
+    e: 0.016709 - 1.151e-9 * d,
+    M: 356.047 + 0.9856002585 * d,
+  }),
+  moon: (d) => ({
+    N: 125.1228 - 0.0529538083 * d,
+    i: 5.1454,
+    w: 318.0634 + 0.1643573223 * d,
+    a: 60.2666,
+    e: 0.0549,
+    M: 115.3654 + 13.0649929509 * d,
+  }),
+  mercury: (d) => ({
+    N: 48.3313 + 3.24587e-5 * d,
+    i: 7.0047 + 5.0e-8 * d,
+    w: 29.1241 + 1.01444e-5 * d,
+    a: 0.387098,
+    e: 0.205635 + 5.59e-10 * d,
+    M: 168.6562 + 4.0923344368 * d,
+  }),
+  venus: (d) => ({
+    N: 76.6799 + 2.4659e-5 * d,
+    i: 3.3946 + 2.75e-8 * d,
+    w: 54.891 + 1.38374e-5 * d,
+    a: 0.72333,
+    e: 0.006773 - 1.302e-9 * d,
+    M: 48.0052 + 1.6021302244 * d,
+  }),
+  mars: (d) => ({
+    N: 49.5574 + 2.11081e-5 * d,
+    i: 1.8497 - 1.78e-8 * d,
+    w: 286.5016 + 2.92961e-5 * d,
+    a: 1.523688,
+    e: 0.093405 + 2.516e-9 * d,
+    M: 18.6021 + 0.5240207766 * d,
+  }),
+  jupiter: (d) => ({
+    N: 100.4542 + 2.76854e-5 * d,
+    i: 1.303 - 1.557e-7 * d,
+    w: 273.8777 + 1.64505e-5 * d,
+    a: 5.20256,
+    e: 0.048498 + 4.469e-9 * d,
+    M: 19.895 + 0.0830853001 * d,
+  }),
+  saturn: (d) => ({
+    N: 113.6634 + 2.3898e-5 * d,
+    i: 2.4886 - 1.081e-7 * d,
+    w: 339.3939 + 2.97661e-5 * d,
+    a: 9.55475,
+    e: 0.055546 - 9.499e-9 * d,
+    M: 316.967 + 0.0334442282 * d,
+  }),
+};
+
+const toSchlyterDay = (julianDay) => julianDay - 2451543.5;
+
+/**
+ * Solve Kepler's equation and return position in the orbital plane
+ */
+const solveOrbit = ({ a, e, M }) => {
+  const meanAnomaly = normalizeDegrees(M);
+  let E = meanAnomaly + e * RAD * sinDeg(meanAnomaly) * (1 + e * cosDeg(meanAnomaly));
+
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const delta = (E - e * RAD * sinDeg(E) - meanAnomaly) / (1 - e * cosDeg(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-6) break;
+  }
+
+  const xv = a * (cosDeg(E) - e);
+  const yv = a * Math.sqrt(1 - e * e) * sinDeg(E);
+
+  return {
+    v: atan2Deg(yv, xv),
+    r: Math.sqrt(xv * xv + yv * yv),
+  };
+};
+
+/**
+ * Convert orbital-plane position to ecliptic rectangular coordinates
+ */
+const toEclipticXYZ = ({ N, i, w }, { v, r }) => {
+  const vw = v + w;
+  return {
+    x: r * (cosDeg(N) * cosDeg(vw) - sinDeg(N) * sinDeg(vw) * cosDeg(i)),
+    y: r * (sinDeg(N) * cosDeg(vw) + cosDeg(N) * sinDeg(vw) * cosDeg(i)),
+    z: r * sinDeg(vw) * sinDeg(i),
+  };
+};
+
+/**
+ * Mean obliquity of the ecliptic in degrees
+ * @param {number} julianDay - Julian Day (UT)
+ */
+export const getObliquity = (julianDay) => 23.4393 - 3.563e-7 * toSchlyterDay(julianDay);
+
+/**
+ * Lahiri ayanamsa in degrees
+ * @param {number} julianDay - Julian Day (UT)
+ */
+export const getLahiriAyanamsa = (julianDay) => {
+  const years = (julianDay - LAHIRI_EPOCH_JD) / 365.25;
+  return LAHIRI_EPOCH_VALUE + years * PRECESSION_PER_YEAR;
+};
+
+/**
+ * Tropical geocentric ecliptic longitudes of the grahas for a Julian Day
+ * Rahu is the mean lunar node; Ketu is always opposite.
+ */
+const getTropicalLongitudes = (julianDay) => {
+  const d = toSchlyterDay(julianDay);
+
+  // Sun
+  const sunElements = ORBITAL_ELEMENTS.sun(d);
+  const sunOrbit = solveOrbit(sunElements);
+  const sunLongitude = normalizeDegrees(sunOrbit.v + sunElements.w);
+  const sunX = sunOrbit.r * cosDeg(sunLongitude);
+  const sunY = sunOrbit.r * sinDeg(sunLongitude);
+
+  // Moon (elements are already geocentric)
+  const moonElements = ORBITAL_ELEMENTS.moon(d);
+  const moonPosition = toEclipticXYZ(moonElements, solveOrbit(moonElements));
+  let moonLongitude = atan2Deg(moonPosition.y, moonPosition.x);
+
+  const Ms = sunElements.M;
+  const Mm = moonElements.M;
+  const Ls = Ms + sunElements.w;
+  const Lm = Mm + moonElements.w + moonElements.N;
+  const D = Lm - Ls;
+  const F = Lm - moonElements.N;
+
+  moonLongitude += -1.274 * sinDeg(Mm - 2 * D)
+    + 0.658 * sinDeg(2 * D)
+    - 0.186 * sinDeg(Ms)
+    - 0.059 * sinDeg(2 * Mm - 2 * D)
+    - 0.057 * sinDeg(Mm - 2 * D + Ms)
+    + 0.053 * sinDeg(Mm + 2 * D)
+    + 0.046 * sinDeg(2 * D - Ms)
+    + 0.041 * sinDeg(Mm - Ms)
+    - 0.035 * sinDeg(D)
+    - 0.031 * sinDeg(Mm + Ms)
+    - 0.015 * sinDeg(2 * F - 2 * D)
+    + 0.011 * sinDeg(Mm - 4 * D);
+
+  // Planets: heliocentric position shifted to the geocentre
+  const geocentric = (key, correction = 0) => {
+    const elements = ORBITAL_ELEMENTS[key](d);
+    const helio = toEclipticXYZ(elements, solveOrbit(elements));
+    const helioLongitude = atan2Deg(helio.y, helio.x) + correction;
+    const helioRadius = Math.sqrt(helio.x * helio.x + helio.y * helio.y);
+    const x = helioRadius * cosDeg(helioLongitude) + sunX;
+    const y = helioRadius * sinDeg(helioLongitude) + sunY;
+    return atan2Deg(y, x);
+  };
+
+  const Mj = ORBITAL_ELEMENTS.jupiter(d).M;
+  const Msat = ORBITAL_ELEMENTS.saturn(d).M;
+
+  const jupiterCorrection = -0.332 * sinDeg(2 * Mj - 5 * Msat - 67.6)
+    - 0.056 * sinDeg(2 * Mj - 2 * Msat + 21)
+    + 0.042 * sinDeg(3 * Mj - 5 * Msat + 21)
+    - 0.036 * sinDeg(Mj - 2 * Msat)
+    + 0.022 * cosDeg(Mj - Msat)
+    + 0.023 * sinDeg(2 * Mj - 3 * Msat + 52)
+    - 0.016 * sinDeg(Mj - 5 * Msat - 69);
+
+  const saturnCorrection = 0.812 * sinDeg(2 * Mj - 5 * Msat - 67.6)
+    - 0.229 * cosDeg(2 * Mj - 4 * Msat - 2)
+    + 0.119 * sinDeg(Mj - 2 * Msat - 3)
+    + 0.046 * sinDeg(2 * Mj - 6 * Msat - 69)
+    + 0.014 * sinDeg(Mj - 3 * Msat + 32);
+
+  const rahuLongitude = normalizeDegrees(moonElements.N);
+
+  return {
+    sun: sunLongitude,
+    moon: normalizeDegrees(moonLongitude),
+    mars: geocentric('mars'),
+    mercury: geocentric('mercury'),
+    jupiter: geocentric('jupiter', jupiterCorrection),
+    venus: geocentric('venus'),
+    saturn: geocentric('saturn', saturnCorrection),
+    rahu: rahuLongitude,
+    ketu: normalizeDegrees(rahuLongitude + 180),
+  };
+};
+
+/**
+ * Sidereal (Lahiri) longitudes of all nine grahas
+ * @param {Date} date - Absolute instant
+ * @returns {Object} planetKey -> longitude in degrees
+ */
+export const getSiderealLongitudes = (date) => {
+  const julianDay = toJulianDay(date);
+  const ayanamsa = getLahiriAyanamsa(julianDay);
+  const tropical = getTropicalLongitudes(julianDay);
+
+  const longitudes = {};
+  Object.keys(tropical).forEach((key) => {
+    longitudes[key] = normalizeDegrees(tropical[key] - ayanamsa);
+  });
+
+  return longitudes;
+};
+
+/**
+ * Sidereal (Lahiri) longitudes of all nine grahas, with retrograde flags
+ * @param {Date} date - Absolute instant
+ * @returns {Object} planetKey -> { longitude, speed, isRetrograde }
+ */
+export const getPlanetaryPositions = (date) => {
+  const today = getSiderealLongitudes(date);
+  const nextDay = getSiderealLongitudes(new Date(date.getTime() + 86400000));
+
+  const positions = {};
+  Object.keys(today).forEach((key) => {
+    let speed = nextDay[key] - today[key];
+    if (speed > 180) speed -= 360;
+    if (speed < -180) speed += 360;
+
+    positions[key] = {
+      longitude: today[key],
+      speed, // degrees per day
+      // The nodes are always retrograde in the mean-node model
+      isRetrograde: speed < 0,
+    };
+  });
+
+  return positions;
+};
+
+/**
+ * Local sidereal time in degrees (RAMC)
+ * @param {number} julianDay - Julian Day (UT)
+ * @param {number} longitude - Geographic longitude, east positive
+ */
+export const getLocalSiderealTime = (julianDay, longitude) => {
+  const T = (julianDay - J2000) / 36525;
+  const gmst = 280.46061837
+    + 360.98564736629 * (julianDay - J2000)
+    + 0.000387933 * T * T
+    - (T * T * T) / 38710000;
+  return normalizeDegrees(gmst + longitude);
+};
+
+/**
+ * Sidereal ascendant (lagna) and midheaven for a time and place
+ * @param {Date} date - Absolute instant
+ * @param {number} latitude - Geographic latitude, north positive
+ * @param {number} longitude - Geographic longitude, east positive
+ */
+export const getAscendant = (date, latitude, longitude) => {
+  const julianDay = toJulianDay(date);
+  const ramc = getLocalSiderealTime(julianDay, longitude);
+  const obliquity = getObliquity(julianDay);
+  const ayanamsa = getLahiriAyanamsa(julianDay);
+
+  const ascendant = atan2Deg(
+    cosDeg(ramc),
+    -(sinDeg(ramc) * cosDeg(obliquity) + tanDeg(latitude) * sinDeg(obliquity))
+  );
+  const midheaven = atan2Deg(sinDeg(ramc), cosDeg(ramc) * cosDeg(obliquity));
+
+  return {
+    ascendant: normalizeDegrees(ascendant - ayanamsa),
+    midheaven: normalizeDegrees(midheaven - ayanamsa),
+    ayanamsa,
+  };
+};
@@ -0,0 +1,366 @@
+import { buildKundli, getBirthDetailsFromProfile } from './kundli';
+
+/**
+ * Ashtakoota Guna Milan
+ * Scores the eight kootas (36 points) between two birth profiles from their
+ * Moon rashi and nakshatra, and checks both charts for Manglik dosha.
+ */
+
+export const MAX_GUNA_SCORE = 36;
+
+// Varna by Moon rashi index: 4 Brahmin, 3 Kshatriya, 2 Vaishya, 1 Shudra
+const VARNA_BY_RASHI = [3, 2, 1, 4, 3, 2, 1, 4, 3, 2, 1, 4];
+const VARNA_NAMES = { 4: 'Brahmin', 3: 'Kshatriya', 2: 'Vaishya', 1: 'Shudra' };
+
+const VASHYA = {
+  CHATUSHPADA: 'Chatushpada',
+  MANAVA: 'Manava',
+  JALACHARA: 'Jalachara',
+  VANACHARA: 'Vanachara',
+  KEETA: 'Keeta',
+};
+
+// Groom (row) vs bride (column) in the order of VASHYA_ORDER
+const VASHYA_ORDER = [VASHYA.CHATUSHPADA, VASHYA.MANAVA, VASHYA.JALACHARA, VASHYA.VANACHARA, VASHYA.KEETA];
+const VASHYA_SCORES = [
+  [2, 1, 1, 0.5, 1],
+  [1, 2, 0.5, 0, 1],
+  [1, 0.5, 2, 1, 1],
+  [0.5, 0, 1, 2, 0],
+  [1, 1, 1, 0, 2],
+];
+
+const YONI_ANIMALS = [
+  'Horse', 'Elephant', 'Sheep', 'Serpent', 'Dog', 'Cat', 'Rat',
+  'Cow', 'Buffalo', 'Tiger', 'Deer', 'Monkey', 'Mongoose', 'Lion',
+];
+
+// Yoni animal index for each of the 27 nakshatras
+const YONI_BY_NAKSHATRA = [
+  0, 1, 2, 3, 3, 4, 5, 2, 5, 6, 6, 7, 8, 9,
+  8, 9, 10, 10, 4, 11, 12, 11, 13, 0, 13, 7, 1,
+];
+
+const YONI_SCORES = [
+  [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+  [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+  [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+  [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+  [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+  [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+  [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+  [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+  [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+  [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+  [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+  [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+  [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+  [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4],
+];
+
+// Natural friendships of the rashi lords: 1 friend, 0 neutral, -1 enemy
+const PLANET_RELATIONS = {
+  sun: { moon: 1, mars: 1, jupiter: 1, mercury: 0, venus: -1, saturn: -1 },
+  moon: { sun: 1, mercury: 1, mars: 0, jupiter: 0, venus: 0, saturn: 0 },
+  mars: { sun: 1, moon: 1, jupiter: 1, venus: 0, saturn: 0, mercury: -1 },
+  mercury: { sun: 1, venus: 1, mars: 0, jupiter: 0, saturn: 0, moon: -1 },
+  jupiter: { sun: 1, moon: 1, mars: 1, saturn: 0, mercury: -1, venus: -1 },
+  venus: { mercury: 1, saturn: 1, mars: 0, jupiter: 0, sun: -1, moon: -1 },
+  saturn: { mercury: 1, venus: 1, jupiter: 0, sun: -1, moon: -1, mars: -1 },
+};
+
+const GANA = { DEVA: 'Deva', MANUSHYA: 'Manushya', RAKSHASA: 'Rakshasa' };
+
+const GANA_BY_NAKSHATRA = [
+  GANA.DEVA, GANA.MANUSHYA, GANA.RAKSHASA, GANA.MANUSHYA, GANA.DEVA, GANA.MANUSHYA,
+  GANA.DEVA, GANA.DEVA, GANA.RAKSHASA, GANA.RAKSHASA, GANA.MANUSHYA, GANA.MANUSHYA,
+  GANA.DEVA, GANA.RAKSHASA, GANA.DEVA, GANA.RAKSHASA, GANA.DEVA, GANA.RAKSHASA,
+  GANA.RAKSHASA, GANA.MANUSHYA, GANA.MANUSHYA, GANA.DEVA, GANA.RAKSHASA, GANA.RAKSHASA,
+  GANA.MANUSHYA, GANA.MANUSHYA, GANA.DEVA,
+];
+
+// Groom (row) vs bride (column): Deva, Manushya, Rakshasa
+const GANA_ORDER = [GANA.DEVA, GANA.MANUSHYA, GANA.RAKSHASA];
+const GANA_SCORES = [
+  [6, 6, 0],
+  [5, 6, 0],
+  [1, 0, 6],
+];
+
+const NADI_NAMES = ['Adi', 'Madhya', 'Antya'];
+// Nadi repeats in a zig-zag of six nakshatras: Adi, Madhya, Antya, Antya, Madhya, Adi
+const NADI_PATTERN = [0, 1, 2, 2, 1, 0];
+
+// Houses from lagna / Moon that give Manglik dosha
+const MANGLIK_HOUSES = [1, 2, 4, 7, 8, 12];
+
+const getVashya = (moonLongitude) => {
+  const rashiIndex = Math.floor(moonLongitude / 30);
+  const isFirstHalf = moonLongitude % 30 < 15;
+
+  switch (rashiIndex) {
+    case 0:
+    case 1:
+      return VASHYA.CHATUSHPADA;
+    case 3:
+    case 11:
+      return VASHYA.JALACHARA;
+    case 4:
+      return VASHYA.VANACHARA;
+    case 7:
+      return VASHYA.KEETA;
+    case 8:
+      return isFirstHalf ? VASHYA.MANAVA : VASHYA.CHATUSHPADA;
+    case 9:
+      return isFirstHalf ? VASHYA.CHATUSHPADA : VASHYA.JALACHARA;
+    default:
+      return VASHYA.MANAVA;
+  }
+};
+
+const getNadi = (nakshatraIndex) => NADI_NAMES[NADI_PATTERN[nakshatraIndex % 6]];
+
+const scoreGrahaMaitri = (groomLord, brideLord) => {
+  if (groomLord === brideLord) return 5;
+
+  const relations = [PLANET_RELATIONS[groomLord][brideLord], PLANET_RELATIONS[brideLord][groomLord]];
+  const friends = relations.filter(r => r === 1).length;
+  const enemies = relations.filter(r => r === -1).length;
+
+  if (friends === 2) return 5;
+  if (friends === 1 && enemies === 0) return 4;
+  if (friends === 0 && enemies === 0) return 3;
+  if (friends === 1 && enemies === 1) return 1;
+  if (enemies === 1) return 0.5;
+  return 0;
+};
+
+// Tara counts nakshatras from one partner to the other; remainders 3, 5 and 7 are inauspicious
+const isTaraAuspicious = (fromIndex, toIndex) => {
+  const count = ((toIndex - fromIndex + 27) % 27) + 1;
+  return ![3, 5, 7].includes(count % 9);
+};
+
+/**
+ * Manglik dosha check for one chart
+ * @param {Object} kundli - Chart built by buildKundli
+ */
+export const getManglikStatus = (kundli) => {
+  const mars = kundli.planets.find(planet => planet.key === 'mars');
+  const moon = kundli.planets.find(planet => planet.key === 'moon');
+  const houseFromMoon = ((mars.rashi.index - moon.rashi.index + 12) % 12) + 1;
+
+  const fromLagna = kundli.isAscendantReliable && MANGLIK_HOUSES.includes(mars.house);
+  const fromMoon = MANGLIK_HOUSES.includes(houseFromMoon);
+
+  // Mars in its own signs (Mesha, Vrishchika) or exalted (Makara) neutralizes the dosha
+  const isCancelled = [0, 7, 9].includes(mars.rashi.index);
+  const isManglik = (fromLagna || fromMoon) && !isCancelled;
+
+  return {
+    isManglik,
+    fromLagna,
+    fromMoon,
+    marsHouseFromLagna: mars.house,
+    marsHouseFromMoon: houseFromMoon,
+    isCancelled: (fromLagna || fromMoon) && isCancelled,
+    isLagnaChecked: kundli.isAscendantReliable,
+  };
+};
+
+const getVerdict = (total) => {
+  if (total < 18) {
+    return { key: 'not_recommended', label: 'Not Recommended', description: 'Fewer than 18 gunas match. Traditionally this match is not advised without remedies.' };
+  }
+  if (total <= 24) {
+    return { key: 'average', label: 'Average', description: 'An acceptable match. Some areas may need understanding and effort.' };
+  }
+  if (total <= 32) {
+    return { key: 'good', label: 'Good', description: 'A good match with strong compatibility across most kootas.' };
+  }
+  return { key: 'excellent', label: 'Excellent', description: 'An excellent match with very high compatibility.' };
+};
+
+/**
+ * Decide which profile is scored as groom and which as bride.
+ * The koota tables are directional; when genders do not identify the pair
+ * the first profile is treated as the groom.
+ */
+const assignRoles = (first, second) => {
+  const isFemale = (profile) => (profile.gender || '').toLowerCase() === 'female';
+  const isMale = (profile) => (profile.gender || '').toLowerCase() === 'male';
+
+  if (isFemale(first) && !isFemale(second)) {
+    return { groom: second, bride: first, isGenderAssumed: !isMale(second) };
+  }
+  return { groom: first, bride: second, isGenderAssumed: !(isMale(first) && isFemale(second)) };
+};
+
+/**
+ * Score the eight kootas between two saved profiles
+ * @param {Object} profileA - Saved profile or user record
+ * @param {Object} profileB - Saved profile or user record
+ * @returns {Object} Koota breakdown, total, verdict and Manglik status
+ */
+export const matchProfiles = (profileA, profileB) => {
+  const detailsA = getBirthDetailsFromProfile(profileA);
+  const detailsB = getBirthDetailsFromProfile(profileB);
+
+  if (!detailsA || !detailsB) {
+    throw new Error('Both profiles need a date of birth for matching');
+  }
+
+  const { groom, bride, isGenderAssumed } = assignRoles(
+    { ...detailsA, kundli: buildKundli(detailsA) },
+    { ...detailsB, kundli: buildKundli(detailsB) }
+  );
+
+  const groomMoon = groom.kundli.planets.find(planet => planet.key === 'moon');
+  const brideMoon = bride.kundli.planets.find(planet => planet.key === 'moon');
+  const groomRashi = groomMoon.rashi;
+  const brideRashi = brideMoon.rashi;
+  const groomNakshatra = groomMoon.nakshatra;
+  const brideNakshatra = brideMoon.nakshatra;
+
+  // 1. Varna
+  const groomVarna = VARNA_BY_RASHI[groomRashi.index];
+  const brideVarna = VARNA_BY_RASHI[brideRashi.index];
+
+  // 2. Vashya
+  const groomVashya = getVashya(groomMoon.longitude);
+  const brideVashya = getVashya(brideMoon.longitude);
+
+  // 3. Tara
+  const taraGood = [
+    isTaraAuspicious(brideNakshatra.index, groomNakshatra.index),
+    isTaraAuspicious(groomNakshatra.index, brideNakshatra.index),
+  ].filter(Boolean).length;
+
+  // 4. Yoni
+  const groomYoni = YONI_BY_NAKSHATRA[groomNakshatra.index];
+  const brideYoni = YONI_BY_NAKSHATRA[brideNakshatra.index];
+
+  // 6. Gana
+  const groomGana = GANA_BY_NAKSHATRA[groomNakshatra.index];
+  const brideGana = GANA_BY_NAKSHATRA[brideNakshatra.index];
+
+  // 7. Bhakoot - 2/12, 5/9 and 6/8 rashi relationships are doshas
+  const rashiDistance = ((groomRashi.index - brideRashi.index + 12) % 12) + 1;
+  const hasBhakootDosha = [2, 12, 5, 9, 6, 8].includes(rashiDistance);
+
+  // 8. Nadi
+  const groomNadi = getNadi(groomNakshatra.index);
+  const brideNadi = getNadi(brideNakshatra.index);
+
+  const kootas = [
+    {
+      key: 'varna',
+      name: 'Varna',
+      area: 'Work and spiritual compatibility',
+      max: 1,
+      score: groomVarna >= brideVarna ? 1 : 0,
+      groomValue: VARNA_NAMES[groomVarna],
+      brideValue: VARNA_NAMES[brideVarna],
+    },
+    {
+      key: 'vashya',
+      name: 'Vashya',
+      area: 'Mutual attraction and influence',
+      max: 2,
+      score: VASHYA_SCORES[VASHYA_ORDER.indexOf(groomVashya)][VASHYA_ORDER.indexOf(brideVashya)],
+      groomValue: groomVashya,
+      brideValue: brideVashya,
+    },
+    {
+      key: 'tara',
+      name: 'Tara',
+      area: 'Health and well-being',
+      max: 3,
+      score: taraGood * 1.5,
+      groomValue: groomNakshatra.name,
+      brideValue: brideNakshatra.name,
+    },
+    {
+      key: 'yoni',
+      name: 'Yoni',
+      area: 'Physical and intimate compatibility',
+      max: 4,
+      score: YONI_SCORES[groomYoni][brideYoni],
+      groomValue: YONI_ANIMALS[groomYoni],
+      brideValue: YONI_ANIMALS[brideYoni],
+    },
+    {
+      key: 'grahaMaitri',
+      name: 'Graha Maitri',
+      area: 'Mental compatibility and friendship',
+      max: 5,
+      score: scoreGrahaMaitri(groomRashi.lord, brideRashi.lord),
+      groomValue: groomRashi.lord.charAt(0).toUpperCase() + groomRashi.lord.slice(1),
+      brideValue: brideRashi.lord.charAt(0).toUpperCase() + brideRashi.lord.slice(1),
+    },
+    {
+      key: 'gana',
+      name: 'Gana',
+      area: 'Temperament',
+      max: 6,
+      score: GANA_SCORES[GANA_ORDER.indexOf(groomGana)][GANA_ORDER.indexOf(brideGana)],
+      groomValue: groomGana,
+      brideValue: brideGana,
+    },
+    {
+      key: 'bhakoot',
+      name: 'Bhakoot',
+      area: 'Love, family welfare and prosperity',
+      max: 7,
+      score: hasBhakootDosha ? 0 : 7,
+      groomValue: groomRashi.name,
+      brideValue: brideRashi.name,
+      hasDosha: hasBhakootDosha,
+    },
+    {
+      key: 'nadi',
+      name: 'Nadi',
+      area: 'Health and progeny',
+      max: 8,
+      score: groomNadi === brideNadi ? 0 : 8,
+      groomValue: groomNadi,
+      brideValue: brideNadi,
+      hasDosha: groomNadi === brideNadi,
+    },
+  ];
+
+  const total = kootas.reduce((sum, koota) => sum + koota.score, 0);
+
+  const groomManglik = getManglikStatus(groom.kundli);
+  const brideManglik = getManglikStatus(bride.kundli);
+
+  return {
+    groom: {
+      name: groom.name,
+      moonSign: groomRashi,
+      nakshatra: groomNakshatra,
+      manglik: groomManglik,
+      isTimeOfBirthUnknown: groom.isTimeOfBirthUnknown,
+    },
+    bride: {
+      name: bride.name,
+      moonSign: brideRashi,
+      nakshatra: brideNakshatra,
+      manglik: brideManglik,
+      isTimeOfBirthUnknown: bride.isTimeOfBirthUnknown,
+    },
+    kootas,
+    total,
+    maxScore: MAX_GUNA_SCORE,
+    verdict: getVerdict(total),
+    // Manglik dosha is considered neutralized when both partners have it
+    manglikCompatible: groomManglik.isManglik === brideManglik.isManglik,
+    isGenderAssumed,
+  };
+};
+
+export default {
+  matchProfiles,
+  getManglikStatus,
+  MAX_GUNA_SCORE,
+};
@@ -0,0 +1,194 @@
+import {
+  PLANETS,
+  normalizeDegrees,
+  getRashi,
+  getNakshatra,
+} from './astroMath';
+import { getPlanetaryPositions, getAscendant } from './ephemeris';
+import { zonedTimeToUtc } from './timezone';
+import { findCityByName } from '../../data/cities';
+
+/**
+ * Kundli (birth chart) builder
+ * Turns birth details from a saved profile into a sidereal chart:
+ * planet placements, lagna, house cusps, rashi and nakshatra.
+ */
+
+// Ujjain - the traditional prime meridian of Indian astronomy. Used when a
+// profile has no coordinates so that a chart can still be drawn.
+export const DEFAULT_BIRTH_COORDINATES = {
+  latitude: 23.1765,
+  longitude: 75.7885,
+};
+
+// Noon is the conventional assumption when the time of birth is unknown
+const UNKNOWN_TIME_HOUR = 12;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalize birth details from either profile shape used in the app:
+ * AddUserProfile / user record (birthDate, birthTime, birthLocation) or
+ * PreChatForm userInfo (dateOfBirth, timeOfBirth, placeOfBirth). Both shapes
+ * carry the structured place as birthLatitude / birthLongitude / birthTimezone.
+ *
+ * Dates are stored as ISO strings produced by the device date pickers, so the
+ * wall-clock date and time are read back in the device timezone and then
+ * placed in the birth place's timezone, using the offset in force on that date.
+ * Profiles saved before places were structured are matched to the gazetteer
+ * by name.
+ *
+ * @param {Object} profile - Saved profile or user record
+ * @returns {Object|null} Normalized birth details, or null if no date of birth
+ */
+export const getBirthDetailsFromProfile = (profile) => {
+  if (!profile) return null;
+
+  const birthDate = toDate(profile.birthDate || profile.dateOfBirth);
+  if (!birthDate) return null;
+
+  const isTimeOfBirthUnknown = !!profile.isTimeOfBirthUnknown;
+  const birthTime = isTimeOfBirthUnknown ? null : toDate(profile.birthTime || profile.timeOfBirth);
+  const hasTime = !!birthTime;
+
+  const localParts = {
+    year: birthDate.getFullYear(),
+    month: birthDate.getMonth(),
+    day: birthDate.getDate(),
+    hours: hasTime ? birthTime.getHours() : UNKNOWN_TIME_HOUR,
+    minutes: hasTime ? birthTime.getMinutes() : 0,
+  };
+
+  const placeName = profile.birthLocation || profile.placeOfBirth || '';
+  const rawLatitude = profile.birthLatitude ?? profile.latitude;
+  const rawLongitude = profile.birthLongitude ?? profile.longitude;
+  let latitude = Number(rawLatitude);
+  let longitude = Number(rawLongitude);
+  let timezone = profile.birthTimezone || null;
+  let hasCoordinates = rawLatitude != null && rawLongitude != null
+    && Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  if (!hasCoordinates) {
+    const matchedCity = findCityByName(placeName);
+    if (matchedCity) {
+      latitude = matchedCity.latitude;
+      longitude = matchedCity.longitude;
+      timezone = matchedCity.timezone;
+      hasCoordinates = true;
+    }
+  }
+
+  let date;
+  let utcOffsetMinutes;
+  if (timezone) {
+    ({ date, utcOffsetMinutes } = zonedTimeToUtc(localParts, timezone));
+  } else {
+    date = new Date(localParts.year, localParts.month, localParts.day, localParts.hours, localParts.minutes);
+    utcOffsetMinutes = -date.getTimezoneOffset();
+  }
+
+  return {
+    name: profile.name || '',
+    gender: profile.gender || '',
+    placeName,
+    date,
+    localParts,
+    timezone,
+    utcOffsetMinutes,
+    latitude: hasCoordinates ? latitude : DEFAULT_BIRTH_COORDINATES.latitude,
+    longitude: hasCoordinates ? longitude : DEFAULT_BIRTH_COORDINATES.longitude,
+    isTimeOfBirthUnknown: isTimeOfBirthUnknown || !hasTime,
+    isLocationApproximate: !hasCoordinates,
+  };
+};
+
+/**
+ * Build a complete sidereal birth chart
+ * @param {Object} birthDetails - { date, latitude, longitude, isTimeOfBirthUnknown, isLocationApproximate }
+ * @returns {Object} Kundli data
+ */
+export const buildKundli = (birthDetails) => {
+  if (!birthDetails?.date) {
+    throw new Error('Date of birth is required to build a kundli');
+  }
+
+  const { date, latitude, longitude } = birthDetails;
+  const positions = getPlanetaryPositions(date);
+  const { ascendant: ascendantLongitude, midheaven, ayanamsa } = getAscendant(date, latitude, longitude);
+
+  const ascendantRashi = getRashi(ascendantLongitude);
+
+  // Equal houses measured from the lagna degree; the house a planet occupies
+  // follows the whole-sign convention (sign of the lagna = house 1).
+  const houses = Array.from({ length: 12 }, (_, index) => {
+    const cuspLongitude = normalizeDegrees(ascendantLongitude + index * 30);
+    const rashi = getRashi(normalizeDegrees((ascendantRashi.index + index) * 30));
+    return {
+      number: index + 1,
+      cuspLongitude,
+      rashi,
+      planets: [],
+    };
+  });
+
+  const planets = PLANETS.map((planet) => {
+    const { longitude: planetLongitude, speed, isRetrograde } = positions[planet.key];
+    const rashi = getRashi(planetLongitude);
+    const house = ((rashi.index - ascendantRashi.index + 12) % 12) + 1;
+
+    const placement = {
+      ...planet,
+      longitude: planetLongitude,
+      speed,
+      isRetrograde,
+      rashi,
+      nakshatra: getNakshatra(planetLongitude),
+      house,
+    };
+
+    houses[house - 1].planets.push(placement);
+    return placement;
+  });
+
+  const moon = planets.find(planet => planet.key === 'moon');
+  const sun = planets.find(planet => planet.key === 'sun');
+
+  return {
+    birthDetails,
+    ayanamsa,
+    ascendant: {
+      longitude: ascendantLongitude,
+      rashi: ascendantRashi,
+      nakshatra: getNakshatra(ascendantLongitude),
+    },
+    midheaven,
+    planets,
+    houses,
+    moonSign: moon.rashi,
+    sunSign: sun.rashi,
+    nakshatra: moon.nakshatra,
+    // The lagna moves a sign roughly every two hours, so it is unreliable
+    // without a birth time; planetary signs are still usable.
+    isAscendantReliable: !birthDetails.isTimeOfBirthUnknown && !birthDetails.isLocationApproximate,
+  };
+};
+
+/**
+ * Convenience wrapper: build a kundli straight from a saved profile
+ * @param {Object} profile - Saved profile or user record
+ * @returns {Object|null} Kundli data, or null if the profile lacks a birth date
+ */
+export const buildKundliFromProfile = (profile) => {
+  const birthDetails = getBirthDetailsFromProfile(profile);
+  return birthDetails ? buildKundli(birthDetails) : null;
+};
+
+export default {
+  getBirthDetailsFromProfile,
+  buildKundli,
+  buildKundliFromProfile,
+};
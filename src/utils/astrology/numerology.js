@@ -0,0 +1,225 @@
+/**
+ * Numerology
+ * Core numbers from a profile's name and date of birth in the Chaldean
+ * (Indian practice) and Pythagorean systems, plus one-letter spelling
+ * variants of the first name whose number suits the date of birth.
+ */
+
+export const NUMEROLOGY_SYSTEMS = {
+  CHALDEAN: 'chaldean',
+  PYTHAGOREAN: 'pythagorean',
+};
+
+export const SYSTEM_OPTIONS = [
+  { key: NUMEROLOGY_SYSTEMS.CHALDEAN, label: 'Chaldean' },
+  { key: NUMEROLOGY_SYSTEMS.PYTHAGOREAN, label: 'Pythagorean' },
+];
+
+const MASTER_NUMBERS = [11, 22, 33];
+
+// Chaldean values come from sound; 9 is sacred and never assigned to a letter
+const CHALDEAN_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 8, G: 3, H: 5, I: 1,
+  J: 1, K: 2, L: 3, M: 4, N: 5, O: 7, P: 8, Q: 1, R: 2,
+  S: 3, T: 4, U: 6, V: 6, W: 6, X: 5, Y: 1, Z: 7,
+};
+
+// Pythagorean values run 1-9 across the alphabet
+const PYTHAGOREAN_VALUES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').reduce((values, letter, index) => ({
+  ...values,
+  [letter]: (index % 9) + 1,
+}), {});
+
+const LETTER_VALUES = {
+  [NUMEROLOGY_SYSTEMS.CHALDEAN]: CHALDEAN_VALUES,
+  [NUMEROLOGY_SYSTEMS.PYTHAGOREAN]: PYTHAGOREAN_VALUES,
+};
+
+// Y is counted as a consonant throughout
+const VOWELS = ['A', 'E', 'I', 'O', 'U'];
+
+// Friendly numbers by ruling planet, as used for name correction in Indian numerology
+const FRIENDLY_NUMBERS = {
+  1: [1, 2, 3, 5, 9],
+  2: [1, 2, 3, 5],
+  3: [1, 2, 3, 5, 9],
+  4: [1, 4, 5, 6, 7],
+  5: [1, 2, 3, 5, 6],
+  6: [4, 5, 6, 9],
+  7: [1, 4, 5, 7],
+  8: [4, 5, 6, 8],
+  9: [1, 3, 5, 6, 9],
+};
+
+export const NUMBER_MEANINGS = {
+  1: { planet: 'Sun', keywords: 'Leadership, independence, ambition', description: 'A natural leader who likes to start things and take charge.' },
+  2: { planet: 'Moon', keywords: 'Harmony, sensitivity, partnership', description: 'Diplomatic and caring, at your best when working with others.' },
+  3: { planet: 'Jupiter', keywords: 'Wisdom, expression, optimism', description: 'Creative and knowledgeable, with a gift for teaching and inspiring.' },
+  4: { planet: 'Rahu', keywords: 'Discipline, hard work, unconventional', description: 'Practical and determined, building success through steady effort.' },
+  5: { planet: 'Mercury', keywords: 'Communication, versatility, business', description: 'Quick-witted and adaptable, drawn to travel, trade and new ideas.' },
+  6: { planet: 'Venus', keywords: 'Love, beauty, responsibility', description: 'Warm and artistic, devoted to family, comfort and harmony.' },
+  7: { planet: 'Ketu', keywords: 'Intuition, spirituality, research', description: 'Thoughtful and introspective, seeking deeper truths.' },
+  8: { planet: 'Saturn', keywords: 'Patience, justice, endurance', description: 'Serious and persistent; success comes later but lasts.' },
+  9: { planet: 'Mars', keywords: 'Courage, energy, compassion', description: 'Brave and driven, with a strong urge to protect and serve.' },
+  11: { planet: 'Moon', keywords: 'Inspiration, insight, idealism', description: 'A master number of intuition and spiritual insight.' },
+  22: { planet: 'Rahu', keywords: 'Vision, mastery, building', description: 'A master number that turns large dreams into practical reality.' },
+  33: { planet: 'Jupiter', keywords: 'Compassion, guidance, healing', description: 'A master number of selfless service and teaching.' },
+};
+
+const MAX_SUGGESTIONS = 6;
+
+const sumDigits = (number) => String(number).split('').reduce((sum, digit) => sum + Number(digit), 0);
+
+/**
+ * Reduce to a single digit, keeping master numbers unless keepMaster is false
+ */
+export const reduceNumber = (number, keepMaster = true) => {
+  let reduced = number;
+  while (reduced > 9 && !(keepMaster && MASTER_NUMBERS.includes(reduced))) {
+    reduced = sumDigits(reduced);
+  }
+  return reduced;
+};
+
+const toLetters = (name) => (name || '').toUpperCase().replace(/[^A-Z]/g, '').split('');
+
+const sumLetters = (letters, system) => letters.reduce((sum, letter) => sum + LETTER_VALUES[system][letter], 0);
+
+// Compound total kept alongside the reduced number, as Chaldean readings use both
+const toNameNumber = (letters, system) => {
+  const compound = sumLetters(letters, system);
+  return { compound, number: compound > 0 ? reduceNumber(compound) : null };
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Life path number: month, day and year are reduced separately, then added
+ */
+export const calculateLifePath = (birthDate) => {
+  const date = toDate(birthDate);
+  if (!date) return null;
+
+  const month = reduceNumber(date.getMonth() + 1);
+  const day = reduceNumber(date.getDate());
+  const year = reduceNumber(sumDigits(date.getFullYear()));
+  return reduceNumber(month + day + year);
+};
+
+/**
+ * Birth (psychic) number: the day of birth reduced to one digit
+ */
+export const calculateBirthNumber = (birthDate) => {
+  const date = toDate(birthDate);
+  return date ? reduceNumber(date.getDate(), false) : null;
+};
+
+/**
+ * Destiny (expression), soul urge (vowels) and personality (consonants) numbers
+ */
+export const calculateNameNumbers = (name, system = NUMEROLOGY_SYSTEMS.CHALDEAN) => {
+  if (!LETTER_VALUES[system]) {
+    throw new Error(`Unknown numerology system: ${system}`);
+  }
+
+  const letters = toLetters(name);
+  return {
+    destiny: toNameNumber(letters, system),
+    soulUrge: toNameNumber(letters.filter(letter => VOWELS.includes(letter)), system),
+    personality: toNameNumber(letters.filter(letter => !VOWELS.includes(letter)), system),
+  };
+};
+
+/**
+ * Numbers that sit well with both the birth number and the life path
+ */
+export const getFavourableNumbers = (birthNumber, lifePath) => {
+  const lifePathRoot = reduceNumber(lifePath, false);
+  return FRIENDLY_NUMBERS[birthNumber].filter(number => FRIENDLY_NUMBERS[lifePathRoot].includes(number));
+};
+
+const capitalise = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+// One-letter changes to the first name: double a letter, or end with 'a' (Ram -> Rama)
+// or 'h' (Krishna -> Krishnah) as is common in Indian name correction
+const getSpellingVariants = (firstName) => {
+  const upper = firstName.toUpperCase();
+  const variants = new Set();
+
+  for (let index = 0; index < upper.length; index++) {
+    const letter = upper[index];
+    if (!/[A-Z]/.test(letter) || upper[index + 1] === letter || upper[index - 1] === letter) continue;
+    variants.add(upper.slice(0, index + 1) + letter + upper.slice(index + 1));
+  }
+  variants.add(upper + (VOWELS.includes(upper[upper.length - 1]) ? 'H' : 'A'));
+
+  return [...variants].map(capitalise);
+};
+
+/**
+ * Spelling variants of the first name whose destiny number is favourable
+ * @returns {Array} [{ name, number, compound }]
+ */
+export const suggestNameVariants = (name, favourableNumbers, system = NUMEROLOGY_SYSTEMS.CHALDEAN) => {
+  const [firstName, ...rest] = (name || '').trim().split(/\s+/);
+  if (!firstName) return [];
+
+  const surname = rest.join(' ');
+  return getSpellingVariants(firstName)
+    .map(variant => {
+      const fullName = surname ? `${variant} ${surname}` : variant;
+      const { compound, number } = calculateNameNumbers(fullName, system).destiny;
+      return { name: fullName, number: reduceNumber(number, false), compound };
+    })
+    .filter(suggestion => favourableNumbers.includes(suggestion.number))
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Full numerology report for a saved profile or user record
+ * @param {Object} profile - Needs name and birthDate (or dateOfBirth)
+ * @param {string} system - NUMEROLOGY_SYSTEMS value
+ * @returns {Object|null} Report, or null when the name or date of birth is missing
+ */
+export const buildNumerologyReport = (profile, system = NUMEROLOGY_SYSTEMS.CHALDEAN) => {
+  const name = (profile?.name || '').trim();
+  const birthDate = toDate(profile?.birthDate || profile?.dateOfBirth);
+  if (toLetters(name).length === 0 || !birthDate) return null;
+
+  const lifePath = calculateLifePath(birthDate);
+  const birthNumber = calculateBirthNumber(birthDate);
+  const { destiny, soulUrge, personality } = calculateNameNumbers(name, system);
+  const favourableNumbers = getFavourableNumbers(birthNumber, lifePath);
+  const isNameFavourable = favourableNumbers.includes(reduceNumber(destiny.number, false));
+
+  return {
+    name,
+    birthDate,
+    system,
+    lifePath,
+    birthNumber,
+    destiny,
+    soulUrge,
+    personality,
+    favourableNumbers,
+    isNameFavourable,
+    nameSuggestions: isNameFavourable ? [] : suggestNameVariants(name, favourableNumbers, system),
+  };
+};
+
+export default {
+  NUMEROLOGY_SYSTEMS,
+  SYSTEM_OPTIONS,
+  NUMBER_MEANINGS,
+  reduceNumber,
+  calculateLifePath,
+  calculateBirthNumber,
+  calculateNameNumbers,
+  getFavourableNumbers,
+  suggestNameVariants,
+  buildNumerologyReport,
+};
@@ -0,0 +1,222 @@
+import {
+  NAKSHATRA_SPAN,
+  NAKSHATRAS,
+  normalizeDegrees,
+  sinDeg,
+  cosDeg,
+  getRashi,
+  fromJulianDay,
+} from './astroMath';
+import { getSiderealLongitudes } from './ephemeris';
+import { fromZonedParts } from './timezone';
+
+/**
+ * Daily Panchang calculator
+ * The five limbs (tithi, vara, nakshatra, yoga, karana) are taken at local
+ * sunrise, as in printed panchangs, along with the time each one ends.
+ * Rahu Kaal, Gulika and Yamaganda are eighth-parts of the daytime.
+ */
+
+const TITHI_SPAN = 12;
+const YOGA_SPAN = 360 / 27;
+const KARANA_SPAN = 6;
+
+// Apparent sunrise: upper limb on the horizon, with standard refraction
+const SUNRISE_ALTITUDE = -0.833;
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const TITHI_NAMES = [
+  'Pratipada', 'Dwitiya', 'Tritiya', 'Chaturthi', 'Panchami',
+  'Shashthi', 'Saptami', 'Ashtami', 'Navami', 'Dashami',
+  'Ekadashi', 'Dwadashi', 'Trayodashi', 'Chaturdashi',
+];
+
+const YOGA_NAMES = [
+  'Vishkambha', 'Priti', 'Ayushman', 'Saubhagya', 'Shobhana', 'Atiganda',
+  'Sukarma', 'Dhriti', 'Shula', 'Ganda', 'Vriddhi', 'Dhruva', 'Vyaghata',
+  'Harshana', 'Vajra', 'Siddhi', 'Vyatipata', 'Variyana', 'Parigha', 'Shiva',
+  'Siddha', 'Sadhya', 'Shubha', 'Shukla', 'Brahma', 'Indra', 'Vaidhriti',
+];
+
+// Seven movable karanas repeat through the month; four fixed ones fill the ends
+const MOVABLE_KARANAS = ['Bava', 'Balava', 'Kaulava', 'Taitila', 'Garaja', 'Vanija', 'Vishti'];
+
+const VARAS = [
+  { name: 'Ravivara', english: 'Sunday', lord: 'sun' },
+  { name: 'Somavara', english: 'Monday', lord: 'moon' },
+  { name: 'Mangalavara', english: 'Tuesday', lord: 'mars' },
+  { name: 'Budhavara', english: 'Wednesday', lord: 'mercury' },
+  { name: 'Guruvara', english: 'Thursday', lord: 'jupiter' },
+  { name: 'Shukravara', english: 'Friday', lord: 'venus' },
+  { name: 'Shanivara', english: 'Saturday', lord: 'saturn' },
+];
+
+// Which eighth of the daytime (1-based), indexed by weekday (Sunday = 0)
+const RAHU_KAAL_PARTS = [8, 2, 7, 5, 6, 4, 3];
+const GULIKA_PARTS = [7, 6, 5, 4, 3, 2, 1];
+const YAMAGANDA_PARTS = [5, 4, 3, 2, 1, 7, 6];
+
+const getTithiName = (index) => {
+  if (index === 14) return 'Purnima';
+  if (index === 29) return 'Amavasya';
+  return TITHI_NAMES[index % 15];
+};
+
+const getKaranaName = (index) => {
+  if (index === 0) return 'Kimstughna';
+  if (index === 57) return 'Shakuni';
+  if (index === 58) return 'Chatushpada';
+  if (index === 59) return 'Naga';
+  return MOVABLE_KARANAS[(index - 1) % 7];
+};
+
+// Index of each limb from sidereal Sun and Moon longitudes
+const LIMBS = {
+  tithi: ({ sun, moon }) => Math.floor(normalizeDegrees(moon - sun) / TITHI_SPAN),
+  nakshatra: ({ moon }) => Math.floor(moon / NAKSHATRA_SPAN),
+  yoga: ({ sun, moon }) => Math.floor(normalizeDegrees(sun + moon) / YOGA_SPAN),
+  karana: ({ sun, moon }) => Math.floor(normalizeDegrees(moon - sun) / KARANA_SPAN),
+};
+
+const getLimbIndex = (limb, date) => LIMBS[limb](getSiderealLongitudes(date));
+
+/**
+ * Find when a limb moves on from its value at `start`
+ * Steps forward hourly (every limb lasts well over an hour), then bisects
+ * down to the minute.
+ */
+const findLimbEnd = (limb, start, maxHours = 36) => {
+  const startIndex = getLimbIndex(limb, start);
+  let low = start.getTime();
+  let high = null;
+
+  for (let hour = 1; hour <= maxHours; hour++) {
+    const candidate = start.getTime() + hour * HOUR_MS;
+    if (getLimbIndex(limb, new Date(candidate)) !== startIndex) {
+      high = candidate;
+      break;
+    }
+    low = candidate;
+  }
+
+  if (high === null) return null;
+
+  while (high - low > MINUTE_MS) {
+    const middle = (low + high) / 2;
+    if (getLimbIndex(limb, new Date(middle)) === startIndex) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return new Date(high);
+};
+
+/**
+ * Sunrise and sunset for a local calendar date (NOAA-style sunrise equation)
+ * @returns {{ sunrise: Date|null, sunset: Date|null }} null inside polar day/night
+ */
+export const getSunTimes = ({ year, month, day }, latitude, longitude) => {
+  const dayNumber = Math.round(Date.UTC(year, month, day, 12) / 86400000 + 2440587.5 - 2451545.0);
+  const meanSolarNoon = dayNumber - longitude / 360;
+  const meanAnomaly = normalizeDegrees(357.5291 + 0.98560028 * meanSolarNoon);
+  const center = 1.9148 * sinDeg(meanAnomaly)
+    + 0.02 * sinDeg(2 * meanAnomaly)
+    + 0.0003 * sinDeg(3 * meanAnomaly);
+  const eclipticLongitude = normalizeDegrees(meanAnomaly + center + 180 + 102.9372);
+  const transit = 2451545.0 + meanSolarNoon
+    + 0.0053 * sinDeg(meanAnomaly)
+    - 0.0069 * sinDeg(2 * eclipticLongitude);
+
+  const sinDeclination = sinDeg(eclipticLongitude) * sinDeg(23.4397);
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (sinDeg(SUNRISE_ALTITUDE) - sinDeg(latitude) * sinDeclination)
+    / (cosDeg(latitude) * cosDeclination);
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return { sunrise: null, sunset: null };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) * 180 / Math.PI;
+  return {
+    sunrise: fromJulianDay(transit - hourAngle / 360),
+    sunset: fromJulianDay(transit + hourAngle / 360),
+  };
+};
+
+const getDayPart = (sunrise, sunset, part) => {
+  const length = (sunset.getTime() - sunrise.getTime()) / 8;
+  const start = sunrise.getTime() + (part - 1) * length;
+  return {
+    start: new Date(start),
+    end: new Date(start + length),
+  };
+};
+
+/**
+ * Panchang for one local day at a place
+ * @param {Object} params
+ * @param {{year: number, month: number, day: number}} params.date - Local calendar date (month 0-based)
+ * @param {number} params.latitude - North positive
+ * @param {number} params.longitude - East positive
+ * @param {number} params.utcOffsetMinutes - Local offset from UTC, used when the sun never rises
+ * @returns {Object} Panchang for the day
+ */
+export const getPanchang = ({ date, latitude, longitude, utcOffsetMinutes }) => {
+  const { sunrise, sunset } = getSunTimes(date, latitude, longitude);
+  const weekday = new Date(Date.UTC(date.year, date.month, date.day)).getUTCDay();
+
+  // Polar regions: fall back to 6 AM local so the limbs can still be shown
+  const referenceTime = sunrise || fromZonedParts({ ...date, hours: 6 }, utcOffsetMinutes);
+  const longitudes = getSiderealLongitudes(referenceTime);
+
+  const tithiIndex = LIMBS.tithi(longitudes);
+  const nakshatraIndex = LIMBS.nakshatra(longitudes);
+  const yogaIndex = LIMBS.yoga(longitudes);
+  const karanaIndex = LIMBS.karana(longitudes);
+
+  return {
+    date,
+    sunrise,
+    sunset,
+    vara: VARAS[weekday],
+    tithi: {
+      index: tithiIndex,
+      number: (tithiIndex % 15) + 1,
+      name: getTithiName(tithiIndex),
+      paksha: tithiIndex < 15 ? 'Shukla' : 'Krishna',
+      endTime: findLimbEnd('tithi', referenceTime),
+      next: getTithiName((tithiIndex + 1) % 30),
+    },
+    nakshatra: {
+      ...NAKSHATRAS[nakshatraIndex],
+      endTime: findLimbEnd('nakshatra', referenceTime),
+      next: NAKSHATRAS[(nakshatraIndex + 1) % 27].name,
+    },
+    yoga: {
+      index: yogaIndex,
+      name: YOGA_NAMES[yogaIndex],
+      endTime: findLimbEnd('yoga', referenceTime),
+      next: YOGA_NAMES[(yogaIndex + 1) % 27],
+    },
+    karana: {
+      index: karanaIndex,
+      name: getKaranaName(karanaIndex),
+      endTime: findLimbEnd('karana', referenceTime),
+      next: getKaranaName((karanaIndex + 1) % 60),
+    },
+    moonRashi: getRashi(longitudes.moon),
+    sunRashi: getRashi(longitudes.sun),
+    rahuKaal: sunrise && sunset ? getDayPart(sunrise, sunset, RAHU_KAAL_PARTS[weekday]) : null,
+    gulika: sunrise && sunset ? getDayPart(sunrise, sunset, GULIKA_PARTS[weekday]) : null,
+    yamaganda: sunrise && sunset ? getDayPart(sunrise, sunset, YAMAGANDA_PARTS[weekday]) : null,
+  };
+};
+
+export default {
+  getSunTimes,
+  getPanchang,
+};
@@ -0,0 +1,39 @@
+import { RASHIS, normalizeDegrees } from './astroMath';
+import { buildKundliFromProfile } from './kundli';
+
+/**
+ * Personal signs for horoscope readings
+ * Western horoscopes use the tropical Sun sign; Vedic rashiphal uses the
+ * sidereal Moon sign (chandra rashi). Both come from the same birth chart.
+ */
+
+// The Moon covers about 13° a day, so with an unknown birth time (chart cast
+// for noon) it can be up to half of that into the neighbouring sign
+const MOON_HALF_DAY_MOTION = 6.6;
+
+/**
+ * @param {Object} profile - Saved profile or user record
+ * @returns {Object|null} { sunSignKey, moonRashi, isMoonSignUncertain }, or null without a birth date
+ */
+export const getPersonalSigns = (profile) => {
+  const kundli = buildKundliFromProfile(profile);
+  if (!kundli) return null;
+
+  const sun = kundli.planets.find(planet => planet.key === 'sun');
+  const moon = kundli.planets.find(planet => planet.key === 'moon');
+
+  // Adding the ayanamsa back gives the tropical longitude used in western astrology
+  const tropicalSun = normalizeDegrees(sun.longitude + kundli.ayanamsa);
+  const moonDegreeInSign = moon.longitude % 30;
+
+  return {
+    sunSignKey: RASHIS[Math.floor(tropicalSun / 30)].zodiacKey,
+    moonRashi: kundli.moonSign,
+    isMoonSignUncertain: Boolean(kundli.birthDetails.isTimeOfBirthUnknown)
+      && (moonDegreeInSign < MOON_HALF_DAY_MOTION || moonDegreeInSign > 30 - MOON_HALF_DAY_MOTION),
+  };
+};
+
+export default {
+  getPersonalSigns,
+};
@@ -0,0 +1,438 @@
+/**
+ * Time zone helpers for location-based calculations
+ * The JS engine in the app cannot be relied on for IANA zone data, so the
+ * zones used by the bundled city gazetteer are described here as eras of
+ * standard offsets plus daylight-saving rules. Offsets are minutes east of UTC.
+ *
+ * Coverage follows the IANA tz database for India and its neighbours
+ * (including war time and the Nepal / Sri Lanka / Pakistan changes) and the
+ * main DST rules elsewhere from the late 1970s / 1980s on. Earlier DST
+ * experiments outside South Asia are not modelled.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Day of month of the nth Sunday (n = -1 for the last one); month is 0-based
+const nthSunday = (year, month, n) => {
+  if (n === -1) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    return lastDay.getUTCDate() - lastDay.getUTCDay();
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((7 - firstWeekday) % 7) + (n - 1) * 7;
+};
+
+// First Sunday on or after a day of month
+const sundayOnOrAfter = (year, month, day) => {
+  const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  return day + ((7 - weekday) % 7);
+};
+
+// Instant of a wall-clock hour in local standard time
+const atStandardTime = (year, month, day, hour, standardOffset) => (
+  Date.UTC(year, month, day, hour) - standardOffset * 60000
+);
+
+/**
+ * Daylight-saving rules: (year, standardOffset) -> { start, end } as UTC
+ * milliseconds, or null when no DST was observed that year. Southern
+ * hemisphere rules have start > end within the calendar year.
+ */
+const DST_RULES = {
+  // European Union (and the UK since 1981): 01:00 UTC, first Sunday of April
+  // until 1980, then the last Sundays of March and September / October
+  EU: (year) => {
+    if (year < 1977) return null;
+    const startDay = year >= 1981 ? nthSunday(year, 2, -1) : nthSunday(year, 3, 1);
+    const endMonth = year >= 1996 ? 9 : 8;
+    return {
+      start: Date.UTC(year, year >= 1981 ? 2 : 3, startDay, 1),
+      end: Date.UTC(year, endMonth, nthSunday(year, endMonth, -1), 1),
+    };
+  },
+  // United Kingdom and Ireland 1972-1995: ends on the Sunday after the fourth
+  // Saturday of October; starts like the EU from 1981
+  GB: (year) => {
+    if (year < 1972 || year > 1995) return null;
+    const hour = year >= 1981 ? 1 : 2;
+    const startDay = year >= 1981 ? nthSunday(year, 2, -1) : sundayOnOrAfter(year, 2, 16);
+    return {
+      start: Date.UTC(year, 2, startDay, hour),
+      end: Date.UTC(year, 9, sundayOnOrAfter(year, 9, 23), hour),
+    };
+  },
+  // Russia 1981-2010: April to October at first, then EU dates at 02:00
+  // local standard time
+  RU: (year, standardOffset) => {
+    if (year < 1981 || year > 2010) return null;
+    if (year < 1985) {
+      return {
+        start: atStandardTime(year, 3, 1, 0, standardOffset),
+        end: atStandardTime(year, 8, 30, 23, standardOffset),
+      };
+    }
+    const endMonth = year >= 1996 ? 9 : 8;
+    return {
+      start: atStandardTime(year, 2, nthSunday(year, 2, -1), 2, standardOffset),
+      end: atStandardTime(year, endMonth, nthSunday(year, endMonth, -1), 2, standardOffset),
+    };
+  },
+  // United States and Canada: 02:00 local time
+  US: (year, standardOffset) => {
+    if (year < 1967) return null;
+    if (year >= 2007) {
+      return {
+        start: atStandardTime(year, 2, nthSunday(year, 2, 2), 2, standardOffset),
+        end: atStandardTime(year, 10, nthSunday(year, 10, 1), 1, standardOffset),
+      };
+    }
+    const startDay = year >= 1987 ? nthSunday(year, 3, 1) : nthSunday(year, 3, -1);
+    return {
+      start: atStandardTime(year, 3, startDay, 2, standardOffset),
+      end: atStandardTime(year, 9, nthSunday(year, 9, -1), 1, standardOffset),
+    };
+  },
+  // Mexico 1996-2022
+  MX: (year, standardOffset) => {
+    if (year < 1996 || year > 2022) return null;
+    if (year === 2001) {
+      return {
+        start: atStandardTime(year, 4, 6, 2, standardOffset),
+        end: atStandardTime(year, 8, 30, 1, standardOffset),
+      };
+    }
+    return {
+      start: atStandardTime(year, 3, nthSunday(year, 3, 1), 2, standardOffset),
+      end: atStandardTime(year, 9, nthSunday(year, 9, -1), 1, standardOffset),
+    };
+  },
+  // South-east Australia: October to April
+  AU: (year, standardOffset) => {
+    if (year < 1972) return null;
+    if (year >= 2008) {
+      return {
+        start: atStandardTime(year, 9, nthSunday(year, 9, 1), 2, standardOffset),
+        end: atStandardTime(year, 3, nthSunday(year, 3, 1), 2, standardOffset),
+      };
+    }
+
+    let end = [2, nthSunday(year, 2, 1)];
+    if (year >= 1986 && year <= 1989) end = [2, nthSunday(year, 2, 3)];
+    if (year >= 1996) end = [2, nthSunday(year, 2, -1)];
+    if (year === 2006) end = [3, nthSunday(year, 3, 1)];
+
+    return {
+      start: atStandardTime(year, 9, nthSunday(year, 9, -1), 2, standardOffset),
+      end: atStandardTime(year, end[0], end[1], 2, standardOffset),
+    };
+  },
+  // New Zealand
+  NZ: (year, standardOffset) => {
+    if (year < 1975) return null;
+    if (year >= 2007) {
+      return {
+        start: atStandardTime(year, 8, nthSunday(year, 8, -1), 2, standardOffset),
+        end: atStandardTime(year, 3, nthSunday(year, 3, 1), 2, standardOffset),
+      };
+    }
+    if (year >= 1990) {
+      return {
+        start: atStandardTime(year, 9, nthSunday(year, 9, 1), 2, standardOffset),
+        end: atStandardTime(year, 2, nthSunday(year, 2, 3), 2, standardOffset),
+      };
+    }
+    return {
+      start: atStandardTime(year, 9, nthSunday(year, 9, year === 1989 ? 2 : -1), 2, standardOffset),
+      end: atStandardTime(year, 2, nthSunday(year, 2, 1), 2, standardOffset),
+    };
+  },
+  // China 1986-1991
+  PRC: (year, standardOffset) => {
+    const periods = {
+      1986: [[4, 4], [8, 14]],
+      1987: [[3, 12], [8, 13]],
+      1988: [[3, 17], [8, 11]],
+      1989: [[3, 16], [8, 17]],
+      1990: [[3, 15], [8, 16]],
+      1991: [[3, 14], [8, 15]],
+    };
+    const period = periods[year];
+    if (!period) return null;
+    return {
+      start: atStandardTime(year, period[0][0], period[0][1], 2, standardOffset),
+      end: atStandardTime(year, period[1][0], period[1][1], 1, standardOffset),
+    };
+  },
+};
+
+/**
+ * Zone definitions: eras ordered by time. `until` is the UTC instant an era
+ * ends (omitted for the current era); `rule` names a DST rule.
+ */
+const ZONES = {
+  'Asia/Kolkata': [
+    { until: Date.UTC(1905, 11, 31, 18, 39), offset: 321 },
+    { until: Date.UTC(1941, 8, 30, 18, 30), offset: 330 },
+    { until: Date.UTC(1942, 4, 14, 17, 30), offset: 390 },
+    { until: Date.UTC(1942, 7, 31, 18, 30), offset: 330 },
+    { until: Date.UTC(1945, 9, 14, 17, 30), offset: 390 },
+    { offset: 330 },
+  ],
+  'Asia/Kathmandu': [
+    { until: Date.UTC(1919, 11, 31, 18, 19), offset: 341 },
+    { until: Date.UTC(1985, 11, 31, 18, 30), offset: 330 },
+    { offset: 345 },
+  ],
+  'Asia/Dhaka': [
+    { until: Date.UTC(1941, 8, 30, 18, 7), offset: 353 },
+    { until: Date.UTC(1942, 4, 14, 17, 30), offset: 390 },
+    { until: Date.UTC(1942, 7, 31, 18, 30), offset: 330 },
+    { until: Date.UTC(1951, 8, 29, 17, 30), offset: 390 },
+    { until: Date.UTC(2009, 5, 19, 17), offset: 360 },
+    { until: Date.UTC(2009, 11, 31, 16), offset: 420 },
+    { offset: 360 },
+  ],
+  'Asia/Karachi': [
+    { until: Date.UTC(1942, 7, 31, 18, 30), offset: 330 },
+    { until: Date.UTC(1945, 9, 14, 17, 30), offset: 390 },
+    { until: Date.UTC(1951, 8, 29, 18, 30), offset: 330 },
+    { until: Date.UTC(2002, 3, 6, 19), offset: 300 },
+    { until: Date.UTC(2002, 9, 5, 18), offset: 360 },
+    { until: Date.UTC(2008, 4, 31, 19), offset: 300 },
+    { until: Date.UTC(2008, 9, 31, 18), offset: 360 },
+    { until: Date.UTC(2009, 3, 14, 19), offset: 300 },
+    { until: Date.UTC(2009, 9, 31, 18), offset: 360 },
+    { offset: 300 },
+  ],
+  'Asia/Colombo': [
+    { until: Date.UTC(1942, 0, 4, 18, 30), offset: 330 },
+    { until: Date.UTC(1942, 7, 31, 18), offset: 360 },
+    { until: Date.UTC(1945, 9, 15, 19, 30), offset: 390 },
+    { until: Date.UTC(1996, 4, 24, 18, 30), offset: 330 },
+    { until: Date.UTC(1996, 9, 25, 18), offset: 390 },
+    { until: Date.UTC(2006, 3, 14, 18, 30), offset: 360 },
+    { offset: 330 },
+  ],
+  'Asia/Thimphu': [
+    { until: Date.UTC(1987, 8, 30, 18, 30), offset: 330 },
+    { offset: 360 },
+  ],
+  'Indian/Maldives': [{ offset: 300 }],
+  'Asia/Kabul': [
+    { until: Date.UTC(1944, 11, 31, 20), offset: 240 },
+    { offset: 270 },
+  ],
+  'Asia/Dubai': [{ offset: 240 }],
+  'Asia/Muscat': [{ offset: 240 }],
+  'Asia/Qatar': [
+    { until: Date.UTC(1972, 4, 31, 20), offset: 240 },
+    { offset: 180 },
+  ],
+  'Asia/Bahrain': [
+    { until: Date.UTC(1972, 4, 31, 20), offset: 240 },
+    { offset: 180 },
+  ],
+  'Asia/Kuwait': [{ offset: 180 }],
+  'Asia/Riyadh': [{ offset: 180 }],
+  'Asia/Singapore': [
+    { until: Date.UTC(1942, 1, 15, 16, 30), offset: 450 },
+    { until: Date.UTC(1945, 8, 11, 15), offset: 540 },
+    { until: Date.UTC(1981, 11, 31, 16, 30), offset: 450 },
+    { offset: 480 },
+  ],
+  'Asia/Kuala_Lumpur': [
+    { until: Date.UTC(1942, 1, 15, 16, 30), offset: 450 },
+    { until: Date.UTC(1945, 8, 11, 15), offset: 540 },
+    { until: Date.UTC(1981, 11, 31, 16, 30), offset: 450 },
+    { offset: 480 },
+  ],
+  'Asia/Bangkok': [{ offset: 420 }],
+  'Asia/Jakarta': [
+    { until: Date.UTC(1950, 3, 30, 16, 30), offset: 480 },
+    { until: Date.UTC(1963, 11, 31, 16, 30), offset: 450 },
+    { offset: 420 },
+  ],
+  'Asia/Hong_Kong': [{ offset: 480 }],
+  'Asia/Shanghai': [{ offset: 480, rule: 'PRC' }],
+  'Asia/Tokyo': [{ offset: 540 }],
+  'Asia/Manila': [{ offset: 480 }],
+  'Europe/London': [
+    { until: Date.UTC(1968, 1, 18, 2), offset: 0 },
+    { until: Date.UTC(1971, 9, 31, 2), offset: 60 },
+    { until: Date.UTC(1996, 0, 1), offset: 0, rule: 'GB' },
+    { offset: 0, rule: 'EU' },
+  ],
+  'Europe/Dublin': [
+    { until: Date.UTC(1996, 0, 1), offset: 0, rule: 'GB' },
+    { offset: 0, rule: 'EU' },
+  ],
+  'Europe/Paris': [{ offset: 60, rule: 'EU' }],
+  'Europe/Berlin': [{ offset: 60, rule: 'EU' }],
+  'Europe/Amsterdam': [{ offset: 60, rule: 'EU' }],
+  'Europe/Brussels': [{ offset: 60, rule: 'EU' }],
+  'Europe/Zurich': [{ offset: 60, rule: 'EU' }],
+  'Europe/Rome': [{ offset: 60, rule: 'EU' }],
+  'Europe/Madrid': [{ offset: 60, rule: 'EU' }],
+  'Europe/Vienna': [{ offset: 60, rule: 'EU' }],
+  'Europe/Stockholm': [{ offset: 60, rule: 'EU' }],
+  'Europe/Oslo': [{ offset: 60, rule: 'EU' }],
+  'Europe/Copenhagen': [{ offset: 60, rule: 'EU' }],
+  'Europe/Warsaw': [{ offset: 60, rule: 'EU' }],
+  'Europe/Athens': [{ offset: 120, rule: 'EU' }],
+  'Europe/Istanbul': [
+    { until: Date.UTC(1985, 3, 19, 21), offset: 180 },
+    { until: Date.UTC(2016, 8, 6, 21), offset: 120, rule: 'EU' },
+    { offset: 180 },
+  ],
+  'Europe/Moscow': [
+    { until: Date.UTC(2011, 2, 26, 23), offset: 180, rule: 'RU' },
+    { until: Date.UTC(2014, 9, 25, 22), offset: 240 },
+    { offset: 180 },
+  ],
+  'America/New_York': [{ offset: -300, rule: 'US' }],
+  'America/Toronto': [{ offset: -300, rule: 'US' }],
+  'America/Chicago': [{ offset: -360, rule: 'US' }],
+  'America/Denver': [{ offset: -420, rule: 'US' }],
+  'America/Edmonton': [{ offset: -420, rule: 'US' }],
+  'America/Phoenix': [{ offset: -420 }],
+  'America/Los_Angeles': [{ offset: -480, rule: 'US' }],
+  'America/Vancouver': [{ offset: -480, rule: 'US' }],
+  'America/Mexico_City': [{ offset: -360, rule: 'MX' }],
+  'America/Port_of_Spain': [{ offset: -240 }],
+  'America/Guyana': [
+    { until: Date.UTC(1975, 7, 1, 3, 45), offset: -225 },
+    { until: Date.UTC(1992, 2, 29, 4), offset: -180 },
+    { offset: -240 },
+  ],
+  'America/Paramaribo': [
+    { until: Date.UTC(1984, 9, 1, 3, 30), offset: -210 },
+    { offset: -180 },
+  ],
+  'Africa/Johannesburg': [{ offset: 120 }],
+  'Africa/Nairobi': [{ offset: 180 }],
+  'Africa/Dar_es_Salaam': [{ offset: 180 }],
+  'Africa/Kampala': [{ offset: 180 }],
+  'Africa/Lagos': [{ offset: 60 }],
+  'Indian/Mauritius': [{ offset: 240 }],
+  'Australia/Sydney': [{ offset: 600, rule: 'AU' }],
+  'Australia/Melbourne': [{ offset: 600, rule: 'AU' }],
+  'Australia/Adelaide': [{ offset: 570, rule: 'AU' }],
+  'Australia/Brisbane': [{ offset: 600 }],
+  'Australia/Perth': [{ offset: 480 }],
+  'Pacific/Auckland': [{ offset: 720, rule: 'NZ' }],
+};
+
+const isDaylightSaving = (ruleKey, time, standardOffset) => {
+  const rule = DST_RULES[ruleKey];
+  if (!rule) return false;
+
+  const year = new Date(time + standardOffset * 60000).getUTCFullYear();
+  const period = rule(year, standardOffset);
+  if (!period) return false;
+
+  if (period.start < period.end) {
+    return time >= period.start && time < period.end;
+  }
+  // Southern hemisphere: DST spans the new year
+  return time >= period.start || time < period.end;
+};
+
+export const isSupportedTimezone = (timezone) => Boolean(ZONES[timezone]);
+
+/**
+ * UTC offset in minutes for a zone at an instant
+ * @param {string} timezone - IANA zone name
+ * @param {Date} date - Instant the offset applies to
+ */
+export const getUtcOffsetMinutes = (timezone = DEFAULT_TIMEZONE, date = new Date()) => {
+  const eras = ZONES[timezone];
+  if (!eras) {
+    // Unknown zone: fall back to the device offset for that date
+    return -date.getTimezoneOffset();
+  }
+
+  const time = date.getTime();
+  const era = eras.find(candidate => candidate.until === undefined || time < candidate.until);
+  const daylightSaving = era.rule && isDaylightSaving(era.rule, time, era.offset);
+
+  return era.offset + (daylightSaving ? 60 : 0);
+};
+
+/**
+ * Calendar fields of an instant as seen in a fixed UTC offset
+ */
+export const toZonedParts = (date, offsetMinutes) => {
+  const shifted = new Date(date.getTime() + offsetMinutes * 60000);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate(),
+    hours: shifted.getUTCHours(),
+    minutes: shifted.getUTCMinutes(),
+    weekday: shifted.getUTCDay(),
+  };
+};
+
+/**
+ * Instant for a wall-clock time in a fixed UTC offset
+ */
+export const fromZonedParts = ({ year, month, day, hours = 0, minutes = 0 }, offsetMinutes) => {
+  return new Date(Date.UTC(year, month, day, hours, minutes) - offsetMinutes * 60000);
+};
+
+/**
+ * Instant for a wall-clock time in a zone, honouring the offset in force then
+ * (e.g. a 1943 birth in Mumbai was recorded in +06:30 war time)
+ * @param {Object} parts - { year, month (0-based), day, hours, minutes }
+ * @param {string} timezone - IANA zone name
+ * @returns {{ date: Date, utcOffsetMinutes: number }}
+ */
+export const zonedTimeToUtc = (parts, timezone = DEFAULT_TIMEZONE) => {
+  const wallClock = Date.UTC(parts.year, parts.month, parts.day, parts.hours || 0, parts.minutes || 0);
+
+  // Guess with the offset at the wall-clock instant, then correct once in
+  // case that guess crossed a transition
+  let utcOffsetMinutes = getUtcOffsetMinutes(timezone, new Date(wallClock));
+  const corrected = getUtcOffsetMinutes(timezone, new Date(wallClock - utcOffsetMinutes * 60000));
+  if (corrected !== utcOffsetMinutes) {
+    utcOffsetMinutes = corrected;
+  }
+
+  return {
+    date: new Date(wallClock - utcOffsetMinutes * 60000),
+    utcOffsetMinutes,
+  };
+};
+
+/**
+ * Format an offset as "UTC+05:30"
+ */
+export const formatUtcOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `UTC${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Format an instant as "6:42 AM" in a fixed UTC offset
+ */
+export const formatZonedTime = (date, offsetMinutes) => {
+  if (!date) return '--';
+  const { hours, minutes } = toZonedParts(date, offsetMinutes);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${period}`;
+};
+
+export default {
+  DEFAULT_TIMEZONE,
+  isSupportedTimezone,
+  getUtcOffsetMinutes,
+  toZonedParts,
+  fromZonedParts,
+  zonedTimeToUtc,
+  formatUtcOffset,
+  formatZonedTime,
+};
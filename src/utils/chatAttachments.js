@@ -0,0 +1,262 @@
+import { Alert } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system/legacy';
+import { chatAttachmentsAPI } from '../services/api';
+
+/**
+ * Chat attachments
+ * Picking, compressing and uploading the images, PDFs and voice notes users
+ * share in chat sessions. The uploaded file URL is then sent as a normal chat
+ * message with messageType 'image', 'document' or 'audio'.
+ */
+
+export const ATTACHMENT_TYPES = {
+  IMAGE: 'image',
+  DOCUMENT: 'document',
+  AUDIO: 'audio',
+};
+
+export const ATTACHMENT_SOURCES = {
+  CAMERA: 'camera',
+  LIBRARY: 'library',
+  DOCUMENT: 'document',
+};
+
+export const ATTACHMENT_LIMITS = {
+  maxFileBytes: 10 * 1024 * 1024,
+  maxSessionBytes: 25 * 1024 * 1024,
+  maxSessionFiles: 10,
+};
+
+// Palm lines and handwriting stay legible at this size
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.7;
+
+const MAX_UPLOAD_ATTEMPTS = 3;
+const RETRY_BASE_DELAY = 1000;
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Readable text sent as the message content, for clients and previews that
+ * do not render attachments
+ */
+export const getAttachmentLabel = (messageType, attachment) => {
+  if (messageType === ATTACHMENT_TYPES.IMAGE) return '📷 Photo';
+  if (messageType === ATTACHMENT_TYPES.AUDIO) return `🎤 Voice note (${formatDuration(attachment?.durationMs)})`;
+  return `📄 ${attachment?.name || 'Document'}`;
+};
+
+export const getFileSize = async (uri, fallbackSize) => {
+  try {
+    const info = await FileSystem.getInfoAsync(uri);
+    return info.exists ? info.size : fallbackSize;
+  } catch (error) {
+    console.warn('⚠️ [ChatAttachments] Could not read file size:', error);
+    return fallbackSize;
+  }
+};
+
+const requestPermission = async (source) => {
+  const { status } = source === ATTACHMENT_SOURCES.CAMERA
+    ? await ImagePicker.requestCameraPermissionsAsync()
+    : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+  if (status !== 'granted') {
+    Alert.alert(
+      'Permission Required',
+      source === ATTACHMENT_SOURCES.CAMERA
+        ? 'Please allow camera access in your device settings to take a photo.'
+        : 'Please allow photo access in your device settings to share an image.'
+    );
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Let the user capture or pick an image, or pick a PDF
+ * @returns {Promise<Object|null>} { type, uri, name, mimeType, size, width, height }, or null if cancelled
+ */
+export const pickAttachment = async (source) => {
+  if (source === ATTACHMENT_SOURCES.DOCUMENT) {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: 'application/pdf',
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled || !result.assets?.[0]) return null;
+
+    const document = result.assets[0];
+    return {
+      type: ATTACHMENT_TYPES.DOCUMENT,
+      uri: document.uri,
+      name: document.name || 'document.pdf',
+      mimeType: document.mimeType || 'application/pdf',
+      size: document.size || await getFileSize(document.uri, 0),
+    };
+  }
+
+  if (!(await requestPermission(source))) return null;
+
+  const pickerOptions = { mediaTypes: ['images'], quality: 1 };
+  const result = source === ATTACHMENT_SOURCES.CAMERA
+    ? await ImagePicker.launchCameraAsync(pickerOptions)
+    : await ImagePicker.launchImageLibraryAsync(pickerOptions);
+  if (result.canceled || !result.assets?.[0]) return null;
+
+  const image = result.assets[0];
+  return {
+    type: ATTACHMENT_TYPES.IMAGE,
+    uri: image.uri,
+    name: image.fileName || `photo_${Date.now()}.jpg`,
+    mimeType: image.mimeType || 'image/jpeg',
+    size: image.fileSize || 0,
+    width: image.width,
+    height: image.height,
+  };
+};
+
+/**
+ * Downscale and recompress images before upload; PDFs are sent as they are
+ */
+export const compressAttachment = async (file) => {
+  if (file.type !== ATTACHMENT_TYPES.IMAGE) return file;
+
+  try {
+    const longestSide = Math.max(file.width || 0, file.height || 0);
+    const actions = longestSide > MAX_IMAGE_DIMENSION
+      ? [{ resize: file.width >= file.height ? { width: MAX_IMAGE_DIMENSION } : { height: MAX_IMAGE_DIMENSION } }]
+      : [];
+
+    const compressed = await ImageManipulator.manipulateAsync(file.uri, actions, {
+      compress: IMAGE_QUALITY,
+      format: ImageManipulator.SaveFormat.JPEG,
+    });
+
+    return {
+      ...file,
+      uri: compressed.uri,
+      width: compressed.width,
+      height: compressed.height,
+      mimeType: 'image/jpeg',
+      name: file.name.replace(/\.\w+$/, '') + '.jpg',
+      size: await getFileSize(compressed.uri, file.size),
+    };
+  } catch (error) {
+    console.error('❌ [ChatAttachments] Compression failed, sending original:', error);
+    return file;
+  }
+};
+
+/**
+ * Attachments already sent (or being sent) by the user in this session
+ */
+export const getSessionAttachmentUsage = (messages) => messages
+  .filter(message => message.senderType === 'user' && message.attachment && message.status !== 'failed')
+  .reduce((usage, message) => ({
+    files: usage.files + 1,
+    bytes: usage.bytes + (message.attachment.size || 0),
+  }), { files: 0, bytes: 0 });
+
+/**
+ * Check a file against the per-file and per-session limits
+ * @returns {string|null} Reason the file cannot be sent, or null if it fits
+ */
+export const validateAttachment = (file, messages) => {
+  const usage = getSessionAttachmentUsage(messages);
+
+  if (file.size > ATTACHMENT_LIMITS.maxFileBytes) {
+    return `This file is ${formatFileSize(file.size)}. Files up to ${formatFileSize(ATTACHMENT_LIMITS.maxFileBytes)} can be shared.`;
+  }
+  if (usage.files >= ATTACHMENT_LIMITS.maxSessionFiles) {
+    return `You can share up to ${ATTACHMENT_LIMITS.maxSessionFiles} files in one session.`;
+  }
+  if (usage.bytes + file.size > ATTACHMENT_LIMITS.maxSessionBytes) {
+    const remaining = Math.max(0, ATTACHMENT_LIMITS.maxSessionBytes - usage.bytes);
+    return `Only ${formatFileSize(remaining)} of attachment space is left for this session.`;
+  }
+  return null;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Upload a file for a consultation, retrying transient failures
+ * @param {Object} options - { bookingId or freeChatId, sessionId, file, onProgress(fraction), signal }
+ * @returns {Promise<Object>} Uploaded attachment { url, name, mimeType, size, width, height }
+ */
+export const uploadAttachment = async ({ bookingId, freeChatId, sessionId, file, onProgress, signal }) => {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_UPLOAD_ATTEMPTS; attempt++) {
+    if (signal?.aborted) break;
+
+    try {
+      const formData = new FormData();
+      formData.append('file', { uri: file.uri, name: file.name, type: file.mimeType });
+      if (bookingId) formData.append('bookingId', bookingId);
+      if (freeChatId) formData.append('freeChatId', freeChatId);
+      if (sessionId) formData.append('sessionId', sessionId);
+      formData.append('attachmentType', file.type);
+
+      const response = await chatAttachmentsAPI.upload(formData, {
+        signal,
+        onUploadProgress: (event) => {
+          if (event.total) onProgress?.(event.loaded / event.total);
+        },
+      });
+
+      const uploaded = response?.data;
+      if (!response?.success || !uploaded?.url) {
+        throw new Error(response?.message || 'Upload did not return a file URL');
+      }
+
+      return {
+        url: uploaded.url,
+        thumbnailUrl: uploaded.thumbnailUrl || null,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: uploaded.size || file.size,
+        width: file.width,
+        height: file.height,
+      };
+    } catch (error) {
+      lastError = error;
+      if (signal?.aborted) break;
+
+      console.warn(`⚠️ [ChatAttachments] Upload attempt ${attempt}/${MAX_UPLOAD_ATTEMPTS} failed:`, error.message);
+      if (attempt < MAX_UPLOAD_ATTEMPTS) {
+        onProgress?.(0);
+        await wait(RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+
+  throw lastError || new Error('Upload cancelled');
+};
+
+export default {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_SOURCES,
+  ATTACHMENT_LIMITS,
+  formatFileSize,
+  formatDuration,
+  getAttachmentLabel,
+  getFileSize,
+  pickAttachment,
+  compressAttachment,
+  getSessionAttachmentUsage,
+  validateAttachment,
+  uploadAttachment,
+};
@@ -0,0 +1,78 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Chat composer drafts
+ * Unsent text is kept per chat room so switching apps, a reconnect remount or
+ * leaving the screen never throws away a half-typed question.
+ */
+
+const STORAGE_KEY = 'chat_composer_drafts';
+
+// A draft for a session that is long over is of no use
+const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+let drafts = null; // roomId -> { text, updatedAt }, loaded lazily
+let loadPromise = null;
+let writeQueue = Promise.resolve();
+
+const loadDrafts = () => {
+  if (drafts) return Promise.resolve(drafts);
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      let stored = {};
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        console.error('❌ [Drafts] Error reading drafts:', error);
+      }
+
+      const cutoff = Date.now() - DRAFT_TTL;
+      drafts = Object.keys(stored).reduce((fresh, roomId) => {
+        if (stored[roomId].updatedAt > cutoff) fresh[roomId] = stored[roomId];
+        return fresh;
+      }, {});
+      return drafts;
+    })();
+  }
+  return loadPromise;
+};
+
+// Writes are serialised so a quick save-then-clear lands in order
+const persist = () => {
+  writeQueue = writeQueue
+    .then(() => AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(drafts)))
+    .catch(error => console.error('❌ [Drafts] Error saving drafts:', error));
+  return writeQueue;
+};
+
+export const getDraft = async (roomId) => {
+  if (!roomId) return '';
+  const all = await loadDrafts();
+  return all[roomId]?.text || '';
+};
+
+/**
+ * Save the composer text for a room; empty text removes the draft
+ */
+export const saveDraft = async (roomId, text) => {
+  if (!roomId) return;
+  const all = await loadDrafts();
+
+  if (text && text.trim()) {
+    all[roomId] = { text, updatedAt: Date.now() };
+  } else if (all[roomId]) {
+    delete all[roomId];
+  } else {
+    return;
+  }
+  await persist();
+};
+
+export const clearDraft = (roomId) => saveDraft(roomId, '');
+
+export default {
+  getDraft,
+  saveDraft,
+  clearDraft,
+};
@@ -0,0 +1,308 @@
+import { getMessageSeq, mergeSyncedMessages, orderMessages } from './messageSync';
+import { applyReaction, matchesMessageId } from './messageActions';
+
+/**
+ * Chat engine core
+ * The parts of a chat session that do not depend on React or on whether the
+ * session is paid, free or prepaid: the connection/session state machine,
+ * the message store and the session timer. useChatSession binds these to a
+ * socket adapter (utils/chatSocketAdapter) and the chat screens render them.
+ */
+
+// ===== STATE MACHINE =====
+
+export const CHAT_PHASES = {
+  CONNECTING: 'connecting', // First connection, nothing to show yet
+  WAITING: 'waiting', // In the room, session not started
+  ACTIVE: 'active', // Session running
+  RECONNECTING: 'reconnecting', // Connection lost during a running session
+  OFFLINE: 'offline', // Connection lost (or never made) before the session started
+  ENDED: 'ended', // Terminal
+};
+
+export const CHAT_EVENTS = {
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  CONNECT_TIMEOUT: 'connect_timeout',
+  SESSION_STARTED: 'session_started',
+  SESSION_ENDED: 'session_ended',
+};
+
+const TRANSITIONS = {
+  [CHAT_PHASES.CONNECTING]: {
+    [CHAT_EVENTS.CONNECTED]: CHAT_PHASES.WAITING,
+    [CHAT_EVENTS.CONNECT_TIMEOUT]: CHAT_PHASES.OFFLINE,
+    [CHAT_EVENTS.SESSION_STARTED]: CHAT_PHASES.ACTIVE,
+    [CHAT_EVENTS.SESSION_ENDED]: CHAT_PHASES.ENDED,
+  },
+  [CHAT_PHASES.WAITING]: {
+    [CHAT_EVENTS.DISCONNECTED]: CHAT_PHASES.OFFLINE,
+    [CHAT_EVENTS.SESSION_STARTED]: CHAT_PHASES.ACTIVE,
+    [CHAT_EVENTS.SESSION_ENDED]: CHAT_PHASES.ENDED,
+  },
+  [CHAT_PHASES.ACTIVE]: {
+    [CHAT_EVENTS.DISCONNECTED]: CHAT_PHASES.RECONNECTING,
+    [CHAT_EVENTS.SESSION_ENDED]: CHAT_PHASES.ENDED,
+  },
+  [CHAT_PHASES.RECONNECTING]: {
+    // The session carries on across a reconnect; a status check or the server ends it if not
+    [CHAT_EVENTS.CONNECTED]: CHAT_PHASES.ACTIVE,
+    [CHAT_EVENTS.SESSION_STARTED]: CHAT_PHASES.ACTIVE,
+    [CHAT_EVENTS.SESSION_ENDED]: CHAT_PHASES.ENDED,
+  },
+  [CHAT_PHASES.OFFLINE]: {
+    [CHAT_EVENTS.CONNECTED]: CHAT_PHASES.WAITING,
+    [CHAT_EVENTS.SESSION_STARTED]: CHAT_PHASES.ACTIVE,
+    [CHAT_EVENTS.SESSION_ENDED]: CHAT_PHASES.ENDED,
+  },
+  [CHAT_PHASES.ENDED]: {},
+};
+
+/**
+ * Next phase for an event; events that do not apply leave the phase unchanged
+ */
+export const transitionChatPhase = (phase, event) => TRANSITIONS[phase]?.[event] || phase;
+
+/**
+ * Flags the screens render from
+ */
+export const getPhaseFlags = (phase) => ({
+  loading: phase === CHAT_PHASES.CONNECTING,
+  connected: phase === CHAT_PHASES.WAITING || phase === CHAT_PHASES.ACTIVE,
+  sessionActive: phase === CHAT_PHASES.ACTIVE || phase === CHAT_PHASES.RECONNECTING,
+  sessionEnded: phase === CHAT_PHASES.ENDED,
+});
+
+// ===== MESSAGE STORE =====
+
+export const MESSAGE_ACTIONS = {
+  APPEND: 'append',
+  UPDATE: 'update',
+  MERGE: 'merge',
+  MERGE_OWN_ECHO: 'merge_own_echo',
+  RESTORE: 'restore',
+  RECEIPT: 'receipt',
+  REACTION: 'reaction',
+};
+
+// Receipts only move a message forward
+const RECEIPT_RANK = {
+  delivered: 3,
+  read: 4,
+};
+const CURRENT_RANK = {
+  queued: 0,
+  uploading: 0,
+  sending: 1,
+  failed: 1,
+  sent: 2,
+  delivered: 3,
+  read: 4,
+};
+
+/**
+ * Reducer for a chat's message list. Every path keeps the list ordered by
+ * server sequence (see utils/messageSync).
+ */
+export const chatMessagesReducer = (messages, action) => {
+  switch (action.type) {
+    case MESSAGE_ACTIONS.APPEND:
+      return [...messages, action.message];
+
+    case MESSAGE_ACTIONS.UPDATE:
+      return messages.map(message => {
+        if (message.id !== action.id) return message;
+        const changes = typeof action.changes === 'function' ? action.changes(message) : action.changes;
+        return { ...message, ...changes };
+      });
+
+    case MESSAGE_ACTIONS.MERGE:
+      return action.messages.length > 0 ? mergeSyncedMessages(messages, action.messages) : messages;
+
+    // The server echoes our own messages back - only used to pick up their seq
+    case MESSAGE_ACTIONS.MERGE_OWN_ECHO:
+      return messages.some(message => message.id === action.message.id || message.id === action.message.clientMessageId)
+        ? mergeSyncedMessages(messages, [action.message])
+        : messages;
+
+    case MESSAGE_ACTIONS.RESTORE: {
+      const existingIds = new Set(messages.map(message => message.id));
+      const restored = action.messages.filter(message => !existingIds.has(message.id));
+      return restored.length > 0 ? orderMessages([...messages, ...restored]) : messages;
+    }
+
+    case MESSAGE_ACTIONS.RECEIPT:
+      return messages.map(message => {
+        if (!matchesMessageId(message, action.messageId)) return message;
+        if ((CURRENT_RANK[message.status] ?? -1) >= RECEIPT_RANK[action.status]) return message;
+        return {
+          ...message,
+          status: action.status,
+          [action.status === 'read' ? 'readAt' : 'deliveredAt']: new Date(),
+        };
+      });
+
+    case MESSAGE_ACTIONS.REACTION:
+      return messages.map(message =>
+        matchesMessageId(message, action.messageId)
+          ? applyReaction(message, action.senderType, action.reaction)
+          : message
+      );
+
+    default:
+      return messages;
+  }
+};
+
+/**
+ * Map a server message (any of the field spellings the backend has used)
+ * onto the shape the chat renders
+ */
+export const normalizeChatMessage = (raw, userId) => {
+  const isOwnMessage = raw.senderId === userId || raw.senderType === 'user' || raw.senderRole === 'user';
+  return {
+    id: raw.id || raw._id || raw.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    clientMessageId: raw.clientMessageId || null,
+    seq: getMessageSeq(raw),
+    content: raw.content || raw.text || raw.message || '',
+    senderId: raw.senderId || raw.sender,
+    senderType: isOwnMessage ? 'user' : (raw.senderType || raw.senderRole || 'astrologer'),
+    timestamp: raw.timestamp || raw.createdAt || new Date().toISOString(),
+    status: raw.status || (isOwnMessage ? 'sent' : 'received'),
+    messageType: raw.messageType || raw.type || 'text',
+    attachment: raw.attachment || null,
+    replyTo: raw.replyTo || null,
+    reactions: raw.reactions || {},
+  };
+};
+
+// ===== TIMER BINDING =====
+
+/**
+ * Session timer fed by the server's timer events.
+ * With `localCountdown` the timer also ticks every second from the session
+ * start time between server updates and calls onExpire when it runs out;
+ * without it the display follows the server updates only. Given a session
+ * clock (utils/sessionClock) the start is anchored on server time and every
+ * update is checked against the running local count. Until a reading
+ * brings a duration the timer counts up with a null `remaining`.
+ * @param {Object} options
+ * @param {Boolean} options.localCountdown
+ * @param {Object} options.clock - createSessionClock() instance
+ * @param {Function} options.onChange - Called with { elapsed, duration, remaining, isActive }
+ * @param {Function} options.onExpire - Called once when a local countdown reaches zero
+ */
+export const createSessionTimer = ({ localCountdown = false, clock = null, onChange, onExpire }) => {
+  let state = { elapsed: 0, duration: null, remaining: null, isActive: false };
+  let startTime = null;
+  let interval = null;
+  let expired = false;
+
+  const emit = (next) => {
+    state = next;
+    onChange?.(state);
+  };
+
+  const stopInterval = () => {
+    clearInterval(interval);
+    interval = null;
+  };
+
+  const tick = () => {
+    const counted = Math.floor((Date.now() - startTime) / 1000);
+    if (state.duration == null) {
+      emit({ ...state, elapsed: counted, remaining: null, isActive: true });
+      return;
+    }
+
+    const elapsed = Math.min(state.duration, counted);
+    const remaining = Math.max(0, state.duration - elapsed);
+    emit({ ...state, elapsed, remaining, isActive: remaining > 0 });
+
+    if (remaining <= 0) {
+      stopInterval();
+      if (!expired) {
+        expired = true;
+        onExpire?.();
+      }
+    }
+  };
+
+  const startCountdown = () => {
+    stopInterval();
+    if (!localCountdown || !startTime || !state.isActive) return;
+    interval = setInterval(tick, 1000);
+  };
+
+  return {
+    /**
+     * Apply a server timer reading
+     * @param {Object} reading - { elapsed, duration, remaining, startTime?, serverTime? }
+     */
+    update(reading) {
+      const receivedAt = Date.now();
+      if (clock && reading.serverTime) clock.observe(reading.serverTime, receivedAt);
+
+      const duration = reading.duration
+        ?? (reading.elapsed != null && reading.remaining != null ? reading.elapsed + reading.remaining : state.duration);
+      const elapsed = Math.max(0, reading.elapsed ?? (duration - (reading.remaining ?? duration)));
+      const remaining = duration == null ? null : Math.max(0, reading.remaining ?? (duration - elapsed));
+      const isActive = remaining == null || remaining > 0;
+
+      // Session start on the local clock; a stamped reading was true when sent, not when received
+      let anchoredStart;
+      if (reading.startTime) {
+        anchoredStart = clock ? clock.toLocalTime(reading.startTime) : new Date(reading.startTime).getTime();
+      } else {
+        const readAt = clock && reading.serverTime ? clock.toLocalTime(reading.serverTime) : receivedAt;
+        anchoredStart = readAt - elapsed * 1000;
+      }
+
+      if (clock && startTime && state.isActive) {
+        clock.check((receivedAt - startTime) / 1000, (receivedAt - anchoredStart) / 1000, { duration });
+      }
+
+      if (isActive) expired = false;
+      // Re-anchor the local countdown on the server's numbers
+      startTime = anchoredStart;
+
+      emit({ elapsed, duration, remaining, isActive });
+      startCountdown();
+    },
+
+    /**
+     * Raise the session limit after a top-up; the elapsed time carries on
+     * @param {Number} duration - New total duration in seconds
+     */
+    extendTo(duration) {
+      if (!(duration > state.duration)) return;
+      const remaining = Math.max(0, duration - state.elapsed);
+      if (remaining > 0) expired = false;
+
+      emit({ ...state, duration, remaining, isActive: remaining > 0 });
+      startCountdown();
+    },
+
+    stop() {
+      stopInterval();
+      emit({ ...state, isActive: false });
+    },
+
+    getState: () => state,
+
+    dispose() {
+      stopInterval();
+    },
+  };
+};
+
+export default {
+  CHAT_PHASES,
+  CHAT_EVENTS,
+  MESSAGE_ACTIONS,
+  transitionChatPhase,
+  getPhaseFlags,
+  chatMessagesReducer,
+  normalizeChatMessage,
+  createSessionTimer,
+};
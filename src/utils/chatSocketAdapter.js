@@ -0,0 +1,335 @@
+import { bookingsAPI, freeChatAPI } from '../services/api';
+import { REACTION_EVENT } from './messageActions';
+
+/**
+ * Chat socket adapters
+ * Paid consultations and free chats run on different rooms and event names.
+ * An adapter hides those differences behind one interface so that
+ * useChatSession - and every feature built on it - treats both the same:
+ *
+ *   roomId, messageEvent, syncRequest(), uploadTarget
+ *   join(socket, userId)            -> Promise<Boolean>
+ *   listen(socket, handlers)        -> unsubscribe
+ *   buildMessagePayload(base)       -> payload for messageEvent
+ *   emitTyping / emitRead(normalized message) / emitReaction / emitEnd
+ *   fetchStatus()                   -> Promise<{ ended, timer } | null>
+ *
+ * Timer readings passed to handlers.onTimer / onSessionStarted are
+ * { elapsed, duration, remaining, startTime?, serverTime? } in seconds
+ * (serverTime: when the server sent the reading; duration and remaining are
+ * undefined while the session has no limit); handlers.onExtended
+ * gets the new total duration after an in-session top-up (paid only).
+ */
+
+export const CHAT_MODES = {
+  PAID: 'paid',
+  FREE: 'free',
+};
+
+// Prepaid sessions without a server limit fall back to the shortest pack
+const DEFAULT_PAID_SECONDS = 300;
+const DEFAULT_FREE_SECONDS = 180;
+
+/**
+ * Attach listeners and return a function that removes exactly those
+ * listeners - other screens and SocketContext keep theirs
+ */
+const bindListeners = (socket, listeners) => {
+  Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener));
+  return () => {
+    Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener));
+  };
+};
+
+// ===== PAID CONSULTATIONS (incl. prepaid card / prepaid offer sessions) =====
+
+const createPaidAdapter = ({ bookingId, sessionId, isPrepaid = false }) => {
+  const roomId = `consultation:${bookingId}`;
+
+  // Prepaid sessions are sometimes reported by session id in place of the booking id
+  const isOurSession = (data) =>
+    (!data.bookingId && !data.sessionId) ||
+    data.bookingId === bookingId ||
+    data.sessionId === sessionId ||
+    (isPrepaid && data.sessionId === bookingId);
+
+  // receive_message reaches every room the socket is in
+  const isOurMessage = (data) =>
+    (!data.bookingId && !data.roomId) ||
+    data.bookingId === bookingId ||
+    data.roomId === roomId;
+
+  const toTimerReading = (data) => {
+    const elapsed = data.duration || data.elapsed || 0;
+    // A wallet session without a limit from the server counts up; its end is estimated from the balance
+    const duration = data.maxAllowedSeconds || (isPrepaid ? DEFAULT_PAID_SECONDS : undefined);
+    return {
+      elapsed,
+      duration,
+      remaining: data.remainingSeconds ?? (duration != null ? Math.max(0, duration - elapsed) : undefined),
+      serverTime: data.serverTime || data.timestamp,
+    };
+  };
+
+  return {
+    mode: CHAT_MODES.PAID,
+    roomId,
+    messageEvent: 'send_message',
+    // Ticks on the reconciled server clock between updates; only the server ends the session
+    localCountdown: true,
+    endsLocally: false,
+    uploadTarget: { bookingId, sessionId },
+
+    syncRequest: () => ({ bookingId, sessionId }),
+
+    join(socket, userId) {
+      socket.emit('join_consultation_room', {
+        bookingId,
+        sessionId,
+        userId,
+        userType: 'user',
+        roomId
+      }, (ack) => {
+        console.log('🏠 [ChatAdapter] join_consultation_room ack:', ack);
+      });
+      socket.emit('user_joined_consultation', { bookingId, sessionId, userId });
+      return Promise.resolve(true);
+    },
+
+    listen(socket, handlers) {
+      const onTimer = (data) => {
+        if (data.bookingId !== bookingId) return;
+        handlers.onTimer(toTimerReading(data), data);
+      };
+      const onEnded = (data) => {
+        if (isOurSession(data)) handlers.onSessionEnded(data);
+      };
+
+      return bindListeners(socket, {
+        receive_message: (data) => {
+          if (isOurMessage(data)) handlers.onMessage(data);
+        },
+        message_delivered: (data) => handlers.onReceipt(data.messageId, 'delivered'),
+        message_status_update: (data) => handlers.onReceipt(data.messageId, 'read'),
+        typing_started: (data) => {
+          if (data.senderType === 'astrologer' && data.bookingId === bookingId) handlers.onTyping(true);
+        },
+        typing_stopped: (data) => {
+          if (data.senderType === 'astrologer' && data.bookingId === bookingId) handlers.onTyping(false);
+        },
+        session_started: () => handlers.onSessionStarted(null),
+        session_timer: onTimer,
+        session_timer_update: onTimer,
+        session_ended: onEnded,
+        consultation_ended: onEnded,
+        // Sent to both sides once a top-up has been added to the session
+        session_extended: (data) => {
+          if (isOurSession(data) && data.maxAllowedSeconds) handlers.onExtended(data.maxAllowedSeconds, data);
+        },
+        missed_messages_recovery: (data) => {
+          if (data?.success && Array.isArray(data.messages)) handlers.onHistory(data.messages);
+        },
+        [REACTION_EVENT]: handlers.onReaction,
+      });
+    },
+
+    buildMessagePayload: (base) => ({ ...base, bookingId, sessionId, roomId }),
+
+    emitTyping(socket, userId, isTyping) {
+      socket.emit(isTyping ? 'typing_started' : 'typing_stopped', { bookingId, sessionId, userId, roomId });
+    },
+
+    emitRead(socket, userId, message) {
+      if (!message.id) return;
+      socket.emit('message_read', { messageId: message.id, bookingId, sessionId, userId, roomId });
+    },
+
+    emitReaction(socket, userId, reaction) {
+      socket.emit(REACTION_EVENT, { ...reaction, senderType: 'user', userId, bookingId, sessionId, roomId });
+    },
+
+    emitEnd(socket, userId) {
+      socket.emit('end_session', { bookingId, sessionId, userId, endedBy: 'user' });
+    },
+
+    async fetchStatus() {
+      const response = await bookingsAPI.getById(bookingId);
+      const booking = response?.data || response;
+      return {
+        ended: booking?.status === 'completed' || booking?.status === 'cancelled',
+        timer: null
+      };
+    },
+  };
+};
+
+// ===== FREE CHATS =====
+
+const createFreeAdapter = ({ freeChatId, sessionId, astrologerId, sessionDuration = DEFAULT_FREE_SECONDS }) => {
+  const roomId = `free_chat:${freeChatId}`;
+
+  const isAstrologerTyping = (data) =>
+    data.senderRole === 'astrologer' && (data.freeChatId === freeChatId || data.bookingId === sessionId);
+
+  const joinNotificationRoom = (socket, userId) => {
+    // Prepaid offers after the free chat arrive on the user's notification room
+    socket.emit('join_user_notification_room', { userId, role: 'user' }, (response) => {
+      if (response?.success) return;
+      console.error('❌ [ChatAdapter] Failed to join user notification room:', response);
+      setTimeout(() => socket.emit('join_user_notification_room', { userId, role: 'user' }), 2000);
+    });
+  };
+
+  return {
+    mode: CHAT_MODES.FREE,
+    roomId,
+    messageEvent: 'free_chat_message',
+    localCountdown: true,
+    endsLocally: true,
+    uploadTarget: { freeChatId, sessionId },
+
+    syncRequest: () => ({ freeChatId, sessionId }),
+
+    join(socket, userId) {
+      joinNotificationRoom(socket, userId);
+
+      return new Promise(resolve => {
+        socket.emit('join_free_chat_room', {
+          freeChatId,
+          sessionId,
+          userId,
+          astrologerId,
+          roomId
+        }, (response) => {
+          if (!response?.success) {
+            console.error('❌ [ChatAdapter] Failed to join free chat room:', response?.error);
+          }
+          resolve(!!response?.success);
+        });
+      });
+    },
+
+    listen(socket, handlers) {
+      return bindListeners(socket, {
+        free_chat_message: (data) => {
+          if (data.freeChatId === freeChatId) handlers.onMessage(data);
+        },
+        free_chat_message_delivered: (data) => handlers.onReceipt(data.messageId, 'delivered'),
+        free_chat_message_read: (data) => handlers.onReceipt(data.messageId, 'read'),
+        typing_started: (data) => {
+          if (isAstrologerTyping(data)) handlers.onTyping(true);
+        },
+        typing_stopped: (data) => {
+          if (isAstrologerTyping(data)) handlers.onTyping(false);
+        },
+        session_started: (data) => {
+          if (data.freeChatId !== freeChatId) return;
+          const duration = data.duration || sessionDuration;
+          handlers.onSessionStarted({
+            elapsed: 0,
+            duration,
+            remaining: duration,
+            startTime: data.startTime || Date.now()
+          });
+        },
+        session_timer: (data) => {
+          if (data.freeChatId !== freeChatId) return;
+          const duration = data.duration || sessionDuration;
+          handlers.onTimer({
+            elapsed: data.elapsed ?? (duration - (data.timeRemaining || 0)),
+            duration,
+            remaining: data.timeRemaining
+          }, data);
+        },
+        free_chat_session_resumed: (data) => {
+          if (data.freeChatId && data.freeChatId !== freeChatId) return;
+          handlers.onSessionStarted({
+            elapsed: data.elapsedSeconds || 0,
+            duration: data.duration || sessionDuration,
+            remaining: data.timeRemaining || 0,
+            startTime: data.startTime
+          });
+        },
+        free_chat_session_ended: (data) => {
+          if (data.sessionId && data.sessionId !== sessionId) return;
+          handlers.onSessionEnded(data);
+        },
+        get_free_chat_message_history: (data) => {
+          if (data?.success && Array.isArray(data.messages)) handlers.onHistory(data.messages);
+        },
+        [REACTION_EVENT]: handlers.onReaction,
+      });
+    },
+
+    buildMessagePayload: (base) => ({ ...base, freeChatId, sessionId, astrologerId, roomId }),
+
+    emitTyping(socket, userId, isTyping) {
+      socket.emit(isTyping ? 'typing_started' : 'typing_stopped', {
+        freeChatId,
+        sessionId,
+        bookingId: sessionId, // The typing relay keys free chats by session id
+        userId,
+        senderRole: 'user',
+        roomId
+      });
+    },
+
+    emitRead(socket, userId, message) {
+      if (!message.id) return;
+      socket.emit('message_read', {
+        messageId: message.id,
+        freeChatId,
+        sessionId,
+        userId,
+        readBy: 'user',
+        timestamp: Date.now()
+      });
+    },
+
+    emitReaction(socket, userId, reaction) {
+      socket.emit(REACTION_EVENT, { ...reaction, senderType: 'user', userId, freeChatId, sessionId, roomId });
+    },
+
+    emitEnd(socket, userId, reason = 'user_ended') {
+      socket.emit('end_free_chat_session', {
+        freeChatId,
+        sessionId,
+        userId,
+        astrologerId,
+        endedBy: 'user',
+        reason
+      });
+    },
+
+    async fetchStatus() {
+      const response = await freeChatAPI.getStatus(freeChatId);
+      const freeChat = response?.data;
+      if (!response?.success || !freeChat) return null;
+
+      const ended = ['completed', 'expired'].includes(freeChat.status) ||
+        ['completed', 'expired'].includes(freeChat.sessionStatus);
+      const timer = freeChat.isActive && freeChat.remainingTime != null
+        ? {
+            elapsed: freeChat.duration - freeChat.remainingTime,
+            duration: freeChat.duration,
+            remaining: freeChat.remainingTime,
+            startTime: freeChat.startTime
+          }
+        : null;
+      return { ended, timer, duration: freeChat.duration };
+    },
+  };
+};
+
+/**
+ * @param {String} mode - One of CHAT_MODES
+ * @param {Object} params - Paid: { bookingId, sessionId, isPrepaid }; free: { freeChatId, sessionId, astrologerId, sessionDuration }
+ */
+export const createChatSocketAdapter = (mode, params) => (
+  mode === CHAT_MODES.FREE ? createFreeAdapter(params) : createPaidAdapter(params)
+);
+
+export default {
+  CHAT_MODES,
+  createChatSocketAdapter,
+};
@@ -0,0 +1,231 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import FCMService from '../services/FCMService';
+import horoscopeService from '../services/horoscopeService';
+import { getPersonalSigns } from './astrology/personalSigns';
+import { getPanchang } from './astrology/panchang';
+import { getUtcOffsetMinutes, formatZonedTime, DEFAULT_TIMEZONE } from './astrology/timezone';
+import { getCityById, DEFAULT_CITY_ID } from '../data/cities';
+import { SELF_PROFILE_ID, getSelfProfile, getFamilyProfiles } from './familyProfilesStore';
+
+/**
+ * Daily horoscope + Panchang reminder
+ * Local notifications are scheduled on the device for the next few mornings.
+ * Content is rebuilt every time the app refreshes them, so the horoscope
+ * headline and Panchang timings stay current without a backend push.
+ */
+
+const SETTINGS_KEY = 'daily_reminder_settings';
+const SCHEDULED_IDS_KEY = 'daily_reminder_notification_ids';
+
+// Same key PanchangScreen saves the chosen city under
+const PANCHANG_LOCATION_KEY = 'panchang_location';
+
+// Mornings scheduled ahead in case the app is not opened for a few days
+const DAYS_AHEAD = 7;
+
+// Horoscope providers only serve today and tomorrow
+const HOROSCOPE_DAYS = ['today', 'tomorrow'];
+
+const MAX_PROFILES_PER_REMINDER = 3;
+const HEADLINE_MAX_LENGTH = 90;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  hour: 7,
+  minute: 0,
+  profileIds: [SELF_PROFILE_ID],
+};
+
+// Serialises refreshes triggered by app start, foregrounding and settings changes
+let refreshQueue = Promise.resolve();
+
+export const getReminderSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    return stored ? { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(stored) } : DEFAULT_REMINDER_SETTINGS;
+  } catch (error) {
+    console.error('❌ [DailyReminders] Error reading settings:', error);
+    return DEFAULT_REMINDER_SETTINGS;
+  }
+};
+
+export const saveReminderSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('❌ [DailyReminders] Error saving settings:', error);
+    return false;
+  }
+};
+
+/**
+ * "7:00 AM" style label for the reminder time
+ */
+export const formatReminderTime = ({ hour, minute }) => {
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour % 12 || 12;
+  return `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
+};
+
+const cancelScheduledReminders = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SCHEDULED_IDS_KEY);
+    const notificationIds = stored ? JSON.parse(stored) : [];
+    await Promise.all(notificationIds.map(id => FCMService.cancelLocalNotification(id)));
+    await AsyncStorage.removeItem(SCHEDULED_IDS_KEY);
+  } catch (error) {
+    console.error('❌ [DailyReminders] Error cancelling reminders:', error);
+  }
+};
+
+const getPanchangLocation = async (user) => {
+  try {
+    const saved = await AsyncStorage.getItem(PANCHANG_LOCATION_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.error('❌ [DailyReminders] Error reading Panchang location:', error);
+  }
+
+  if (user?.birthLatitude != null && user?.birthLongitude != null) {
+    return {
+      latitude: Number(user.birthLatitude),
+      longitude: Number(user.birthLongitude),
+      timezone: user.birthTimezone || DEFAULT_TIMEZONE,
+    };
+  }
+  return getCityById(DEFAULT_CITY_ID);
+};
+
+// First sentence of the reading, short enough for a notification line
+const getHeadline = (text) => {
+  const match = text.trim().match(/^.*?[.!?](?=\s|$)/);
+  const firstSentence = match ? match[0] : text.trim();
+  return firstSentence.length > HEADLINE_MAX_LENGTH
+    ? `${firstSentence.slice(0, HEADLINE_MAX_LENGTH - 1).trim()}…`
+    : firstSentence;
+};
+
+const buildProfileLine = async (profile, dayOffset) => {
+  let signs = null;
+  try {
+    signs = getPersonalSigns(profile);
+  } catch (error) {
+    console.error('❌ [DailyReminders] Failed to derive signs for reminder:', error);
+  }
+  if (!signs) {
+    return null;
+  }
+
+  const label = profile.id === SELF_PROFILE_ID ? 'You' : profile.name;
+  const rashi = signs.moonRashi;
+  let headline = null;
+  if (dayOffset < HOROSCOPE_DAYS.length) {
+    const reading = await horoscopeService.fetchHoroscope(rashi.zodiacKey, {
+      period: 'daily',
+      day: HOROSCOPE_DAYS[dayOffset],
+    });
+    headline = reading?.horoscope ? getHeadline(reading.horoscope) : null;
+  }
+
+  return `${label} (${rashi.name}): ${headline || 'Tap to read your horoscope for today.'}`;
+};
+
+const buildPanchangLine = (location, fireAt) => {
+  try {
+    const utcOffsetMinutes = getUtcOffsetMinutes(location.timezone, fireAt);
+    const panchang = getPanchang({
+      date: { year: fireAt.getFullYear(), month: fireAt.getMonth(), day: fireAt.getDate() },
+      latitude: location.latitude,
+      longitude: location.longitude,
+      utcOffsetMinutes,
+    });
+
+    const parts = [`${panchang.tithi.paksha} ${panchang.tithi.name}`, panchang.nakshatra.name];
+    if (panchang.rahuKaal) {
+      parts.push(`Rahu Kaal ${formatZonedTime(panchang.rahuKaal.start, utcOffsetMinutes)}-${formatZonedTime(panchang.rahuKaal.end, utcOffsetMinutes)}`);
+    }
+    return parts.join(' • ');
+  } catch (error) {
+    console.error('❌ [DailyReminders] Failed to calculate Panchang for reminder:', error);
+    return null;
+  }
+};
+
+const scheduleReminders = async (user) => {
+  await cancelScheduledReminders();
+
+  const settings = await getReminderSettings();
+  if (!settings.enabled || !user) {
+    console.log('⏰ [DailyReminders] Reminders disabled, nothing scheduled');
+    return [];
+  }
+
+  const familyProfiles = await getFamilyProfiles(user._id || user.id);
+  const profiles = [getSelfProfile(user), ...familyProfiles]
+    .filter(profile => settings.profileIds.includes(profile.id))
+    .slice(0, MAX_PROFILES_PER_REMINDER);
+  const location = await getPanchangLocation(user);
+
+  const now = new Date();
+  const notificationIds = [];
+
+  for (let dayOffset = 0; dayOffset < DAYS_AHEAD; dayOffset++) {
+    const fireAt = new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate() + dayOffset,
+      settings.hour,
+      settings.minute
+    );
+    if (fireAt <= now) continue;
+
+    const profileLines = [];
+    for (const profile of profiles) {
+      const line = await buildProfileLine(profile, dayOffset);
+      if (line) profileLines.push(line);
+    }
+    const panchangLine = buildPanchangLine(location, fireAt);
+
+    const lines = profileLines.length > 0
+      ? profileLines
+      : ['Your daily horoscope is ready. Tap to read it.'];
+    if (panchangLine) lines.push(panchangLine);
+
+    const title = `🌅 ${fireAt.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'short' })} - Your day ahead`;
+    const notificationId = await FCMService.scheduleLocalNotification({
+      title,
+      body: lines.join('\n'),
+      data: { type: 'daily_reminder', screen: 'DailyHoroscope' },
+      date: fireAt,
+    });
+    if (notificationId) notificationIds.push(notificationId);
+  }
+
+  await AsyncStorage.setItem(SCHEDULED_IDS_KEY, JSON.stringify(notificationIds));
+  console.log(`⏰ [DailyReminders] Scheduled ${notificationIds.length} reminders at ${formatReminderTime(settings)}`);
+  return notificationIds;
+};
+
+/**
+ * Rebuild the scheduled reminders from the current settings
+ * @param {Object} user - Logged-in user, or null to just cancel
+ */
+export const refreshDailyReminders = (user) => {
+  refreshQueue = refreshQueue
+    .catch(() => {})
+    .then(() => scheduleReminders(user))
+    .catch((error) => {
+      console.error('❌ [DailyReminders] Failed to refresh reminders:', error);
+      return [];
+    });
+  return refreshQueue;
+};
+
+export default {
+  DEFAULT_REMINDER_SETTINGS,
+  getReminderSettings,
+  saveReminderSettings,
+  formatReminderTime,
+  refreshDailyReminders,
+};
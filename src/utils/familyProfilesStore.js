@@ -0,0 +1,277 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { familyProfilesAPI } from '../services/api';
+
+/**
+ * Profile book for family members (spouse, children, parents...)
+ * Profiles are saved on the device first so they are usable offline, then
+ * pushed to the server. Edits and deletes made offline are retried on the next sync.
+ */
+
+const STORAGE_KEY_PREFIX = 'family_profiles_';
+
+export const SELF_PROFILE_ID = 'self';
+
+export const RELATIONSHIP_OPTIONS = [
+  'Spouse',
+  'Son',
+  'Daughter',
+  'Father',
+  'Mother',
+  'Brother',
+  'Sister',
+  'Grandparent',
+  'Friend',
+  'Other',
+];
+
+const PROFILE_FIELDS = [
+  'name',
+  'relationship',
+  'gender',
+  'birthDate',
+  'birthTime',
+  'birthLocation',
+  'birthPlaceId',
+  'birthLatitude',
+  'birthLongitude',
+  'birthTimezone',
+  'isTimeOfBirthUnknown',
+];
+
+// Profiles are kept per account so a shared phone never mixes family books
+const getStorageKey = (userId) => `${STORAGE_KEY_PREFIX}${userId || 'guest'}`;
+
+const getStoredBook = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getStorageKey(userId));
+    const book = stored ? JSON.parse(stored) : {};
+    return {
+      profiles: book.profiles || [],
+      pendingDeletes: book.pendingDeletes || [],
+    };
+  } catch (error) {
+    console.error(' [FAMILY-PROFILES] Error reading from AsyncStorage:', error);
+    return { profiles: [], pendingDeletes: [] };
+  }
+};
+
+const saveBook = async (userId, book) => {
+  try {
+    await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(book));
+    return true;
+  } catch (error) {
+    console.error(' [FAMILY-PROFILES] Error saving to AsyncStorage:', error);
+    return false;
+  }
+};
+
+const pickProfileFields = (profile) => PROFILE_FIELDS.reduce((fields, field) => {
+  fields[field] = profile[field] ?? null;
+  return fields;
+}, {});
+
+// clientId lets the server treat a retried create as the same profile
+const toServerPayload = (profile) => ({
+  ...pickProfileFields(profile),
+  clientId: profile.id,
+});
+
+const fromServerProfile = (serverProfile) => ({
+  ...pickProfileFields(serverProfile),
+  id: serverProfile.clientId || serverProfile._id,
+  serverId: serverProfile._id,
+  updatedAt: serverProfile.updatedAt || new Date().toISOString(),
+  isSynced: true,
+});
+
+const sortProfiles = (profiles) => [...profiles].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * The account holder as a profile, so pickers can offer "Myself" next to saved profiles
+ */
+export const getSelfProfile = (user) => ({
+  ...pickProfileFields(user || {}),
+  id: SELF_PROFILE_ID,
+  relationship: 'Self',
+});
+
+// Get saved profiles from the device
+export const getFamilyProfiles = async (userId) => {
+  const { profiles } = await getStoredBook(userId);
+  return sortProfiles(profiles);
+};
+
+// Get a single saved profile
+export const getFamilyProfile = async (userId, profileId) => {
+  const { profiles } = await getStoredBook(userId);
+  return profiles.find(profile => profile.id === profileId) || null;
+};
+
+// Create or update a profile locally, then try to push it to the server
+export const saveFamilyProfile = async (userId, profileData) => {
+  const book = await getStoredBook(userId);
+  const existing = profileData.id
+    ? book.profiles.find(profile => profile.id === profileData.id)
+    : null;
+
+  const profile = {
+    ...pickProfileFields(profileData),
+    id: existing?.id || `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    serverId: existing?.serverId || null,
+    updatedAt: new Date().toISOString(),
+    isSynced: false,
+  };
+
+  book.profiles = existing
+    ? book.profiles.map(item => (item.id === profile.id ? profile : item))
+    : [...book.profiles, profile];
+
+  const saved = await saveBook(userId, book);
+  if (!saved) {
+    throw new Error('Could not save profile on this device');
+  }
+  console.log(' [FAMILY-PROFILES] Saved profile locally:', profile.id);
+
+  return (await pushProfile(userId, profile)) || profile;
+};
+
+// Remove a profile locally; server deletes are retried on the next sync if offline
+export const deleteFamilyProfile = async (userId, profileId) => {
+  const book = await getStoredBook(userId);
+  const profile = book.profiles.find(item => item.id === profileId);
+  if (!profile) return false;
+
+  book.profiles = book.profiles.filter(item => item.id !== profileId);
+  if (profile.serverId) {
+    book.pendingDeletes = [...book.pendingDeletes, profile.serverId];
+  }
+  await saveBook(userId, book);
+
+  if (profile.serverId) {
+    await pushDeletes(userId);
+  }
+  return true;
+};
+
+const pushProfile = async (userId, profile) => {
+  try {
+    const response = profile.serverId
+      ? await familyProfilesAPI.update(profile.serverId, toServerPayload(profile))
+      : await familyProfilesAPI.create(toServerPayload(profile));
+
+    const synced = {
+      ...profile,
+      serverId: response?.data?._id || profile.serverId,
+      isSynced: true,
+    };
+
+    // Re-read so edits made while the request was in flight are not lost
+    const book = await getStoredBook(userId);
+    const current = book.profiles.find(item => item.id === profile.id);
+    if (!current || current.updatedAt !== profile.updatedAt) {
+      return current ? { ...current, serverId: synced.serverId } : null;
+    }
+    book.profiles = book.profiles.map(item => (item.id === profile.id ? synced : item));
+    await saveBook(userId, book);
+    return synced;
+  } catch (error) {
+    console.warn(' [FAMILY-PROFILES] Profile sync failed, will retry later:', error.message);
+    return null;
+  }
+};
+
+const pushDeletes = async (userId) => {
+  const book = await getStoredBook(userId);
+  const remaining = [];
+
+  for (const serverId of book.pendingDeletes) {
+    try {
+      await familyProfilesAPI.delete(serverId);
+    } catch (error) {
+      // Already gone on the server counts as deleted
+      if (error.response?.status !== 404) {
+        remaining.push(serverId);
+      }
+    }
+  }
+
+  const latest = await getStoredBook(userId);
+  latest.pendingDeletes = remaining;
+  await saveBook(userId, latest);
+};
+
+/**
+ * Push local changes, then merge in profiles saved from other devices
+ * @returns {Promise<Array>} merged profile list
+ */
+export const syncFamilyProfiles = async (userId) => {
+  if (!userId) return getFamilyProfiles(userId);
+
+  try {
+    await pushDeletes(userId);
+
+    const { profiles } = await getStoredBook(userId);
+    for (const profile of profiles.filter(item => !item.isSynced)) {
+      await pushProfile(userId, profile);
+    }
+
+    const response = await familyProfilesAPI.getAll();
+    const serverProfiles = Array.isArray(response?.data) ? response.data : [];
+
+    const book = await getStoredBook(userId);
+    const merged = [...book.profiles];
+
+    serverProfiles.forEach((serverProfile) => {
+      if (book.pendingDeletes.includes(serverProfile._id)) return;
+
+      const incoming = fromServerProfile(serverProfile);
+      const index = merged.findIndex(item => item.serverId === incoming.serverId || item.id === incoming.id);
+
+      if (index === -1) {
+        merged.push(incoming);
+      } else if (merged[index].isSynced && new Date(incoming.updatedAt) > new Date(merged[index].updatedAt)) {
+        merged[index] = { ...incoming, id: merged[index].id };
+      }
+    });
+
+    // Synced profiles the server no longer has were deleted elsewhere
+    const serverIds = new Set(serverProfiles.map(item => item._id));
+    book.profiles = merged.filter(item => !item.isSynced || serverIds.has(item.serverId));
+
+    await saveBook(userId, book);
+    console.log(' [FAMILY-PROFILES] Synced profiles:', book.profiles.length);
+    return sortProfiles(book.profiles);
+  } catch (error) {
+    console.warn(' [FAMILY-PROFILES] Sync failed, using profiles on this device:', error.message);
+    return getFamilyProfiles(userId);
+  }
+};
+
+/**
+ * Short description of a profile for lists, e.g. "Spouse • 12 Mar 1990 • Pune"
+ */
+export const formatProfileSummary = (profile) => {
+  const parts = [];
+  if (profile.relationship) parts.push(profile.relationship);
+  if (profile.birthDate) {
+    parts.push(new Date(profile.birthDate).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    }));
+  }
+  if (profile.birthLocation) parts.push(profile.birthLocation.split(',')[0]);
+  return parts.join(' • ');
+};
+
+export default {
+  SELF_PROFILE_ID,
+  RELATIONSHIP_OPTIONS,
+  getSelfProfile,
+  getFamilyProfiles,
+  getFamilyProfile,
+  saveFamilyProfile,
+  deleteFamilyProfile,
+  syncFamilyProfiles,
+  formatProfileSummary,
+};
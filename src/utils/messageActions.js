@@ -0,0 +1,105 @@
+import { Share } from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { getAttachmentLabel } from './chatAttachments';
+
+/**
+ * Chat message actions
+ * Replies, reactions, copy and forward-to-notes for consultation chat bubbles.
+ * A reply carries only the id of the message it quotes (`replyTo`), so the
+ * user and astrologer apps each render the quote from their own copy of the
+ * history. Each side can leave one reaction per message.
+ */
+
+export const MESSAGE_REACTIONS = ['🙏', '❤️', '👍', '😮', '😢', '✨'];
+
+export const REACTION_EVENT = 'message_reaction';
+
+const PREVIEW_LENGTH = 90;
+
+/**
+ * Id to reference a message by over the socket - the server id once the
+ * message has been synced, otherwise the client id it was sent with
+ */
+export const getMessageRefId = (message) => message.serverId || message.id;
+
+export const matchesMessageId = (message, id) => !!id && (
+  message.id === id ||
+  message.serverId === id ||
+  message.clientMessageId === id
+);
+
+export const findMessageById = (messages, id) =>
+  (id && messages.find(message => matchesMessageId(message, id))) || null;
+
+/**
+ * Single-line text for quotes and copies; attachments fall back to their label
+ */
+export const getMessagePreview = (message) => {
+  if (!message) return 'Original message unavailable';
+
+  const text = message.attachment
+    ? getAttachmentLabel(message.messageType, message.attachment)
+    : (message.content || '').replace(/\s+/g, ' ').trim();
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH).trim()}…` : text;
+};
+
+/**
+ * Set (or with a null reaction, clear) one side's reaction on a message
+ * @param {Object} message
+ * @param {String} senderType - 'user' or 'astrologer'
+ * @param {String|null} reaction - One of MESSAGE_REACTIONS
+ */
+export const applyReaction = (message, senderType, reaction) => {
+  const reactions = { ...(message.reactions || {}) };
+  if (reaction) {
+    reactions[senderType] = reaction;
+  } else {
+    delete reactions[senderType];
+  }
+  return { ...message, reactions };
+};
+
+export const copyMessage = async (message) => {
+  const text = message.attachment?.url && !message.content
+    ? message.attachment.url
+    : message.content || '';
+  await Clipboard.setStringAsync(text);
+};
+
+/**
+ * Hand a message to the share sheet so it can be saved in Notes (or any
+ * other app) with who said it and when
+ */
+export const forwardToNotes = async (message, senderName) => {
+  const sentAt = new Date(message.timestamp).toLocaleString([], {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  const body = message.attachment?.url
+    ? `${getMessagePreview(message)}\n${message.attachment.url}`
+    : message.content;
+
+  try {
+    await Share.share({
+      title: `Note from ${senderName}`,
+      message: `${senderName} · ${sentAt}\n\n${body}`,
+    });
+  } catch (error) {
+    console.error('❌ [MessageActions] Failed to forward message:', error);
+  }
+};
+
+export default {
+  MESSAGE_REACTIONS,
+  REACTION_EVENT,
+  getMessageRefId,
+  matchesMessageId,
+  findMessageById,
+  getMessagePreview,
+  applyReaction,
+  copyMessage,
+  forwardToNotes,
+};
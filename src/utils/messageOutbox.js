@@ -0,0 +1,329 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Durable chat outbox
+ * Every outgoing chat message is written to AsyncStorage, keyed by its client
+ * message id, before it is emitted. Messages typed while the socket is down -
+ * or still in flight when the app is killed - are replayed when the room is
+ * joined again. Resends reuse the original id so the server can drop
+ * duplicates.
+ */
+
+const STORAGE_KEY = 'chat_message_outbox';
+
+export const OUTBOX_STATES = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+};
+
+// Receipts only ever move a message forward
+const STATE_ORDER = {
+  [OUTBOX_STATES.QUEUED]: 0,
+  [OUTBOX_STATES.SENDING]: 1,
+  [OUTBOX_STATES.SENT]: 2,
+  [OUTBOX_STATES.DELIVERED]: 3,
+  [OUTBOX_STATES.READ]: 4,
+};
+
+const PENDING_STATES = [OUTBOX_STATES.QUEUED, OUTBOX_STATES.SENDING, OUTBOX_STATES.FAILED];
+
+// Automatic attempts before the message waits for the user to tap retry
+const MAX_AUTO_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const ACK_TIMEOUT = 10000;
+
+// Delivered history comes back from the server, so old entries are dropped
+const ENTRY_TTL = 24 * 60 * 60 * 1000;
+
+let entries = null; // messageId -> entry, loaded lazily
+let loadPromise = null;
+let writeQueue = Promise.resolve();
+const inFlight = new Set();
+const retryTimers = new Map(); // roomId -> { timeout, fireAt }
+const roomSockets = new Map(); // roomId -> latest socket seen for the room
+const listeners = new Set();
+
+const loadEntries = () => {
+  if (entries) return Promise.resolve(entries);
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      let stored = {};
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        console.error('❌ [Outbox] Error reading outbox:', error);
+      }
+
+      const now = Date.now();
+      entries = {};
+      Object.values(stored).forEach(entry => {
+        if (now - entry.createdAt > ENTRY_TTL) return;
+        // Sends interrupted by an app kill never got their ack - try them again
+        entries[entry.id] = entry.state === OUTBOX_STATES.SENDING
+          ? { ...entry, state: OUTBOX_STATES.QUEUED, nextAttemptAt: now }
+          : entry;
+      });
+      return entries;
+    })();
+  }
+  return loadPromise;
+};
+
+const persist = () => {
+  const snapshot = JSON.stringify(entries);
+  writeQueue = writeQueue
+    .then(() => AsyncStorage.setItem(STORAGE_KEY, snapshot))
+    .catch(error => console.error('❌ [Outbox] Error saving outbox:', error));
+  return writeQueue;
+};
+
+const notify = (entry) => {
+  listeners.forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error('❌ [Outbox] Listener error:', error);
+    }
+  });
+};
+
+const updateEntry = (messageId, changes) => {
+  const entry = entries?.[messageId];
+  if (!entry) return null;
+
+  const updated = { ...entry, ...changes, updatedAt: Date.now() };
+  entries[messageId] = updated;
+  persist();
+  notify(updated);
+  return updated;
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+
+const trackSocket = (roomId, socket) => {
+  if (socket) roomSockets.set(roomId, socket);
+};
+
+const scheduleRetry = (roomId, socket, delay) => {
+  trackSocket(roomId, socket);
+  const fireAt = Date.now() + delay;
+  const existing = retryTimers.get(roomId);
+  if (existing && existing.fireAt <= fireAt) return;
+
+  // A sooner retry replaces the pending one
+  clearTimeout(existing?.timeout);
+  retryTimers.set(roomId, {
+    fireAt,
+    timeout: setTimeout(() => {
+      retryTimers.delete(roomId);
+      // A reconnect may have replaced the socket since the retry was set
+      const current = roomSockets.get(roomId);
+      if (current?.connected) {
+        flushOutbox(roomId, current);
+      }
+    }, delay),
+  });
+};
+
+const emitWithAck = (socket, event, payload) => new Promise(resolve => {
+  let settled = false;
+  const timeout = setTimeout(() => {
+    settled = true;
+    resolve({ success: false, message: 'No acknowledgment from server' });
+  }, ACK_TIMEOUT);
+
+  socket.emit(event, payload, (acknowledgment) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timeout);
+    resolve(acknowledgment);
+  });
+});
+
+const sendEntry = async (queuedEntry, socket) => {
+  const entry = entries?.[queuedEntry.id];
+  if (!entry || entry.state !== OUTBOX_STATES.QUEUED || inFlight.has(entry.id)) return;
+  inFlight.add(entry.id);
+
+  const attempt = entry.attempts + 1;
+  updateEntry(entry.id, { state: OUTBOX_STATES.SENDING, attempts: attempt });
+
+  try {
+    const acknowledgment = await emitWithAck(socket, entry.event, {
+      ...entry.payload,
+      clientMessageId: entry.id,
+      attempt,
+    });
+
+    if (acknowledgment?.success) {
+      console.log('✅ [Outbox] Message acknowledged:', entry.id);
+      markOutboxMessage(entry.id, OUTBOX_STATES.SENT);
+      return;
+    }
+    throw new Error(acknowledgment?.message || 'Message not acknowledged');
+  } catch (error) {
+    const exhausted = attempt >= MAX_AUTO_ATTEMPTS;
+    console.warn(`⚠️ [Outbox] Attempt ${attempt}/${MAX_AUTO_ATTEMPTS} failed for ${entry.id}:`, error.message);
+
+    if (exhausted) {
+      updateEntry(entry.id, {
+        state: OUTBOX_STATES.FAILED,
+        failureReason: 'Not sent.',
+      });
+    } else {
+      const delay = getRetryDelay(attempt);
+      updateEntry(entry.id, {
+        state: OUTBOX_STATES.QUEUED,
+        nextAttemptAt: Date.now() + delay,
+      });
+      scheduleRetry(entry.roomId, socket, delay);
+    }
+  } finally {
+    inFlight.delete(entry.id);
+  }
+};
+
+/**
+ * Store a message and send it straight away when the socket is connected
+ * @param {Object} options - { id, roomId, event, payload, socket }
+ */
+export const enqueueMessage = async ({ id, roomId, event, payload, socket }) => {
+  await loadEntries();
+  trackSocket(roomId, socket);
+
+  const now = Date.now();
+  entries[id] = {
+    id,
+    roomId,
+    event,
+    payload,
+    state: OUTBOX_STATES.QUEUED,
+    attempts: 0,
+    nextAttemptAt: now,
+    failureReason: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await persist();
+  notify(entries[id]);
+
+  if (socket?.connected) {
+    sendEntry(entries[id], socket);
+  } else {
+    console.log('📥 [Outbox] Socket offline, message queued:', id);
+  }
+};
+
+/**
+ * Send every queued message for a room whose backoff has elapsed, oldest first
+ */
+export const flushOutbox = async (roomId, socket) => {
+  await loadEntries();
+  trackSocket(roomId, socket);
+  if (!socket?.connected) return;
+
+  const now = Date.now();
+  const due = Object.values(entries)
+    .filter(entry => entry.roomId === roomId && entry.state === OUTBOX_STATES.QUEUED)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  if (due.length === 0) return;
+  console.log(`📤 [Outbox] Flushing ${due.length} queued messages for ${roomId}`);
+
+  let nextDelay = null;
+  for (const entry of due) {
+    if (entry.nextAttemptAt > now) {
+      nextDelay = Math.min(nextDelay ?? Infinity, entry.nextAttemptAt - now);
+      continue;
+    }
+    // Sequential so the astrologer receives messages in the order they were typed
+    await sendEntry(entry, socket);
+  }
+
+  if (nextDelay !== null) {
+    scheduleRetry(roomId, socket, nextDelay);
+  }
+};
+
+/**
+ * Manual retry for a message that ran out of automatic attempts
+ */
+export const retryOutboxMessage = async (messageId, socket) => {
+  await loadEntries();
+  const entry = updateEntry(messageId, {
+    state: OUTBOX_STATES.QUEUED,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    failureReason: null,
+  });
+  if (!entry) return false;
+
+  trackSocket(entry.roomId, socket);
+  if (socket?.connected) {
+    sendEntry(entry, socket);
+  }
+  return true;
+};
+
+/**
+ * Record an ack or receipt; states never move backwards
+ */
+export const markOutboxMessage = (messageId, state) => {
+  const entry = entries?.[messageId];
+  if (!entry) return;
+  if ((STATE_ORDER[state] ?? -1) <= (STATE_ORDER[entry.state] ?? -1)) return;
+
+  updateEntry(messageId, { state, failureReason: null });
+};
+
+/**
+ * Messages for a room that have not reached the server yet, oldest first -
+ * used to restore bubbles after the app was killed
+ */
+export const getPendingOutboxMessages = async (roomId) => {
+  await loadEntries();
+  return Object.values(entries)
+    .filter(entry => entry.roomId === roomId && PENDING_STATES.includes(entry.state))
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Drop a room's entries once its session is over
+ */
+export const clearOutboxRoom = async (roomId) => {
+  await loadEntries();
+  Object.keys(entries).forEach(id => {
+    if (entries[id].roomId === roomId) delete entries[id];
+  });
+  clearTimeout(retryTimers.get(roomId)?.timeout);
+  retryTimers.delete(roomId);
+  roomSockets.delete(roomId);
+  await persist();
+};
+
+/**
+ * @param {Function} listener - Called with the entry on every state change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  OUTBOX_STATES,
+  enqueueMessage,
+  flushOutbox,
+  retryOutboxMessage,
+  markOutboxMessage,
+  getPendingOutboxMessages,
+  clearOutboxRoom,
+  subscribeToOutbox,
+};
@@ -0,0 +1,257 @@
+/**
+ * Sequence-based chat sync
+ * The server stamps every chat message with `seq`, a counter that goes up by
+ * one per message in a room. Each chat keeps a cursor - the highest seq up to
+ * which it holds every message - and asks the server for exact seq ranges
+ * after a reconnect, or when a live message arrives with a gap before it.
+ * Device clocks play no part, so nothing is dropped or duplicated when they
+ * disagree with the server.
+ */
+
+export const SYNC_EVENT = 'sync_messages';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+const REQUEST_TIMEOUT = 10000;
+
+// Live messages can overtake each other in flight - wait briefly before treating a gap as real
+const GAP_FILL_DELAY = 400;
+
+// Receipts and acks only move a message's status forward
+const STATUS_RANK = {
+  queued: 0,
+  uploading: 1,
+  sending: 1,
+  failed: 1,
+  sent: 2,
+  received: 2,
+  delivered: 3,
+  read: 4,
+};
+
+export const getMessageSeq = (message) => {
+  const seq = Number(message?.seq ?? message?.sequence);
+  return Number.isFinite(seq) && seq > 0 ? seq : null;
+};
+
+/**
+ * Order a chat by server sequence. Messages without a seq yet (the user's own,
+ * still on their way) sit after the last sequenced message they were written
+ * after, via the `afterSeq` stamped when they were created.
+ */
+export const orderMessages = (messages) => {
+  const sortKey = (message) => {
+    const seq = getMessageSeq(message);
+    return seq !== null
+      ? [seq, 0, 0]
+      : [message.afterSeq ?? Infinity, 1, new Date(message.timestamp).getTime() || 0];
+  };
+
+  return [...messages].sort((a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    return (keyA[0] - keyB[0]) || (keyA[1] - keyB[1]) || (keyA[2] - keyB[2]);
+  });
+};
+
+const isSameMessage = (existing, incoming) =>
+  existing.id === incoming.id ||
+  (!!incoming.clientMessageId && existing.id === incoming.clientMessageId) ||
+  (!!existing.serverId && existing.serverId === incoming.id);
+
+/**
+ * Merge server messages into the local list: known messages (matched by id,
+ * or by the client id the user's own messages were sent with) pick up their
+ * seq and status, new ones are added, and the result is re-ordered
+ */
+export const mergeSyncedMessages = (existing, incoming) => {
+  const merged = [...existing];
+
+  incoming.forEach(message => {
+    const index = merged.findIndex(current => isSameMessage(current, message));
+    if (index === -1) {
+      merged.push(message);
+      return;
+    }
+
+    const current = merged[index];
+    // The server holding a message means it was at least sent
+    const serverStatus = message.status || 'sent';
+    merged[index] = {
+      ...current,
+      seq: getMessageSeq(message) ?? current.seq,
+      serverId: message.id !== current.id ? message.id : current.serverId,
+      status: (STATUS_RANK[serverStatus] ?? -1) > (STATUS_RANK[current.status] ?? -1)
+        ? serverStatus
+        : current.status,
+      failureReason: null,
+    };
+  });
+
+  return orderMessages(merged);
+};
+
+/**
+ * Per-room sync state
+ * @param {Object} options
+ * @param {String} options.roomId - Room the cursor belongs to
+ * @param {Function} options.getSocket - Returns (or resolves to) the socket to request ranges on
+ * @param {Function} options.buildRequest - Extra identifiers the server needs, e.g. { bookingId }
+ * @param {Function} options.onMessages - Called with (messages, source) for every fetched batch
+ */
+export const createMessageSync = ({ roomId, getSocket, buildRequest = () => ({}), onMessages }) => {
+  let cursor = 0;
+  let latestSeq = 0;
+  const heldAboveCursor = new Set();
+  let chain = Promise.resolve();
+  let resyncQueued = false;
+  let gapTimer = null;
+
+  const advance = () => {
+    while (heldAboveCursor.has(cursor + 1)) {
+      heldAboveCursor.delete(cursor + 1);
+      cursor += 1;
+    }
+  };
+
+  const record = (messages) => {
+    messages.forEach(message => {
+      const seq = getMessageSeq(message);
+      if (seq === null) return;
+      latestSeq = Math.max(latestSeq, seq);
+      if (seq > cursor) heldAboveCursor.add(seq);
+    });
+    advance();
+  };
+
+  // Everything up to `seq` has been served, so seqs still missing below it were deleted server-side
+  const settle = (seq) => {
+    if (seq > cursor) {
+      cursor = seq;
+      heldAboveCursor.forEach(held => {
+        if (held <= cursor) heldAboveCursor.delete(held);
+      });
+    }
+    latestSeq = Math.max(latestSeq, cursor);
+    advance();
+  };
+
+  const requestRange = (socket, afterSeq, beforeSeq) => new Promise(resolve => {
+    let settled = false;
+    const timeout = setTimeout(() => {
+      settled = true;
+      resolve(null);
+    }, REQUEST_TIMEOUT);
+
+    socket.emit(SYNC_EVENT, {
+      ...buildRequest(),
+      roomId,
+      afterSeq,
+      beforeSeq,
+      limit: PAGE_SIZE,
+    }, (response) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      resolve(response);
+    });
+  });
+
+  const runSync = async (source, beforeSeq = null) => {
+    const socket = await getSocket();
+    if (!socket?.connected) return false;
+
+    let afterSeq = cursor;
+    console.log(`🔁 [MessageSync] ${roomId} ${source}: fetching seq ${afterSeq + 1}..${beforeSeq ? beforeSeq - 1 : 'latest'}`);
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await requestRange(socket, afterSeq, beforeSeq);
+      if (!response?.success) {
+        console.warn(`⚠️ [MessageSync] ${roomId} range request failed (${source}):`, response?.message || 'timeout');
+        return false;
+      }
+
+      const batch = (response.messages || []).filter(message => {
+        const seq = getMessageSeq(message);
+        return beforeSeq === null || seq === null || seq < beforeSeq;
+      });
+      record(batch);
+      if (batch.length > 0) onMessages?.(batch, source);
+
+      const pageMaxSeq = batch.reduce((max, message) => Math.max(max, getMessageSeq(message) || 0), afterSeq);
+      if (response.hasMore && pageMaxSeq > afterSeq) {
+        afterSeq = pageMaxSeq;
+        continue;
+      }
+
+      settle(beforeSeq !== null ? beforeSeq - 1 : Math.max(pageMaxSeq, Number(response.latestSeq) || 0));
+      return true;
+    }
+    return true;
+  };
+
+  const enqueue = (task) => {
+    chain = chain
+      .then(task)
+      .catch(error => console.error(`❌ [MessageSync] ${roomId} sync error:`, error));
+    return chain;
+  };
+
+  const fillGap = () => {
+    if (gapTimer) return;
+    gapTimer = setTimeout(() => {
+      gapTimer = null;
+      enqueue(async () => {
+        if (heldAboveCursor.size === 0) return;
+        const completed = await runSync('gap', Math.min(...heldAboveCursor));
+        // A second gap further up is filled on the next pass; failures wait for the next message or resync
+        if (completed && heldAboveCursor.size > 0) fillGap();
+      });
+    }, GAP_FILL_DELAY);
+  };
+
+  return {
+    /**
+     * Fetch everything after the cursor - on join, reconnect and foreground
+     */
+    resync(source = 'resync') {
+      if (resyncQueued) return chain;
+      resyncQueued = true;
+      return enqueue(async () => {
+        resyncQueued = false;
+        await runSync(source);
+      });
+    },
+
+    /**
+     * Record a live message; fills any gap before it
+     * @returns {Boolean} false if the message was already held
+     */
+    receive(message) {
+      const seq = getMessageSeq(message);
+      if (seq === null) return true;
+
+      const isNew = seq > cursor && !heldAboveCursor.has(seq);
+      record([message]);
+      if (heldAboveCursor.size > 0) fillGap();
+      return isNew;
+    },
+
+    getCursor: () => cursor,
+    getLatestSeq: () => latestSeq,
+
+    // Cancels a pending gap fill; the cursor is kept so a remounted screen can carry on
+    dispose() {
+      clearTimeout(gapTimer);
+      gapTimer = null;
+    },
+  };
+};
+
+export default {
+  SYNC_EVENT,
+  getMessageSeq,
+  orderMessages,
+  mergeSyncedMessages,
+  createMessageSync,
+};
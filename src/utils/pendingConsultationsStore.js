@@ -69,6 +69,17 @@ export const addPendingConsultation = async (consultation) => {
         return false;
       }
     } else {
+      const index = consultations.findIndex(c => c.booking._id === consultation.booking._id);
+      if (consultation.sessionId && !consultations[index].sessionId) {
+        // A scheduled appointment the astrologer has now started - keep its details, add the session
+        console.log(' [PENDING-STORE] Attaching session to scheduled consultation:', consultation.booking._id);
+        consultations[index] = {
+          ...consultations[index],
+          ...consultation,
+          booking: { ...consultations[index].booking, ...consultation.booking }
+        };
+        return await saveConsultations(consultations);
+      }
       console.log(' [PENDING-STORE] Consultation already exists in store:', consultation.booking._id);
       return false;
     }
@@ -107,6 +118,35 @@ export const removePendingConsultation = async (bookingId) => {
   }
 };
 
+// Update a stored consultation, e.g. when a scheduled appointment is rescheduled
+// Booking fields in updates.booking are merged into the stored booking
+export const updatePendingConsultation = async (bookingId, updates) => {
+  try {
+    const consultations = await getStoredConsultations();
+    const index = consultations.findIndex(c => c.booking._id === bookingId);
+
+    if (index === -1) {
+      console.log(' [PENDING-STORE] Consultation not found for update:', bookingId);
+      return false;
+    }
+
+    const current = consultations[index];
+    consultations[index] = {
+      ...current,
+      ...updates,
+      booking: { ...current.booking, ...(updates.booking || {}) }
+    };
+    const saved = await saveConsultations(consultations);
+    if (saved) {
+      console.log(' [PENDING-STORE] Updated pending consultation:', bookingId);
+    }
+    return saved;
+  } catch (error) {
+    console.error(' [PENDING-STORE] Error updating consultation:', error);
+    return false;
+  }
+};
+
 // Get all pending consultations
 export const getPendingConsultations = async () => {
   try {
@@ -0,0 +1,103 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Quick-reply templates for the chat composer
+ * Paid minutes should go on the reading, not on typing the same opener every
+ * time. Templates are edited by the user and kept per account; birth details
+ * are built from the saved profiles instead of being stored as templates.
+ */
+
+const STORAGE_KEY_PREFIX = 'quick_replies_';
+
+export const MAX_QUICK_REPLIES = 12;
+export const MAX_QUICK_REPLY_LENGTH = 200;
+
+export const DEFAULT_QUICK_REPLIES = [
+  { id: 'default-dob', text: 'My DOB is ' },
+  { id: 'default-career', text: 'Please tell me about my career.' },
+  { id: 'default-marriage', text: 'Please tell me about marriage and relationships.' },
+  { id: 'default-health', text: 'What does my chart say about health?' },
+  { id: 'default-remedies', text: 'Which remedies do you suggest?' },
+  { id: 'default-thanks', text: 'Thank you for the guidance 🙏' },
+];
+
+const getStorageKey = (userId) => `${STORAGE_KEY_PREFIX}${userId || 'guest'}`;
+
+export const getQuickReplies = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getStorageKey(userId));
+    return stored ? JSON.parse(stored) : DEFAULT_QUICK_REPLIES;
+  } catch (error) {
+    console.error('❌ [QuickReplies] Error reading templates:', error);
+    return DEFAULT_QUICK_REPLIES;
+  }
+};
+
+export const saveQuickReplies = async (userId, replies) => {
+  const cleaned = replies
+    .map(reply => ({ ...reply, text: reply.text.slice(0, MAX_QUICK_REPLY_LENGTH) }))
+    .filter(reply => reply.text.trim())
+    .slice(0, MAX_QUICK_REPLIES);
+
+  try {
+    await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(cleaned));
+  } catch (error) {
+    console.error('❌ [QuickReplies] Error saving templates:', error);
+  }
+  return cleaned;
+};
+
+export const resetQuickReplies = async (userId) => {
+  try {
+    await AsyncStorage.removeItem(getStorageKey(userId));
+  } catch (error) {
+    console.error('❌ [QuickReplies] Error resetting templates:', error);
+  }
+  return DEFAULT_QUICK_REPLIES;
+};
+
+export const createQuickReply = (text) => ({
+  id: `reply-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  text,
+});
+
+/**
+ * Birth details of a saved profile as one message, e.g.
+ * "My birth details - Name: Asha, DOB: 12 Mar 1990, Time: 06:45 am, Place: Pune"
+ * @param {Object} profile - from getSelfProfile / getFamilyProfiles
+ * @returns {string|null} null when the profile has no date of birth
+ */
+export const formatBirthDetails = (profile) => {
+  if (!profile?.birthDate) return null;
+
+  const parts = [];
+  if (profile.name) parts.push(`Name: ${profile.name}`);
+  parts.push(`DOB: ${new Date(profile.birthDate).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  })}`);
+  if (profile.isTimeOfBirthUnknown) {
+    parts.push('Time: not known');
+  } else if (profile.birthTime) {
+    parts.push(`Time: ${new Date(profile.birthTime).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+    })}`);
+  }
+  if (profile.birthLocation) parts.push(`Place: ${profile.birthLocation}`);
+
+  const whose = profile.relationship && profile.relationship !== 'Self'
+    ? `Birth details of my ${profile.relationship.toLowerCase()}`
+    : 'My birth details';
+  return `${whose} - ${parts.join(', ')}`;
+};
+
+export default {
+  DEFAULT_QUICK_REPLIES,
+  getQuickReplies,
+  saveQuickReplies,
+  resetQuickReplies,
+  createQuickReply,
+  formatBirthDetails,
+};
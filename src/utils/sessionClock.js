@@ -0,0 +1,135 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sessionsAPI } from '../services/api';
+
+/**
+ * Server-clock reconciliation for session timers
+ * The backend bills from its own clock; the phone's clock can be off by
+ * seconds or minutes and socket events arrive late. The session clock
+ * estimates the offset to the server from the timestamps on timer events so
+ * local countdowns tick on server time. When a local timer and the server
+ * disagree by more than DRIFT_THRESHOLD_SECONDS the gap is logged on the
+ * device and reported, for billing disputes - once per episode, until the
+ * two agree again.
+ */
+
+export const DRIFT_THRESHOLD_SECONDS = 3;
+
+const DISCREPANCY_LOG_KEY = 'session_timer_discrepancies';
+const MAX_LOGGED_DISCREPANCIES = 100;
+// Offset samples kept per session
+const MAX_OFFSET_SAMPLES = 8;
+
+// Sessions whose drift has been reported and not yet back within the threshold
+const openDriftEpisodes = new Set();
+
+const toMillis = (time) => {
+  if (time == null) return null;
+  const millis = typeof time === 'number' ? time : new Date(time).getTime();
+  return Number.isFinite(millis) ? millis : null;
+};
+
+// ===== DISCREPANCY LOG =====
+
+const logTimerDiscrepancy = async (entry) => {
+  const record = { ...entry, loggedAt: new Date().toISOString() };
+  console.warn('⏱️ [SessionClock] Timer discrepancy:', record);
+
+  try {
+    const stored = await AsyncStorage.getItem(DISCREPANCY_LOG_KEY);
+    const log = stored ? JSON.parse(stored) : [];
+    log.push(record);
+    await AsyncStorage.setItem(DISCREPANCY_LOG_KEY, JSON.stringify(log.slice(-MAX_LOGGED_DISCREPANCIES)));
+  } catch (error) {
+    console.error('❌ [SessionClock] Error saving discrepancy:', error);
+  }
+
+  if (entry.sessionId) {
+    // Best effort - the device log above is the fallback
+    sessionsAPI.reportTimerDiscrepancy(entry.sessionId, record).catch((error) => {
+      console.log('⚠️ [SessionClock] Could not report discrepancy:', error.message);
+    });
+  }
+};
+
+/**
+ * Compare a local timer with the server and record the gap when it is above
+ * the threshold. A session that stays out of sync is reported once; a
+ * reading back within the threshold ends the episode.
+ * @param {Object} entry - { sessionId, source, localElapsed, serverElapsed, driftSeconds, offsetMs, ... }
+ * @returns {Boolean} Whether a discrepancy was recorded
+ */
+export const reportTimerDrift = (entry) => {
+  const episodeKey = entry.sessionId || entry.source;
+  if (Math.abs(entry.driftSeconds) <= DRIFT_THRESHOLD_SECONDS) {
+    openDriftEpisodes.delete(episodeKey);
+    return false;
+  }
+  if (openDriftEpisodes.has(episodeKey)) return false;
+
+  openDriftEpisodes.add(episodeKey);
+  logTimerDiscrepancy(entry);
+  return true;
+};
+
+// ===== CLOCK =====
+
+/**
+ * Clock for one session, corrected by the estimated server offset
+ * @param {Object} options
+ * @param {String} options.sessionId - Used when logging discrepancies
+ * @param {String} options.source - Which timer is being checked, for the log
+ */
+export const createSessionClock = ({ sessionId = null, source = 'session_timer' } = {}) => {
+  const samples = [];
+  let offsetMs = 0; // server time - local time
+
+  return {
+    /**
+     * Feed a server timer event. Network delay only ever makes the server
+     * look behind, so the largest recent sample is the least delayed one.
+     * @param {Number|String} serverTime - When the server sent the event
+     * @param {Number} receivedAt - Local time the event arrived
+     */
+    observe(serverTime, receivedAt = Date.now()) {
+      const serverMillis = toMillis(serverTime);
+      if (serverMillis == null) return offsetMs;
+
+      samples.push(serverMillis - receivedAt);
+      if (samples.length > MAX_OFFSET_SAMPLES) samples.shift();
+      offsetMs = Math.max(...samples);
+      return offsetMs;
+    },
+
+    getOffset: () => offsetMs,
+
+    // Current server time
+    now: () => Date.now() + offsetMs,
+
+    // Server timestamp -> local Date.now() scale
+    toLocalTime: (serverTime) => toMillis(serverTime) - offsetMs,
+
+    /**
+     * Compare a local elapsed count with the server's, logging gaps above the threshold
+     * @returns {Number} Drift in seconds, positive when the local timer is ahead
+     */
+    check(localElapsed, serverElapsed, details = {}) {
+      const driftSeconds = Math.round((localElapsed - serverElapsed) * 10) / 10;
+      reportTimerDrift({
+        sessionId,
+        source,
+        localElapsed: Math.round(localElapsed),
+        serverElapsed: Math.round(serverElapsed),
+        driftSeconds,
+        offsetMs,
+        ...details
+      });
+      return driftSeconds;
+    },
+  };
+};
+
+export default {
+  DRIFT_THRESHOLD_SECONDS,
+  createSessionClock,
+  reportTimerDrift,
+};
@@ -0,0 +1,260 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { chatHistoryAPI } from '../services/api';
+
+/**
+ * Local full-text index of past consultation transcripts
+ * Every transcript the user opens is cached here, and past chat bookings can be
+ * backfilled in one go, so "what did the astrologer say about my marriage date"
+ * can be answered on the device - offline and without a search endpoint.
+ */
+
+const STORAGE_KEY_PREFIX = 'transcript_index_';
+
+// Oldest sessions are dropped beyond this so the index stays a few hundred KB
+const MAX_INDEXED_SESSIONS = 200;
+
+// Each account gets its own index so a shared phone never mixes transcripts
+const getStorageKey = (userId) => `${STORAGE_KEY_PREFIX}${userId || 'guest'}`;
+
+const getStoredIndex = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getStorageKey(userId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('📚 [TRANSCRIPT_INDEX] Error reading from AsyncStorage:', error);
+    return {};
+  }
+};
+
+const saveIndex = async (userId, index) => {
+  const sessions = Object.values(index)
+    .sort((a, b) => new Date(b.startedAt || 0) - new Date(a.startedAt || 0))
+    .slice(0, MAX_INDEXED_SESSIONS);
+  const trimmed = sessions.reduce((kept, session) => {
+    kept[session.sessionId] = session;
+    return kept;
+  }, {});
+
+  try {
+    await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(trimmed));
+    return true;
+  } catch (error) {
+    console.error('📚 [TRANSCRIPT_INDEX] Error saving to AsyncStorage:', error);
+    return false;
+  }
+};
+
+/**
+ * Shrink a chatHistoryAPI.getChatHistory payload to what search needs
+ * @param {string} sessionId
+ * @param {Object} chatData - response.data from getChatHistory
+ * @param {Object} extras - { bookingId, astrologerName } from the caller, used when the payload lacks them
+ */
+const toIndexEntry = (sessionId, chatData, extras = {}) => {
+  const { session = {}, participants = {}, booking = {} } = chatData;
+  const astrologer = participants.astrologer || {};
+  const astrologerName = astrologer.name || extras.astrologerName || 'Astrologer';
+
+  return {
+    sessionId,
+    bookingId: extras.bookingId || booking._id || booking.id || null,
+    astrologerId: astrologer.id || astrologer._id || astrologerName,
+    astrologerName,
+    isFreeChat: !!session.isFreeChat,
+    startedAt: session.startedAt || chatData.messages?.[0]?.timestamp || null,
+    endedAt: session.endedAt || null,
+    indexedAt: new Date().toISOString(),
+    messages: (chatData.messages || [])
+      .filter(message => message.content)
+      .map(message => ({
+        id: message.id,
+        senderType: message.sender?.type,
+        senderName: message.sender?.name,
+        content: message.content,
+        timestamp: message.timestamp,
+      })),
+  };
+};
+
+/**
+ * Cache one transcript. Called whenever a transcript is viewed.
+ */
+export const indexTranscript = async (userId, sessionId, chatData, extras) => {
+  if (!sessionId || !chatData) return false;
+
+  const index = await getStoredIndex(userId);
+  index[sessionId] = toIndexEntry(sessionId, chatData, extras);
+  return saveIndex(userId, index);
+};
+
+export const getIndexedSessions = async (userId) => {
+  const index = await getStoredIndex(userId);
+  return Object.values(index).sort((a, b) => new Date(b.startedAt || 0) - new Date(a.startedAt || 0));
+};
+
+/**
+ * Fetch and cache every completed chat booking that is not indexed yet.
+ * Runs one request at a time so a long history does not flood the API.
+ * @param {string} userId
+ * @param {Array} bookings - bookingsAPI.getAll() entries
+ * @param {Object} options - { onProgress(done, total), isCancelled() }
+ * @returns {Promise<number>} number of sessions added
+ */
+export const indexPastSessions = async (userId, bookings, { onProgress, isCancelled } = {}) => {
+  const index = await getStoredIndex(userId);
+  const missing = (bookings || []).filter(booking =>
+    booking.sessionId &&
+    booking.type === 'chat' &&
+    booking.status === 'completed' &&
+    !index[booking.sessionId]
+  );
+
+  let added = 0;
+  for (let i = 0; i < missing.length; i++) {
+    if (isCancelled?.()) break;
+
+    const booking = missing[i];
+    try {
+      const response = await chatHistoryAPI.getChatHistory(booking.sessionId);
+      if (response?.success && response.data) {
+        index[booking.sessionId] = toIndexEntry(booking.sessionId, response.data, {
+          bookingId: booking._id,
+          astrologerName: booking.astrologer?.displayName || booking.astrologer?.name,
+        });
+        added++;
+      }
+    } catch (error) {
+      // One missing transcript should not stop the rest
+      console.warn('📚 [TRANSCRIPT_INDEX] Could not index session:', booking.sessionId, error.message);
+    }
+    onProgress?.(i + 1, missing.length);
+  }
+
+  if (added > 0) {
+    await saveIndex(userId, index);
+  }
+  console.log(`📚 [TRANSCRIPT_INDEX] Indexed ${added} of ${missing.length} past sessions`);
+  return added;
+};
+
+export const clearTranscriptIndex = async (userId) => {
+  try {
+    await AsyncStorage.removeItem(getStorageKey(userId));
+  } catch (error) {
+    console.error('📚 [TRANSCRIPT_INDEX] Error clearing index:', error);
+  }
+};
+
+/**
+ * Split a query into lowercase search terms
+ */
+export const getSearchTerms = (query) => (query || '')
+  .toLowerCase()
+  .split(/\s+/)
+  .map(term => term.trim())
+  .filter(Boolean);
+
+/**
+ * Search the indexed sessions. Every term must appear in a message for it to match.
+ * @param {Array} sessions - from getIndexedSessions
+ * @param {string} query
+ * @param {Object} filters - { astrologerId, from: Date, to: Date }
+ * @returns {Array} matches, newest first: { sessionId, bookingId, astrologerName, message }
+ */
+export const searchTranscripts = (sessions, query, filters = {}) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  const { astrologerId, from, to } = filters;
+  const results = [];
+
+  sessions.forEach(session => {
+    if (astrologerId && session.astrologerId !== astrologerId) return;
+
+    session.messages.forEach(message => {
+      const sentAt = new Date(message.timestamp);
+      if (from && sentAt < from) return;
+      if (to && sentAt > to) return;
+
+      const content = message.content.toLowerCase();
+      if (!terms.every(term => content.includes(term))) return;
+
+      results.push({
+        sessionId: session.sessionId,
+        bookingId: session.bookingId,
+        astrologerName: session.astrologerName,
+        message,
+      });
+    });
+  });
+
+  return results.sort((a, b) => new Date(b.message.timestamp) - new Date(a.message.timestamp));
+};
+
+/**
+ * Break text into plain and matching segments for highlighting
+ * @returns {Array} [{ text, match }]
+ */
+export const splitHighlights = (text, terms) => {
+  if (!text || !terms || terms.length === 0) return [{ text: text || '', match: false }];
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    let start = lower.indexOf(term);
+    while (start !== -1) {
+      ranges.push([start, start + term.length]);
+      start = lower.indexOf(term, start + term.length);
+    }
+  });
+  if (ranges.length === 0) return [{ text, match: false }];
+
+  // Merge overlapping ranges ("mar" and "marriage" highlight once)
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+};
+
+/**
+ * Trim a long message to the part around the first match
+ */
+export const getMatchSnippet = (text, terms, radius = 60) => {
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(term => {
+    const position = lower.indexOf(term);
+    return position === -1 ? Infinity : position;
+  }));
+  if (!isFinite(first) || text.length <= radius * 2) return text;
+
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+export default {
+  indexTranscript,
+  getIndexedSessions,
+  indexPastSessions,
+  clearTranscriptIndex,
+  getSearchTerms,
+  searchTranscripts,
+  splitHighlights,
+  getMatchSnippet,
+};
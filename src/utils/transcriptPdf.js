@@ -0,0 +1,254 @@
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import * as FileSystem from 'expo-file-system/legacy';
+import { Asset } from 'expo-asset';
+import { ledgerAPI, bookingsAPI } from '../services/api';
+
+/**
+ * Consultation transcript export
+ * Builds a branded PDF on the device from the transcript and booking that are
+ * already loaded, then hands it to the system share sheet. The charge is looked
+ * up in the user's own ledger so the PDF shows what was actually paid.
+ */
+
+const BRAND_NAME = 'Jyotish Call';
+const BRAND_COLOR = '#6B46C1';
+
+// Consultation charges are recent, a few pages of the ledger is enough
+const LEDGER_PAGE_SIZE = 50;
+const LEDGER_MAX_PAGES = 3;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return `${date.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}, ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const formatDuration = (totalSeconds) => {
+  if (!totalSeconds) return null;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.round(totalSeconds % 60);
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+const formatAmount = (amount) => `₹${Number(amount).toFixed(2)}`;
+
+const isChargeFor = (entry, bookingId, sessionId) => {
+  if (entry.transactionType !== 'debit') return false;
+  const refs = [entry.referenceId, entry.metadata?.bookingId, entry.metadata?.sessionId].filter(Boolean);
+  return refs.some(ref => ref === bookingId || ref === sessionId);
+};
+
+/**
+ * Find the ledger debit for a consultation
+ * @returns {Promise<Object|null>} ledger entry, or null when it cannot be found
+ */
+export const findConsultationCharge = async (bookingId, sessionId) => {
+  if (!bookingId && !sessionId) return null;
+
+  try {
+    for (let page = 1; page <= LEDGER_MAX_PAGES; page++) {
+      const response = await ledgerAPI.getMyTransactions({
+        page,
+        limit: LEDGER_PAGE_SIZE,
+        transactionType: 'debit',
+        sortBy: 'timestamp',
+        sortOrder: 'desc'
+      });
+      if (!response?.success) return null;
+
+      const transactions = response.data?.transactions || [];
+      const entry = transactions.find(item => isChargeFor(item, bookingId, sessionId));
+      if (entry) return entry;
+      if (transactions.length < LEDGER_PAGE_SIZE) return null;
+    }
+  } catch (error) {
+    console.warn('📄 [TRANSCRIPT_PDF] Could not look up ledger entry:', error.message);
+  }
+  return null;
+};
+
+const getLogoDataUri = async () => {
+  try {
+    const [asset] = await Asset.loadAsync(require('../../assets/logo.png'));
+    const base64 = await FileSystem.readAsStringAsync(asset.localUri, { encoding: FileSystem.EncodingType.Base64 });
+    return `data:image/png;base64,${base64}`;
+  } catch (error) {
+    // The name alone still brands the document
+    console.warn('📄 [TRANSCRIPT_PDF] Logo unavailable:', error.message);
+    return null;
+  }
+};
+
+// Transcripts only carry a booking summary; the profile lives on the full booking
+const loadBooking = async (booking, bookingId) => {
+  if (booking?.userInfo || !bookingId) return booking;
+
+  try {
+    const response = await bookingsAPI.getById(bookingId);
+    return response?.success && response.data ? { ...booking, ...response.data } : booking;
+  } catch (error) {
+    console.warn('📄 [TRANSCRIPT_PDF] Could not load booking details:', error.message);
+    return booking;
+  }
+};
+
+const describeProfile = (userInfo) => {
+  if (!userInfo?.name) return null;
+
+  const details = [
+    userInfo.relationship,
+    userInfo.dateOfBirth && new Date(userInfo.dateOfBirth).toLocaleDateString(),
+    userInfo.isTimeOfBirthUnknown
+      ? 'time unknown'
+      : userInfo.timeOfBirth && new Date(userInfo.timeOfBirth).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    userInfo.placeOfBirth
+  ].filter(Boolean);
+
+  return details.length > 0 ? `${userInfo.name} (${details.join(', ')})` : userInfo.name;
+};
+
+const renderMessageHtml = (message, astrologerName) => {
+  const isUser = message.sender?.type === 'user';
+  const attachments = (message.attachments || [])
+    .map(attachment => `<div class="attachment">📎 ${escapeHtml(attachment.name || `${attachment.type} attachment`)}</div>`)
+    .join('');
+
+  return `
+    <div class="message ${isUser ? 'user' : 'astrologer'}">
+      <div class="meta">
+        <span class="sender">${escapeHtml(isUser ? 'You' : (message.sender?.name || astrologerName))}</span>
+        <span class="time">${escapeHtml(formatDateTime(message.timestamp))}</span>
+      </div>
+      ${message.content ? `<div class="content">${escapeHtml(message.content)}</div>` : ''}
+      ${attachments}
+    </div>`;
+};
+
+/**
+ * Assemble the transcript HTML
+ * @param {Object} data - { astrologerName, startedAt, durationSeconds, amountLabel, profile, messages, logoUri }
+ */
+export const buildTranscriptHtml = ({ astrologerName, startedAt, durationSeconds, amountLabel, profile, messages, logoUri }) => {
+  const summary = [
+    ['Astrologer', astrologerName],
+    ['Date', formatDateTime(startedAt)],
+    ['Duration', formatDuration(durationSeconds)],
+    ['Amount charged', amountLabel],
+    ['Profile', profile]
+  ].filter(([, value]) => value);
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body { font-family: -apple-system, Roboto, 'Noto Sans', 'Noto Sans Devanagari', sans-serif; color: #333; margin: 0; padding: 24px; }
+    .brand { display: flex; align-items: center; border-bottom: 3px solid ${BRAND_COLOR}; padding-bottom: 12px; margin-bottom: 16px; }
+    .brand img { width: 40px; height: 40px; margin-right: 12px; }
+    .brand h1 { color: ${BRAND_COLOR}; font-size: 22px; margin: 0; }
+    .brand p { margin: 2px 0 0; color: #666; font-size: 12px; }
+    table.summary { width: 100%; border-collapse: collapse; margin-bottom: 20px; background: #F8F5FF; border-radius: 8px; }
+    table.summary td { padding: 8px 12px; font-size: 13px; }
+    table.summary td.label { color: #666; width: 35%; }
+    table.summary td.value { font-weight: 600; }
+    h2 { font-size: 16px; color: ${BRAND_COLOR}; margin: 0 0 12px; }
+    .message { padding: 10px 12px; border-radius: 10px; margin-bottom: 8px; max-width: 85%; page-break-inside: avoid; }
+    .message.user { background: #EDE7FB; margin-left: auto; }
+    .message.astrologer { background: #FFF4EC; border-left: 3px solid #F97316; }
+    .meta { display: flex; justify-content: space-between; font-size: 11px; color: #777; margin-bottom: 4px; }
+    .sender { font-weight: 600; color: #444; margin-right: 12px; }
+    .content { font-size: 13px; line-height: 1.45; white-space: pre-wrap; }
+    .attachment { font-size: 12px; color: #666; margin-top: 4px; }
+    .footer { margin-top: 24px; font-size: 10px; color: #999; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="brand">
+    ${logoUri ? `<img src="${logoUri}" />` : ''}
+    <div>
+      <h1>${BRAND_NAME}</h1>
+      <p>Consultation transcript</p>
+    </div>
+  </div>
+
+  <table class="summary">
+    ${summary.map(([label, value]) => `<tr><td class="label">${label}</td><td class="value">${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+
+  <h2>Conversation (${messages.length} messages)</h2>
+  ${messages.map(message => renderMessageHtml(message, astrologerName)).join('')}
+
+  <div class="footer">
+    Generated by ${BRAND_NAME} on ${escapeHtml(formatDateTime(new Date()))}. For personal reference only.
+  </div>
+</body>
+</html>`;
+};
+
+/**
+ * Generate the transcript PDF and open the share sheet
+ * @param {Object} options
+ * @param {Object} options.chatData - chatHistoryAPI.getChatHistory response.data
+ * @param {Object} options.booking - booking with userInfo, amount and duration (defaults to chatData.booking, fetched if it lacks userInfo)
+ * @param {string} options.astrologerName - fallback when chatData has no participants
+ * @returns {Promise<boolean>} false when sharing is not available on this device
+ */
+export const exportTranscriptPdf = async ({ chatData, booking, astrologerName }) => {
+  const session = chatData.session || {};
+  const summaryBooking = booking || chatData.booking || {};
+  const bookingId = summaryBooking._id || summaryBooking.id;
+  const name = chatData.participants?.astrologer?.name || astrologerName || 'Astrologer';
+
+  if (!(await Sharing.isAvailableAsync())) {
+    return false;
+  }
+
+  const [bookingInfo, charge, logoUri] = await Promise.all([
+    loadBooking(summaryBooking, bookingId),
+    session.isFreeChat ? null : findConsultationCharge(bookingId, session.id || session._id || summaryBooking.sessionId),
+    getLogoDataUri()
+  ]);
+
+  const bookedAmount = bookingInfo.totalAmount ?? bookingInfo.amount;
+  const amountLabel = session.isFreeChat
+    ? 'Free chat'
+    : charge
+      ? formatAmount(charge.amount)
+      : bookedAmount !== undefined ? formatAmount(bookedAmount) : null;
+
+  const html = buildTranscriptHtml({
+    astrologerName: name,
+    startedAt: session.startedAt || bookingInfo.startedAt || bookingInfo.createdAt,
+    durationSeconds: session.duration || (bookingInfo.actualDuration || bookingInfo.duration || 0) * 60,
+    amountLabel,
+    profile: describeProfile(bookingInfo.userInfo),
+    messages: chatData.messages || [],
+    logoUri
+  });
+
+  const { uri } = await Print.printToFileAsync({ html });
+  console.log('📄 [TRANSCRIPT_PDF] Generated transcript:', uri);
+
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/pdf',
+    UTI: 'com.adobe.pdf',
+    dialogTitle: `Consultation with ${name}`
+  });
+  return true;
+};
+
+export default {
+  findConsultationCharge,
+  buildTranscriptHtml,
+  exportTranscriptPdf,
+};
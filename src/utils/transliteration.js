@@ -0,0 +1,280 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Offline Hindi / Hinglish transliteration
+ * Roman -> Devanagari suggestions for the chat composer and Devanagari -> Roman
+ * for reading astrologer replies. Everything is rule based with a small
+ * dictionary of words the rules get wrong, so it works without a network or a
+ * keyboard download. It aims for readable Hinglish, not a formal standard.
+ */
+
+const HINDI_INPUT_KEY = 'chat_hindi_input_enabled';
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+const ROMAN_WORD_PATTERN = /^[a-z]+$/i;
+
+const VIRAMA = '्';
+const ANUSVARA = 'ं';
+
+// Common words the rules below would spell wrongly (schwa, nasals, retroflexes)
+const HINGLISH_WORDS = {
+  main: 'मैं', mein: 'में', hai: 'है', hain: 'हैं', ho: 'हो', hoon: 'हूँ', hu: 'हूँ',
+  kya: 'क्या', kab: 'कब', kaise: 'कैसे', kaisa: 'कैसा', kaisi: 'कैसी', kyun: 'क्यों', kyon: 'क्यों',
+  mera: 'मेरा', meri: 'मेरी', mere: 'मेरे', mujhe: 'मुझे', aap: 'आप', aapka: 'आपका', aapki: 'आपकी',
+  hum: 'हम', humara: 'हमारा', hamara: 'हमारा', shaadi: 'शादी', shadi: 'शादी', vivah: 'विवाह',
+  naukri: 'नौकरी', kaam: 'काम', paisa: 'पैसा', pyaar: 'प्यार', pyar: 'प्यार', sehat: 'सेहत',
+  bhavishya: 'भविष्य', kundli: 'कुंडली', kundali: 'कुंडली', grah: 'ग्रह', rashi: 'राशि', upay: 'उपाय',
+  puja: 'पूजा', pooja: 'पूजा', dhanyavaad: 'धन्यवाद', dhanyavad: 'धन्यवाद', shukriya: 'शुक्रिया',
+  namaste: 'नमस्ते', ji: 'जी', haan: 'हाँ', han: 'हाँ', nahi: 'नहीं', nahin: 'नहीं', na: 'न', ya: 'या',
+  aur: 'और', ki: 'की', ka: 'का', ke: 'के', ko: 'को', se: 'से', par: 'पर', tak: 'तक', bhi: 'भी',
+  yeh: 'यह', ye: 'ये', woh: 'वह', vo: 'वो', kuch: 'कुछ', sab: 'सब', acha: 'अच्छा', achha: 'अच्छा',
+  accha: 'अच्छा', achhi: 'अच्छी', acchi: 'अच्छी', theek: 'ठीक', thik: 'ठीक', samay: 'समय', saal: 'साल',
+  mahina: 'महीना', din: 'दिन', janm: 'जन्म', janam: 'जन्म', tithi: 'तिथि', beta: 'बेटा', beti: 'बेटी',
+  pati: 'पति', patni: 'पत्नी', ghar: 'घर', padhai: 'पढ़ाई', pariksha: 'परीक्षा', bataiye: 'बताइए',
+  batayein: 'बताएं', batao: 'बताओ', kripya: 'कृपया', mangal: 'मंगल', shani: 'शनि', rahu: 'राहु',
+  ketu: 'केतु', guru: 'गुरु', shukra: 'शुक्र', budh: 'बुध', chandra: 'चंद्र', surya: 'सूर्य',
+  dosh: 'दोष', dasha: 'दशा', sade: 'साढ़े', sati: 'साती', lagna: 'लग्न', hoga: 'होगा', hogi: 'होगी',
+  honge: 'होंगे', milega: 'मिलेगा', milegi: 'मिलेगी', baat: 'बात', gyan: 'ज्ञान', gyaan: 'ज्ञान',
+  bhai: 'भाई', behen: 'बहन', maa: 'माँ', papa: 'पापा', nakshatra: 'नक्षत्र', dhan: 'धन',
+};
+
+// Longest spellings first so "chh" wins over "ch" and "c"
+const CONSONANTS = [
+  ['ksh', 'क्ष'], ['cch', 'च्छ'], ['chh', 'छ'],
+  ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'], ['th', 'थ'], ['dh', 'ध'],
+  ['ph', 'फ'], ['bh', 'भ'], ['sh', 'श'],
+  ['k', 'क'], ['g', 'ग'], ['c', 'क'], ['j', 'ज'], ['t', 'त'], ['d', 'द'], ['n', 'न'],
+  ['p', 'प'], ['f', 'फ़'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'], ['l', 'ल'],
+  ['v', 'व'], ['w', 'व'], ['s', 'स'], ['h', 'ह'], ['z', 'ज़'], ['q', 'क़'], ['x', 'क्स'],
+];
+
+// [spelling, independent vowel, matra]
+const VOWELS = [
+  ['aa', 'आ', 'ा'], ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'], ['ee', 'ई', 'ी'], ['ii', 'ई', 'ी'],
+  ['oo', 'ऊ', 'ू'], ['uu', 'ऊ', 'ू'],
+  ['a', 'अ', ''], ['i', 'इ', 'ि'], ['u', 'उ', 'ु'], ['e', 'ए', 'े'], ['o', 'ओ', 'ो'],
+];
+
+const matchToken = (word, index) => {
+  for (const [spelling, output] of CONSONANTS) {
+    if (word.startsWith(spelling, index)) return { type: 'consonant', spelling, output };
+  }
+  for (const [spelling, independent, matra] of VOWELS) {
+    if (word.startsWith(spelling, index)) return { type: 'vowel', spelling, independent, matra };
+  }
+  return { type: 'other', spelling: word[index], output: word[index] };
+};
+
+/**
+ * Rule-based Roman -> Devanagari for a single word
+ * @param {string} word - lowercase Roman letters
+ * @param {boolean} longFinalA - spell a final "a" as आ (Hinglish "mera" -> मेरा)
+ */
+const transliterateWordByRules = (word, longFinalA) => {
+  const tokens = [];
+  for (let index = 0; index < word.length;) {
+    const token = matchToken(word, index);
+    tokens.push(token);
+    index += token.spelling.length;
+  }
+
+  let output = '';
+  let pendingConsonant = false; // Last consonant has no vowel yet
+
+  tokens.forEach((token, position) => {
+    const next = tokens[position + 1];
+
+    if (token.type === 'consonant') {
+      // n / m between a vowel and a consonant is a nasal: "mangal" -> मंगल
+      if ((token.spelling === 'n' || token.spelling === 'm') && !pendingConsonant && position > 0 && next?.type === 'consonant') {
+        output += ANUSVARA;
+        return;
+      }
+      if (pendingConsonant) output += VIRAMA;
+      output += token.output;
+      pendingConsonant = true;
+      return;
+    }
+
+    if (token.type === 'vowel') {
+      const isFinalA = token.spelling === 'a' && !next;
+      if (pendingConsonant) {
+        output += isFinalA && longFinalA && position > 1 ? 'ा' : token.matra;
+      } else {
+        output += token.independent;
+      }
+      pendingConsonant = false;
+      return;
+    }
+
+    output += token.output;
+    pendingConsonant = false;
+  });
+
+  return output;
+};
+
+export const hasDevanagari = (text) => DEVANAGARI_PATTERN.test(text || '');
+
+/**
+ * Devanagari suggestions for one Roman word, best first
+ * @returns {string[]} up to 3 suggestions, empty for non-Roman input
+ */
+export const getTransliterationSuggestions = (word) => {
+  if (!word || !ROMAN_WORD_PATTERN.test(word)) return [];
+
+  const lower = word.toLowerCase();
+  const suggestions = [
+    HINGLISH_WORDS[lower],
+    transliterateWordByRules(lower, true),
+    transliterateWordByRules(lower, false),
+  ].filter(Boolean);
+
+  return [...new Set(suggestions)].slice(0, 3);
+};
+
+/**
+ * Whole text Roman -> Devanagari, using the best suggestion for every word
+ */
+export const romanToDevanagari = (text) => (text || '').replace(/[a-z]+/gi, (word) => (
+  getTransliterationSuggestions(word)[0] || word
+));
+
+// ----- Devanagari -> Roman -----
+
+const INDEPENDENT_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o',
+};
+
+const MATRAS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o',
+};
+
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y',
+};
+
+// Consonants that change sound with a nukta
+const NUKTA_FORMS = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+
+const NASALS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+
+const DIGITS = '०१२३४५६७८९';
+
+// Letters and signs only - danda and digits are handled outside words
+const DEVANAGARI_WORD = /[ऀ-ॣॱ-ॿ]+/g;
+
+/**
+ * Split a Devanagari word into syllable units: { consonant, vowel, inherent, extra }
+ */
+const toSyllables = (word) => {
+  const units = [];
+  const chars = Array.from(word.normalize('NFC'));
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const last = units[units.length - 1];
+
+    if (char === 'ज' && chars[i + 1] === VIRAMA && chars[i + 2] === 'ञ') {
+      units.push({ consonant: 'gy', vowel: 'a', inherent: true, extra: '' });
+      i += 2;
+    } else if (DEVANAGARI_CONSONANTS[char] !== undefined) {
+      units.push({ base: char, consonant: DEVANAGARI_CONSONANTS[char], vowel: 'a', inherent: true, extra: '' });
+    } else if (char === '़' && last && NUKTA_FORMS[last.base]) {
+      // NFC keeps some nukta letters decomposed (ड़, ढ़)
+      last.consonant = NUKTA_FORMS[last.base];
+    } else if (MATRAS[char] !== undefined && last) {
+      last.vowel = MATRAS[char];
+      last.inherent = false;
+    } else if (char === VIRAMA && last) {
+      last.vowel = '';
+      last.inherent = false;
+    } else if (NASALS[char] !== undefined && last) {
+      last.extra += NASALS[char];
+    } else if (INDEPENDENT_VOWELS[char] !== undefined) {
+      units.push({ consonant: '', vowel: INDEPENDENT_VOWELS[char], inherent: false, extra: '' });
+    }
+  }
+  return units;
+};
+
+const transliterateDevanagariWord = (word) => {
+  const units = toSyllables(word);
+  const last = units.length - 1;
+
+  const isBareSchwa = (unit) => unit.inherent && unit.consonant && !unit.extra;
+
+  // Schwa deletion: no "a" at the end of a word ("ram")...
+  if (last > 0 && isBareSchwa(units[last])) {
+    units[last].vowel = '';
+  }
+  // ...nor between an open syllable and a full one ("kamla", but "zindagi")
+  for (let index = 1; index < last; index++) {
+    const prev = units[index - 1];
+    const next = units[index + 1];
+    if (isBareSchwa(units[index]) && prev.vowel && !prev.extra && next.consonant && next.vowel) {
+      units[index].vowel = '';
+    }
+  }
+
+  return units.map((unit, index) => {
+    let vowel = unit.vowel;
+    // Hinglish spells long vowels short at the end of a word: "meraa" -> "mera", "shaadee" -> "shaadi"
+    if (index === last && unit.consonant) {
+      if (vowel === 'aa') vowel = 'a';
+      if (vowel === 'ee') vowel = 'i';
+      if (vowel === 'oo') vowel = 'u';
+    }
+    return `${unit.consonant}${vowel}${unit.extra}`;
+  }).join('');
+};
+
+/**
+ * Whole text Devanagari -> Roman; other scripts are left untouched
+ */
+export const devanagariToRoman = (text) => (text || '')
+  .replace(DEVANAGARI_WORD, transliterateDevanagariWord)
+  .replace(/[।॥]/g, '.')
+  .replace(/[०-९]/g, (digit) => String(DIGITS.indexOf(digit)));
+
+/**
+ * Message text in the other script: Devanagari is shown in Roman, Roman in Devanagari
+ */
+export const toOtherScript = (text) => (
+  hasDevanagari(text) ? devanagariToRoman(text) : romanToDevanagari(text)
+);
+
+export const getHindiInputEnabled = async () => {
+  try {
+    return (await AsyncStorage.getItem(HINDI_INPUT_KEY)) === 'true';
+  } catch (error) {
+    console.error('❌ [Transliteration] Error reading Hindi input setting:', error);
+    return false;
+  }
+};
+
+export const setHindiInputEnabled = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(HINDI_INPUT_KEY, enabled ? 'true' : 'false');
+  } catch (error) {
+    console.error('❌ [Transliteration] Error saving Hindi input setting:', error);
+  }
+};
+
+export default {
+  hasDevanagari,
+  getTransliterationSuggestions,
+  romanToDevanagari,
+  devanagariToRoman,
+  toOtherScript,
+  getHindiInputEnabled,
+  setHindiInputEnabled,
+};
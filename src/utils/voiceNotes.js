@@ -0,0 +1,183 @@
+import { Alert } from 'react-native';
+import { Audio } from 'expo-av';
+import AudioRecord from './audioRecordMock';
+import { ATTACHMENT_TYPES, getFileSize } from './chatAttachments';
+
+/**
+ * Voice notes
+ * Hold-to-record voice messages for chat sessions. Audio is captured as a
+ * 16 kHz mono WAV through react-native-audio-record (mocked in Expo Go) and
+ * sent through the same upload flow as the other chat attachments.
+ */
+
+export const VOICE_NOTE_LIMITS = {
+  minDurationMs: 1000,
+  maxDurationMs: 2 * 60 * 1000,
+};
+
+// Number of bars stored with each voice note and drawn by the player
+export const WAVEFORM_BARS = 32;
+
+const RECORDING_OPTIONS = {
+  sampleRate: 16000,
+  channels: 1,
+  bitsPerSample: 16,
+  audioSource: 6, // VOICE_RECOGNITION on Android - tuned for speech
+  wavFile: 'voice_note.wav',
+};
+
+// Bytes per second of 16 kHz, 16-bit mono PCM, used when the file size is unreadable
+const WAV_BYTES_PER_SECOND = 32000;
+
+let activeRecording = null;
+
+/**
+ * Peak amplitude (0-1) of a base64 chunk of 16-bit little-endian PCM
+ */
+const getChunkLevel = (base64Chunk) => {
+  try {
+    const bytes = atob(base64Chunk);
+    let peak = 0;
+    // Every 8th sample is plenty for a meter and keeps the JS thread free
+    for (let i = 0; i + 1 < bytes.length; i += 16) {
+      let sample = bytes.charCodeAt(i) | (bytes.charCodeAt(i + 1) << 8);
+      if (sample >= 0x8000) sample -= 0x10000;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    // Square root lifts quiet speech so the bars stay readable
+    return Math.min(1, Math.sqrt(peak / 32768));
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Average recorded levels down to a fixed number of bars
+ */
+export const downsampleWaveform = (levels, bars = WAVEFORM_BARS) => {
+  if (!levels?.length) return [];
+
+  return Array.from({ length: bars }, (_, index) => {
+    const start = Math.floor((index * levels.length) / bars);
+    const end = Math.max(start + 1, Math.floor(((index + 1) * levels.length) / bars));
+    const bucket = levels.slice(start, end);
+    const average = bucket.reduce((sum, level) => sum + level, 0) / bucket.length;
+    return Math.round(average * 100) / 100;
+  });
+};
+
+export const requestMicrophonePermission = async () => {
+  try {
+    const { status } = await Audio.requestPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert(
+        'Permission Required',
+        'Please allow microphone access in your device settings to send voice notes.'
+      );
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ [VoiceNotes] Microphone permission request failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Start recording a voice note
+ * @param {Function} onLevel - Called with the input level (0-1) for each audio chunk
+ */
+export const startVoiceRecording = async (onLevel) => {
+  if (activeRecording) {
+    await cancelVoiceRecording();
+  }
+
+  await Audio.setAudioModeAsync({
+    allowsRecordingIOS: true,
+    playsInSilentModeIOS: true,
+  });
+
+  const recording = { startedAt: Date.now(), levels: [] };
+  activeRecording = recording;
+
+  await AudioRecord.init(RECORDING_OPTIONS);
+  AudioRecord.on('data', (chunk) => {
+    if (activeRecording !== recording) return;
+    const level = getChunkLevel(chunk);
+    recording.levels.push(level);
+    onLevel?.(level);
+  });
+  await AudioRecord.start();
+
+  console.log('🎤 [VoiceNotes] Recording started');
+};
+
+const finishRecording = async () => {
+  const recording = activeRecording;
+  activeRecording = null;
+  if (!recording) return null;
+
+  let path = null;
+  try {
+    path = await AudioRecord.stop();
+  } finally {
+    // Route playback back to the speaker on iOS
+    Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true })
+      .catch(error => console.warn('⚠️ [VoiceNotes] Could not reset audio mode:', error));
+  }
+
+  return { ...recording, path, durationMs: Date.now() - recording.startedAt };
+};
+
+/**
+ * Stop recording and return the voice note as an attachment file
+ * @returns {Promise<Object|null>} { type, uri, name, mimeType, size, durationMs, waveform }, or null if too short
+ */
+export const stopVoiceRecording = async () => {
+  const recording = await finishRecording();
+  if (!recording?.path) return null;
+
+  if (recording.durationMs < VOICE_NOTE_LIMITS.minDurationMs) {
+    console.log('🎤 [VoiceNotes] Recording too short, discarded');
+    return null;
+  }
+
+  const durationMs = Math.min(recording.durationMs, VOICE_NOTE_LIMITS.maxDurationMs);
+  const uri = recording.path.startsWith('file://') ? recording.path : `file://${recording.path}`;
+
+  console.log('🎤 [VoiceNotes] Recording finished:', Math.round(durationMs / 1000), 'seconds');
+  return {
+    type: ATTACHMENT_TYPES.AUDIO,
+    uri,
+    name: `voice_note_${Date.now()}.wav`,
+    mimeType: 'audio/wav',
+    size: await getFileSize(uri, Math.round((durationMs / 1000) * WAV_BYTES_PER_SECOND)),
+    durationMs,
+    waveform: downsampleWaveform(recording.levels),
+  };
+};
+
+/**
+ * Stop recording and throw the audio away
+ */
+export const cancelVoiceRecording = async () => {
+  try {
+    await finishRecording();
+    console.log('🎤 [VoiceNotes] Recording cancelled');
+  } catch (error) {
+    console.warn('⚠️ [VoiceNotes] Failed to stop cancelled recording:', error);
+  }
+};
+
+export const isVoiceRecording = () => !!activeRecording;
+
+export default {
+  VOICE_NOTE_LIMITS,
+  WAVEFORM_BARS,
+  downsampleWaveform,
+  requestMicrophonePermission,
+  startVoiceRecording,
+  stopVoiceRecording,
+  cancelVoiceRecording,
+  isVoiceRecording,
+};
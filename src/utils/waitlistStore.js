@@ -0,0 +1,104 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Astrologer waitlists the user has joined
+ * The server owns the queue; the device keeps a copy of each entry so the
+ * app can tell the user the moment a waited-for astrologer comes online,
+ * whichever screen they are on.
+ */
+
+const STORAGE_KEY_PREFIX = 'astrologer_waitlist_';
+
+// Minutes a consultation usually lasts, for wait estimates the server did not give
+export const AVERAGE_CONSULTATION_MINUTES = 12;
+
+// Entries older than this are dropped; the user has moved on
+const ENTRY_TTL_MS = 12 * 60 * 60 * 1000;
+
+const getStorageKey = (userId) => `${STORAGE_KEY_PREFIX}${userId || 'guest'}`;
+
+const getStoredEntries = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(getStorageKey(userId));
+    const entries = stored ? JSON.parse(stored) : [];
+    const now = Date.now();
+    return entries.filter(entry => now - new Date(entry.joinedAt).getTime() < ENTRY_TTL_MS);
+  } catch (error) {
+    console.error(' [WAITLIST] Error reading from AsyncStorage:', error);
+    return [];
+  }
+};
+
+const saveEntries = async (userId, entries) => {
+  try {
+    await AsyncStorage.setItem(getStorageKey(userId), JSON.stringify(entries));
+    return true;
+  } catch (error) {
+    console.error(' [WAITLIST] Error saving to AsyncStorage:', error);
+    return false;
+  }
+};
+
+/**
+ * Whether an astrologer can take a consultation right now
+ * @param {Object} status - { onlineStatus: { chat, call }, status }
+ */
+export const isAstrologerAvailable = (status) =>
+  !!status &&
+  status.status !== 'busy' &&
+  (status.onlineStatus?.chat === 1 || status.onlineStatus?.call === 1);
+
+/**
+ * Minutes until the user's turn; the server's estimate wins when it has one
+ * @returns {Number|null} null when it cannot be estimated (e.g. astrologer offline)
+ */
+export const estimateWaitMinutes = (entry, astrologerBusy = true) => {
+  if (entry?.estimatedWaitMinutes != null) return entry.estimatedWaitMinutes;
+  if (!entry?.position || !astrologerBusy) return null;
+  return entry.position * AVERAGE_CONSULTATION_MINUTES;
+};
+
+export const getWaitlistEntries = (userId) => getStoredEntries(userId);
+
+export const getWaitlistEntry = async (userId, astrologerId) => {
+  const entries = await getStoredEntries(userId);
+  return entries.find(entry => entry.astrologerId === astrologerId) || null;
+};
+
+/**
+ * Add or replace the entry for an astrologer
+ * @param {Object} entry - { astrologerId, astrologerName, profileImage, position, estimatedWaitMinutes, joinedAt }
+ */
+export const saveWaitlistEntry = async (userId, entry) => {
+  const stored = await getStoredEntries(userId);
+  const existing = stored.find(e => e.astrologerId === entry.astrologerId);
+  const entries = stored.filter(e => e.astrologerId !== entry.astrologerId);
+  entries.push({ ...entry, joinedAt: entry.joinedAt || existing?.joinedAt || new Date().toISOString() });
+  const saved = await saveEntries(userId, entries);
+  if (saved) {
+    console.log(' [WAITLIST] Saved waitlist entry:', entry.astrologerId, 'position', entry.position);
+  }
+  return saved;
+};
+
+export const removeWaitlistEntry = async (userId, astrologerId) => {
+  const entries = await getStoredEntries(userId);
+  const remaining = entries.filter(entry => entry.astrologerId !== astrologerId);
+  if (remaining.length === entries.length) return false;
+
+  const saved = await saveEntries(userId, remaining);
+  if (saved) {
+    console.log(' [WAITLIST] Removed waitlist entry:', astrologerId);
+  }
+  return saved;
+};
+
+export default {
+  AVERAGE_CONSULTATION_MINUTES,
+  isAstrologerAvailable,
+  estimateWaitMinutes,
+  getWaitlistEntries,
+  getWaitlistEntry,
+  saveWaitlistEntry,
+  removeWaitlistEntry,
+};